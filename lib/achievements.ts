@@ -0,0 +1,102 @@
+// Achievements
+// A game declares its achievements in game.json (`achievements`) and unlocks them through the game
+// bridge. Unlocks are kept in DATA_DIR/games/<id>/achievements.json, next to the game's saves and
+// scores: { [achievement id]: { unlockedAt, profile } }. An unlock of an achievement the game no
+// longer declares stays on disk but isn't listed.
+
+import { ensureDir } from "https://deno.land/std@0.224.0/fs/ensure_dir.ts";
+import { join } from "https://deno.land/std@0.224.0/path/mod.ts";
+import { HttpError } from "./errors.ts";
+import { gameDataDir } from "./library.ts";
+import type { GameAchievement } from "./manifest.ts";
+import { createKeyedQueue } from "./queue.ts";
+
+export const ACHIEVEMENTS_FILE = "achievements.json";
+
+type Unlock = { unlockedAt: string; profile: string | null };
+
+// What the launcher shows; a hidden achievement that is still locked has no title or description
+export type AchievementStatus = Omit<GameAchievement, "icon"> & {
+  iconUrl: string | null;
+  unlockedAt: string | null;
+};
+
+function unlocksPath(dataDir: string, id: string): string {
+  return join(gameDataDir(dataDir, id), ACHIEVEMENTS_FILE);
+}
+
+async function readUnlocks(dataDir: string, id: string): Promise<Record<string, Unlock>> {
+  try {
+    const raw = JSON.parse(await Deno.readTextFile(unlocksPath(dataDir, id)));
+    if (raw && typeof raw === "object" && !Array.isArray(raw)) return raw;
+  } catch (e) {
+    if (!(e instanceof Deno.errors.NotFound)) console.warn(`Ignoring unreadable achievements for ${id}:`, e);
+  }
+  return {};
+}
+
+function gameFileUrl(gameId: string, path: string): string {
+  return `/games/${encodeURIComponent(gameId)}/${path.split("/").map(encodeURIComponent).join("/")}`;
+}
+
+function status(gameId: string, a: GameAchievement, unlock: Unlock | undefined): AchievementStatus {
+  const secret = a.hidden && !unlock;
+  return {
+    id: a.id,
+    title: secret ? "Hidden achievement" : a.title,
+    description: secret ? "" : a.description,
+    hidden: a.hidden,
+    iconUrl: a.icon && !secret ? gameFileUrl(gameId, a.icon) : null,
+    unlockedAt: unlock?.unlockedAt ?? null,
+  };
+}
+
+// Every declared achievement, in game.json order
+export async function listAchievements(
+  dataDir: string,
+  id: string,
+  declared: GameAchievement[],
+): Promise<AchievementStatus[]> {
+  const unlocks = await readUnlocks(dataDir, id);
+  return declared.map((a) => status(id, a, unlocks[a.id]));
+}
+
+// Writes to one game's unlocks are applied one at a time
+const enqueue = createKeyedQueue();
+
+// `unlocked` is false when it already was
+export function unlockAchievement(
+  dataDir: string,
+  id: string,
+  declared: GameAchievement[],
+  achievementId: unknown,
+  profile: string | null,
+): Promise<{ achievement: AchievementStatus; unlocked: boolean }> {
+  const declaredAchievement = declared.find((a) => a.id === achievementId);
+  if (!declaredAchievement) {
+    return Promise.reject(new HttpError(`${id} has no achievement "${String(achievementId)}"`, 404));
+  }
+  return enqueue(id, async () => {
+    const unlocks = await readUnlocks(dataDir, id);
+    const previous = unlocks[declaredAchievement.id];
+    if (previous) return { achievement: status(id, declaredAchievement, previous), unlocked: false };
+    const unlock = { unlockedAt: new Date().toISOString(), profile };
+    unlocks[declaredAchievement.id] = unlock;
+    await ensureDir(gameDataDir(dataDir, id));
+    const path = unlocksPath(dataDir, id);
+    await Deno.writeTextFile(`${path}.tmp`, JSON.stringify(unlocks));
+    await Deno.rename(`${path}.tmp`, path);
+    return { achievement: status(id, declaredAchievement, unlock), unlocked: true };
+  });
+}
+
+// Lock everything again
+export function resetAchievements(dataDir: string, id: string): Promise<void> {
+  return enqueue(id, async () => {
+    try {
+      await Deno.remove(unlocksPath(dataDir, id));
+    } catch (e) {
+      if (!(e instanceof Deno.errors.NotFound)) throw e;
+    }
+  });
+}
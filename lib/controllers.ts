@@ -0,0 +1,190 @@
+// Controller database
+// Gamepads the browser has no layout for (gamepad.mapping "", e.g. cheap USB pads) report raw
+// buttons and axes; the launcher turns them into the standard layout with an entry of an SDL
+// GameControllerDB (https://github.com/mdqinc/SDL_GameControllerDB). The database is
+// DATA_DIR/controllers.txt in that text format, one controller per line:
+//   <guid>,<name>,<element>:<input>,...,platform:<os>,
+// e.g. "dpup:h0.1" or "lefttrigger:+a2". Entries are found by the vendor and product ids in the GUID,
+// which browsers also put in gamepad.id. Importing a gamecontrollerdb.txt adds its lines; the
+// configurator contributes a line for a pad it walked the player through. A later line for the same
+// GUID and platform replaces the earlier one.
+
+import { ensureDir } from "https://deno.land/std@0.224.0/fs/ensure_dir.ts";
+import { join } from "https://deno.land/std@0.224.0/path/mod.ts";
+import { HttpError } from "./errors.ts";
+import { createKeyedQueue } from "./queue.ts";
+
+export const CONTROLLERS_FILE = "controllers.txt";
+
+// SDL's names for the operating systems an entry is for
+export const CONTROLLER_PLATFORMS = ["Windows", "Mac OS X", "Linux", "Android", "iOS"] as const;
+export type ControllerPlatform = typeof CONTROLLER_PLATFORMS[number];
+
+// The elements of the standard layout; entries may name others (paddles, touchpad), which are kept
+// but not used
+export const CONTROLLER_ELEMENTS = [
+  "a", "b", "x", "y", "back", "guide", "start", "leftstick", "rightstick", "leftshoulder",
+  "rightshoulder", "dpup", "dpdown", "dpleft", "dpright", "leftx", "lefty", "rightx", "righty",
+  "lefttrigger", "righttrigger",
+] as const;
+
+// A button (b3), a whole axis (a1, a1~ inverted), half an axis (+a2, -a2) or a hat direction (h0.4)
+const INPUT_PATTERN = /^(?:b\d+|[+-]?a\d+~?|h\d+\.(?:1|2|4|8))$/;
+
+export type ControllerEntry = {
+  guid: string; // 32 lowercase hex digits
+  name: string;
+  vendor: string | null; // 4 hex digits, when the GUID has them
+  product: string | null;
+  platform: ControllerPlatform | null; // null: any
+  mapping: Record<string, string>; // element → input
+};
+
+function controllersPath(dataDir: string): string {
+  return join(dataDir, CONTROLLERS_FILE);
+}
+
+// The GUID is eight little-endian 16-bit words: bus, CRC, vendor, 0, product, 0, version, driver.
+// Older GUIDs (a name hash) have no ids.
+function guidIds(guid: string): { vendor: string | null; product: string | null } {
+  const word = (i: number) => guid.slice(i * 4 + 2, i * 4 + 4) + guid.slice(i * 4, i * 4 + 2);
+  const vendor = word(2);
+  if (vendor === "0000" || word(3) !== "0000" || word(5) !== "0000") return { vendor: null, product: null };
+  return { vendor, product: word(4) };
+}
+
+// Chrome: "Name (STANDARD GAMEPAD Vendor: 045e Product: 028e)"; Firefox: "45e-28e-Name"
+export function gamepadIds(gamepadId: string): { vendor: string; product: string } | null {
+  const match = gamepadId.match(/Vendor: ([0-9a-f]{1,4}) Product: ([0-9a-f]{1,4})/i) ??
+    gamepadId.match(/^([0-9a-f]{1,4})-([0-9a-f]{1,4})-/i);
+  if (!match) return null;
+  return { vendor: match[1].toLowerCase().padStart(4, "0"), product: match[2].toLowerCase().padStart(4, "0") };
+}
+
+// null for blank lines, comments and lines that aren't an entry
+export function parseControllerLine(line: string): ControllerEntry | null {
+  const fields = line.trim().split(",");
+  const guid = fields[0]?.toLowerCase();
+  const name = fields[1]?.trim();
+  if (!guid || !/^[0-9a-f]{32}$/.test(guid) || !name) return null;
+  const mapping: Record<string, string> = {};
+  let platform: ControllerPlatform | null = null;
+  for (const field of fields.slice(2)) {
+    const colon = field.indexOf(":");
+    if (colon < 1) continue;
+    const key = field.slice(0, colon).trim();
+    const value = field.slice(colon + 1).trim();
+    if (key === "platform") {
+      platform = (CONTROLLER_PLATFORMS as readonly string[]).includes(value) ? value as ControllerPlatform : null;
+    } else if (/^[a-z0-9]+$/.test(key) && INPUT_PATTERN.test(value)) {
+      mapping[key] = value;
+    }
+  }
+  if (Object.keys(mapping).length === 0) return null;
+  return { guid, name, ...guidIds(guid), platform, mapping };
+}
+
+function formatControllerLine(entry: ControllerEntry): string {
+  const pairs = Object.entries(entry.mapping).map(([element, input]) => `${element}:${input},`).join("");
+  return `${entry.guid},${entry.name},${pairs}${entry.platform ? `platform:${entry.platform},` : ""}`;
+}
+
+async function readLines(dataDir: string): Promise<string[]> {
+  try {
+    return (await Deno.readTextFile(controllersPath(dataDir))).split(/\r?\n/);
+  } catch (e) {
+    if (e instanceof Deno.errors.NotFound) return [];
+    throw e;
+  }
+}
+
+// The entries for the pad with this gamepad.id, in file order (the last one of a platform wins)
+export async function findControllers(dataDir: string, gamepadId: string): Promise<ControllerEntry[]> {
+  const ids = gamepadIds(gamepadId);
+  if (!ids) return [];
+  return (await readLines(dataDir))
+    .map(parseControllerLine)
+    .filter((e): e is ControllerEntry => !!e && e.vendor === ids.vendor && e.product === ids.product);
+}
+
+// Writes to the database are applied one at a time
+const enqueue = createKeyedQueue();
+
+const sameEntry = (a: ControllerEntry, b: ControllerEntry) => a.guid === b.guid && a.platform === b.platform;
+
+// Add entries, replacing the lines with the same GUID and platform; the rest of the file is kept
+// as it was (comments included). `added` counts the entries written, `replaced` the lines dropped.
+function addEntries(dataDir: string, entries: ControllerEntry[]): Promise<{ added: number; replaced: number }> {
+  return enqueue(CONTROLLERS_FILE, async () => {
+    const lines = await readLines(dataDir);
+    let replaced = 0;
+    const kept = lines.filter((line) => {
+      const entry = parseControllerLine(line);
+      const stale = !!entry && entries.some((e) => sameEntry(e, entry));
+      if (stale) replaced++;
+      return !stale && line.trim() !== "";
+    });
+    // A file that repeats a GUID and platform keeps its last line
+    const unique = entries.filter((e, i) => !entries.slice(i + 1).some((later) => sameEntry(e, later)));
+    await ensureDir(dataDir);
+    const path = controllersPath(dataDir);
+    await Deno.writeTextFile(`${path}.tmp`, [...kept, ...unique.map(formatControllerLine)].join("\n") + "\n");
+    await Deno.rename(`${path}.tmp`, path);
+    return { added: unique.length, replaced };
+  });
+}
+
+// A gamecontrollerdb.txt (or some lines of one)
+export async function importControllers(dataDir: string, text: string) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() && !line.trim().startsWith("#"));
+  const entries = lines.map(parseControllerLine).filter((e): e is ControllerEntry => !!e);
+  if (entries.length === 0) throw new HttpError("no controller entries found (expected SDL GameControllerDB lines)");
+  const result = await addEntries(dataDir, entries);
+  return { ...result, skipped: lines.length - entries.length };
+}
+
+// What the configurator sends for a pad it mapped: { id: gamepad.id, name, platform, mapping }
+export async function contributeController(dataDir: string, body: unknown): Promise<ControllerEntry> {
+  const b = (body ?? {}) as Record<string, unknown>;
+  const ids = typeof b.id === "string" ? gamepadIds(b.id) : null;
+  if (!ids) throw new HttpError("id must be a gamepad.id with vendor and product ids");
+  const name = typeof b.name === "string" ? b.name.replace(/[,\s]+/g, " ").trim().slice(0, 100) : "";
+  if (!name) throw new HttpError("name must be a non-empty string");
+  if (!(CONTROLLER_PLATFORMS as readonly unknown[]).includes(b.platform)) {
+    throw new HttpError(`platform must be one of ${CONTROLLER_PLATFORMS.join(", ")}`);
+  }
+  const raw = b.mapping && typeof b.mapping === "object" ? b.mapping as Record<string, unknown> : {};
+  const mapping: Record<string, string> = {};
+  for (const element of CONTROLLER_ELEMENTS) {
+    const input = raw[element];
+    if (input === undefined) continue;
+    if (typeof input !== "string" || !INPUT_PATTERN.test(input)) {
+      throw new HttpError(`mapping.${element} must be an input like b0, a1, +a2, a3~ or h0.1`);
+    }
+    mapping[element] = input;
+  }
+  if (Object.keys(mapping).length === 0) throw new HttpError("mapping must map at least one element");
+  // A USB GUID (bus 3) with the pad's ids, the way SDL writes one
+  const le = (hex: string) => hex.slice(2) + hex.slice(0, 2);
+  const guid = `03000000${le(ids.vendor)}0000${le(ids.product)}000000000000`;
+  const entry: ControllerEntry = { guid, name, ...ids, platform: b.platform as ControllerPlatform, mapping };
+  await addEntries(dataDir, [entry]);
+  return entry;
+}
+
+// Drop the entry with this GUID and platform (none: the entries for any platform); false if there
+// was none
+export function removeController(dataDir: string, guid: string, platform: string | null): Promise<boolean> {
+  return enqueue(CONTROLLERS_FILE, async () => {
+    const lines = await readLines(dataDir);
+    const kept = lines.filter((line) => {
+      const entry = parseControllerLine(line);
+      return !entry || entry.guid !== guid.toLowerCase() || (platform !== null && entry.platform !== platform);
+    });
+    if (kept.length === lines.length) return false;
+    const path = controllersPath(dataDir);
+    await Deno.writeTextFile(`${path}.tmp`, kept.join("\n"));
+    await Deno.rename(`${path}.tmp`, path);
+    return true;
+  });
+}
@@ -0,0 +1,114 @@
+// Game errors
+// What the game bridge caught in a game (uncaught errors, unhandled rejections, files that failed
+// to load), as the launcher reports it, is kept in DATA_DIR/games/<id>/errors.json: running totals
+// plus the latest MAX_ENTRIES entries, oldest first. A fatal error is a crash: the launcher showed
+// its crash screen for it.
+
+import { ensureDir } from "https://deno.land/std@0.224.0/fs/ensure_dir.ts";
+import { join } from "https://deno.land/std@0.224.0/path/mod.ts";
+import { HttpError } from "./errors.ts";
+import { gameDataDir } from "./library.ts";
+import { createKeyedQueue } from "./queue.ts";
+
+export const ERRORS_FILE = "errors.json";
+const MAX_ENTRIES = 100;
+
+// An uncaught error, an unhandled promise rejection, or a script/image/sound that didn't load
+export const ERROR_KINDS = ["error", "rejection", "resource"] as const;
+export type ErrorKind = typeof ERROR_KINDS[number];
+
+export type GameError = {
+  at: string; // ISO date
+  kind: ErrorKind;
+  message: string;
+  source: string | null; // script or file URL
+  line: number | null;
+  column: number | null;
+  stack: string | null;
+  fatal: boolean;
+};
+
+// The game's health as the game menu shows it
+export type ErrorLog = {
+  errors: number; // every error ever logged, crashes included
+  crashes: number;
+  lastErrorAt: string | null;
+  lastCrashAt: string | null;
+  entries: GameError[];
+};
+
+function emptyLog(): ErrorLog {
+  return { errors: 0, crashes: 0, lastErrorAt: null, lastCrashAt: null, entries: [] };
+}
+
+function errorsPath(dataDir: string, id: string): string {
+  return join(gameDataDir(dataDir, id), ERRORS_FILE);
+}
+
+export async function readErrorLog(dataDir: string, id: string): Promise<ErrorLog> {
+  try {
+    const raw = JSON.parse(await Deno.readTextFile(errorsPath(dataDir, id)));
+    if (raw && typeof raw.errors === "number" && Array.isArray(raw.entries)) return raw;
+  } catch (e) {
+    if (!(e instanceof Deno.errors.NotFound)) console.warn(`Ignoring unreadable error log for ${id}:`, e);
+  }
+  return emptyLog();
+}
+
+function text(value: unknown, max: number): string | null {
+  return typeof value === "string" && value ? value.slice(0, max) : null;
+}
+
+function position(value: unknown): number | null {
+  return typeof value === "number" && Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+export function parseGameError(body: unknown): Omit<GameError, "at"> {
+  const b = (body ?? {}) as Record<string, unknown>;
+  if (!(ERROR_KINDS as readonly unknown[]).includes(b.kind)) {
+    throw new HttpError(`kind must be one of ${ERROR_KINDS.join(", ")}`);
+  }
+  const message = text(b.message, 1000);
+  if (!message) throw new HttpError("message must be a non-empty string");
+  return {
+    kind: b.kind as ErrorKind,
+    message,
+    source: text(b.source, 500),
+    line: position(b.line),
+    column: position(b.column),
+    stack: text(b.stack, 4000),
+    fatal: b.fatal === true,
+  };
+}
+
+// Writes to one game's log are applied one at a time
+const enqueue = createKeyedQueue();
+
+export function logGameError(dataDir: string, id: string, error: Omit<GameError, "at">): Promise<GameError> {
+  return enqueue(id, async () => {
+    const log = await readErrorLog(dataDir, id);
+    const entry: GameError = { at: new Date().toISOString(), ...error };
+    log.errors++;
+    log.lastErrorAt = entry.at;
+    if (entry.fatal) {
+      log.crashes++;
+      log.lastCrashAt = entry.at;
+    }
+    log.entries = [...log.entries, entry].slice(-MAX_ENTRIES);
+    await ensureDir(gameDataDir(dataDir, id));
+    const path = errorsPath(dataDir, id);
+    await Deno.writeTextFile(`${path}.tmp`, JSON.stringify(log));
+    await Deno.rename(`${path}.tmp`, path);
+    return entry;
+  });
+}
+
+export function clearErrorLog(dataDir: string, id: string): Promise<void> {
+  return enqueue(id, async () => {
+    try {
+      await Deno.remove(errorsPath(dataDir, id));
+    } catch (e) {
+      if (!(e instanceof Deno.errors.NotFound)) throw e;
+    }
+  });
+}
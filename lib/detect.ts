@@ -0,0 +1,199 @@
+// Import-time detection of a game's playable index.html and the engine it was built with
+
+import { dirname, join, relative, resolve, SEPARATOR } from "https://deno.land/std@0.224.0/path/mod.ts";
+import { HttpError } from "./errors.ts";
+
+// Folders that usually hold build output, vs. ones that hold unbuilt sources or templates
+const BUILD_DIRS = ["dist", "build", "docs", "out", "www", "web", "release", "html5", "export", "bin", "deploy"];
+const SOURCE_DIRS = ["src", "public", "static", "template", "templates", "test", "tests", "examples", "example"];
+const SKIP_DIRS = ["node_modules", ".git", ".github", "__MACOSX", ".vscode", ".idea"];
+const MAX_DEPTH = 5;
+const MAX_SCAN_BYTES = 8 * 1024 * 1024;
+
+export type EntryCandidate = {
+  dir: string; // absolute folder holding the index.html
+  path: string; // index.html path relative to the scanned root, "/"-separated
+  score: number;
+};
+
+async function findIndexFiles(root: string): Promise<string[]> {
+  const found: string[] = [];
+  const walk = async (dir: string, depth: number) => {
+    let names: Deno.DirEntry[];
+    try { names = await Array.fromAsync(Deno.readDir(dir)); } catch { return; }
+    for (const e of names) {
+      if (e.isFile && e.name.toLowerCase() === "index.html") found.push(join(dir, e.name));
+      if (e.isDirectory && depth < MAX_DEPTH && !SKIP_DIRS.includes(e.name)) {
+        await walk(join(dir, e.name), depth + 1);
+      }
+    }
+  };
+  await walk(root, 0);
+  return found;
+}
+
+function scriptSources(html: string): string[] {
+  const out: string[] = [];
+  for (const m of html.matchAll(/<script\b[^>]*\bsrc\s*=\s*["']?([^"'\s>]+)/gi)) out.push(m[1]);
+  return out;
+}
+
+// Resolve a script src against the page folder; root-relative srcs (e.g. "/mario/main.js")
+// may carry the game's own folder name, so also try without the first segment.
+function localScriptPaths(dir: string, src: string): string[] {
+  if (/^(?:[a-z]+:)?\/\//i.test(src) || src.startsWith("data:")) return [];
+  const clean = src.split(/[?#]/)[0];
+  if (!clean.startsWith("/")) return [join(dir, clean)];
+  const parts = clean.split("/").filter(Boolean);
+  return [join(dir, ...parts), join(dir, ...parts.slice(1))];
+}
+
+async function isFile(p: string): Promise<boolean> {
+  try { return (await Deno.stat(p)).isFile; } catch { return false; }
+}
+
+async function scoreEntry(root: string, file: string): Promise<number> {
+  let html = "";
+  try { html = await Deno.readTextFile(file); } catch { return -Infinity; }
+  const dir = dirname(file);
+  const segments = relative(root, dir).split(SEPARATOR).filter(Boolean).map((s) => s.toLowerCase());
+  let score = -5 * segments.length;
+  if (segments.some((s) => BUILD_DIRS.includes(s))) score += 30;
+  if (segments.some((s) => SOURCE_DIRS.includes(s))) score -= 20;
+  if (/<canvas\b/i.test(html)) score += 10;
+  const srcs = scriptSources(html);
+  for (const src of srcs) {
+    // A dev-server entry (Vite/CRA) points at sources that a browser can't run directly
+    if (/\.(?:tsx?|jsx)(?:[?#]|$)/i.test(src)) score -= 40;
+    for (const p of localScriptPaths(dir, src)) {
+      if (await isFile(p)) { score += 5; break; }
+    }
+  }
+  if (srcs.length === 0 && !/<script\b/i.test(html)) score -= 15;
+  if (html.includes("%PUBLIC_URL%") || /\{\{\s*[\w.]+\s*\}\}/.test(html)) score -= 40;
+  return score;
+}
+
+// Pick the most likely playable index.html under `root`.
+// `hint` (e.g. "dist", "docs", "web/game") overrides the scan; "root", "auto" or "" mean detect.
+export async function findEntryPoint(root: string, hint?: string): Promise<EntryCandidate> {
+  const h = (hint ?? "").trim().replace(/\\/g, "/").replace(/^\/+|\/+$/g, "");
+  if (h && h.toLowerCase() !== "root" && h.toLowerCase() !== "auto") {
+    const parts = h.split("/").filter((s) => s && s !== ".");
+    if (parts.includes("..")) throw new HttpError(`Invalid game folder: ${hint}`);
+    // Archives (e.g. GitHub's) usually wrap everything in one top-level folder
+    const bases = [root];
+    const top = await Array.fromAsync(Deno.readDir(root));
+    if (top.length === 1 && top[0].isDirectory) bases.unshift(join(root, top[0].name));
+    for (const base of bases) {
+      const dir = resolve(base, ...parts);
+      if (await isFile(join(dir, "index.html"))) {
+        return { dir, path: relative(root, join(dir, "index.html")).split(SEPARATOR).join("/"), score: 0 };
+      }
+    }
+    throw new HttpError(`No index.html found in "${h}"`, 422);
+  }
+  const files = await findIndexFiles(root);
+  if (files.length === 0) throw new HttpError("No index.html found in the archive", 422);
+  let best: EntryCandidate | null = null;
+  for (const file of files) {
+    const score = await scoreEntry(root, file);
+    const path = relative(root, file).split(SEPARATOR).join("/");
+    // Ties go to the shallower page
+    if (!best || score > best.score || (score === best.score && path.length < best.path.length)) {
+      best = { dir: dirname(file), path, score };
+    }
+  }
+  return best!;
+}
+
+export type EngineInfo = { engine: string; engineVersion: string | null };
+
+type Signature = { engine: string; test: RegExp; version?: RegExp };
+
+// Ordered most specific first: exported runtimes (Godot, Unity, ...) embed generic WebGL code too
+const SIGNATURES: Signature[] = [
+  { engine: "godot", test: /\bGodot\b[^\n]{0,80}\bEngine\b|godot\.(?:tools\.)?js|GODOT_CONFIG/, version: /Godot(?: Engine)? v?(\d+\.\d+(?:\.\d+)?)/ },
+  { engine: "unity", test: /createUnityInstance|UnityLoader\.instantiate|\.unityweb\b/, version: /unityVersion\s*[:=]\s*["']([\d.a-z]+)/i },
+  { engine: "construct", test: /c3runtime|c2runtime|\bC3\.Runtime\b|Construct 3/ },
+  { engine: "gamemaker", test: /GameMaker|YoYo Games|yyGetInt32/ },
+  { engine: "defold", test: /\bDefold\b|dmloader\.js|EngineLoader\.load/ },
+  { engine: "playcanvas", test: /\bpc\.Application\b|playcanvas(?:-stable)?(?:\.min)?\.js/, version: /playcanvas@(\d+\.\d+\.\d+)/ },
+  { engine: "phaser", test: /\bPhaser\.(?:Game|Scene|AUTO|CANVAS|WEBGL)\b|Phaser v\d|phaser(?:\.min)?\.js|esm\.sh\/phaser|["']phaser["']/, version: /(?:Phaser v|phaser@)(\d+\.\d+\.\d+(?:-[\w.]+)?)/ },
+  { engine: "kaplay", test: /\bkaplay\s*\(|KAPLAY already initialized|kaplay(?:@[\w.-]+)?(?:\.min)?\.(?:m?js)|["']kaplay["']|\bkaboom\s*\(|kaboom(?:\.min)?\.js/, version: /kaplay@(\d+\.\d+\.\d+(?:-[\w.]+)?)/ },
+  { engine: "pixi", test: /\bPIXI\.(?:Application|VERSION|Sprite)\b|pixi(?:\.min)?\.js|["']pixi\.js["']|@pixi\//, version: /(?:pixi\.js@|PixiJS )v?(\d+\.\d+\.\d+)/ },
+  { engine: "babylon", test: /\bBABYLON\.Engine\b|babylon(?:\.max)?\.js|@babylonjs\// },
+  { engine: "three", test: /\bTHREE\.WebGLRenderer\b|three(?:\.module)?(?:\.min)?\.js|["']three["']/, version: /REVISION\s*=\s*["'](\d+)/ },
+  { engine: "excalibur", test: /\bex\.Engine\b|excalibur(?:\.min)?\.js/ },
+  { engine: "melonjs", test: /\bme\.video\.init\b|melonjs(?:\.min)?\.m?js/ },
+];
+
+async function readCapped(p: string, budget: { left: number }): Promise<string> {
+  if (budget.left <= 0) return "";
+  try {
+    const file = await Deno.open(p, { read: true });
+    try {
+      const buf = new Uint8Array(Math.min(budget.left, 4 * 1024 * 1024));
+      let n = 0;
+      while (n < buf.length) {
+        const r = await file.read(buf.subarray(n));
+        if (r === null) break;
+        n += r;
+      }
+      budget.left -= n;
+      return new TextDecoder().decode(buf.subarray(0, n));
+    } finally {
+      file.close();
+    }
+  } catch {
+    return "";
+  }
+}
+
+function matchEngine(text: string): EngineInfo | null {
+  for (const sig of SIGNATURES) {
+    if (!sig.test.test(text)) continue;
+    const v = sig.version ? text.match(sig.version) : null;
+    return { engine: sig.engine, engineVersion: v ? v[1] : null };
+  }
+  return null;
+}
+
+// Identify the engine from the page, the scripts it loads, then any other bundles nearby
+export async function detectEngine(dir: string): Promise<EngineInfo> {
+  const budget = { left: MAX_SCAN_BYTES };
+  const html = await readCapped(join(dir, "index.html"), budget);
+  const seen = new Set<string>();
+  const texts = [html];
+  for (const src of scriptSources(html)) {
+    for (const p of localScriptPaths(dir, src)) {
+      if (seen.has(p) || !await isFile(p)) continue;
+      seen.add(p);
+      texts.push(await readCapped(p, budget));
+      break;
+    }
+  }
+  for (const t of texts) {
+    const hit = matchEngine(t);
+    if (hit) return hit;
+  }
+  // Module imports and engine exports (.pck/.wasm + loader) are not always referenced directly
+  const extra: string[] = [];
+  const walk = async (d: string, depth: number) => {
+    for await (const e of Deno.readDir(d)) {
+      const p = join(d, e.name);
+      if (e.isDirectory && depth < 2 && !SKIP_DIRS.includes(e.name)) await walk(p, depth + 1);
+      else if (e.isFile && /\.(?:m?js|pck)$/i.test(e.name) && !seen.has(p)) extra.push(p);
+    }
+  };
+  try { await walk(dir, 0); } catch { /* unreadable folder */ }
+  if (extra.some((p) => p.toLowerCase().endsWith(".pck"))) {
+    return { engine: "godot", engineVersion: null };
+  }
+  for (const p of extra.slice(0, 40)) {
+    const hit = matchEngine(await readCapped(p, budget));
+    if (hit) return hit;
+    if (budget.left <= 0) break;
+  }
+  return { engine: "other", engineVersion: null };
+}
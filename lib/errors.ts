@@ -0,0 +1,9 @@
+// Errors that map to an HTTP response instead of a 500
+export class HttpError extends Error {
+  status: number;
+  constructor(message: string, status = 400) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
@@ -0,0 +1,190 @@
+// GitHub import helpers: resolve a branch, tag, commit or release asset to a ZIP download.
+// All requests go through githubFetch(), whose base URLs can be pointed at a local
+// stand-in server (CMG_GITHUB_API_URL / CMG_GITHUB_CODELOAD_URL) for tests or mirrors.
+
+import { HttpError } from "./errors.ts";
+
+export type GithubRepo = { owner: string; repo: string };
+
+export type GithubRefSpec = {
+  branch?: string;
+  tag?: string;
+  sha?: string;
+  ref?: string; // any branch or tag name
+  release?: string; // release tag, or "latest"
+  asset?: string; // release asset name; "*" wildcards allowed; default: first .zip
+};
+
+export type GithubSource = {
+  type: "github";
+  repo: string; // "owner/name"
+  kind: "branch" | "tag" | "commit" | "ref" | "release";
+  ref: string;
+  sha: string | null;
+  asset?: string;
+  latest?: boolean;
+  subdir?: string;
+  importedAt: string;
+};
+
+export type ResolvedDownload = { url: string; headers: HeadersInit; source: GithubSource };
+
+function trimSlash(s: string) {
+  return s.replace(/\/+$/, "");
+}
+
+export function githubEndpoints() {
+  return {
+    api: trimSlash(Deno.env.get("CMG_GITHUB_API_URL") || "https://api.github.com"),
+    codeload: trimSlash(Deno.env.get("CMG_GITHUB_CODELOAD_URL") || "https://codeload.github.com"),
+  };
+}
+
+// fetch() with GitHub headers; CMG_GITHUB_TOKEN raises rate limits and allows private repos
+export function githubFetch(url: string, init: RequestInit = {}): Promise<Response> {
+  const headers = new Headers(init.headers);
+  if (!headers.has("user-agent")) headers.set("user-agent", "codemonkey-games-launcher");
+  const token = Deno.env.get("CMG_GITHUB_TOKEN");
+  if (token && !headers.has("authorization")) headers.set("authorization", `Bearer ${token}`);
+  return fetch(url, { ...init, headers });
+}
+
+// Accepts https://github.com/owner/repo(.git), github.com/owner/repo/tree/<ref>, or owner/repo
+export function parseGithubRepo(input: string): (GithubRepo & { ref?: string }) | null {
+  const s = input.trim().replace(/\.git$/, "").replace(/\/+$/, "");
+  const m = s.match(/^(?:(?:https?:\/\/)?(?:www\.)?github\.com\/)?([\w.-]+)\/([\w.-]+)(?:\/tree\/(.+))?$/i);
+  if (!m) return null;
+  return { owner: m[1], repo: m[2], ref: m[3] };
+}
+
+async function apiJson<T>(path: string, signal?: AbortSignal): Promise<T> {
+  const { api } = githubEndpoints();
+  let resp: Response;
+  try {
+    resp = await githubFetch(`${api}${path}`, { headers: { accept: "application/vnd.github+json" }, signal });
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    throw new HttpError(`GitHub API unreachable (${e instanceof Error ? e.message : e})`, 502);
+  }
+  if (resp.status === 404) throw new HttpError(`Not found on GitHub: ${path}`, 404);
+  if (!resp.ok) throw new HttpError(`GitHub API error ${resp.status} for ${path}`, 502);
+  return await resp.json() as T;
+}
+
+// Best effort: rate limits or an offline API shouldn't block a codeload download
+async function resolveSha({ owner, repo }: GithubRepo, ref: string, signal?: AbortSignal): Promise<string | null> {
+  const { api } = githubEndpoints();
+  try {
+    const resp = await githubFetch(`${api}/repos/${owner}/${repo}/commits/${encodeURIComponent(ref)}`, {
+      headers: { accept: "application/vnd.github.sha" },
+      signal,
+    });
+    if (!resp.ok) {
+      await resp.body?.cancel();
+      return null;
+    }
+    const sha = (await resp.text()).trim();
+    return /^[0-9a-f]{40}$/i.test(sha) ? sha.toLowerCase() : null;
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    return null;
+  }
+}
+
+// The spec that re-fetches a recorded source. Branches and "latest" releases pick up new
+// commits; tags, commits and pinned releases fetch the same build again.
+export function refSpecFromSource(
+  source: { kind?: string; ref?: string; asset?: string; latest?: boolean },
+): GithubRefSpec {
+  const ref = source.ref || undefined;
+  switch (source.kind) {
+    case "commit": return { sha: ref };
+    case "tag": return { tag: ref };
+    case "branch": return { branch: ref };
+    case "release": return source.latest ? { release: "latest" } : { release: ref, asset: source.asset };
+    default: return { ref };
+  }
+}
+
+function globToRegExp(glob: string): RegExp {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+type ReleaseJson = {
+  tag_name: string;
+  assets: { name: string; url: string; browser_download_url: string }[];
+};
+
+// Turn a ref spec into a concrete ZIP URL plus the source record to store with the game
+export async function resolveGithubDownload(
+  repo: GithubRepo,
+  spec: GithubRefSpec,
+  signal?: AbortSignal,
+): Promise<ResolvedDownload> {
+  const { codeload } = githubEndpoints();
+  const full = `${repo.owner}/${repo.repo}`;
+  const importedAt = new Date().toISOString();
+  const zipHeaders = {};
+
+  if (spec.release) {
+    const path = spec.release === "latest"
+      ? `/repos/${full}/releases/latest`
+      : `/repos/${full}/releases/tags/${encodeURIComponent(spec.release)}`;
+    const release = await apiJson<ReleaseJson>(path, signal);
+    const assets = release.assets ?? [];
+    const pick = spec.asset
+      ? assets.find((a) => globToRegExp(spec.asset!).test(a.name))
+      : assets.find((a) => a.name.toLowerCase().endsWith(".zip"));
+    if (!pick) {
+      const names = assets.map((a) => a.name).join(", ") || "none";
+      throw new HttpError(`No matching ZIP asset in release ${release.tag_name} (assets: ${names})`, 404);
+    }
+    return {
+      // The API asset URL (not browser_download_url) also works for private repos with a token
+      url: pick.url,
+      headers: { accept: "application/octet-stream" },
+      source: {
+        type: "github",
+        repo: full,
+        kind: "release",
+        ref: release.tag_name,
+        sha: await resolveSha(repo, release.tag_name, signal),
+        asset: pick.name,
+        latest: spec.release === "latest" || undefined,
+        importedAt,
+      },
+    };
+  }
+
+  let kind: GithubSource["kind"];
+  let ref: string;
+  if (spec.sha) {
+    if (!/^[0-9a-f]{7,40}$/i.test(spec.sha)) throw new HttpError("sha must be 7-40 hex characters");
+    kind = "commit";
+    ref = spec.sha.toLowerCase();
+  } else if (spec.tag) {
+    kind = "tag";
+    ref = spec.tag;
+  } else if (spec.branch || spec.ref) {
+    kind = spec.branch ? "branch" : "ref";
+    ref = (spec.branch || spec.ref)!;
+  } else {
+    // No ref given: use the repo's default branch, falling back to "main"
+    kind = "branch";
+    try {
+      ref = (await apiJson<{ default_branch?: string }>(`/repos/${full}`, signal)).default_branch || "main";
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      ref = "main";
+    }
+  }
+  const sha = kind === "commit" && ref.length === 40 ? ref : await resolveSha(repo, ref, signal);
+  // Download by SHA when known so the recorded commit is exactly what was installed
+  const zipRef = sha ?? (kind === "tag" ? `refs/tags/${ref}` : kind === "branch" ? `refs/heads/${ref}` : ref);
+  return {
+    url: `${codeload}/${full}/zip/${zipRef.split("/").map(encodeURIComponent).join("/")}`,
+    headers: zipHeaders,
+    source: { type: "github", repo: full, kind, ref, sha, importedAt },
+  };
+}
@@ -0,0 +1,58 @@
+// In-memory RGBA images shared by the PNG, JPEG and WebP codecs
+
+import { HttpError } from "../errors.ts";
+
+// Raised for images the launcher can't read: corrupt data (422) or an unsupported variant (415)
+export class ImageError extends HttpError {
+  constructor(message: string, status = 422) {
+    super(message, status);
+    this.name = "ImageError";
+  }
+}
+
+// 8-bit RGBA, row-major, no padding
+export type Bitmap = {
+  width: number;
+  height: number;
+  data: Uint8Array;
+};
+
+export type DecodeLimits = {
+  maxPixels: number;
+};
+
+export function createBitmap(width: number, height: number): Bitmap {
+  return { width, height, data: new Uint8Array(width * height * 4) };
+}
+
+// Checked before allocating, so a small file can't claim a huge canvas
+export function checkDimensions(width: number, height: number, limits: DecodeLimits) {
+  if (!(width > 0 && height > 0)) throw new ImageError(`Invalid image size ${width}x${height}`);
+  if (width * height > limits.maxPixels) {
+    throw new ImageError(
+      `Image is ${width}x${height} (${Math.round(width * height / 1e6)} MP); the limit is ${
+        Math.round(limits.maxPixels / 1e6)
+      } MP`,
+      413,
+    );
+  }
+}
+
+export function hasAlpha(img: Bitmap): boolean {
+  for (let i = 3; i < img.data.length; i += 4) if (img.data[i] !== 255) return true;
+  return false;
+}
+
+export async function inflate(data: Uint8Array, format: CompressionFormat = "deflate"): Promise<Uint8Array> {
+  const stream = new Blob([data as Uint8Array<ArrayBuffer>]).stream().pipeThrough(new DecompressionStream(format));
+  try {
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch {
+    throw new ImageError("Corrupt image data (bad compressed stream)");
+  }
+}
+
+export async function deflate(data: Uint8Array, format: CompressionFormat = "deflate"): Promise<Uint8Array> {
+  const stream = new Blob([data as Uint8Array<ArrayBuffer>]).stream().pipeThrough(new CompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
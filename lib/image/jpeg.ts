@@ -0,0 +1,516 @@
+// JPEG decoder: baseline and progressive Huffman-coded images with 1, 3 (YCbCr or RGB) or
+// 4 (CMYK or YCCK) components. The EXIF orientation is applied, as browsers do when showing the file.
+
+import { type Bitmap, checkDimensions, createBitmap, type DecodeLimits, ImageError } from "./bitmap.ts";
+
+// Natural position of the n-th coefficient in zigzag order
+const ZIGZAG = new Uint8Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+]);
+
+// IDCT basis: IDCT_BASIS[x * 8 + u] = C(u)/2 * cos((2x + 1)uπ/16)
+const IDCT_BASIS = new Float32Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    IDCT_BASIS[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos((2 * x + 1) * u * Math.PI / 16);
+  }
+}
+
+export function isJpeg(bytes: Uint8Array): boolean {
+  return bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff;
+}
+
+type HuffmanTable = { maxCode: Int32Array; valPtr: Int32Array; minCode: Int32Array; values: Uint8Array };
+
+type Component = {
+  id: number;
+  h: number;
+  v: number;
+  tq: number;
+  blocksPerLine: number; // blocks covering the image
+  blocksPerColumn: number;
+  stride: number; // blocks per line including MCU padding
+  coeffs: Int16Array; // 64 per block, natural order
+  pred: number;
+  dc?: HuffmanTable;
+  ac?: HuffmanTable;
+};
+
+function buildHuffman(counts: Uint8Array, values: Uint8Array): HuffmanTable {
+  const maxCode = new Int32Array(18).fill(-1);
+  const valPtr = new Int32Array(17);
+  const minCode = new Int32Array(17);
+  let code = 0, k = 0;
+  for (let len = 1; len <= 16; len++) {
+    valPtr[len] = k;
+    minCode[len] = code;
+    code += counts[len - 1];
+    k += counts[len - 1];
+    if (counts[len - 1]) maxCode[len] = code - 1;
+    code <<= 1;
+  }
+  maxCode[17] = 0x7fffffff;
+  return { maxCode, valPtr, minCode, values };
+}
+
+// Reads the entropy-coded data of a scan, skipping stuffed zero bytes. At a marker it stops
+// consuming input and feeds zero bits, which leaves the marker for the caller.
+class BitReader {
+  pos: number;
+  private bits = 0;
+  private count = 0;
+  constructor(private data: Uint8Array, pos: number) {
+    this.pos = pos;
+  }
+  bit(): number {
+    if (this.count === 0) {
+      const b = this.data[this.pos];
+      if (b === undefined) throw new ImageError("Corrupt JPEG (unexpected end of data)");
+      if (b === 0xff) {
+        const next = this.data[this.pos + 1];
+        if (next === 0) {
+          this.pos += 2;
+        } else {
+          return 0;
+        }
+      } else {
+        this.pos++;
+      }
+      this.bits = b;
+      this.count = 8;
+    }
+    this.count--;
+    return (this.bits >> this.count) & 1;
+  }
+  receive(n: number): number {
+    let v = 0;
+    while (n-- > 0) v = (v << 1) | this.bit();
+    return v;
+  }
+  receiveExtend(n: number): number {
+    if (n === 0) return 0;
+    if (n === 1) return this.bit() ? 1 : -1;
+    const v = this.receive(n);
+    return v >= 1 << (n - 1) ? v : v - (1 << n) + 1;
+  }
+  decode(table: HuffmanTable | undefined): number {
+    if (!table) throw new ImageError("Corrupt JPEG (missing Huffman table)");
+    let code = 0;
+    for (let len = 1; len <= 16; len++) {
+      code = (code << 1) | this.bit();
+      if (code <= table.maxCode[len]) return table.values[table.valPtr[len] + code - table.minCode[len]];
+    }
+    throw new ImageError("Corrupt JPEG (bad Huffman code)");
+  }
+  // Drop leftover bits and return to byte alignment, e.g. before a restart marker
+  reset() {
+    this.count = 0;
+  }
+}
+
+type Scan = { components: Component[]; ss: number; se: number; ah: number; al: number };
+
+function decodeScan(
+  data: Uint8Array,
+  pos: number,
+  frame: { progressive: boolean; mcusPerLine: number; mcusPerColumn: number },
+  scan: Scan,
+  restartInterval: number,
+): number {
+  const { components, ss, se, ah, al } = scan;
+  const reader = new BitReader(data, pos);
+  let eobrun = 0;
+
+  const baseline = (c: Component, o: number) => {
+    const t = reader.decode(c.dc);
+    c.pred += reader.receiveExtend(t);
+    c.coeffs[o] = c.pred;
+    for (let k = 1; k < 64;) {
+      const rs = reader.decode(c.ac);
+      const s = rs & 15, r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) break;
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) throw new ImageError("Corrupt JPEG (coefficient index out of range)");
+      c.coeffs[o + ZIGZAG[k]] = reader.receiveExtend(s);
+      k++;
+    }
+  };
+  const dcFirst = (c: Component, o: number) => {
+    const t = reader.decode(c.dc);
+    c.pred += reader.receiveExtend(t);
+    c.coeffs[o] = c.pred * (1 << al);
+  };
+  const dcRefine = (c: Component, o: number) => {
+    if (reader.bit()) c.coeffs[o] |= 1 << al;
+  };
+  const acFirst = (c: Component, o: number) => {
+    if (eobrun > 0) {
+      eobrun--;
+      return;
+    }
+    for (let k = ss; k <= se;) {
+      const rs = reader.decode(c.ac);
+      const s = rs & 15, r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) {
+          eobrun = (1 << r) - 1 + reader.receive(r);
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) throw new ImageError("Corrupt JPEG (coefficient index out of range)");
+      c.coeffs[o + ZIGZAG[k]] = reader.receiveExtend(s) * (1 << al);
+      k++;
+    }
+  };
+  // Successive approximation of AC coefficients, as in libjpeg's decode_mcu_AC_refine
+  const acRefine = (c: Component, o: number) => {
+    const p1 = 1 << al, m1 = -1 << al;
+    const coeffs = c.coeffs;
+    const refine = (z: number) => {
+      if (reader.bit() && (coeffs[z] & p1) === 0) coeffs[z] += coeffs[z] >= 0 ? p1 : m1;
+    };
+    let k = ss;
+    if (eobrun <= 0) {
+      for (; k <= se; k++) {
+        const rs = reader.decode(c.ac);
+        let r = rs >> 4;
+        let s = rs & 15;
+        if (s) {
+          s = reader.bit() ? p1 : m1;
+        } else if (r !== 15) {
+          eobrun = (1 << r) + reader.receive(r);
+          break;
+        }
+        for (; k <= se; k++) {
+          const z = o + ZIGZAG[k];
+          if (coeffs[z] !== 0) refine(z);
+          else if (--r < 0) break;
+        }
+        if (s && k <= 63) coeffs[o + ZIGZAG[k]] = s;
+      }
+    }
+    if (eobrun > 0) {
+      for (; k <= se; k++) {
+        const z = o + ZIGZAG[k];
+        if (coeffs[z] !== 0) refine(z);
+      }
+      eobrun--;
+    }
+  };
+
+  const decodeBlock = !frame.progressive
+    ? baseline
+    : ss === 0
+    ? (ah === 0 ? dcFirst : dcRefine)
+    : (ah === 0 ? acFirst : acRefine);
+
+  const single = components.length === 1;
+  const total = single
+    ? components[0].blocksPerLine * components[0].blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+  const interval = restartInterval || total;
+  for (let n = 0; n < total;) {
+    for (const c of components) c.pred = 0;
+    eobrun = 0;
+    for (let i = 0; i < interval && n < total; i++, n++) {
+      if (single) {
+        const c = components[0];
+        const row = Math.floor(n / c.blocksPerLine), col = n % c.blocksPerLine;
+        decodeBlock(c, (row * c.stride + col) * 64);
+      } else {
+        const mcuRow = Math.floor(n / frame.mcusPerLine), mcuCol = n % frame.mcusPerLine;
+        for (const c of components) {
+          for (let v = 0; v < c.v; v++) {
+            for (let h = 0; h < c.h; h++) {
+              decodeBlock(c, ((mcuRow * c.v + v) * c.stride + mcuCol * c.h + h) * 64);
+            }
+          }
+        }
+      }
+    }
+    // Skip to the restart marker (or whatever marker ends the scan)
+    reader.reset();
+    let p = reader.pos;
+    while (p < data.length && !(data[p] === 0xff && data[p + 1] !== 0 && data[p + 1] !== 0xff)) p++;
+    if (n < total && data[p + 1] >= 0xd0 && data[p + 1] <= 0xd7) p += 2;
+    else if (n < total) return p; // truncated scan: keep what was decoded
+    reader.pos = p;
+  }
+  return reader.pos;
+}
+
+// Dequantize and inverse-transform every block of a component into an 8-bit plane
+function componentPlane(c: Component, quant: Int32Array): { plane: Uint8Array; width: number } {
+  const width = c.stride * 8;
+  const rows = c.coeffs.length / 64 / c.stride;
+  const plane = new Uint8Array(width * rows * 8);
+  const block = new Float32Array(64);
+  const tmp = new Float32Array(64);
+  for (let by = 0; by < rows; by++) {
+    for (let bx = 0; bx < c.stride; bx++) {
+      const o = (by * c.stride + bx) * 64;
+      for (let i = 0; i < 64; i++) block[i] = c.coeffs[o + i] * quant[i];
+      // Rows, then columns; rows without AC terms are flat
+      for (let y = 0; y < 8; y++) {
+        const r = y * 8;
+        let flat = true;
+        for (let u = 1; u < 8 && flat; u++) flat = block[r + u] === 0;
+        for (let x = 0; x < 8; x++) {
+          if (flat) {
+            tmp[r + x] = block[r] * Math.SQRT1_2 / 2;
+            continue;
+          }
+          let sum = 0;
+          for (let u = 0; u < 8; u++) sum += IDCT_BASIS[x * 8 + u] * block[r + u];
+          tmp[r + x] = sum;
+        }
+      }
+      for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+          let sum = 0;
+          for (let v = 0; v < 8; v++) sum += IDCT_BASIS[y * 8 + v] * tmp[v * 8 + x];
+          const value = Math.round(sum + 128);
+          plane[(by * 8 + y) * width + bx * 8 + x] = value < 0 ? 0 : value > 255 ? 255 : value;
+        }
+      }
+    }
+  }
+  return { plane, width };
+}
+
+// EXIF orientation (1-8) from an APP1 segment, or 1
+function exifOrientation(seg: Uint8Array): number {
+  if (String.fromCharCode(...seg.subarray(0, 6)) !== "Exif\0\0") return 1;
+  const tiff = seg.subarray(6);
+  if (tiff.length < 8) return 1;
+  const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+  const little = tiff[0] === 0x49;
+  const ifd = view.getUint32(4, little);
+  if (ifd + 2 > tiff.length) return 1;
+  const entries = view.getUint16(ifd, little);
+  for (let i = 0; i < entries; i++) {
+    const e = ifd + 2 + i * 12;
+    if (e + 12 > tiff.length) break;
+    if (view.getUint16(e, little) === 0x0112) {
+      const o = view.getUint16(e + 8, little);
+      return o >= 1 && o <= 8 ? o : 1;
+    }
+  }
+  return 1;
+}
+
+function applyOrientation(img: Bitmap, orientation: number): Bitmap {
+  if (orientation === 1) return img;
+  const { width: w, height: h, data } = img;
+  const swap = orientation >= 5;
+  const out = createBitmap(swap ? h : w, swap ? w : h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let dx: number, dy: number;
+      switch (orientation) {
+        case 2: [dx, dy] = [w - 1 - x, y]; break;
+        case 3: [dx, dy] = [w - 1 - x, h - 1 - y]; break;
+        case 4: [dx, dy] = [x, h - 1 - y]; break;
+        case 5: [dx, dy] = [y, x]; break;
+        case 6: [dx, dy] = [h - 1 - y, x]; break;
+        case 7: [dx, dy] = [h - 1 - y, w - 1 - x]; break;
+        default: [dx, dy] = [y, w - 1 - x]; break; // 8
+      }
+      const s = (y * w + x) * 4, d = (dy * out.width + dx) * 4;
+      out.data[d] = data[s];
+      out.data[d + 1] = data[s + 1];
+      out.data[d + 2] = data[s + 2];
+      out.data[d + 3] = data[s + 3];
+    }
+  }
+  return out;
+}
+
+export function decodeJpeg(bytes: Uint8Array, limits: DecodeLimits): Bitmap {
+  if (!isJpeg(bytes)) throw new ImageError("Not a JPEG file");
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const quant: Int32Array[] = [];
+  const dcTables: HuffmanTable[] = [];
+  const acTables: HuffmanTable[] = [];
+  let frame: { progressive: boolean; width: number; height: number; mcusPerLine: number; mcusPerColumn: number } | null =
+    null;
+  let components: Component[] = [];
+  let restartInterval = 0;
+  let orientation = 1;
+  let adobeTransform = -1;
+
+  let pos = 2;
+  while (pos < bytes.length) {
+    if (bytes[pos] !== 0xff) {
+      pos++;
+      continue;
+    }
+    const marker = bytes[pos + 1];
+    pos += 2;
+    if (marker === 0xff || marker === 0x00 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      if (marker === 0xff) pos--;
+      continue;
+    }
+    if (marker === 0xd9) break; // EOI
+    if (pos + 2 > bytes.length) break;
+    const length = view.getUint16(pos);
+    const seg = bytes.subarray(pos + 2, pos + length);
+    const next = pos + length;
+
+    if (marker === 0xe1) {
+      orientation = exifOrientation(seg);
+    } else if (marker === 0xee) {
+      if (String.fromCharCode(...seg.subarray(0, 5)) === "Adobe" && seg.length >= 12) adobeTransform = seg[11];
+    } else if (marker === 0xdb) {
+      for (let p = 0; p < seg.length;) {
+        const precision = seg[p] >> 4, id = seg[p] & 15;
+        p++;
+        const table = new Int32Array(64);
+        for (let k = 0; k < 64; k++) {
+          table[ZIGZAG[k]] = precision ? (seg[p + k * 2] << 8) | seg[p + k * 2 + 1] : seg[p + k];
+        }
+        p += precision ? 128 : 64;
+        quant[id] = table;
+      }
+    } else if (marker === 0xc4) {
+      for (let p = 0; p < seg.length;) {
+        const tc = seg[p] >> 4, th = seg[p] & 15;
+        const counts = seg.subarray(p + 1, p + 17);
+        const n = counts.reduce((a, b) => a + b, 0);
+        const table = buildHuffman(counts, seg.slice(p + 17, p + 17 + n));
+        (tc === 0 ? dcTables : acTables)[th] = table;
+        p += 17 + n;
+      }
+    } else if (marker === 0xdd) {
+      restartInterval = view.getUint16(pos + 2);
+    } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      if (frame) throw new ImageError("Corrupt JPEG (more than one frame)");
+      if (seg[0] !== 8) throw new ImageError(`Unsupported JPEG sample precision ${seg[0]}`, 415);
+      const height = (seg[1] << 8) | seg[2];
+      const width = (seg[3] << 8) | seg[4];
+      if (height === 0) throw new ImageError("Unsupported JPEG (height defined by DNL marker)", 415);
+      checkDimensions(width, height, limits);
+      const count = seg[5];
+      if (![1, 3, 4].includes(count)) throw new ImageError(`Unsupported JPEG with ${count} components`, 415);
+      const parsed = Array.from({ length: count }, (_, i) => ({
+        id: seg[6 + i * 3],
+        h: seg[7 + i * 3] >> 4 || 1,
+        v: seg[7 + i * 3] & 15 || 1,
+        tq: seg[8 + i * 3],
+      }));
+      const hMax = Math.max(...parsed.map((c) => c.h));
+      const vMax = Math.max(...parsed.map((c) => c.v));
+      const mcusPerLine = Math.ceil(width / (8 * hMax));
+      const mcusPerColumn = Math.ceil(height / (8 * vMax));
+      components = parsed.map((c) => {
+        const stride = mcusPerLine * c.h;
+        return {
+          ...c,
+          blocksPerLine: Math.ceil(Math.ceil(width * c.h / hMax) / 8),
+          blocksPerColumn: Math.ceil(Math.ceil(height * c.v / vMax) / 8),
+          stride,
+          coeffs: new Int16Array(stride * mcusPerColumn * c.v * 64),
+          pred: 0,
+        };
+      });
+      frame = { progressive: marker === 0xc2, width, height, mcusPerLine, mcusPerColumn };
+    } else if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      throw new ImageError("Unsupported JPEG (lossless, hierarchical or arithmetic-coded)", 415);
+    } else if (marker === 0xda) {
+      if (!frame) throw new ImageError("Corrupt JPEG (scan before frame header)");
+      const n = seg[0];
+      const scanComponents: Component[] = [];
+      for (let i = 0; i < n; i++) {
+        const c = components.find((c) => c.id === seg[1 + i * 2]);
+        if (!c) throw new ImageError("Corrupt JPEG (scan references an unknown component)");
+        c.dc = dcTables[seg[2 + i * 2] >> 4];
+        c.ac = acTables[seg[2 + i * 2] & 15];
+        scanComponents.push(c);
+      }
+      const p = 1 + n * 2;
+      const scan = { components: scanComponents, ss: seg[p], se: seg[p + 1], ah: seg[p + 2] >> 4, al: seg[p + 2] & 15 };
+      pos = decodeScan(bytes, next, frame, scan, restartInterval);
+      continue;
+    }
+    pos = next;
+  }
+  if (!frame) throw new ImageError("Corrupt JPEG (no frame header)");
+
+  const { width, height } = frame;
+  const hMax = Math.max(...components.map((c) => c.h));
+  const vMax = Math.max(...components.map((c) => c.v));
+  const planes = components.map((c) => {
+    const q = quant[c.tq];
+    if (!q) throw new ImageError("Corrupt JPEG (missing quantization table)");
+    const sx = c.h / hMax, sy = c.v / vMax;
+    // Last sample inside the image (the rest is MCU padding)
+    const maxX = Math.ceil(width * sx) - 1, maxY = Math.ceil(height * sy) - 1;
+    return { ...componentPlane(c, q), sx, sy, maxX, maxY };
+  });
+  // Subsampled components are interpolated between sample centers, like libjpeg's fancy upsampling
+  const sample = (i: number, x: number, y: number) => {
+    const p = planes[i];
+    if (p.sx === 1 && p.sy === 1) return p.plane[y * p.width + x];
+    const fx = Math.max(0, (x + 0.5) * p.sx - 0.5), fy = Math.max(0, (y + 0.5) * p.sy - 0.5);
+    const x0 = Math.floor(fx), y0 = Math.floor(fy);
+    const x1 = Math.min(x0 + 1, p.maxX), y1 = Math.min(y0 + 1, p.maxY);
+    const wx = fx - x0, wy = fy - y0;
+    const top = p.plane[y0 * p.width + x0] * (1 - wx) + p.plane[y0 * p.width + x1] * wx;
+    const bottom = p.plane[y1 * p.width + x0] * (1 - wx) + p.plane[y1 * p.width + x1] * wx;
+    return top * (1 - wy) + bottom * wy;
+  };
+
+  // Adobe transform 0 means no color conversion; JFIF files and Adobe transform 1 are YCbCr
+  const ids = components.map((c) => c.id);
+  const rgb = components.length === 3 &&
+    (adobeTransform === 0 || (adobeTransform < 0 && ids[0] === 0x52 && ids[1] === 0x47 && ids[2] === 0x42));
+  const ycck = components.length === 4 && adobeTransform === 2;
+  // Photoshop writes CMYK inverted
+  const invertedCmyk = adobeTransform >= 0;
+
+  const img = createBitmap(width, height);
+  const out = img.data;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const d = (y * width + x) * 4;
+      let r: number, g: number, b: number;
+      if (components.length === 1) {
+        r = g = b = sample(0, x, y);
+      } else if (rgb) {
+        [r, g, b] = [sample(0, x, y), sample(1, x, y), sample(2, x, y)];
+      } else {
+        const Y = sample(0, x, y), cb = sample(1, x, y) - 128, cr = sample(2, x, y) - 128;
+        if (components.length === 3 || ycck) {
+          r = Y + 1.402 * cr;
+          g = Y - 0.344136 * cb - 0.714136 * cr;
+          b = Y + 1.772 * cb;
+        } else {
+          [r, g, b] = [Y, cb + 128, cr + 128];
+        }
+        if (components.length === 4) {
+          const k = sample(3, x, y);
+          if (invertedCmyk) {
+            [r, g, b] = [r * k / 255, g * k / 255, b * k / 255];
+          } else {
+            [r, g, b] = [(255 - r) * (255 - k) / 255, (255 - g) * (255 - k) / 255, (255 - b) * (255 - k) / 255];
+          }
+        }
+      }
+      out[d] = r < 0 ? 0 : r > 255 ? 255 : Math.round(r);
+      out[d + 1] = g < 0 ? 0 : g > 255 ? 255 : Math.round(g);
+      out[d + 2] = b < 0 ? 0 : b > 255 ? 255 : Math.round(b);
+      out[d + 3] = 255;
+    }
+  }
+  return applyOrientation(img, orientation);
+}
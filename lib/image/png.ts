@@ -0,0 +1,248 @@
+// PNG decoder (every color type and bit depth, Adam7 interlacing, tRNS) and an 8-bit encoder.
+// Only the first frame of an animated PNG is read.
+
+import { crc32 } from "../zip.ts";
+import { type Bitmap, checkDimensions, createBitmap, type DecodeLimits, deflate, ImageError, inflate } from "./bitmap.ts";
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Channels per color type
+const CHANNELS: Record<number, number> = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const DEPTHS: Record<number, number[]> = { 0: [1, 2, 4, 8, 16], 2: [8, 16], 3: [1, 2, 4, 8], 4: [8, 16], 6: [8, 16] };
+
+// Adam7 passes: x start, y start, x step, y step
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+];
+
+export function isPng(bytes: Uint8Array): boolean {
+  return SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+function paeth(a: number, b: number, c: number): number {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+// Undo the per-row filters of one (sub)image in place; `bpp` is bytes per complete pixel (min 1)
+function unfilter(data: Uint8Array, offset: number, rowBytes: number, rows: number, bpp: number) {
+  let prev = -1;
+  for (let y = 0; y < rows; y++) {
+    const start = offset + y * (rowBytes + 1);
+    const type = data[start];
+    const row = start + 1;
+    switch (type) {
+      case 0:
+        break;
+      case 1:
+        for (let i = bpp; i < rowBytes; i++) data[row + i] = data[row + i] + data[row + i - bpp];
+        break;
+      case 2:
+        if (prev >= 0) for (let i = 0; i < rowBytes; i++) data[row + i] = data[row + i] + data[prev + i];
+        break;
+      case 3:
+        for (let i = 0; i < rowBytes; i++) {
+          const left = i >= bpp ? data[row + i - bpp] : 0;
+          const up = prev >= 0 ? data[prev + i] : 0;
+          data[row + i] = data[row + i] + ((left + up) >> 1);
+        }
+        break;
+      case 4:
+        for (let i = 0; i < rowBytes; i++) {
+          const left = i >= bpp ? data[row + i - bpp] : 0;
+          const up = prev >= 0 ? data[prev + i] : 0;
+          const upLeft = prev >= 0 && i >= bpp ? data[prev + i - bpp] : 0;
+          data[row + i] = data[row + i] + paeth(left, up, upLeft);
+        }
+        break;
+      default:
+        throw new ImageError(`Corrupt PNG (unknown filter type ${type})`);
+    }
+    prev = row;
+  }
+}
+
+export async function decodePng(bytes: Uint8Array, limits: DecodeLimits): Promise<Bitmap> {
+  if (!isPng(bytes)) throw new ImageError("Not a PNG file");
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let width = 0, height = 0, depth = 0, colorType = -1, interlace = 0;
+  let palette: Uint8Array | null = null;
+  let trns: Uint8Array | null = null;
+  const idat: Uint8Array[] = [];
+  let pos = 8;
+  while (pos + 8 <= bytes.length) {
+    const length = view.getUint32(pos);
+    const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+    const start = pos + 8;
+    const data = bytes.subarray(start, start + length);
+    if (data.length < length) throw new ImageError(`Corrupt PNG (truncated ${type} chunk)`);
+    pos = start + length + 4;
+    if (type === "IHDR") {
+      if (length < 13) throw new ImageError("Corrupt PNG (bad IHDR)");
+      width = view.getUint32(start);
+      height = view.getUint32(start + 4);
+      [depth, colorType] = [data[8], data[9]];
+      interlace = data[12];
+      if (!DEPTHS[colorType]?.includes(depth)) {
+        throw new ImageError(`Unsupported PNG color type ${colorType} with bit depth ${depth}`, 415);
+      }
+      if (data[10] !== 0 || data[11] !== 0 || interlace > 1) throw new ImageError("Corrupt PNG (bad IHDR)");
+      checkDimensions(width, height, limits);
+    } else if (type === "PLTE") {
+      palette = data;
+    } else if (type === "tRNS") {
+      trns = data;
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+  if (colorType < 0) throw new ImageError("Corrupt PNG (missing IHDR)");
+  if (!idat.length) throw new ImageError("Corrupt PNG (no image data)");
+  if (colorType === 3 && !palette) throw new ImageError("Corrupt PNG (missing palette)");
+
+  const compressed = new Uint8Array(idat.reduce((n, c) => n + c.length, 0));
+  let o = 0;
+  for (const c of idat) {
+    compressed.set(c, o);
+    o += c.length;
+  }
+  const raw = await inflate(compressed);
+
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * depth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const img = createBitmap(width, height);
+  const out = img.data;
+
+  // 16-bit transparent color keys are compared at full precision
+  const key = trns && (colorType === 0 || colorType === 2)
+    ? Array.from({ length: channels }, (_, i) => (trns![i * 2] << 8) | trns![i * 2 + 1])
+    : null;
+  const maxValue = (1 << depth) - 1;
+  const sample = (data: Uint8Array, row: number, x: number, c: number): number => {
+    if (depth === 8) return data[row + x * channels + c];
+    if (depth === 16) return (data[row + (x * channels + c) * 2] << 8) | data[row + (x * channels + c) * 2 + 1];
+    const bit = (x * channels + c) * depth;
+    return (data[row + (bit >> 3)] >> (8 - depth - (bit & 7))) & maxValue;
+  };
+  const to8 = (v: number) => depth === 16 ? v >> 8 : depth === 8 ? v : Math.round(v * 255 / maxValue);
+
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  let offset = 0;
+  for (const [x0, y0, dx, dy] of passes) {
+    const pw = Math.ceil((width - x0) / dx);
+    const ph = Math.ceil((height - y0) / dy);
+    if (pw <= 0 || ph <= 0) continue;
+    const rowBytes = Math.ceil(pw * bitsPerPixel / 8);
+    if (offset + (rowBytes + 1) * ph > raw.length) throw new ImageError("Corrupt PNG (truncated image data)");
+    unfilter(raw, offset, rowBytes, ph, bpp);
+    for (let py = 0; py < ph; py++) {
+      const row = offset + py * (rowBytes + 1) + 1;
+      const y = y0 + py * dy;
+      for (let px = 0; px < pw; px++) {
+        const d = (y * width + x0 + px * dx) * 4;
+        let r: number, g: number, b: number, a = 255;
+        if (colorType === 3) {
+          const idx = sample(raw, row, px, 0);
+          [r, g, b] = [palette![idx * 3] ?? 0, palette![idx * 3 + 1] ?? 0, palette![idx * 3 + 2] ?? 0];
+          if (trns && idx < trns.length) a = trns[idx];
+        } else if (colorType === 0 || colorType === 4) {
+          const v = sample(raw, row, px, 0);
+          r = g = b = to8(v);
+          if (colorType === 4) a = to8(sample(raw, row, px, 1));
+          else if (key && v === key[0]) a = 0;
+        } else {
+          const rv = sample(raw, row, px, 0), gv = sample(raw, row, px, 1), bv = sample(raw, row, px, 2);
+          [r, g, b] = [to8(rv), to8(gv), to8(bv)];
+          if (colorType === 6) a = to8(sample(raw, row, px, 3));
+          else if (key && rv === key[0] && gv === key[1] && bv === key[2]) a = 0;
+        }
+        out[d] = r;
+        out[d + 1] = g;
+        out[d + 2] = b;
+        out[d + 3] = a;
+      }
+    }
+    offset += (rowBytes + 1) * ph;
+  }
+  return img;
+}
+
+function chunk(type: string, data: Uint8Array): Uint8Array {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+// Encode as 8-bit RGB, or RGBA when any pixel is transparent. Each row gets the filter with the
+// smallest sum of absolute differences, the usual heuristic for photos and pixel art alike.
+export async function encodePng(img: Bitmap): Promise<Uint8Array> {
+  const { width, height, data } = img;
+  let alpha = false;
+  for (let i = 3; i < data.length && !alpha; i += 4) alpha = data[i] !== 255;
+  const bpp = alpha ? 4 : 3;
+  const rowBytes = width * bpp;
+  const raw = new Uint8Array((rowBytes + 1) * height);
+  let prev = new Uint8Array(rowBytes);
+  let cur = new Uint8Array(rowBytes);
+  const candidates = Array.from({ length: 5 }, () => new Uint8Array(rowBytes));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0, s = y * width * 4, d = 0; x < width; x++, s += 4, d += bpp) {
+      cur[d] = data[s];
+      cur[d + 1] = data[s + 1];
+      cur[d + 2] = data[s + 2];
+      if (alpha) cur[d + 3] = data[s + 3];
+    }
+    let best = 0, bestScore = Infinity;
+    for (let f = 0; f < 5; f++) {
+      const c = candidates[f];
+      let score = 0;
+      for (let i = 0; i < rowBytes; i++) {
+        const left = i >= bpp ? cur[i - bpp] : 0;
+        const up = y > 0 ? prev[i] : 0;
+        const upLeft = y > 0 && i >= bpp ? prev[i - bpp] : 0;
+        const pred = f === 0 ? 0 : f === 1 ? left : f === 2 ? up : f === 3 ? (left + up) >> 1 : paeth(left, up, upLeft);
+        const v = (cur[i] - pred) & 0xff;
+        c[i] = v;
+        score += v < 128 ? v : 256 - v;
+      }
+      if (score < bestScore) [best, bestScore] = [f, score];
+    }
+    raw[y * (rowBytes + 1)] = best;
+    raw.set(candidates[best], y * (rowBytes + 1) + 1);
+    [prev, cur] = [cur, prev];
+  }
+
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr[8] = 8;
+  ihdr[9] = alpha ? 6 : 2;
+  const parts = [
+    new Uint8Array(SIGNATURE),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", await deflate(raw)),
+    chunk("IEND", new Uint8Array(0)),
+  ];
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) {
+    out.set(p, o);
+    o += p.length;
+  }
+  return out;
+}
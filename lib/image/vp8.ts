@@ -0,0 +1,1022 @@
+// VP8 key-frame decoder for lossy WebP (RFC 6386), producing RGBA with opaque alpha.
+// Follows libwebp's reference decoder: intra prediction from unfiltered pixels, then the
+// loop filter over the whole frame, then YUV 4:2:0 to RGB with bilinear chroma upsampling.
+
+import { type Bitmap, checkDimensions, createBitmap, type DecodeLimits, ImageError } from "./bitmap.ts";
+
+// Boolean entropy decoder (RFC 6386 section 7)
+class BoolDecoder {
+  private value: number;
+  private range = 255;
+  private bitCount = 0;
+  private pos: number;
+  constructor(private data: Uint8Array, start: number, private end: number) {
+    this.value = ((data[start] ?? 0) << 8) | (data[start + 1] ?? 0);
+    this.pos = start + 2;
+  }
+  bit(prob: number): number {
+    const split = 1 + (((this.range - 1) * prob) >> 8);
+    const bigSplit = split << 8;
+    let ret: number;
+    if (this.value >= bigSplit) {
+      ret = 1;
+      this.range -= split;
+      this.value -= bigSplit;
+    } else {
+      ret = 0;
+      this.range = split;
+    }
+    while (this.range < 128) {
+      this.value <<= 1;
+      this.range <<= 1;
+      if (++this.bitCount === 8) {
+        this.bitCount = 0;
+        if (this.pos < this.end) this.value |= this.data[this.pos];
+        this.pos++;
+      }
+    }
+    return ret;
+  }
+  literal(n: number): number {
+    let v = 0;
+    while (n-- > 0) v = (v << 1) | this.bit(128);
+    return v;
+  }
+  signed(n: number): number {
+    const v = this.literal(n);
+    return this.bit(128) ? -v : v;
+  }
+  // Past the end by more than the decoder's lookahead
+  get eof(): boolean {
+    return this.pos > this.end + 2;
+  }
+}
+
+// Intra prediction modes; 16x16 and chroma use the first four
+const DC_PRED = 0, TM_PRED = 1, V_PRED = 2, H_PRED = 3;
+const B_VE_PRED = 2, B_HE_PRED = 3, B_RD_PRED = 4, B_VR_PRED = 5, B_LD_PRED = 6, B_VL_PRED = 7;
+const B_HD_PRED = 8, B_HU_PRED = 9;
+
+// Tree for 4x4 modes: positive entries index the next node pair, others are negated modes
+const BMODE_TREE = [
+  -DC_PRED, 1, -TM_PRED, 2, -B_VE_PRED, 3, 4, 6, -B_HE_PRED, 5, -B_RD_PRED, -B_VR_PRED,
+  -B_LD_PRED, 7, -B_VL_PRED, 8, -B_HD_PRED, -B_HU_PRED,
+];
+
+const BANDS = [0, 1, 2, 3, 6, 4, 5, 6, 6, 6, 6, 6, 6, 6, 6, 7, 0];
+const ZIGZAG = [0, 1, 4, 8, 5, 2, 3, 6, 9, 12, 13, 10, 7, 11, 14, 15];
+// Extra-bit probabilities for DCT_CAT3..6
+const CAT_PROBS = [
+  [173, 148, 140],
+  [176, 155, 140, 135],
+  [180, 157, 141, 134, 130],
+  [254, 254, 243, 230, 196, 177, 153, 140, 133, 130, 129],
+];
+
+type Quant = { y1: [number, number]; y2: [number, number]; uv: [number, number] };
+
+type MacroblockInfo = {
+  segment: number;
+  isI4x4: boolean;
+  hasCoeffs: boolean;
+};
+
+function clip(v: number, max: number): number {
+  return v < 0 ? 0 : v > max ? max : v;
+}
+
+function clip8(v: number): number {
+  return v < 0 ? 0 : v > 255 ? 255 : v;
+}
+
+// (a * b) >> 16 without 32-bit overflow
+function mul(a: number, b: number): number {
+  return Math.floor(a * b / 65536);
+}
+
+// Inverse DCT of a 4x4 block (natural order), added onto the prediction in `dst`
+function inverseTransform(coeffs: Int32Array, o: number, dst: Uint8Array, d: number, stride: number) {
+  const K1 = 20091 + (1 << 16), K2 = 35468;
+  const tmp = new Int32Array(16);
+  for (let i = 0; i < 4; i++) {
+    const a = coeffs[o + i] + coeffs[o + 8 + i];
+    const b = coeffs[o + i] - coeffs[o + 8 + i];
+    const c = mul(coeffs[o + 4 + i], K2) - mul(coeffs[o + 12 + i], K1);
+    const e = mul(coeffs[o + 4 + i], K1) + mul(coeffs[o + 12 + i], K2);
+    tmp[i * 4] = a + e;
+    tmp[i * 4 + 1] = b + c;
+    tmp[i * 4 + 2] = b - c;
+    tmp[i * 4 + 3] = a - e;
+  }
+  for (let i = 0; i < 4; i++) {
+    const dc = tmp[i] + 4;
+    const a = dc + tmp[8 + i];
+    const b = dc - tmp[8 + i];
+    const c = mul(tmp[4 + i], K2) - mul(tmp[12 + i], K1);
+    const e = mul(tmp[4 + i], K1) + mul(tmp[12 + i], K2);
+    const row = d + i * stride;
+    dst[row] = clip8(dst[row] + ((a + e) >> 3));
+    dst[row + 1] = clip8(dst[row + 1] + ((b + c) >> 3));
+    dst[row + 2] = clip8(dst[row + 2] + ((b - c) >> 3));
+    dst[row + 3] = clip8(dst[row + 3] + ((a - e) >> 3));
+  }
+}
+
+// Inverse Walsh-Hadamard transform of the Y2 block into the DC of the 16 luma blocks
+function inverseWht(input: Int32Array, coeffs: Int32Array) {
+  const tmp = new Int32Array(16);
+  for (let i = 0; i < 4; i++) {
+    const a = input[i] + input[12 + i];
+    const b = input[4 + i] + input[8 + i];
+    const c = input[4 + i] - input[8 + i];
+    const d = input[i] - input[12 + i];
+    tmp[i] = a + b;
+    tmp[8 + i] = a - b;
+    tmp[4 + i] = d + c;
+    tmp[12 + i] = d - c;
+  }
+  for (let i = 0; i < 4; i++) {
+    const dc = tmp[i * 4] + 3;
+    const a = dc + tmp[i * 4 + 3];
+    const b = tmp[i * 4 + 1] + tmp[i * 4 + 2];
+    const c = tmp[i * 4 + 1] - tmp[i * 4 + 2];
+    const d = dc - tmp[i * 4 + 3];
+    coeffs[(i * 4) * 16] = (a + b) >> 3;
+    coeffs[(i * 4 + 1) * 16] = (d + c) >> 3;
+    coeffs[(i * 4 + 2) * 16] = (a - b) >> 3;
+    coeffs[(i * 4 + 3) * 16] = (d - c) >> 3;
+  }
+}
+
+const avg2 = (a: number, b: number) => (a + b + 1) >> 1;
+const avg3 = (a: number, b: number, c: number) => (a + 2 * b + c + 2) >> 2;
+
+// Predict a 4x4 block. `top` holds the corner at [0], then 8 pixels above (4 above-right);
+// `left` holds 4 pixels.
+function predict4(mode: number, top: Int32Array, left: Int32Array, dst: Uint8Array, d: number, stride: number) {
+  const X = top[0];
+  const [A, B, C, D, E, F, G, H] = [top[1], top[2], top[3], top[4], top[5], top[6], top[7], top[8]];
+  const [I, J, K, L] = [left[0], left[1], left[2], left[3]];
+  const set = (x: number, y: number, v: number) => dst[d + y * stride + x] = v;
+  switch (mode) {
+    case DC_PRED: {
+      const dc = (A + B + C + D + I + J + K + L + 4) >> 3;
+      for (let y = 0; y < 4; y++) for (let x = 0; x < 4; x++) set(x, y, dc);
+      break;
+    }
+    case TM_PRED:
+      for (let y = 0; y < 4; y++) for (let x = 0; x < 4; x++) set(x, y, clip8(top[1 + x] + left[y] - X));
+      break;
+    case B_VE_PRED: {
+      const v = [avg3(X, A, B), avg3(A, B, C), avg3(B, C, D), avg3(C, D, E)];
+      for (let y = 0; y < 4; y++) for (let x = 0; x < 4; x++) set(x, y, v[x]);
+      break;
+    }
+    case B_HE_PRED: {
+      const v = [avg3(X, I, J), avg3(I, J, K), avg3(J, K, L), avg3(K, L, L)];
+      for (let y = 0; y < 4; y++) for (let x = 0; x < 4; x++) set(x, y, v[y]);
+      break;
+    }
+    case B_RD_PRED:
+      set(0, 3, avg3(J, K, L));
+      set(0, 2, avg3(I, J, K)), set(1, 3, avg3(I, J, K));
+      set(0, 1, avg3(X, I, J)), set(1, 2, avg3(X, I, J)), set(2, 3, avg3(X, I, J));
+      for (let i = 0; i < 4; i++) set(i, i, avg3(A, X, I));
+      set(1, 0, avg3(B, A, X)), set(2, 1, avg3(B, A, X)), set(3, 2, avg3(B, A, X));
+      set(2, 0, avg3(C, B, A)), set(3, 1, avg3(C, B, A));
+      set(3, 0, avg3(D, C, B));
+      break;
+    case B_LD_PRED: {
+      const v = [avg3(A, B, C), avg3(B, C, D), avg3(C, D, E), avg3(D, E, F), avg3(E, F, G), avg3(F, G, H), avg3(G, H, H)];
+      for (let y = 0; y < 4; y++) for (let x = 0; x < 4; x++) set(x, y, v[x + y]);
+      break;
+    }
+    case B_VR_PRED:
+      set(0, 0, avg2(X, A)), set(1, 2, avg2(X, A));
+      set(1, 0, avg2(A, B)), set(2, 2, avg2(A, B));
+      set(2, 0, avg2(B, C)), set(3, 2, avg2(B, C));
+      set(3, 0, avg2(C, D));
+      set(0, 3, avg3(K, J, I));
+      set(0, 2, avg3(J, I, X));
+      set(0, 1, avg3(I, X, A)), set(1, 3, avg3(I, X, A));
+      set(1, 1, avg3(X, A, B)), set(2, 3, avg3(X, A, B));
+      set(2, 1, avg3(A, B, C)), set(3, 3, avg3(A, B, C));
+      set(3, 1, avg3(B, C, D));
+      break;
+    case B_VL_PRED:
+      set(0, 0, avg2(A, B));
+      set(1, 0, avg2(B, C)), set(0, 2, avg2(B, C));
+      set(2, 0, avg2(C, D)), set(1, 2, avg2(C, D));
+      set(3, 0, avg2(D, E)), set(2, 2, avg2(D, E));
+      set(0, 1, avg3(A, B, C));
+      set(1, 1, avg3(B, C, D)), set(0, 3, avg3(B, C, D));
+      set(2, 1, avg3(C, D, E)), set(1, 3, avg3(C, D, E));
+      set(3, 1, avg3(D, E, F)), set(2, 3, avg3(D, E, F));
+      set(3, 2, avg3(E, F, G));
+      set(3, 3, avg3(F, G, H));
+      break;
+    case B_HD_PRED:
+      set(0, 0, avg2(I, X)), set(2, 1, avg2(I, X));
+      set(0, 1, avg2(J, I)), set(2, 2, avg2(J, I));
+      set(0, 2, avg2(K, J)), set(2, 3, avg2(K, J));
+      set(0, 3, avg2(L, K));
+      set(3, 0, avg3(A, B, C));
+      set(2, 0, avg3(X, A, B));
+      set(1, 0, avg3(I, X, A)), set(3, 1, avg3(I, X, A));
+      set(1, 1, avg3(J, I, X)), set(3, 2, avg3(J, I, X));
+      set(1, 2, avg3(K, J, I)), set(3, 3, avg3(K, J, I));
+      set(1, 3, avg3(L, K, J));
+      break;
+    default: // B_HU_PRED
+      set(0, 0, avg2(I, J));
+      set(2, 0, avg2(J, K)), set(0, 1, avg2(J, K));
+      set(2, 1, avg2(K, L)), set(0, 2, avg2(K, L));
+      set(1, 0, avg3(I, J, K));
+      set(3, 0, avg3(J, K, L)), set(1, 1, avg3(J, K, L));
+      set(3, 1, avg3(K, L, L)), set(1, 2, avg3(K, L, L));
+      set(3, 2, L), set(2, 2, L), set(0, 3, L), set(1, 3, L), set(2, 3, L), set(3, 3, L);
+  }
+}
+
+// Predict a 16x16 luma or 8x8 chroma block; DC falls back to the available edges
+function predictBlock(
+  mode: number,
+  size: number,
+  plane: Uint8Array,
+  d: number,
+  stride: number,
+  hasTop: boolean,
+  hasLeft: boolean,
+) {
+  const top = (x: number) => hasTop ? plane[d - stride + x] : 127;
+  const left = (y: number) => hasLeft ? plane[d + y * stride - 1] : 129;
+  const corner = !hasTop ? 127 : !hasLeft ? 129 : plane[d - stride - 1];
+  const shift = size === 16 ? 4 : 3;
+  let dc = 128;
+  if (mode === DC_PRED) {
+    let sum = 0;
+    if (hasTop) for (let i = 0; i < size; i++) sum += top(i);
+    if (hasLeft) for (let i = 0; i < size; i++) sum += left(i);
+    if (hasTop && hasLeft) dc = (sum + size) >> (shift + 1);
+    else if (hasTop || hasLeft) dc = (sum + (size >> 1)) >> shift;
+  }
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let v: number;
+      if (mode === DC_PRED) v = dc;
+      else if (mode === V_PRED) v = top(x);
+      else if (mode === H_PRED) v = left(y);
+      else v = clip8(top(x) + left(y) - corner);
+      plane[d + y * stride + x] = v;
+    }
+  }
+}
+
+// Loop filter primitives; `p` is the first pixel past the edge, `step` crosses the edge
+function filterCommon(px: Uint8Array, p: number, step: number, useOuterTaps: boolean) {
+  const p1 = px[p - 2 * step], p0 = px[p - step], q0 = px[p], q1 = px[p + step];
+  const sclip1 = (v: number) => v < -128 ? -128 : v > 127 ? 127 : v;
+  const sclip2 = (v: number) => v < -16 ? -16 : v > 15 ? 15 : v;
+  const a = 3 * (q0 - p0) + (useOuterTaps ? sclip1(p1 - q1) : 0);
+  const a1 = sclip2((a + 4) >> 3);
+  const a2 = sclip2((a + 3) >> 3);
+  px[p - step] = clip8(p0 + a2);
+  px[p] = clip8(q0 - a1);
+  if (!useOuterTaps) {
+    const a3 = (a1 + 1) >> 1;
+    px[p - 2 * step] = clip8(p1 + a3);
+    px[p + step] = clip8(q1 - a3);
+  }
+}
+
+function filterMacroblockEdge(px: Uint8Array, p: number, step: number) {
+  const p2 = px[p - 3 * step], p1 = px[p - 2 * step], p0 = px[p - step];
+  const q0 = px[p], q1 = px[p + step], q2 = px[p + 2 * step];
+  const sclip1 = (v: number) => v < -128 ? -128 : v > 127 ? 127 : v;
+  const a = sclip1(3 * (q0 - p0) + sclip1(p1 - q1));
+  const a1 = (27 * a + 63) >> 7;
+  const a2 = (18 * a + 63) >> 7;
+  const a3 = (9 * a + 63) >> 7;
+  px[p - 3 * step] = clip8(p2 + a3);
+  px[p - 2 * step] = clip8(p1 + a2);
+  px[p - step] = clip8(p0 + a1);
+  px[p] = clip8(q0 - a1);
+  px[p + step] = clip8(q1 - a2);
+  px[p + 2 * step] = clip8(q2 - a3);
+}
+
+function simpleThreshold(px: Uint8Array, p: number, step: number, t: number): boolean {
+  return 2 * Math.abs(px[p - step] - px[p]) + (Math.abs(px[p - 2 * step] - px[p + step]) >> 1) <= t;
+}
+
+function normalThreshold(px: Uint8Array, p: number, step: number, t: number, interior: number): boolean {
+  const p3 = px[p - 4 * step], p2 = px[p - 3 * step], p1 = px[p - 2 * step], p0 = px[p - step];
+  const q0 = px[p], q1 = px[p + step], q2 = px[p + 2 * step], q3 = px[p + 3 * step];
+  if (2 * Math.abs(p0 - q0) + (Math.abs(p1 - q1) >> 1) > t) return false;
+  return Math.abs(p3 - p2) <= interior && Math.abs(p2 - p1) <= interior && Math.abs(p1 - p0) <= interior &&
+    Math.abs(q3 - q2) <= interior && Math.abs(q2 - q1) <= interior && Math.abs(q1 - q0) <= interior;
+}
+
+function highEdgeVariance(px: Uint8Array, p: number, step: number, t: number): boolean {
+  return Math.abs(px[p - 2 * step] - px[p - step]) > t || Math.abs(px[p + step] - px[p]) > t;
+}
+
+// Filter `count` pixels along an edge starting at `p`; `along` moves along the edge
+function filterEdge(
+  px: Uint8Array,
+  p: number,
+  step: number,
+  along: number,
+  count: number,
+  limit: number,
+  interior: number,
+  hevThreshold: number,
+  macroblockEdge: boolean,
+) {
+  for (let i = 0; i < count; i++, p += along) {
+    if (!normalThreshold(px, p, step, limit, interior)) continue;
+    if (highEdgeVariance(px, p, step, hevThreshold)) filterCommon(px, p, step, true);
+    else if (macroblockEdge) filterMacroblockEdge(px, p, step);
+    else filterCommon(px, p, step, false);
+  }
+}
+
+function filterSimpleEdge(px: Uint8Array, p: number, step: number, along: number, limit: number) {
+  for (let i = 0; i < 16; i++, p += along) {
+    if (simpleThreshold(px, p, step, limit)) filterCommon(px, p, step, true);
+  }
+}
+
+export function decodeVp8(bytes: Uint8Array, limits: DecodeLimits): Bitmap {
+  if (bytes.length < 10) throw new ImageError("Corrupt WebP (truncated VP8 frame)");
+  const tag = bytes[0] | (bytes[1] << 8) | (bytes[2] << 16);
+  if (tag & 1) throw new ImageError("Corrupt WebP (VP8 frame is not a key frame)");
+  if (((tag >> 1) & 7) > 3) throw new ImageError("Corrupt WebP (bad VP8 profile)");
+  const partitionLength = tag >> 5;
+  if (bytes[3] !== 0x9d || bytes[4] !== 0x01 || bytes[5] !== 0x2a) throw new ImageError("Corrupt WebP (bad VP8 start code)");
+  const width = (bytes[6] | (bytes[7] << 8)) & 0x3fff;
+  const height = (bytes[8] | (bytes[9] << 8)) & 0x3fff;
+  checkDimensions(width, height, limits);
+  if (10 + partitionLength > bytes.length) throw new ImageError("Corrupt WebP (truncated VP8 frame)");
+
+  const br = new BoolDecoder(bytes, 10, 10 + partitionLength);
+  br.literal(1); // color space
+  br.literal(1); // clamping type
+
+  // Segments
+  const useSegment = br.literal(1) === 1;
+  let updateMap = false;
+  let absoluteDelta = false;
+  const segmentQuant = [0, 0, 0, 0];
+  const segmentFilter = [0, 0, 0, 0];
+  const segmentProbs = [255, 255, 255];
+  if (useSegment) {
+    updateMap = br.literal(1) === 1;
+    if (br.literal(1)) {
+      absoluteDelta = br.literal(1) === 1;
+      for (let s = 0; s < 4; s++) segmentQuant[s] = br.literal(1) ? br.signed(7) : 0;
+      for (let s = 0; s < 4; s++) segmentFilter[s] = br.literal(1) ? br.signed(6) : 0;
+    }
+    if (updateMap) for (let s = 0; s < 3; s++) segmentProbs[s] = br.literal(1) ? br.literal(8) : 255;
+  }
+
+  // Loop filter
+  const simpleFilter = br.literal(1) === 1;
+  const filterLevel = br.literal(6);
+  const sharpness = br.literal(3);
+  const useLfDelta = br.literal(1) === 1;
+  const refLfDelta = [0, 0, 0, 0];
+  const modeLfDelta = [0, 0, 0, 0];
+  if (useLfDelta && br.literal(1)) {
+    for (let i = 0; i < 4; i++) if (br.literal(1)) refLfDelta[i] = br.signed(6);
+    for (let i = 0; i < 4; i++) if (br.literal(1)) modeLfDelta[i] = br.signed(6);
+  }
+  const filterType = filterLevel === 0 ? 0 : simpleFilter ? 1 : 2;
+  const segmentLevels = [0, 1, 2, 3].map((s) =>
+    useSegment ? segmentFilter[s] + (absoluteDelta ? 0 : filterLevel) : filterLevel
+  );
+
+  // Token partitions
+  const numParts = 1 << br.literal(2);
+  let partStart = 10 + partitionLength + 3 * (numParts - 1);
+  if (partStart > bytes.length) throw new ImageError("Corrupt WebP (truncated VP8 partitions)");
+  const parts: BoolDecoder[] = [];
+  for (let p = 0; p < numParts; p++) {
+    const sizeAt = 10 + partitionLength + 3 * p;
+    const end = p < numParts - 1
+      ? Math.min(bytes.length, partStart + (bytes[sizeAt] | (bytes[sizeAt + 1] << 8) | (bytes[sizeAt + 2] << 16)))
+      : bytes.length;
+    parts.push(new BoolDecoder(bytes, partStart, end));
+    partStart = end;
+  }
+
+  // Quantizers
+  const baseQ = br.literal(7);
+  const delta = () => br.literal(1) ? br.signed(4) : 0;
+  const [dqY1Dc, dqY2Dc, dqY2Ac, dqUvDc, dqUvAc] = [delta(), delta(), delta(), delta(), delta()];
+  const quants: Quant[] = [0, 1, 2, 3].map((s) => {
+    const q = useSegment ? segmentQuant[s] + (absoluteDelta ? 0 : baseQ) : baseQ;
+    return {
+      y1: [DC_TABLE[clip(q + dqY1Dc, 127)], AC_TABLE[clip(q, 127)]],
+      y2: [DC_TABLE[clip(q + dqY2Dc, 127)] * 2, Math.max(8, Math.floor(AC_TABLE[clip(q + dqY2Ac, 127)] * 155 / 100))],
+      uv: [DC_TABLE[clip(q + dqUvDc, 117)], AC_TABLE[clip(q + dqUvAc, 127)]],
+    };
+  });
+
+  br.literal(1); // refresh entropy probs (irrelevant for a single frame)
+  const coeffProbs = COEFF_PROBS.slice();
+  for (let i = 0; i < coeffProbs.length; i++) {
+    if (br.bit(COEFF_UPDATE_PROBS[i])) coeffProbs[i] = br.literal(8);
+  }
+  const useSkipProb = br.literal(1) === 1;
+  const skipProb = useSkipProb ? br.literal(8) : 0;
+
+  const mbW = (width + 15) >> 4, mbH = (height + 15) >> 4;
+  const yStride = mbW * 16, uvStride = mbW * 8;
+  const Y = new Uint8Array(yStride * mbH * 16);
+  const U = new Uint8Array(uvStride * mbH * 8);
+  const V = new Uint8Array(uvStride * mbH * 8);
+  const info: MacroblockInfo[] = new Array(mbW * mbH);
+
+  // Contexts: 4x4 modes and non-zero flags (4 Y, 2 U, 2 V, Y2) above and to the left
+  const intraTop = new Uint8Array(mbW * 4);
+  const intraLeft = new Uint8Array(4);
+  const nzTop = new Uint8Array(mbW * 9);
+  const nzLeft = new Uint8Array(9);
+  const coeffs = new Int32Array(25 * 16);
+  const y2 = new Int32Array(16);
+  const edgeTop = new Int32Array(9);
+  const edgeLeft = new Int32Array(4);
+
+  // Read one block's tokens into `out` (natural order); returns the index past the last token
+  const readCoeffs = (
+    r: BoolDecoder,
+    type: number,
+    ctx: number,
+    dq: [number, number],
+    first: number,
+    out: Int32Array,
+    o: number,
+  ) => {
+    const probs = (n: number, c: number) => ((type * 8 + BANDS[n]) * 3 + c) * 11;
+    let n = first;
+    let p = probs(n, ctx);
+    if (!r.bit(coeffProbs[p])) return 0;
+    while (true) {
+      n++;
+      if (!r.bit(coeffProbs[p + 1])) {
+        p = probs(n, 0);
+      } else {
+        let v: number;
+        if (!r.bit(coeffProbs[p + 2])) {
+          v = 1;
+          p = probs(n, 1);
+        } else {
+          if (!r.bit(coeffProbs[p + 3])) {
+            v = !r.bit(coeffProbs[p + 4]) ? 2 : 3 + r.bit(coeffProbs[p + 5]);
+          } else if (!r.bit(coeffProbs[p + 6])) {
+            v = !r.bit(coeffProbs[p + 7]) ? 5 + r.bit(159) : 7 + 2 * r.bit(165) + r.bit(145);
+          } else {
+            const b1 = r.bit(coeffProbs[p + 8]);
+            const b0 = r.bit(coeffProbs[p + 9 + b1]);
+            const cat = 2 * b1 + b0;
+            v = 0;
+            for (const prob of CAT_PROBS[cat]) v = v + v + r.bit(prob);
+            v += 3 + (8 << cat);
+          }
+          p = probs(n, 2);
+        }
+        const j = ZIGZAG[n - 1];
+        out[o + j] = (r.bit(128) ? -v : v) * dq[j > 0 ? 1 : 0];
+        if (n === 16 || !r.bit(coeffProbs[p])) return n;
+      }
+      if (n === 16) return 16;
+    }
+  };
+
+  for (let mbY = 0; mbY < mbH; mbY++) {
+    const tokens = parts[mbY & (numParts - 1)];
+    intraLeft.fill(DC_PRED);
+    nzLeft.fill(0);
+    for (let mbX = 0; mbX < mbW; mbX++) {
+      const segment = updateMap
+        ? (!br.bit(segmentProbs[0]) ? br.bit(segmentProbs[1]) : 2 + br.bit(segmentProbs[2]))
+        : 0;
+      const skip = useSkipProb ? br.bit(skipProb) === 1 : false;
+
+      // Modes
+      const isI4x4 = !br.bit(145);
+      const modes = new Uint8Array(16);
+      let yMode = DC_PRED;
+      if (!isI4x4) {
+        yMode = br.bit(156) ? (br.bit(128) ? TM_PRED : H_PRED) : (br.bit(163) ? V_PRED : DC_PRED);
+        intraTop.fill(yMode, mbX * 4, mbX * 4 + 4);
+        intraLeft.fill(yMode);
+      } else {
+        for (let y = 0; y < 4; y++) {
+          let ymode = intraLeft[y];
+          for (let x = 0; x < 4; x++) {
+            const prob = (intraTop[mbX * 4 + x] * 10 + ymode) * 9;
+            let i = 0;
+            do {
+              i = BMODE_TREE[2 * i + br.bit(BMODE_PROBS[prob + i])];
+            } while (i > 0);
+            ymode = -i;
+            intraTop[mbX * 4 + x] = ymode;
+            modes[y * 4 + x] = ymode;
+          }
+          intraLeft[y] = ymode;
+        }
+      }
+      const uvMode = !br.bit(142) ? DC_PRED : !br.bit(114) ? V_PRED : br.bit(183) ? TM_PRED : H_PRED;
+
+      // Residuals
+      coeffs.fill(0);
+      const q = quants[segment];
+      const top = mbX * 9;
+      if (!skip) {
+        let first = 0;
+        let yType = 3;
+        if (!isI4x4) {
+          y2.fill(0);
+          const nz = readCoeffs(tokens, 1, nzTop[top + 8] + nzLeft[8], q.y2, 0, y2, 0) > 0 ? 1 : 0;
+          nzTop[top + 8] = nzLeft[8] = nz;
+          inverseWht(y2, coeffs);
+          first = 1;
+          yType = 0;
+        }
+        for (let y = 0; y < 4; y++) {
+          let l = nzLeft[y];
+          for (let x = 0; x < 4; x++) {
+            const n = readCoeffs(tokens, yType, l + nzTop[top + x], q.y1, first, coeffs, (y * 4 + x) * 16);
+            l = nzTop[top + x] = n > 0 ? 1 : 0;
+          }
+          nzLeft[y] = l;
+        }
+        for (let ch = 0; ch < 4; ch += 2) {
+          for (let y = 0; y < 2; y++) {
+            let l = nzLeft[4 + ch + y];
+            for (let x = 0; x < 2; x++) {
+              const block = 16 + ch * 2 + y * 2 + x;
+              const n = readCoeffs(tokens, 2, l + nzTop[top + 4 + ch + x], q.uv, 0, coeffs, block * 16);
+              l = nzTop[top + 4 + ch + x] = n > 0 ? 1 : 0;
+            }
+            nzLeft[4 + ch + y] = l;
+          }
+        }
+      } else {
+        nzTop.fill(0, top, top + 8);
+        nzLeft.fill(0, 0, 8);
+        if (!isI4x4) nzTop[top + 8] = nzLeft[8] = 0;
+      }
+      if (br.eof) throw new ImageError("Corrupt WebP (truncated VP8 data)");
+      let hasCoeffs = false;
+      for (let i = 0; i < coeffs.length && !hasCoeffs; i++) hasCoeffs = coeffs[i] !== 0;
+      info[mbY * mbW + mbX] = { segment, isI4x4, hasCoeffs };
+
+      // Reconstruction
+      const yAt = mbY * 16 * yStride + mbX * 16;
+      if (isI4x4) {
+        for (let b = 0; b < 16; b++) {
+          const bx = b & 3, by = b >> 2;
+          const d = yAt + by * 4 * yStride + bx * 4;
+          const hasTop = mbY > 0 || by > 0;
+          const hasLeft = mbX > 0 || bx > 0;
+          edgeTop[0] = !hasTop ? 127 : !hasLeft ? 129 : Y[d - yStride - 1];
+          for (let i = 0; i < 4; i++) edgeTop[1 + i] = hasTop ? Y[d - yStride + i] : 127;
+          // Above-right: inside the macroblock for the left three columns, else the row above the
+          // macroblock (replicated for the lower rows, as the reference decoder does)
+          for (let i = 4; i < 8; i++) {
+            if (bx < 3 && by > 0) edgeTop[1 + i] = Y[d - yStride + i];
+            else if (mbY === 0) edgeTop[1 + i] = 127;
+            else if (bx < 3) edgeTop[1 + i] = Y[d - yStride + i];
+            else if (mbX === mbW - 1) edgeTop[1 + i] = Y[yAt - yStride + 15];
+            else edgeTop[1 + i] = Y[yAt - yStride + 16 + i - 4];
+          }
+          for (let i = 0; i < 4; i++) edgeLeft[i] = hasLeft ? Y[d + i * yStride - 1] : 129;
+          predict4(modes[b], edgeTop, edgeLeft, Y, d, yStride);
+          inverseTransform(coeffs, b * 16, Y, d, yStride);
+        }
+      } else {
+        predictBlock(yMode, 16, Y, yAt, yStride, mbY > 0, mbX > 0);
+        for (let b = 0; b < 16; b++) {
+          inverseTransform(coeffs, b * 16, Y, yAt + (b >> 2) * 4 * yStride + (b & 3) * 4, yStride);
+        }
+      }
+      const uvAt = mbY * 8 * uvStride + mbX * 8;
+      for (const [plane, base] of [[U, 16], [V, 20]] as const) {
+        predictBlock(uvMode, 8, plane, uvAt, uvStride, mbY > 0, mbX > 0);
+        for (let b = 0; b < 4; b++) {
+          inverseTransform(coeffs, (base + b) * 16, plane, uvAt + (b >> 1) * 4 * uvStride + (b & 1) * 4, uvStride);
+        }
+      }
+    }
+  }
+
+  // Loop filter, macroblock by macroblock in decoding order
+  if (filterType > 0) {
+    for (let mbY = 0; mbY < mbH; mbY++) {
+      for (let mbX = 0; mbX < mbW; mbX++) {
+        const mb = info[mbY * mbW + mbX];
+        let level = segmentLevels[mb.segment];
+        if (useLfDelta) {
+          level += refLfDelta[0];
+          if (mb.isI4x4) level += modeLfDelta[0];
+        }
+        level = clip(level, 63);
+        if (level === 0) continue;
+        let interior = level;
+        if (sharpness > 0) {
+          interior >>= sharpness > 4 ? 2 : 1;
+          if (interior > 9 - sharpness) interior = 9 - sharpness;
+        }
+        if (interior < 1) interior = 1;
+        const inner = mb.isI4x4 || mb.hasCoeffs;
+        const limit = 2 * level + interior;
+        const yAt = mbY * 16 * yStride + mbX * 16;
+        if (filterType === 1) {
+          if (mbX > 0) filterSimpleEdge(Y, yAt, 1, yStride, limit + 4);
+          if (inner) for (let i = 4; i < 16; i += 4) filterSimpleEdge(Y, yAt + i, 1, yStride, limit);
+          if (mbY > 0) filterSimpleEdge(Y, yAt, yStride, 1, limit + 4);
+          if (inner) for (let i = 4; i < 16; i += 4) filterSimpleEdge(Y, yAt + i * yStride, yStride, 1, limit);
+          continue;
+        }
+        const hev = level >= 40 ? 2 : level >= 15 ? 1 : 0;
+        const uvAt = mbY * 8 * uvStride + mbX * 8;
+        if (mbX > 0) {
+          filterEdge(Y, yAt, 1, yStride, 16, limit + 4, interior, hev, true);
+          filterEdge(U, uvAt, 1, uvStride, 8, limit + 4, interior, hev, true);
+          filterEdge(V, uvAt, 1, uvStride, 8, limit + 4, interior, hev, true);
+        }
+        if (inner) {
+          for (let i = 4; i < 16; i += 4) filterEdge(Y, yAt + i, 1, yStride, 16, limit, interior, hev, false);
+          filterEdge(U, uvAt + 4, 1, uvStride, 8, limit, interior, hev, false);
+          filterEdge(V, uvAt + 4, 1, uvStride, 8, limit, interior, hev, false);
+        }
+        if (mbY > 0) {
+          filterEdge(Y, yAt, yStride, 1, 16, limit + 4, interior, hev, true);
+          filterEdge(U, uvAt, uvStride, 1, 8, limit + 4, interior, hev, true);
+          filterEdge(V, uvAt, uvStride, 1, 8, limit + 4, interior, hev, true);
+        }
+        if (inner) {
+          for (let i = 4; i < 16; i += 4) {
+            filterEdge(Y, yAt + i * yStride, yStride, 1, 16, limit, interior, hev, false);
+          }
+          filterEdge(U, uvAt + 4 * uvStride, uvStride, 1, 8, limit, interior, hev, false);
+          filterEdge(V, uvAt + 4 * uvStride, uvStride, 1, 8, limit, interior, hev, false);
+        }
+      }
+    }
+  }
+
+  // YUV to RGB with libwebp's fixed-point BT.601 coefficients and 9-3-3-1 chroma interpolation
+  const img = createBitmap(width, height);
+  const out = img.data;
+  const cw = (width + 1) >> 1, ch = (height + 1) >> 1;
+  const chroma = (plane: Uint8Array, x: number, y: number) => {
+    const cx = x >> 1, cy = y >> 1;
+    const nx = clip(x & 1 ? cx + 1 : cx - 1, cw - 1), ny = clip(y & 1 ? cy + 1 : cy - 1, ch - 1);
+    return (9 * plane[cy * uvStride + cx] + 3 * plane[cy * uvStride + nx] + 3 * plane[ny * uvStride + cx] +
+      plane[ny * uvStride + nx] + 8) >> 4;
+  };
+  const hi = (v: number, c: number) => (v * c) >> 8;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const yy = hi(Y[y * yStride + x], 19077);
+      const u = chroma(U, x, y), v = chroma(V, x, y);
+      const d = (y * width + x) * 4;
+      out[d] = clip8((yy + hi(v, 26149) - 14234) >> 6);
+      out[d + 1] = clip8((yy - hi(u, 6419) - hi(v, 13320) + 8708) >> 6);
+      out[d + 2] = clip8((yy + hi(u, 33050) - 17685) >> 6);
+      out[d + 3] = 255;
+    }
+  }
+  return img;
+}
+
+// Default token probabilities, [type][band][context][node] (RFC 6386 section 13.5)
+const COEFF_PROBS = new Uint8Array([
+  128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  253, 136, 254, 255, 228, 219, 128, 128, 128, 128, 128,
+  189, 129, 242, 255, 227, 213, 255, 219, 128, 128, 128,
+  106, 126, 227, 252, 214, 209, 255, 255, 128, 128, 128,
+  1, 98, 248, 255, 236, 226, 255, 255, 128, 128, 128,
+  181, 133, 238, 254, 221, 234, 255, 154, 128, 128, 128,
+  78, 134, 202, 247, 198, 180, 255, 219, 128, 128, 128,
+  1, 185, 249, 255, 243, 255, 128, 128, 128, 128, 128,
+  184, 150, 247, 255, 236, 224, 128, 128, 128, 128, 128,
+  77, 110, 216, 255, 236, 230, 128, 128, 128, 128, 128,
+  1, 101, 251, 255, 241, 255, 128, 128, 128, 128, 128,
+  170, 139, 241, 252, 236, 209, 255, 255, 128, 128, 128,
+  37, 116, 196, 243, 228, 255, 255, 255, 128, 128, 128,
+  1, 204, 254, 255, 245, 255, 128, 128, 128, 128, 128,
+  207, 160, 250, 255, 238, 128, 128, 128, 128, 128, 128,
+  102, 103, 231, 255, 211, 171, 128, 128, 128, 128, 128,
+  1, 152, 252, 255, 240, 255, 128, 128, 128, 128, 128,
+  177, 135, 243, 255, 234, 225, 128, 128, 128, 128, 128,
+  80, 129, 211, 255, 194, 224, 128, 128, 128, 128, 128,
+  1, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  246, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  255, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  198, 35, 237, 223, 193, 187, 162, 160, 145, 155, 62,
+  131, 45, 198, 221, 172, 176, 220, 157, 252, 221, 1,
+  68, 47, 146, 208, 149, 167, 221, 162, 255, 223, 128,
+  1, 149, 241, 255, 221, 224, 255, 255, 128, 128, 128,
+  184, 141, 234, 253, 222, 220, 255, 199, 128, 128, 128,
+  81, 99, 181, 242, 176, 190, 249, 202, 255, 255, 128,
+  1, 129, 232, 253, 214, 197, 242, 196, 255, 255, 128,
+  99, 121, 210, 250, 201, 198, 255, 202, 128, 128, 128,
+  23, 91, 163, 242, 170, 187, 247, 210, 255, 255, 128,
+  1, 200, 246, 255, 234, 255, 128, 128, 128, 128, 128,
+  109, 178, 241, 255, 231, 245, 255, 255, 128, 128, 128,
+  44, 130, 201, 253, 205, 192, 255, 255, 128, 128, 128,
+  1, 132, 239, 251, 219, 209, 255, 165, 128, 128, 128,
+  94, 136, 225, 251, 218, 190, 255, 255, 128, 128, 128,
+  22, 100, 174, 245, 186, 161, 255, 199, 128, 128, 128,
+  1, 182, 249, 255, 232, 235, 128, 128, 128, 128, 128,
+  124, 143, 241, 255, 227, 234, 128, 128, 128, 128, 128,
+  35, 77, 181, 251, 193, 211, 255, 205, 128, 128, 128,
+  1, 157, 247, 255, 236, 231, 255, 255, 128, 128, 128,
+  121, 141, 235, 255, 225, 227, 255, 255, 128, 128, 128,
+  45, 99, 188, 251, 195, 217, 255, 224, 128, 128, 128,
+  1, 1, 251, 255, 213, 255, 128, 128, 128, 128, 128,
+  203, 1, 248, 255, 255, 128, 128, 128, 128, 128, 128,
+  137, 1, 177, 255, 224, 255, 128, 128, 128, 128, 128,
+  253, 9, 248, 251, 207, 208, 255, 192, 128, 128, 128,
+  175, 13, 224, 243, 193, 185, 249, 198, 255, 255, 128,
+  73, 17, 171, 221, 161, 179, 236, 167, 255, 234, 128,
+  1, 95, 247, 253, 212, 183, 255, 255, 128, 128, 128,
+  239, 90, 244, 250, 211, 209, 255, 255, 128, 128, 128,
+  155, 77, 195, 248, 188, 195, 255, 255, 128, 128, 128,
+  1, 24, 239, 251, 218, 219, 255, 205, 128, 128, 128,
+  201, 51, 219, 255, 196, 186, 128, 128, 128, 128, 128,
+  69, 46, 190, 239, 201, 218, 255, 228, 128, 128, 128,
+  1, 191, 251, 255, 255, 128, 128, 128, 128, 128, 128,
+  223, 165, 249, 255, 213, 255, 128, 128, 128, 128, 128,
+  141, 124, 248, 255, 255, 128, 128, 128, 128, 128, 128,
+  1, 16, 248, 255, 255, 128, 128, 128, 128, 128, 128,
+  190, 36, 230, 255, 236, 255, 128, 128, 128, 128, 128,
+  149, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  1, 226, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  247, 192, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  240, 128, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  1, 134, 252, 255, 255, 128, 128, 128, 128, 128, 128,
+  213, 62, 250, 255, 255, 128, 128, 128, 128, 128, 128,
+  55, 93, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  128, 128, 128, 128, 128, 128, 128, 128, 128, 128, 128,
+  202, 24, 213, 235, 186, 191, 220, 160, 240, 175, 255,
+  126, 38, 182, 232, 169, 184, 228, 174, 255, 187, 128,
+  61, 46, 138, 219, 151, 178, 240, 170, 255, 216, 128,
+  1, 112, 230, 250, 199, 191, 247, 159, 255, 255, 128,
+  166, 109, 228, 252, 211, 215, 255, 174, 128, 128, 128,
+  39, 77, 162, 232, 172, 180, 245, 178, 255, 255, 128,
+  1, 52, 220, 246, 198, 199, 249, 220, 255, 255, 128,
+  124, 74, 191, 243, 183, 193, 250, 221, 255, 255, 128,
+  24, 71, 130, 219, 154, 170, 243, 182, 255, 255, 128,
+  1, 182, 225, 249, 219, 240, 255, 224, 128, 128, 128,
+  149, 150, 226, 252, 216, 205, 255, 171, 128, 128, 128,
+  28, 108, 170, 242, 183, 194, 254, 223, 255, 255, 128,
+  1, 81, 230, 252, 204, 203, 255, 192, 128, 128, 128,
+  123, 102, 209, 247, 188, 196, 255, 233, 128, 128, 128,
+  20, 95, 153, 243, 164, 173, 255, 203, 128, 128, 128,
+  1, 222, 248, 255, 216, 213, 128, 128, 128, 128, 128,
+  168, 175, 246, 252, 235, 205, 255, 255, 128, 128, 128,
+  47, 116, 215, 255, 211, 212, 255, 255, 128, 128, 128,
+  1, 121, 236, 253, 212, 214, 255, 255, 128, 128, 128,
+  141, 84, 213, 252, 201, 202, 255, 219, 128, 128, 128,
+  42, 80, 160, 240, 162, 185, 255, 205, 128, 128, 128,
+  1, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  244, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+  238, 1, 255, 128, 128, 128, 128, 128, 128, 128, 128,
+]);
+
+// Probabilities of each token probability being updated in the frame header
+const COEFF_UPDATE_PROBS = new Uint8Array([
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  176, 246, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  223, 241, 252, 255, 255, 255, 255, 255, 255, 255, 255,
+  249, 253, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 244, 252, 255, 255, 255, 255, 255, 255, 255, 255,
+  234, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  253, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 246, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  239, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 248, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  251, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  251, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 254, 253, 255, 254, 255, 255, 255, 255, 255, 255,
+  250, 255, 254, 255, 254, 255, 255, 255, 255, 255, 255,
+  254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  217, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  225, 252, 241, 253, 255, 255, 254, 255, 255, 255, 255,
+  234, 250, 241, 250, 253, 255, 253, 254, 255, 255, 255,
+  255, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  223, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  238, 253, 254, 254, 255, 255, 255, 255, 255, 255, 255,
+  255, 248, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  249, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 253, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  247, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  252, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  253, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 254, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  250, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  186, 251, 250, 255, 255, 255, 255, 255, 255, 255, 255,
+  234, 251, 244, 254, 255, 255, 255, 255, 255, 255, 255,
+  251, 251, 243, 253, 254, 255, 254, 255, 255, 255, 255,
+  255, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  236, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  251, 253, 253, 254, 254, 255, 255, 255, 255, 255, 255,
+  255, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 254, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  248, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  250, 254, 252, 254, 255, 255, 255, 255, 255, 255, 255,
+  248, 254, 249, 253, 255, 255, 255, 255, 255, 255, 255,
+  255, 253, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  246, 253, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  252, 254, 251, 254, 254, 255, 255, 255, 255, 255, 255,
+  255, 254, 252, 255, 255, 255, 255, 255, 255, 255, 255,
+  248, 254, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  253, 255, 254, 254, 255, 255, 255, 255, 255, 255, 255,
+  255, 251, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  245, 251, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  253, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 251, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  252, 253, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 254, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 252, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  249, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 254, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 253, 255, 255, 255, 255, 255, 255, 255, 255,
+  250, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  254, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+  255, 255, 255, 255, 255, 255, 255, 255, 255, 255, 255,
+]);
+
+// 4x4 intra mode probabilities by the modes above and to the left, [top][left][node]
+const BMODE_PROBS = new Uint8Array([
+  231, 120, 48, 89, 115, 113, 120, 152, 112,
+  152, 179, 64, 126, 170, 118, 46, 70, 95,
+  175, 69, 143, 80, 85, 82, 72, 155, 103,
+  56, 58, 10, 171, 218, 189, 17, 13, 152,
+  114, 26, 17, 163, 44, 195, 21, 10, 173,
+  121, 24, 80, 195, 26, 62, 44, 64, 85,
+  144, 71, 10, 38, 171, 213, 144, 34, 26,
+  170, 46, 55, 19, 136, 160, 33, 206, 71,
+  63, 20, 8, 114, 114, 208, 12, 9, 226,
+  81, 40, 11, 96, 182, 84, 29, 16, 36,
+  134, 183, 89, 137, 98, 101, 106, 165, 148,
+  72, 187, 100, 130, 157, 111, 32, 75, 80,
+  66, 102, 167, 99, 74, 62, 40, 234, 128,
+  41, 53, 9, 178, 241, 141, 26, 8, 107,
+  74, 43, 26, 146, 73, 166, 49, 23, 157,
+  65, 38, 105, 160, 51, 52, 31, 115, 128,
+  104, 79, 12, 27, 217, 255, 87, 17, 7,
+  87, 68, 71, 44, 114, 51, 15, 186, 23,
+  47, 41, 14, 110, 182, 183, 21, 17, 194,
+  66, 45, 25, 102, 197, 189, 23, 18, 22,
+  88, 88, 147, 150, 42, 46, 45, 196, 205,
+  43, 97, 183, 117, 85, 38, 35, 179, 61,
+  39, 53, 200, 87, 26, 21, 43, 232, 171,
+  56, 34, 51, 104, 114, 102, 29, 93, 77,
+  39, 28, 85, 171, 58, 165, 90, 98, 64,
+  34, 22, 116, 206, 23, 34, 43, 166, 73,
+  107, 54, 32, 26, 51, 1, 81, 43, 31,
+  68, 25, 106, 22, 64, 171, 36, 225, 114,
+  34, 19, 21, 102, 132, 188, 16, 76, 124,
+  62, 18, 78, 95, 85, 57, 50, 48, 51,
+  193, 101, 35, 159, 215, 111, 89, 46, 111,
+  60, 148, 31, 172, 219, 228, 21, 18, 111,
+  112, 113, 77, 85, 179, 255, 38, 120, 114,
+  40, 42, 1, 196, 245, 209, 10, 25, 109,
+  88, 43, 29, 140, 166, 213, 37, 43, 154,
+  61, 63, 30, 155, 67, 45, 68, 1, 209,
+  100, 80, 8, 43, 154, 1, 51, 26, 71,
+  142, 78, 78, 16, 255, 128, 34, 197, 171,
+  41, 40, 5, 102, 211, 183, 4, 1, 221,
+  51, 50, 17, 168, 209, 192, 23, 25, 82,
+  138, 31, 36, 171, 27, 166, 38, 44, 229,
+  67, 87, 58, 169, 82, 115, 26, 59, 179,
+  63, 59, 90, 180, 59, 166, 93, 73, 154,
+  40, 40, 21, 116, 143, 209, 34, 39, 175,
+  47, 15, 16, 183, 34, 223, 49, 45, 183,
+  46, 17, 33, 183, 6, 98, 15, 32, 183,
+  57, 46, 22, 24, 128, 1, 54, 17, 37,
+  65, 32, 73, 115, 28, 128, 23, 128, 205,
+  40, 3, 9, 115, 51, 192, 18, 6, 223,
+  87, 37, 9, 115, 59, 77, 64, 21, 47,
+  104, 55, 44, 218, 9, 54, 53, 130, 226,
+  64, 90, 70, 205, 40, 41, 23, 26, 57,
+  54, 57, 112, 184, 5, 41, 38, 166, 213,
+  30, 34, 26, 133, 152, 116, 10, 32, 134,
+  39, 19, 53, 221, 26, 114, 32, 73, 255,
+  31, 9, 65, 234, 2, 15, 1, 118, 73,
+  75, 32, 12, 51, 192, 255, 160, 43, 51,
+  88, 31, 35, 67, 102, 85, 55, 186, 85,
+  56, 21, 23, 111, 59, 205, 45, 37, 192,
+  55, 38, 70, 124, 73, 102, 1, 34, 98,
+  125, 98, 42, 88, 104, 85, 117, 175, 82,
+  95, 84, 53, 89, 128, 100, 113, 101, 45,
+  75, 79, 123, 47, 51, 128, 81, 171, 1,
+  57, 17, 5, 71, 102, 57, 53, 41, 49,
+  38, 33, 13, 121, 57, 73, 26, 1, 85,
+  41, 10, 67, 138, 77, 110, 90, 47, 114,
+  115, 21, 2, 10, 102, 255, 166, 23, 6,
+  101, 29, 16, 10, 85, 128, 101, 196, 26,
+  57, 18, 10, 102, 102, 213, 34, 20, 43,
+  117, 20, 15, 36, 163, 128, 68, 1, 26,
+  102, 61, 71, 37, 34, 53, 31, 243, 192,
+  69, 60, 71, 38, 73, 119, 28, 222, 37,
+  68, 45, 128, 34, 1, 47, 11, 245, 171,
+  62, 17, 19, 70, 146, 85, 55, 62, 70,
+  37, 43, 37, 154, 100, 163, 85, 160, 1,
+  63, 9, 92, 136, 28, 64, 32, 201, 85,
+  75, 15, 9, 9, 64, 255, 184, 119, 16,
+  86, 6, 28, 5, 64, 255, 25, 248, 1,
+  56, 8, 17, 132, 137, 255, 55, 116, 128,
+  58, 15, 20, 82, 135, 57, 26, 121, 40,
+  164, 50, 31, 137, 154, 133, 25, 35, 218,
+  51, 103, 44, 131, 131, 123, 31, 6, 158,
+  86, 40, 64, 135, 148, 224, 45, 183, 128,
+  22, 26, 17, 131, 240, 154, 14, 1, 209,
+  45, 16, 21, 91, 64, 222, 7, 1, 197,
+  56, 21, 39, 155, 60, 138, 23, 102, 213,
+  83, 12, 13, 54, 192, 255, 68, 47, 28,
+  85, 26, 85, 85, 128, 128, 32, 146, 171,
+  18, 11, 7, 63, 144, 171, 4, 4, 246,
+  35, 27, 10, 146, 174, 171, 12, 26, 128,
+  190, 80, 35, 99, 180, 80, 126, 54, 45,
+  85, 126, 47, 87, 176, 51, 41, 20, 32,
+  101, 75, 128, 139, 118, 146, 116, 128, 85,
+  56, 41, 15, 176, 236, 85, 37, 9, 62,
+  71, 30, 17, 119, 118, 255, 17, 18, 138,
+  101, 38, 60, 138, 55, 70, 43, 26, 142,
+  146, 36, 19, 30, 171, 255, 97, 27, 20,
+  138, 45, 61, 62, 219, 1, 81, 188, 64,
+  32, 41, 20, 117, 151, 142, 20, 21, 163,
+  112, 19, 12, 61, 195, 128, 48, 4, 24,
+]);
+
+// Dequantization factors by quantizer index (RFC 6386 section 14.1)
+const DC_TABLE = new Uint8Array([
+  4, 5, 6, 7, 8, 9, 10, 10, 11, 12, 13, 14, 15, 16, 17, 17,
+  18, 19, 20, 20, 21, 21, 22, 22, 23, 23, 24, 25, 25, 26, 27, 28,
+  29, 30, 31, 32, 33, 34, 35, 36, 37, 37, 38, 39, 40, 41, 42, 43,
+  44, 45, 46, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56, 57, 58,
+  59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74,
+  75, 76, 76, 77, 78, 79, 80, 81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 93, 95, 96, 98, 100, 101, 102, 104, 106, 108, 110, 112, 114, 116, 118,
+  122, 124, 126, 128, 130, 132, 134, 136, 138, 140, 143, 145, 148, 151, 154, 157,
+]);
+
+const AC_TABLE = new Uint16Array([
+  4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19,
+  20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35,
+  36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51,
+  52, 53, 54, 55, 56, 57, 58, 60, 62, 64, 66, 68, 70, 72, 74, 76,
+  78, 80, 82, 84, 86, 88, 90, 92, 94, 96, 98, 100, 102, 104, 106, 108,
+  110, 112, 114, 116, 119, 122, 125, 128, 131, 134, 137, 140, 143, 146, 149, 152,
+  155, 158, 161, 164, 167, 170, 173, 177, 181, 185, 189, 193, 197, 201, 205, 209,
+  213, 217, 221, 225, 229, 234, 239, 245, 249, 254, 259, 264, 269, 274, 279, 284,
+]);
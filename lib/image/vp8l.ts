@@ -0,0 +1,399 @@
+// VP8L decoder for lossless WebP (RFC 9649 section 3). Also decodes the headerless streams
+// WebP uses for compressed alpha planes.
+
+import { type Bitmap, checkDimensions, createBitmap, type DecodeLimits, ImageError } from "./bitmap.ts";
+
+// LSB-first bit reader
+class BitReader {
+  private pos = 0; // in bits
+  private readonly end: number;
+  constructor(private data: Uint8Array) {
+    this.end = data.length * 8;
+  }
+  bits(n: number): number {
+    if (n === 0) return 0;
+    const p = this.pos >> 3, s = this.pos & 7;
+    const d = this.data;
+    let v = ((d[p] | (d[p + 1] << 8) | (d[p + 2] << 16) | (d[p + 3] << 24)) >>> s);
+    if (n + s > 32) v = (v | (d[p + 4] << (32 - s))) >>> 0;
+    this.pos += n;
+    if (this.pos > this.end) throw new ImageError("Corrupt WebP (truncated lossless data)");
+    return n === 32 ? v : v & ((1 << n) - 1);
+  }
+  peek8(): number {
+    const p = this.pos >> 3;
+    return ((this.data[p] | (this.data[p + 1] << 8)) >> (this.pos & 7)) & 0xff;
+  }
+  skip(n: number) {
+    this.pos += n;
+    if (this.pos > this.end) throw new ImageError("Corrupt WebP (truncated lossless data)");
+  }
+}
+
+// Canonical prefix code with an 8-bit lookup table; longer codes are walked bit by bit
+class PrefixCode {
+  private table = new Int32Array(256).fill(-1); // symbol << 4 | length
+  private single = -1;
+  private firstCode = new Int32Array(16);
+  private firstIndex = new Int32Array(16);
+  private counts = new Int32Array(16);
+  private sorted: Int32Array;
+
+  constructor(lengths: ArrayLike<number>) {
+    const used: number[] = [];
+    for (let s = 0; s < lengths.length; s++) if (lengths[s]) used.push(s);
+    this.sorted = new Int32Array(used.length);
+    if (used.length === 0) throw new ImageError("Corrupt WebP (empty prefix code)");
+    if (used.length === 1) {
+      this.single = used[0];
+      return;
+    }
+    for (const s of used) this.counts[lengths[s]]++;
+    let code = 0, index = 0;
+    for (let len = 1; len < 16; len++) {
+      this.firstCode[len] = code;
+      this.firstIndex[len] = index;
+      index += this.counts[len];
+      code = (code + this.counts[len]) << 1;
+    }
+    const next = Array.from(this.firstCode);
+    const fill = Array.from(this.firstIndex);
+    for (let s = 0; s < lengths.length; s++) {
+      const len = lengths[s];
+      if (!len) continue;
+      this.sorted[fill[len]++] = s;
+      const c = next[len]++;
+      if (len <= 8) {
+        let reversed = 0;
+        for (let i = 0; i < len; i++) reversed |= ((c >> i) & 1) << (len - 1 - i);
+        for (let j = reversed; j < 256; j += 1 << len) this.table[j] = (s << 4) | len;
+      }
+    }
+  }
+
+  read(br: BitReader): number {
+    if (this.single >= 0) return this.single;
+    const e = this.table[br.peek8()];
+    if (e >= 0) {
+      br.skip(e & 15);
+      return e >> 4;
+    }
+    let code = 0;
+    for (let len = 1; len < 16; len++) {
+      code = (code << 1) | br.bits(1);
+      const offset = code - this.firstCode[len];
+      if (offset >= 0 && offset < this.counts[len]) return this.sorted[this.firstIndex[len] + offset];
+    }
+    throw new ImageError("Corrupt WebP (bad prefix code)");
+  }
+}
+
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+
+// Distance codes 1-120 map to nearby pixels: high nibble is the row offset, 8 - low nibble the column
+const DISTANCE_MAP = [
+  0x18, 0x07, 0x17, 0x19, 0x28, 0x06, 0x27, 0x29, 0x16, 0x1a, 0x26, 0x2a, 0x38, 0x05, 0x37, 0x39, 0x15, 0x1b, 0x36, 0x3a,
+  0x25, 0x2b, 0x48, 0x04, 0x47, 0x49, 0x14, 0x1c, 0x35, 0x3b, 0x46, 0x4a, 0x24, 0x2c, 0x58, 0x45, 0x4b, 0x34, 0x3c, 0x03,
+  0x57, 0x59, 0x13, 0x1d, 0x56, 0x5a, 0x23, 0x2d, 0x44, 0x4c, 0x55, 0x5b, 0x33, 0x3d, 0x68, 0x02, 0x67, 0x69, 0x12, 0x1e,
+  0x66, 0x6a, 0x22, 0x2e, 0x54, 0x5c, 0x43, 0x4d, 0x65, 0x6b, 0x32, 0x3e, 0x78, 0x01, 0x77, 0x79, 0x53, 0x5d, 0x11, 0x1f,
+  0x64, 0x6c, 0x42, 0x4e, 0x76, 0x7a, 0x21, 0x2f, 0x75, 0x7b, 0x31, 0x3f, 0x63, 0x6d, 0x52, 0x5e, 0x00, 0x74, 0x7c, 0x41,
+  0x4f, 0x10, 0x20, 0x62, 0x6e, 0x30, 0x73, 0x7d, 0x51, 0x5f, 0x40, 0x72, 0x7e, 0x61, 0x6f, 0x50, 0x71, 0x7f, 0x60, 0x70,
+];
+
+const PREDICTOR = 0, CROSS_COLOR = 1, SUBTRACT_GREEN = 2, COLOR_INDEXING = 3;
+
+type Transform = { type: number; xsize: number; bits: number; data: Uint32Array };
+
+function subSampleSize(size: number, bits: number): number {
+  return (size + (1 << bits) - 1) >> bits;
+}
+
+function readCodeLengths(br: BitReader, alphabetSize: number): Uint8Array {
+  const lengths = new Uint8Array(alphabetSize);
+  if (br.bits(1)) {
+    // Simple code: one or two symbols
+    const count = br.bits(1) + 1;
+    const first = br.bits(br.bits(1) ? 8 : 1);
+    if (first >= alphabetSize) throw new ImageError("Corrupt WebP (bad prefix code)");
+    lengths[first] = 1;
+    if (count === 2) {
+      const second = br.bits(8);
+      if (second >= alphabetSize) throw new ImageError("Corrupt WebP (bad prefix code)");
+      lengths[second] = 1;
+    }
+    return lengths;
+  }
+  const codeLengthLengths = new Uint8Array(19);
+  const n = 4 + br.bits(4);
+  for (let i = 0; i < n; i++) codeLengthLengths[CODE_LENGTH_ORDER[i]] = br.bits(3);
+  const codeLengthCode = new PrefixCode(codeLengthLengths);
+  let maxSymbol = alphabetSize;
+  if (br.bits(1)) {
+    maxSymbol = 2 + br.bits(2 + 2 * br.bits(3));
+    if (maxSymbol > alphabetSize) throw new ImageError("Corrupt WebP (bad prefix code)");
+  }
+  let prev = 8;
+  for (let symbol = 0; symbol < alphabetSize;) {
+    if (maxSymbol-- === 0) break;
+    const len = codeLengthCode.read(br);
+    if (len < 16) {
+      lengths[symbol++] = len;
+      if (len) prev = len;
+      continue;
+    }
+    const repeat = len === 16 ? 3 + br.bits(2) : len === 17 ? 3 + br.bits(3) : 11 + br.bits(7);
+    if (symbol + repeat > alphabetSize) throw new ImageError("Corrupt WebP (bad prefix code)");
+    lengths.fill(len === 16 ? prev : 0, symbol, symbol + repeat);
+    symbol += repeat;
+  }
+  return lengths;
+}
+
+// Decode an entropy-coded image. Only the main image may use a meta prefix (entropy) image.
+function decodeImageData(br: BitReader, xsize: number, ysize: number, isMain: boolean): Uint32Array {
+  let cacheBits = 0;
+  if (br.bits(1)) {
+    cacheBits = br.bits(4);
+    if (cacheBits < 1 || cacheBits > 11) throw new ImageError("Corrupt WebP (bad color cache size)");
+  }
+  let groupBits = 0;
+  let groupImage: Uint32Array | null = null;
+  let groupCount = 1;
+  if (isMain && br.bits(1)) {
+    groupBits = br.bits(3) + 2;
+    const gw = subSampleSize(xsize, groupBits);
+    groupImage = decodeImageData(br, gw, subSampleSize(ysize, groupBits), false);
+    for (let i = 0; i < groupImage.length; i++) {
+      groupImage[i] = (groupImage[i] >> 8) & 0xffff;
+      if (groupImage[i] >= groupCount) groupCount = groupImage[i] + 1;
+    }
+  }
+  const cacheSize = cacheBits ? 1 << cacheBits : 0;
+  const groups = Array.from({ length: groupCount }, () => [
+    new PrefixCode(readCodeLengths(br, 256 + 24 + cacheSize)),
+    new PrefixCode(readCodeLengths(br, 256)),
+    new PrefixCode(readCodeLengths(br, 256)),
+    new PrefixCode(readCodeLengths(br, 256)),
+    new PrefixCode(readCodeLengths(br, 40)),
+  ]);
+
+  const out = new Uint32Array(xsize * ysize);
+  const cache = cacheSize ? new Uint32Array(cacheSize) : null;
+  const cacheShift = 32 - cacheBits;
+  let cached = 0;
+  const flushCache = (upTo: number) => {
+    if (!cache) return;
+    for (; cached < upTo; cached++) cache[Math.imul(out[cached], 0x1e35a7bd) >>> cacheShift] = out[cached];
+  };
+  const prefixValue = (symbol: number) => {
+    if (symbol < 4) return symbol + 1;
+    const extra = (symbol - 2) >> 1;
+    return ((2 + (symbol & 1)) << extra) + br.bits(extra) + 1;
+  };
+  const groupW = groupImage ? subSampleSize(xsize, groupBits) : 0;
+  const total = xsize * ysize;
+  let group = groups[0];
+  for (let pos = 0; pos < total;) {
+    const x = pos % xsize, y = (pos / xsize) | 0;
+    if (groupImage && (x & ((1 << groupBits) - 1)) === 0) {
+      group = groups[groupImage[(y >> groupBits) * groupW + (x >> groupBits)]];
+    }
+    const s = group[0].read(br);
+    if (s < 256) {
+      const red = group[1].read(br), blue = group[2].read(br), alpha = group[3].read(br);
+      out[pos++] = ((alpha << 24) | (red << 16) | (s << 8) | blue) >>> 0;
+    } else if (s < 256 + 24) {
+      const length = prefixValue(s - 256);
+      const code = prefixValue(group[4].read(br));
+      let dist: number;
+      if (code > 120) {
+        dist = code - 120;
+      } else {
+        const m = DISTANCE_MAP[code - 1];
+        dist = (m >> 4) * xsize + 8 - (m & 15);
+        if (dist < 1) dist = 1;
+      }
+      if (dist > pos || pos + length > total) throw new ImageError("Corrupt WebP (bad backward reference)");
+      for (let i = 0; i < length; i++, pos++) out[pos] = out[pos - dist];
+      // Re-evaluate the prefix group at the new position
+      if (groupImage && pos < total) {
+        const nx = pos % xsize, ny = (pos / xsize) | 0;
+        group = groups[groupImage[(ny >> groupBits) * groupW + (nx >> groupBits)]];
+      }
+      flushCache(pos);
+      continue;
+    } else {
+      if (!cache) throw new ImageError("Corrupt WebP (color cache code without a cache)");
+      flushCache(pos);
+      out[pos++] = cache[s - 280];
+    }
+    flushCache(pos);
+  }
+  return out;
+}
+
+const add = (a: number, b: number) =>
+  (((a & 0xff00ff00) + (b & 0xff00ff00)) & 0xff00ff00 | ((a & 0x00ff00ff) + (b & 0x00ff00ff)) & 0x00ff00ff) >>> 0;
+
+function average2(a: number, b: number): number {
+  return (((a ^ b) & 0xfefefefe) >>> 1) + (a & b) >>> 0;
+}
+
+function channel(c: number, shift: number) {
+  return (c >>> shift) & 0xff;
+}
+
+function select(L: number, T: number, TL: number): number {
+  let pL = 0, pT = 0;
+  for (let s = 0; s < 32; s += 8) {
+    pL += Math.abs(channel(T, s) - channel(TL, s));
+    pT += Math.abs(channel(L, s) - channel(TL, s));
+  }
+  return pL < pT ? L : T;
+}
+
+function clampAddSubtractFull(a: number, b: number, c: number): number {
+  let out = 0;
+  for (let s = 0; s < 32; s += 8) {
+    const v = channel(a, s) + channel(b, s) - channel(c, s);
+    out |= (v < 0 ? 0 : v > 255 ? 255 : v) << s;
+  }
+  return out >>> 0;
+}
+
+function clampAddSubtractHalf(a: number, b: number): number {
+  let out = 0;
+  for (let s = 0; s < 32; s += 8) {
+    const ca = channel(a, s);
+    const v = ca + Math.trunc((ca - channel(b, s)) / 2);
+    out |= (v < 0 ? 0 : v > 255 ? 255 : v) << s;
+  }
+  return out >>> 0;
+}
+
+function predict(mode: number, px: Uint32Array, pos: number, width: number): number {
+  const L = px[pos - 1], T = px[pos - width], TR = px[pos - width + 1], TL = px[pos - width - 1];
+  switch (mode) {
+    case 0: return 0xff000000;
+    case 1: return L;
+    case 2: return T;
+    case 3: return TR;
+    case 4: return TL;
+    case 5: return average2(average2(L, TR), T);
+    case 6: return average2(L, TL);
+    case 7: return average2(L, T);
+    case 8: return average2(TL, T);
+    case 9: return average2(T, TR);
+    case 10: return average2(average2(L, TL), average2(T, TR));
+    case 11: return select(L, T, TL);
+    case 12: return clampAddSubtractFull(L, T, TL);
+    case 13: return clampAddSubtractHalf(average2(L, T), TL);
+    default: return 0xff000000; // 14 and 15 are unused
+  }
+}
+
+// Undo one transform. Color indexing expands packed pixels, so it returns a new array.
+function inverseTransform(t: Transform, px: Uint32Array, height: number): Uint32Array {
+  const width = t.xsize;
+  if (t.type === SUBTRACT_GREEN) {
+    for (let i = 0; i < px.length; i++) {
+      const g = (px[i] >> 8) & 0xff;
+      px[i] = add(px[i], (g << 16) | g);
+    }
+    return px;
+  }
+  if (t.type === PREDICTOR) {
+    const tw = subSampleSize(width, t.bits);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pos = y * width + x;
+        let pred: number;
+        if (y === 0) pred = x === 0 ? 0xff000000 : px[pos - 1];
+        else if (x === 0) pred = px[pos - width];
+        else pred = predict((t.data[(y >> t.bits) * tw + (x >> t.bits)] >> 8) & 15, px, pos, width);
+        px[pos] = add(px[pos], pred);
+      }
+    }
+    return px;
+  }
+  if (t.type === CROSS_COLOR) {
+    const tw = subSampleSize(width, t.bits);
+    const signed = (v: number) => (v << 24) >> 24;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pos = y * width + x;
+        const m = t.data[(y >> t.bits) * tw + (x >> t.bits)];
+        const greenToRed = signed(m), greenToBlue = signed(m >> 8), redToBlue = signed(m >> 16);
+        const argb = px[pos];
+        const green = signed(argb >> 8);
+        let red = (argb >> 16) & 0xff;
+        let blue = argb & 0xff;
+        red = (red + ((greenToRed * green) >> 5)) & 0xff;
+        blue = (blue + ((greenToBlue * green) >> 5) + ((redToBlue * signed(red)) >> 5)) & 0xff;
+        px[pos] = ((argb & 0xff00ff00) | (red << 16) | blue) >>> 0;
+      }
+    }
+    return px;
+  }
+  // COLOR_INDEXING
+  const palette = t.data;
+  const bitsPerPixel = 8 >> t.bits;
+  const packedWidth = subSampleSize(width, t.bits);
+  const out = new Uint32Array(width * height);
+  const mask = (1 << bitsPerPixel) - 1;
+  const perByte = (1 << t.bits) - 1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const packed = (px[y * packedWidth + (x >> t.bits)] >> 8) & 0xff;
+      const index = (packed >> ((x & perByte) * bitsPerPixel)) & mask;
+      out[y * width + x] = index < palette.length ? palette[index] : 0;
+    }
+  }
+  return out;
+}
+
+// Decode a VP8L image stream (transforms, then the main image) to ARGB pixels
+export function decodeVp8lStream(data: Uint8Array, offset: number, width: number, height: number): Uint32Array {
+  const br = new BitReader(data.subarray(offset));
+  const transforms: Transform[] = [];
+  let xsize = width;
+  while (br.bits(1)) {
+    const type = br.bits(2);
+    if (transforms.some((t) => t.type === type)) throw new ImageError("Corrupt WebP (repeated transform)");
+    const t: Transform = { type, xsize, bits: 0, data: new Uint32Array(0) };
+    if (type === PREDICTOR || type === CROSS_COLOR) {
+      t.bits = br.bits(3) + 2;
+      t.data = decodeImageData(br, subSampleSize(xsize, t.bits), subSampleSize(height, t.bits), false);
+    } else if (type === COLOR_INDEXING) {
+      const size = br.bits(8) + 1;
+      t.bits = size > 16 ? 0 : size > 4 ? 1 : size > 2 ? 2 : 3;
+      const palette = decodeImageData(br, size, 1, false);
+      for (let i = 1; i < size; i++) palette[i] = add(palette[i], palette[i - 1]);
+      t.data = palette;
+      xsize = subSampleSize(xsize, t.bits);
+    }
+    transforms.push(t);
+  }
+  let px = decodeImageData(br, xsize, height, true);
+  for (let i = transforms.length - 1; i >= 0; i--) px = inverseTransform(transforms[i], px, height);
+  return px;
+}
+
+export function decodeVp8l(bytes: Uint8Array, limits: DecodeLimits): Bitmap {
+  if (bytes[0] !== 0x2f || bytes.length < 5) throw new ImageError("Corrupt WebP (bad VP8L signature)");
+  const header = bytes[1] | (bytes[2] << 8) | (bytes[3] << 16) | (bytes[4] << 24);
+  const width = (header & 0x3fff) + 1;
+  const height = ((header >> 14) & 0x3fff) + 1;
+  if ((header >>> 29) !== 0) throw new ImageError("Unsupported VP8L version", 415);
+  checkDimensions(width, height, limits);
+  const px = decodeVp8lStream(bytes, 5, width, height);
+  const img = createBitmap(width, height);
+  for (let i = 0, d = 0; i < px.length; i++, d += 4) {
+    const argb = px[i];
+    img.data[d] = (argb >> 16) & 0xff;
+    img.data[d + 1] = (argb >> 8) & 0xff;
+    img.data[d + 2] = argb & 0xff;
+    img.data[d + 3] = argb >>> 24;
+  }
+  return img;
+}
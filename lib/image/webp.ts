@@ -0,0 +1,76 @@
+// WebP container: simple lossy (VP8) and lossless (VP8L) files, and extended (VP8X) files with an
+// alpha (ALPH) chunk. Animated WebP is rejected.
+
+import { type Bitmap, type DecodeLimits, ImageError } from "./bitmap.ts";
+import { decodeVp8 } from "./vp8.ts";
+import { decodeVp8l, decodeVp8lStream } from "./vp8l.ts";
+
+const ANIMATION_FLAG = 0x02;
+
+export function isWebp(bytes: Uint8Array): boolean {
+  return String.fromCharCode(...bytes.subarray(0, 4)) === "RIFF" &&
+    String.fromCharCode(...bytes.subarray(8, 12)) === "WEBP";
+}
+
+// Decode an ALPH chunk into the alpha channel of `img`
+function applyAlpha(img: Bitmap, chunk: Uint8Array) {
+  const { width, height } = img;
+  const header = chunk[0];
+  const compression = header & 3;
+  const filter = (header >> 2) & 3;
+  const alpha = new Uint8Array(width * height);
+  if (compression === 0) {
+    alpha.set(chunk.subarray(1, 1 + alpha.length));
+  } else if (compression === 1) {
+    const px = decodeVp8lStream(chunk, 1, width, height);
+    for (let i = 0; i < alpha.length; i++) alpha[i] = (px[i] >> 8) & 0xff;
+  } else {
+    throw new ImageError(`Unsupported WebP alpha compression ${compression}`, 415);
+  }
+  // Undo the prediction filter: horizontal, vertical or gradient
+  if (filter) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        let pred: number;
+        if (x === 0 && y === 0) pred = 0;
+        else if (y === 0) pred = alpha[i - 1];
+        else if (x === 0) pred = alpha[i - width];
+        else if (filter === 1) pred = alpha[i - 1];
+        else if (filter === 2) pred = alpha[i - width];
+        else {
+          const g = alpha[i - 1] + alpha[i - width] - alpha[i - width - 1];
+          pred = g < 0 ? 0 : g > 255 ? 255 : g;
+        }
+        alpha[i] = (alpha[i] + pred) & 0xff;
+      }
+    }
+  }
+  for (let i = 0; i < alpha.length; i++) img.data[i * 4 + 3] = alpha[i];
+}
+
+export function decodeWebp(bytes: Uint8Array, limits: DecodeLimits): Bitmap {
+  if (!isWebp(bytes)) throw new ImageError("Not a WebP file");
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = new Map<string, Uint8Array>();
+  for (let pos = 12; pos + 8 <= bytes.length;) {
+    const type = String.fromCharCode(...bytes.subarray(pos, pos + 4));
+    const size = view.getUint32(pos + 4, true);
+    const data = bytes.subarray(pos + 8, pos + 8 + size);
+    if (data.length < size) throw new ImageError(`Corrupt WebP (truncated ${type.trim()} chunk)`);
+    if (!chunks.has(type)) chunks.set(type, data);
+    pos += 8 + size + (size & 1);
+  }
+  const vp8x = chunks.get("VP8X");
+  if ((vp8x && vp8x[0] & ANIMATION_FLAG) || chunks.has("ANIM") || chunks.has("ANMF")) {
+    throw new ImageError("Animated WebP images are not supported", 415);
+  }
+  const lossless = chunks.get("VP8L");
+  if (lossless) return decodeVp8l(lossless, limits);
+  const lossy = chunks.get("VP8 ");
+  if (!lossy) throw new ImageError("Corrupt WebP (no image data)");
+  const img = decodeVp8(lossy, limits);
+  const alpha = chunks.get("ALPH");
+  if (alpha) applyAlpha(img, alpha);
+  return img;
+}
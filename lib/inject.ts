@@ -0,0 +1,634 @@
+// The game bridge
+// Every game's index.html gets one injected <script src="/api/games/<id>/bridge.js">, loaded before
+// any of the game's own scripts. It sets up full-window CSS, the localStorage fixes, per-game
+// storage and save sync, cursor toggling from the launcher, no context menu and the OSD hotkeys,
+// freezing and master volume, crash reports, and gives the game the window.cmg API for talking to
+// the launcher.
+//
+// window.cmg (version BRIDGE_VERSION). Calls that need the launcher return Promises.
+//   cmg.version                    the bridge version (a number)
+//   cmg.game                       the game's id
+//   cmg.ready                      resolves to { version, capabilities } once the launcher answered;
+//                                  capabilities is [] when the page runs outside the launcher
+//   cmg.has(capability)            whether a method or event is available (after ready)
+//   cmg.quit()                     back to the library
+//   cmg.openMenu()                 open the Game OSD
+//   cmg.getPlayers()               the taken player slots, [{ player, connected, controller:
+//                                  { index, id } }]; a slot keeps its pad while it is unplugged
+//                                  (connected false, index null). [{ player: 1, connected: true,
+//                                  controller: null }] when no pad has joined: the keyboard
+//   cmg.getControllerMapping(player)
+//                                  the launcher's gamepad-to-keyboard mapping of player 1-4 (1
+//                                  when left out); each player's pad presses its own keys
+//   cmg.getAnalog(player)          player 1-4's sticks and triggers (1 when left out): { player,
+//                                  leftStick: { x, y }, rightStick: { x, y }, leftTrigger,
+//                                  rightTrigger }, axes -1..1 and triggers 0..1, or null
+//   cmg.submitScore(board, score, { name, profile, order })
+//                                  add a high score (lib/scores.ts); resolves to { board, rank,
+//                                  entry }, rank null when it didn't make the table
+//   cmg.unlockAchievement(id)      unlock an achievement declared in game.json; resolves to
+//                                  { achievement, unlocked }, unlocked false if it already was
+//   cmg.save(key, value)           store a JSON value in the game's storage; resolves once the
+//                                  server has it
+//   cmg.load(key)                  the value saved under key, or null
+//   cmg.on(event, fn), cmg.off     "pause" and "resume": the launcher's menu opened or closed and
+//                                  the bridge froze or thawed the game (frames, audio, media);
+//                                  "players": a pad joined, left, or was unplugged or plugged back
+//                                  in, with what getPlayers() now returns; "analog": a pad's
+//                                  sticks or triggers moved, with what getAnalog() returns
+// Capabilities are the method and event names. A call the launcher doesn't support rejects with
+// an Error whose code is "unsupported"; one it doesn't answer rejects with code "timeout".
+//
+// Protocol: window.postMessage on the launcher's origin, every message { cmg: "bridge", type, ... }
+//   game → launcher   { type: "hello", version }
+//   launcher → game   { type: "welcome", version, capabilities }
+//   game → launcher   { type: "call", id, method, args }
+//   launcher → game   { type: "result", id, value } or { type: "result", id, error: { code, message } }
+//   launcher → game   { type: "event", name, detail }
+//   launcher → game   { type: "pause", id } or { type: "resume", id }
+//   game → launcher   { type: "paused", id, value: { paused, frames, audio, media, phaser } }
+//   launcher → game   { type: "volume", level }   the master volume, 0..1
+//   game → launcher   { type: "error", error: { kind, message, source, line, column, stack, fatal } }
+
+import type { SaveSnapshot } from "./saves.ts";
+
+export const BRIDGE_VERSION = 1;
+
+// Keys and database names of a game's storage are prefixed with this plus "<id>:" in the shared
+// origin's storage; the launcher (static/main.js) uses it to clear one game's data
+export const GAME_STORAGE_PREFIX = "cmg-game:";
+
+// The launcher's volume settings in its localStorage: { volume, muted, games: { [id]: { volume,
+// muted } } }; a game's own entry overrides the global one (static/main.js)
+export const AUDIO_SETTINGS_KEY = "audioSettings";
+
+const css = `
+  html,body{margin:0;padding:0;height:100%;overflow:hidden;}
+  canvas{display:block;}
+  ::-webkit-scrollbar{display:none}
+  /* Hide cursor by default inside all games */
+  html, body { cursor: none !important; }
+  /* When parent requests cursor visibility (e.g., Game OSD), allow it */
+  html.cmg-cursor-visible, body.cmg-cursor-visible, .cmg-cursor-visible * { cursor: auto !important; }
+`;
+
+const bridgeScript = `function(CONFIG){
+  var PREFIX = CONFIG.prefix, GAME = CONFIG.game, SAVES = CONFIG.saves;
+  var embedded = window.parent !== window;
+
+  try {
+    var style = document.createElement('style');
+    style.textContent = CONFIG.css;
+    (document.head || document.documentElement).appendChild(style);
+  } catch(_) {}
+
+  // Fix localStorage issues in iframe context
+  var originalJSONParse = JSON.parse;
+  JSON.parse = function(text) {
+    if (text === undefined || text === null || text === 'undefined') {
+      return null;
+    }
+    return originalJSONParse.call(this, text);
+  };
+  // Ensure localStorage works in iframe
+  if (embedded && !window.localStorage) {
+    window.localStorage = {
+      data: {},
+      getItem: function(key) { return this.data[key] || null; },
+      setItem: function(key, value) { this.data[key] = String(value); },
+      removeItem: function(key) { delete this.data[key]; },
+      clear: function() { this.data = {}; },
+      get length() { return Object.keys(this.data).length; },
+      key: function(index) { return Object.keys(this.data)[index] || null; }
+    };
+  }
+
+  // Gives the game its own localStorage, sessionStorage and IndexedDB names (all games share one
+  // origin), and mirrors its localStorage to /api/games/:id/saves (see lib/saves.ts). The server's
+  // copy is written into storage before any game script runs; changes are sent a second after they
+  // happen and when the page goes away, e.g. on Exit. Returns the sync, or null without storage.
+  function gameStorage() {
+    var url = '/api/games/' + encodeURIComponent(GAME) + '/saves';
+
+    // A Storage look-alike over the prefixed keys of the real one; a Proxy so that
+    // localStorage.foo = 'x', delete localStorage.foo and Object.keys(localStorage) work too
+    function scoped(real, onChange) {
+      function keys() {
+        var out = [];
+        for (var i = 0; i < real.length; i++) {
+          var k = real.key(i);
+          if (k !== null && k.indexOf(PREFIX) === 0) out.push(k.slice(PREFIX.length));
+        }
+        return out;
+      }
+      var api = {
+        key: function(i) { var k = keys()[i]; return k === undefined ? null : k; },
+        getItem: function(k) { return real.getItem(PREFIX + k); },
+        setItem: function(k, v) { real.setItem(PREFIX + k, String(v)); if (onChange) onChange(String(k)); },
+        removeItem: function(k) { real.removeItem(PREFIX + k); if (onChange) onChange(String(k)); },
+        clear: function() { keys().forEach(function(k){ real.removeItem(PREFIX + k); if (onChange) onChange(k); }); }
+      };
+      Object.defineProperty(api, 'length', { get: function() { return keys().length; } });
+      try { if (typeof Storage !== 'undefined') Object.setPrototypeOf(api, Storage.prototype); } catch(_) {}
+      var target = Object.create(api);
+      return new Proxy(target, {
+        get: function(t, p) { if (typeof p === 'symbol' || p in api) return api[p]; var v = api.getItem(p); return v === null ? undefined : v; },
+        set: function(t, p, v) { if (typeof p === 'symbol' || p in api) return false; api.setItem(p, v); return true; },
+        deleteProperty: function(t, p) { if (typeof p !== 'symbol') api.removeItem(p); return true; },
+        has: function(t, p) { return p in api || (typeof p !== 'symbol' && api.getItem(p) !== null); },
+        ownKeys: function() { return keys(); },
+        getOwnPropertyDescriptor: function(t, p) {
+          if (typeof p === 'symbol') return undefined;
+          var v = api.getItem(p);
+          return v === null ? undefined : { value: v, writable: true, enumerable: true, configurable: true };
+        }
+      });
+    }
+    function install(name, storage) {
+      try { Object.defineProperty(window, name, { configurable: true, get: function() { return storage; } }); } catch(_) {}
+    }
+
+    var real; try { real = window.localStorage; } catch(_) {}
+    if (real) {
+      var written = {}; // key -> when the game last wrote it
+      var local = scoped(real, function(key) { written[key] = Date.now(); schedule(); });
+      var put = function(key, value) {
+        try { if (value === null) real.removeItem(PREFIX + key); else real.setItem(PREFIX + key, value); } catch(_) {}
+      };
+      for (var key in SAVES.items) {
+        if (Object.prototype.hasOwnProperty.call(SAVES.items, key)) put(key, SAVES.items[key]);
+      }
+      var since = SAVES.updatedAt;
+      var base = {}; // the game's keys as of the last sync
+      for (var i = 0; i < local.length; i++) { var k = local.key(i); base[k] = local.getItem(k); }
+      install('localStorage', local);
+    }
+    try { if (window.sessionStorage) install('sessionStorage', scoped(window.sessionStorage)); } catch(_) {}
+
+    try {
+      var idb = window.indexedDB, factory = idb && Object.getPrototypeOf(idb);
+      if (factory) {
+        var rawOpen = factory.open, rawDelete = factory.deleteDatabase, rawList = factory.databases;
+        factory.open = function(name) {
+          var args = [].slice.call(arguments);
+          if (this === idb) args[0] = PREFIX + name;
+          return rawOpen.apply(this, args);
+        };
+        factory.deleteDatabase = function(name) {
+          var args = [].slice.call(arguments);
+          if (this === idb) args[0] = PREFIX + name;
+          return rawDelete.apply(this, args);
+        };
+        if (rawList) {
+          factory.databases = function() {
+            var list = rawList.apply(this, arguments);
+            if (this !== idb) return list;
+            return list.then(function(dbs) {
+              return dbs.filter(function(db){ return db.name.indexOf(PREFIX) === 0; })
+                .map(function(db){ return { name: db.name.slice(PREFIX.length), version: db.version }; });
+            });
+          };
+        }
+      }
+    } catch(_) {}
+
+    if (!real) return null;
+    function collect() {
+      var changes = {}, count = 0, now = Date.now(), seen = {};
+      for (var i = 0; i < local.length; i++) {
+        var key = local.key(i), value = local.getItem(key);
+        seen[key] = true;
+        if (base[key] !== value) { changes[key] = { value: value, writtenAt: written[key] || now }; count++; }
+      }
+      for (var k in base) {
+        if (!seen[k]) { changes[k] = { value: null, writtenAt: written[k] || now }; count++; }
+      }
+      return count ? changes : null;
+    }
+    function synced(changes) {
+      for (var key in changes) {
+        var value = changes[key].value;
+        if (value === null) delete base[key]; else base[key] = value;
+      }
+    }
+    function send() {
+      var changes = collect();
+      if (!changes) return;
+      return fetch(url, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ since: since, changes: changes }) })
+        .then(function(res){ if (!res.ok) throw new Error('HTTP ' + res.status); return res.json(); })
+        .then(function(result){
+          synced(changes);
+          since = result.updatedAt;
+          // Another launcher wrote these later; take its values
+          for (var key in result.conflicts) {
+            var value = result.conflicts[key];
+            put(key, value);
+            if (value === null) delete base[key]; else base[key] = value;
+          }
+        });
+    }
+
+    // One request at a time; each sends whatever changed since the one before
+    var timer = 0, queue = Promise.resolve();
+    function schedule() { clearTimeout(timer); timer = setTimeout(flush, 1000); }
+    function flush() {
+      clearTimeout(timer);
+      var run = queue.then(send);
+      queue = run.catch(function(err){ try { console.warn('[cmg] Could not sync save data:', err); } catch(_) {} });
+      return run;
+    }
+    // The page is going away: send what's left without waiting for an answer
+    function flushNow() {
+      var changes = collect();
+      if (!changes) return;
+      var body = JSON.stringify({ since: since, changes: changes });
+      try {
+        if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'text/plain' }))) { synced(changes); return; }
+      } catch(_) {}
+      try { fetch(url, { method: 'POST', body: body, keepalive: true }); synced(changes); } catch(_) {}
+    }
+    window.addEventListener('pagehide', flushNow);
+    document.addEventListener('visibilitychange', function(){ if (document.visibilityState === 'hidden') flushNow(); });
+    return { storage: local, flush: flush };
+  }
+  // Read before gameStorage() hides the launcher's keys from the game
+  var launcherStorage; try { launcherStorage = window.localStorage; } catch(_) {}
+  var sync = gameStorage();
+
+  function setCursorVisible(v){
+    try{
+      var root=document.documentElement; var body=document.body;
+      if(v){ root && root.classList.add('cmg-cursor-visible'); body && body.classList.add('cmg-cursor-visible'); }
+      else { root && root.classList.remove('cmg-cursor-visible'); body && body.classList.remove('cmg-cursor-visible'); }
+    }catch(_){}
+  }
+  // Default hidden
+  setCursorVisible(false);
+
+  try {
+    var noContextMenu = function(e){ if(e && e.preventDefault) e.preventDefault(); if(e && e.stopPropagation) e.stopPropagation(); if(e && e.stopImmediatePropagation) e.stopImmediatePropagation(); return false; };
+    window.addEventListener('contextmenu', noContextMenu, true);
+    document.addEventListener('contextmenu', noContextMenu, true);
+  } catch(_) {}
+
+  function post(msg) {
+    try { parent.postMessage(msg, location.origin); } catch(_) {}
+  }
+  // Early OSD hotkeys, before the game can swallow the keys
+  function shouldOpen(e){return (e.code==='Backquote'||e.keyCode===192||e.which===192);}
+  function onKey(e){
+    if(shouldOpen(e)){ post({cmg:'osd',action:'open'}); if(e.preventDefault) e.preventDefault(); if(e.stopPropagation) e.stopPropagation(); if(e.stopImmediatePropagation) e.stopImmediatePropagation(); }
+    var k=e.key||e.code; if(k==='Escape'){ post({cmg:'osd',action:'exit'}); }
+  }
+  try{ document.addEventListener('keydown', onKey, true); window.addEventListener('keydown', onKey, true);}catch(_){}
+
+  // Freezing the game while the launcher's menu is open: animation frames are held back, audio
+  // contexts suspended, playing media paused and Phaser games put to sleep; resume undoes exactly
+  // what pause did. Wrapped before any game script runs so every frame, context and media element
+  // goes through here.
+  var paused = false, held = {}, resumeFrame = null, framesSeen = 0;
+  var contexts = [], media = typeof Set !== 'undefined' ? new Set() : null, frozen = null;
+  var rawRAF = window.requestAnimationFrame, rawCancelRAF = window.cancelAnimationFrame;
+  if (rawRAF && rawCancelRAF) {
+    window.requestAnimationFrame = function(cb) {
+      var id = rawRAF.call(window, function(t){ if (paused) held[id] = cb; else { framesSeen++; cb(t); } });
+      return id;
+    };
+    window.cancelAnimationFrame = function(id) {
+      delete held[id];
+      if (resumeFrame) delete resumeFrame[id];
+      return rawCancelRAF.call(window, id);
+    };
+  }
+  ['AudioContext', 'webkitAudioContext'].forEach(function(name){
+    var Raw = window[name];
+    if (typeof Raw !== 'function' || typeof Reflect === 'undefined') return;
+    var Tracked = function() {
+      var ctx = Reflect.construct(Raw, arguments, new.target || Tracked);
+      contexts.push(ctx);
+      masterGain(ctx);
+      return ctx;
+    };
+    Tracked.prototype = Raw.prototype;
+    Object.setPrototypeOf(Tracked, Raw);
+    try { window[name] = Tracked; } catch(_) {}
+  });
+  try {
+    var rawPlay = HTMLMediaElement.prototype.play;
+    HTMLMediaElement.prototype.play = function() {
+      if (media) {
+        // Forget sounds that finished, so one-shot Audio objects can be collected
+        if (media.size > 64) media.forEach(function(el){ if (el.paused) media.delete(el); });
+        media.add(this);
+      }
+      applyVolume(this);
+      return rawPlay.apply(this, arguments);
+    };
+  } catch(_) {}
+
+  // Phaser games are often module-scoped; look in the usual globals for something with a loop
+  function phaserGames() {
+    var found = [], names = ['game', 'phaserGame', '__PHASER_GAME__'];
+    try { for (var n in window) { if (names.indexOf(n) < 0 && /game/i.test(n)) names.push(n); } } catch(_) {}
+    try { if (window.Phaser && window.Phaser.GAMES) names = names.concat(window.Phaser.GAMES); } catch(_) {}
+    names.forEach(function(n){
+      var g; try { g = typeof n === 'string' ? window[n] : n; } catch(_) { return; }
+      if (g && g.loop && typeof g.loop.sleep === 'function' && typeof g.loop.wake === 'function' && found.indexOf(g) < 0) found.push(g);
+    });
+    return found;
+  }
+
+  function pauseGame() {
+    if (paused) return frozen;
+    paused = true;
+    frozen = { frames: !!rawRAF, contexts: [], media: [], phaser: [] };
+    contexts.forEach(function(ctx){
+      if (ctx.state === 'running') { frozen.contexts.push(ctx); try { ctx.suspend(); } catch(_) {} }
+    });
+    var elements = [];
+    try { elements = [].slice.call(document.querySelectorAll('audio, video')); } catch(_) {}
+    if (media) media.forEach(function(el){ if (elements.indexOf(el) < 0) elements.push(el); });
+    elements.forEach(function(el){
+      if (!el.paused && !el.ended) { frozen.media.push(el); try { el.pause(); } catch(_) {} }
+    });
+    phaserGames().forEach(function(g){
+      if (g.loop.running === false) return;
+      try { g.loop.sleep(); frozen.phaser.push(g); } catch(_) {}
+    });
+    return frozen;
+  }
+  function resumeGame() {
+    if (!paused) return;
+    paused = false;
+    frozen.phaser.forEach(function(g){ try { g.loop.wake(); } catch(_) {} });
+    frozen.contexts.forEach(function(ctx){ try { ctx.resume(); } catch(_) {} });
+    frozen.media.forEach(function(el){
+      try { var p = el.play(); if (p && p.catch) p.catch(function(){}); } catch(_) {}
+    });
+    frozen = null;
+    var frame = resumeFrame = held;
+    held = {};
+    if (rawRAF) {
+      rawRAF.call(window, function(t){
+        if (resumeFrame === frame) resumeFrame = null;
+        // Paused again before this frame: hold them for the next resume
+        if (paused) { for (var k in frame) held[k] = frame[k]; return; }
+        for (var id in frame) { var cb = frame[id]; delete frame[id]; cb(t); }
+      });
+    }
+  }
+  // Master volume: the launcher's setting (AUDIO_SETTINGS_KEY in its localStorage at startup, then
+  // "volume" messages) scales everything the game plays. Each AudioContext's destination is
+  // replaced by a gain node in front of it; media elements play at their volume times the master
+  // volume, while the game still reads back the volume it set.
+  var master = startVolume(), gains = [];
+  var ownVolume = typeof WeakMap !== 'undefined' ? new WeakMap() : null, volumeProp = null;
+  function startVolume() {
+    try {
+      var settings = originalJSONParse(launcherStorage.getItem(CONFIG.audioKey)) || {};
+      var own = settings.games && settings.games[GAME];
+      var target = own || settings;
+      if (target.muted) return 0;
+      return typeof target.volume === 'number' ? Math.max(0, Math.min(1, target.volume)) : 1;
+    } catch(_) { return 1; }
+  }
+  function masterGain(ctx) {
+    try {
+      var out = ctx.destination, gain = ctx.createGain();
+      gain.gain.value = master;
+      gain.connect(out);
+      Object.defineProperty(ctx, 'destination', { configurable: true, get: function() { return gain; } });
+      gains.push(gain);
+    } catch(_) {}
+  }
+  try {
+    volumeProp = Object.getOwnPropertyDescriptor(HTMLMediaElement.prototype, 'volume');
+    if (volumeProp && volumeProp.set && ownVolume) {
+      Object.defineProperty(HTMLMediaElement.prototype, 'volume', {
+        configurable: true,
+        enumerable: volumeProp.enumerable,
+        get: function() { return ownVolume.has(this) ? ownVolume.get(this) : volumeProp.get.call(this); },
+        set: function(v) {
+          volumeProp.set.call(this, v); // throws like the real one for values outside 0..1
+          ownVolume.set(this, volumeProp.get.call(this));
+          applyVolume(this);
+        }
+      });
+      // Media that starts by itself (autoplay) never goes through play()
+      document.addEventListener('play', function(e){ if (e.target instanceof HTMLMediaElement) applyVolume(e.target); }, true);
+    } else {
+      volumeProp = null;
+    }
+  } catch(_) { volumeProp = null; }
+  function applyVolume(el) {
+    if (!volumeProp) return;
+    try {
+      if (!ownVolume.has(el)) ownVolume.set(el, volumeProp.get.call(el));
+      volumeProp.set.call(el, ownVolume.get(el) * master);
+    } catch(_) {}
+  }
+  function setMasterVolume(level) {
+    master = Math.max(0, Math.min(1, Number(level) || 0));
+    gains.forEach(function(gain){ try { gain.gain.value = master; } catch(_) {} });
+    var elements = [];
+    try { elements = [].slice.call(document.querySelectorAll('audio, video')); } catch(_) {}
+    if (media) media.forEach(function(el){ if (elements.indexOf(el) < 0) elements.push(el); });
+    elements.forEach(applyVolume);
+  }
+
+  // What pauseGame did, as the launcher's OSD reports it
+  function pauseReport(state) {
+    return {
+      paused: !!state && (state.frames || state.phaser.length > 0),
+      frames: !!state && state.frames,
+      audio: state ? state.contexts.length : 0,
+      media: state ? state.media.length : 0,
+      phaser: state ? state.phaser.length : 0
+    };
+  }
+
+  // Crash reports: uncaught errors, unhandled rejections and files that failed to load go to the
+  // launcher, which logs them (lib/crashes.ts). An error is fatal when it happens while the game
+  // boots (until a few seconds after the page loaded; for failed loads, only the game's own
+  // scripts count) or when the game stops drawing frames right after it; the launcher then shows
+  // its crash screen. Unhandled rejections only count by the second rule: a booting game shrugs off
+  // many of them (a play() blocked by the autoplay policy). Repeats are reported once.
+  var BOOT_MS = 5000, STALL_MS = 2000, MAX_REPORTS = 20;
+  var booting = true, crashed = false, reported = {}, reports = 0;
+  window.addEventListener('load', function(){ setTimeout(function(){ booting = false; }, BOOT_MS); });
+  function ownUrl(url) { return !url || String(url).indexOf(location.origin + '/') === 0; }
+  function sendError(error, fatal) {
+    fatal = fatal && !crashed;
+    var key = [error.kind, error.message, error.source, error.line].join('|');
+    if (!fatal && (reported[key] || reports >= MAX_REPORTS)) return;
+    if (fatal) crashed = true;
+    reported[key] = true;
+    reports++;
+    error.fatal = fatal;
+    post({ cmg: 'bridge', type: 'error', error: error });
+  }
+  function reportError(error, critical, stallOnly) {
+    if (!critical || (booting && !stallOnly)) return sendError(error, critical && booting);
+    // Running: see whether the game keeps drawing (a game that never drew can't stall)
+    var frames = framesSeen;
+    setTimeout(function(){
+      var stalled = frames > 0 && framesSeen === frames && !paused && document.visibilityState !== 'hidden';
+      sendError(error, stalled);
+    }, STALL_MS);
+  }
+  window.addEventListener('error', function(e){
+    var target = e && e.target;
+    if (target && target !== window && target.tagName) { // a resource; these don't bubble
+      var url = target.currentSrc || target.src || target.href || '';
+      var what = url || '<' + target.tagName.toLowerCase() + '>';
+      var error = { kind: 'resource', message: 'Could not load ' + what, source: url || null, line: null, column: null, stack: null };
+      return reportError(error, target.tagName === 'SCRIPT' && !!url && ownUrl(url));
+    }
+    var err = e && e.error;
+    reportError({
+      kind: 'error', message: String((e && e.message) || err || 'Unknown error'),
+      source: (e && e.filename) || null, line: (e && e.lineno) || null, column: (e && e.colno) || null,
+      stack: err && err.stack ? String(err.stack) : null
+    }, ownUrl(e && e.filename));
+  }, true);
+  window.addEventListener('unhandledrejection', function(e){
+    var reason = e && e.reason;
+    var message = reason && reason.message ? (reason.name || 'Error') + ': ' + reason.message : String(reason);
+    reportError({
+      kind: 'rejection', message: 'Unhandled rejection: ' + message,
+      source: null, line: null, column: null, stack: reason && reason.stack ? String(reason.stack) : null
+    }, true, true);
+  });
+
+  // window.cmg
+  var CALL_TIMEOUT_MS = 10000, HELLO_TIMEOUT_MS = 3000;
+  var capabilities = [], calls = {}, nextId = 1, listeners = {};
+  var welcome;
+  var ready = new Promise(function(resolve){ welcome = resolve; });
+
+  function bridgeError(code, message) {
+    var err = new Error(message);
+    err.name = 'CmgError';
+    err.code = code;
+    return err;
+  }
+  function emit(name, detail) {
+    (listeners[name] || []).slice().forEach(function(fn){
+      try { fn(detail); } catch(err) { setTimeout(function(){ throw err; }); }
+    });
+  }
+  window.addEventListener('message', function(ev){
+    var msg = ev && ev.data;
+    if (!msg || ev.source !== parent) return;
+    if (msg.cmg === 'cursor') { setCursorVisible(!!msg.visible); return; }
+    if (msg.cmg !== 'bridge') return;
+    if (msg.type === 'welcome') {
+      welcome({ version: msg.version, capabilities: msg.capabilities || [] });
+    } else if (msg.type === 'result' && calls[msg.id]) {
+      var call = calls[msg.id];
+      delete calls[msg.id];
+      clearTimeout(call.timer);
+      if (msg.error) call.reject(bridgeError(msg.error.code || 'failed', msg.error.message || 'The launcher could not ' + call.method));
+      else call.resolve(msg.value);
+    } else if (msg.type === 'event' && typeof msg.name === 'string') {
+      emit(msg.name, msg.detail);
+    } else if (msg.type === 'volume') {
+      setMasterVolume(msg.level);
+    } else if (msg.type === 'pause') {
+      var report = pauseReport(pauseGame());
+      emit('pause', report);
+      post({ cmg: 'bridge', type: 'paused', id: msg.id, value: report });
+    } else if (msg.type === 'resume') {
+      resumeGame();
+      emit('resume');
+      post({ cmg: 'bridge', type: 'paused', id: msg.id, value: pauseReport(null) });
+    }
+  }, true);
+
+  ready.then(function(info){
+    capabilities = info.capabilities.slice();
+    if (sync) capabilities.push('save', 'load');
+  });
+  if (embedded) post({ cmg: 'bridge', type: 'hello', version: CONFIG.version });
+  // Outside the launcher (or a launcher without the bridge) nothing answers
+  setTimeout(function(){ welcome({ version: 0, capabilities: [] }); }, embedded ? HELLO_TIMEOUT_MS : 0);
+
+  function call(method, args) {
+    return ready.then(function(){
+      if (capabilities.indexOf(method) < 0) throw bridgeError('unsupported', 'This launcher does not support cmg.' + method + '()');
+      return new Promise(function(resolve, reject){
+        var id = nextId++;
+        calls[id] = {
+          method: method, resolve: resolve, reject: reject,
+          timer: setTimeout(function(){
+            delete calls[id];
+            reject(bridgeError('timeout', 'The launcher did not answer cmg.' + method + '()'));
+          }, CALL_TIMEOUT_MS)
+        };
+        post({ cmg: 'bridge', type: 'call', id: id, method: method, args: args });
+      });
+    });
+  }
+
+  var cmg = {
+    version: CONFIG.version,
+    game: GAME,
+    ready: ready.then(function(info){ return { version: info.version, capabilities: capabilities.slice() }; }),
+    has: function(capability) { return capabilities.indexOf(capability) >= 0; },
+    quit: function() { return call('quit', []); },
+    openMenu: function() { return call('openMenu', []); },
+    getPlayers: function() { return call('getPlayers', []); },
+    getControllerMapping: function(player) { return call('getControllerMapping', player === undefined ? [] : [player]); },
+    getAnalog: function(player) { return call('getAnalog', player === undefined ? [] : [player]); },
+    submitScore: function(board, score, options) { return call('submitScore', [board, score, options || {}]); },
+    unlockAchievement: function(id, options) { return call('unlockAchievement', [id, options || {}]); },
+    save: function(key, value) {
+      if (!sync) return Promise.reject(bridgeError('unsupported', 'Storage is not available'));
+      try { sync.storage.setItem(String(key), JSON.stringify(value === undefined ? null : value)); }
+      catch(err) { return Promise.reject(err); }
+      return sync.flush().then(function(){});
+    },
+    load: function(key) {
+      if (!sync) return Promise.reject(bridgeError('unsupported', 'Storage is not available'));
+      var v = sync.storage.getItem(String(key));
+      try { return Promise.resolve(v === null ? null : originalJSONParse(v)); }
+      catch(_) { return Promise.resolve(v); } // written by the game itself, not as JSON
+    },
+    on: function(event, fn) {
+      if (typeof fn === 'function') (listeners[event] = listeners[event] || []).push(fn);
+      return function(){ cmg.off(event, fn); };
+    },
+    off: function(event, fn) {
+      listeners[event] = (listeners[event] || []).filter(function(f){ return f !== fn; });
+    }
+  };
+  try { Object.defineProperty(window, 'cmg', { value: Object.freeze(cmg), configurable: true }); } catch(_) {}
+}`;
+
+// JSON that is safe inside a script, even one pasted inline
+function scriptJson(value: unknown): string {
+  return JSON.stringify(value).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+}
+
+// The body of /api/games/:id/bridge.js
+export function bridgeScriptFor(gameId: string, saves: SaveSnapshot): string {
+  const config = {
+    version: BRIDGE_VERSION,
+    game: gameId,
+    prefix: `${GAME_STORAGE_PREFIX}${gameId}:`,
+    saves,
+    css,
+    audioKey: AUDIO_SETTINGS_KEY,
+  };
+  return `(${bridgeScript})(${scriptJson(config)});\n`;
+}
+
+export function injectGameHelpers(html: string, gameId: string): string {
+  const src = `/api/games/${encodeURIComponent(gameId)}/bridge.js`;
+  const injected = `\n<script src="${src.replace(/"/g, "&quot;")}"></script>\n`;
+  // Prefer injecting inside <head> when possible to avoid breaking DOCTYPE
+  if (/<head[^>]*>/i.test(html)) return html.replace(/<head[^>]*>/i, (m) => m + injected);
+  if (/^<!doctype[^>]*>/i.test(html)) return html.replace(/^<!doctype[^>]*>/i, (m) => m + injected);
+  if (/<html[^>]*>/i.test(html)) return html.replace(/<html[^>]*>/i, (m) => m + injected);
+  return injected + html; // Fallback
+}
@@ -0,0 +1,144 @@
+// In-memory background jobs (game imports) with progress reporting and cancellation
+// Jobs live only as long as the server process; finished jobs are forgotten after a while.
+
+export type JobStage = "queued" | "downloading" | "extracting" | "copying" | "validating";
+export type JobStatus = "running" | "done" | "error" | "cancelled";
+
+export type Job = {
+  id: string;
+  kind: string; // e.g. "zip", "github"
+  name: string; // what is being installed, for display
+  stage: JobStage;
+  status: JobStatus;
+  bytes: number; // progress within the current stage
+  totalBytes: number | null; // null when the size is unknown
+  result?: unknown;
+  error?: { message: string; status: number };
+  createdAt: number;
+  updatedAt: number;
+};
+
+export type JobContext = {
+  signal: AbortSignal;
+  stage(stage: JobStage, totalBytes?: number | null): void;
+  progress(bytes: number, totalBytes?: number | null): void;
+};
+
+type JobRecord = {
+  job: Job;
+  controller: AbortController;
+  listeners: Set<(job: Job) => void>;
+};
+
+const FINISHED_TTL_MS = 10 * 60 * 1000;
+const PROGRESS_INTERVAL_MS = 200;
+const jobs = new Map<string, JobRecord>();
+
+function snapshot(rec: JobRecord): Job {
+  return { ...rec.job };
+}
+
+function notify(rec: JobRecord) {
+  rec.job.updatedAt = Date.now();
+  const job = snapshot(rec);
+  for (const fn of rec.listeners) {
+    try { fn(job); } catch { /* ignore listener errors */ }
+  }
+}
+
+export function isAbortError(e: unknown): boolean {
+  return e instanceof DOMException && e.name === "AbortError";
+}
+
+// Start `run` in the background. Errors carrying a numeric `status` keep it (e.g. ZipError -> 413).
+export function startJob(
+  init: { kind: string; name: string },
+  run: (ctx: JobContext) => Promise<unknown>,
+): Job {
+  const now = Date.now();
+  const rec: JobRecord = {
+    job: {
+      id: crypto.randomUUID(),
+      kind: init.kind,
+      name: init.name,
+      stage: "queued",
+      status: "running",
+      bytes: 0,
+      totalBytes: null,
+      createdAt: now,
+      updatedAt: now,
+    },
+    controller: new AbortController(),
+    listeners: new Set(),
+  };
+  jobs.set(rec.job.id, rec);
+
+  let lastProgress = 0;
+  const ctx: JobContext = {
+    signal: rec.controller.signal,
+    stage(stage, totalBytes = null) {
+      ctx.signal.throwIfAborted();
+      rec.job.stage = stage;
+      rec.job.bytes = 0;
+      rec.job.totalBytes = totalBytes;
+      notify(rec);
+    },
+    progress(bytes, totalBytes) {
+      rec.job.bytes = bytes;
+      if (totalBytes !== undefined) rec.job.totalBytes = totalBytes;
+      // Throttle: progress can fire for every network chunk
+      const t = Date.now();
+      if (t - lastProgress >= PROGRESS_INTERVAL_MS) {
+        lastProgress = t;
+        notify(rec);
+      }
+    },
+  };
+
+  (async () => {
+    try {
+      rec.job.result = await run(ctx);
+      rec.job.status = ctx.signal.aborted ? "cancelled" : "done";
+    } catch (e) {
+      if (ctx.signal.aborted || isAbortError(e)) {
+        rec.job.status = "cancelled";
+      } else {
+        const status = typeof (e as { status?: unknown })?.status === "number"
+          ? (e as { status: number }).status
+          : 500;
+        rec.job.status = "error";
+        rec.job.error = { message: e instanceof Error ? e.message : String(e), status };
+        if (status >= 500) console.error(`Job ${rec.job.id} (${rec.job.kind}) failed:`, e);
+      }
+    }
+    notify(rec);
+    rec.listeners.clear();
+    setTimeout(() => jobs.delete(rec.job.id), FINISHED_TTL_MS);
+  })();
+
+  return snapshot(rec);
+}
+
+export function getJob(id: string): Job | undefined {
+  const rec = jobs.get(id);
+  return rec ? snapshot(rec) : undefined;
+}
+
+export function listJobs(): Job[] {
+  return Array.from(jobs.values(), snapshot).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export function cancelJob(id: string): boolean {
+  const rec = jobs.get(id);
+  if (!rec || rec.job.status !== "running") return false;
+  rec.controller.abort();
+  return true;
+}
+
+// Listen for updates; returns an unsubscribe function. Finished jobs get no further updates.
+export function subscribeJob(id: string, fn: (job: Job) => void): () => void {
+  const rec = jobs.get(id);
+  if (!rec) return () => {};
+  rec.listeners.add(fn);
+  return () => rec.listeners.delete(fn);
+}
@@ -0,0 +1,148 @@
+// Library backup and restore
+// A backup is a ZIP with library.json at the root, every game under games/<id>/ and the
+// launcher's own state (DATA_DIR) under data/. Archived versions are not included.
+
+import { copy } from "https://deno.land/std@0.224.0/fs/copy.ts";
+import { ensureDir } from "https://deno.land/std@0.224.0/fs/ensure_dir.ts";
+import { join } from "https://deno.land/std@0.224.0/path/mod.ts";
+import { HttpError } from "./errors.ts";
+import type { JobContext } from "./jobs.ts";
+import { readGameManifest } from "./manifest.ts";
+import {
+  isGameBusy,
+  keepVersionsFromEnv,
+  makeStagingDir,
+  removeVersions,
+  swapInVersion,
+  VERSIONS_DIR,
+  withGameLock,
+} from "./versions.ts";
+import { collectZipSources, extractZip, type ZipSource } from "./zip.ts";
+
+export const LIBRARY_FILE = "library.json";
+const FORMAT = "cmg-library";
+const FORMAT_VERSION = 1;
+
+export type RestoreMode = "merge" | "replace";
+
+export type LibraryDirs = { gamesDir: string; dataDir: string };
+
+async function isDir(p: string): Promise<boolean> {
+  try { return (await Deno.stat(p)).isDirectory; } catch { return false; }
+}
+
+// Installed game ids; dot folders (.versions, .staging) are launcher data
+export async function listGameIds(gamesDir: string): Promise<string[]> {
+  const ids: string[] = [];
+  for await (const e of Deno.readDir(gamesDir)) {
+    if (e.isDirectory && !e.name.startsWith(".")) ids.push(e.name);
+  }
+  return ids.sort();
+}
+
+// Per-game launcher state (saves, stats, mappings) lives under DATA_DIR/games/<id>
+export function gameDataDir(dataDir: string, id: string): string {
+  return join(dataDir, "games", id);
+}
+
+// Move a game to a new id: its folder, archived versions and per-game launcher state
+export function renameGame({ gamesDir, dataDir }: LibraryDirs, from: string, to: string) {
+  return withGameLock(from, () =>
+    withGameLock(to, async () => {
+      if (await isDir(join(gamesDir, to))) throw new HttpError(`A game named "${to}" already exists`, 409);
+      await Deno.rename(join(gamesDir, from), join(gamesDir, to));
+      const moves = [
+        [join(gamesDir, VERSIONS_DIR, from), join(gamesDir, VERSIONS_DIR, to)],
+        [gameDataDir(dataDir, from), gameDataDir(dataDir, to)],
+      ];
+      for (const [src, dest] of moves) {
+        if (!await isDir(src)) continue;
+        // Leftovers from a game that used to have this id would otherwise block the move
+        try { await Deno.remove(dest, { recursive: true }); } catch { /* none */ }
+        await Deno.rename(src, dest);
+      }
+    })
+  );
+}
+
+export async function backupSources({ gamesDir, dataDir }: LibraryDirs): Promise<ZipSource[]> {
+  const ids = await listGameIds(gamesDir);
+  const games = [];
+  const files: ZipSource[] = [];
+  for (const id of ids) {
+    const { manifest } = await readGameManifest(id, join(gamesDir, id));
+    games.push({ id, title: manifest.title, version: manifest.version, source: manifest.source });
+    files.push(...await collectZipSources(join(gamesDir, id), `games/${id}/`));
+  }
+  if (await isDir(dataDir)) files.push(...await collectZipSources(dataDir, "data/"));
+  const index = { format: FORMAT, version: FORMAT_VERSION, createdAt: new Date().toISOString(), games };
+  const data = new TextEncoder().encode(JSON.stringify(index, null, 2) + "\n");
+  return [{ name: LIBRARY_FILE, data }, ...files];
+}
+
+// Restore a backup. "merge" replaces games that are in the backup and keeps the rest;
+// "replace" also deletes games that aren't. Replaced builds are kept as versions either way.
+// Launcher state is merged file by file, or replaced wholesale if the backup carries any.
+export async function restoreLibrary(
+  zip: Uint8Array<ArrayBuffer>,
+  mode: RestoreMode,
+  { gamesDir, dataDir }: LibraryDirs,
+  ctx: JobContext,
+) {
+  const root = await makeStagingDir(gamesDir, "restore");
+  try {
+    ctx.stage("extracting");
+    await extractZip(zip, root, { signal: ctx.signal, onProgress: (bytes, total) => ctx.progress(bytes, total) });
+
+    // Check everything before touching the live library
+    ctx.stage("validating");
+    let index: { format?: unknown };
+    try {
+      index = JSON.parse(await Deno.readTextFile(join(root, LIBRARY_FILE)));
+    } catch {
+      throw new HttpError(`Not a library backup (${LIBRARY_FILE} missing or invalid)`, 422);
+    }
+    if (index?.format !== FORMAT) throw new HttpError(`Not a library backup (unknown format)`, 422);
+    const ids = await isDir(join(root, "games")) ? await listGameIds(join(root, "games")) : [];
+    for (const id of ids) {
+      try {
+        await Deno.stat(join(root, "games", id, "index.html"));
+      } catch {
+        throw new HttpError(`Game "${id}" in the backup has no index.html`, 422);
+      }
+      if (isGameBusy(id)) throw new HttpError(`${id} is being installed or updated; try again later`, 409);
+    }
+    ctx.signal.throwIfAborted();
+
+    ctx.stage("copying", ids.length);
+    const keep = keepVersionsFromEnv();
+    let done = 0;
+    for (const id of ids) {
+      await withGameLock(id, () => swapInVersion(gamesDir, id, join(root, "games", id), keep));
+      ctx.progress(++done, ids.length);
+    }
+    const removed: string[] = [];
+    if (mode === "replace") {
+      for (const id of await listGameIds(gamesDir)) {
+        if (ids.includes(id)) continue;
+        await withGameLock(id, async () => {
+          await Deno.remove(join(gamesDir, id), { recursive: true });
+          await removeVersions(gamesDir, id);
+          // Its saves and scores too, or a game imported later under this id would inherit them
+          try { await Deno.remove(gameDataDir(dataDir, id), { recursive: true }); } catch { /* none */ }
+        });
+        removed.push(id);
+      }
+    }
+    if (await isDir(join(root, "data"))) {
+      if (mode === "replace") {
+        try { await Deno.remove(dataDir, { recursive: true }); } catch { /* none yet */ }
+      }
+      await ensureDir(dataDir);
+      await copy(join(root, "data"), dataDir, { overwrite: true });
+    }
+    return { restored: ids, removed };
+  } finally {
+    try { await Deno.remove(root, { recursive: true }); } catch { /* ignore */ }
+  }
+}
@@ -0,0 +1,456 @@
+// Per-game manifest (game.json) loading and validation
+// Every field is optional; anything missing or invalid falls back to a safe default
+// so a broken manifest never hides a game from the library.
+
+import { join } from "https://deno.land/std@0.224.0/path/mod.ts";
+import { HttpError } from "./errors.ts";
+
+export const MANIFEST_FILE = "game.json";
+const MAX_MANIFEST_BYTES = 64 * 1024;
+
+// Engines the importer can detect (see detect.ts); anything else is "other"
+export const ENGINES = [
+  "phaser",
+  "kaplay",
+  "pixi",
+  "three",
+  "babylon",
+  "playcanvas",
+  "excalibur",
+  "melonjs",
+  "godot",
+  "unity",
+  "construct",
+  "gamemaker",
+  "defold",
+  "other",
+] as const;
+export type Engine = typeof ENGINES[number];
+
+export type GameControl = { input: string; action: string };
+
+// High-score tables a game declares; see lib/scores.ts
+export type ScoreOrder = "asc" | "desc"; // desc: higher is better
+export type GameLeaderboard = { id: string; title: string; order: ScoreOrder };
+export const LEADERBOARD_ID = /^[\w.-]{1,40}$/;
+
+// Achievements a game declares; unlocked through the game bridge, see lib/achievements.ts
+export type GameAchievement = {
+  id: string;
+  title: string;
+  description: string;
+  icon: string | null; // image path inside the game folder
+  hidden: boolean; // title and description stay secret until unlocked
+};
+export const ACHIEVEMENT_ID = /^[\w.-]{1,64}$/;
+
+// Default gamepad bindings a game ships, over the player's global layout; the launcher's
+// per-game profile (static/gamepad-support.js) starts from these. Button names are the launcher's.
+// A game with several players gives one per player (controllerMappings), so each pad presses the
+// keys of its own player.
+export const CONTROLLER_BUTTONS = {
+  dpad: ["up", "down", "left", "right"],
+  face: ["btnBottom", "btnRight", "btnLeft", "btnTop"],
+  shoulder: ["leftShoulder", "rightShoulder", "leftTrigger", "rightTrigger"],
+  special: ["select", "start", "leftStick", "rightStick", "home"],
+} as const;
+const MAX_MAPPED_PLAYERS = 4; // the launcher's player slots
+export type ButtonBinding = { keyboardKey?: string; gamepadButton?: number };
+export type GameControllerMapping = {
+  [G in keyof typeof CONTROLLER_BUTTONS]?: { [B in typeof CONTROLLER_BUTTONS[G][number]]?: ButtonBinding };
+};
+
+// Where an installed game came from; written by the importer, not by game authors
+export type GameSource = {
+  type: "github" | "zip";
+  repo?: string; // "owner/name"
+  kind?: string; // branch, tag, commit, ref or release
+  ref?: string;
+  sha?: string | null; // resolved commit, when known
+  asset?: string; // release asset name
+  latest?: boolean; // imported as the repo's latest release; updates follow newer releases
+  filename?: string; // uploaded archive name
+  subdir?: string;
+  importedAt: string; // ISO date
+};
+
+export type GameManifest = {
+  title: string;
+  description: string;
+  author: string;
+  engine: Engine;
+  engineVersion: string;
+  version: string;
+  aspectRatio: string | null; // normalized "W:H", e.g. "16:9"
+  players: { min: number; max: number };
+  tags: string[];
+  controls: GameControl[];
+  entry: string | null; // archive path of the index.html picked at import time
+  source: GameSource | null;
+  sortOrder: number | null; // manual library position; unset games sort by title after these
+  leaderboards: GameLeaderboard[];
+  achievements: GameAchievement[];
+  controllerMappings: GameControllerMapping[]; // [player 1, player 2, ...]
+};
+
+export type ManifestResult = {
+  manifest: GameManifest;
+  hasManifest: boolean;
+  errors: string[]; // validation problems; empty when the file is absent or valid
+};
+
+export function defaultManifest(id: string): GameManifest {
+  return {
+    title: id.replace(/[-_]+/g, " ").replace(/\b\w/g, (c) => c.toUpperCase()),
+    description: "",
+    author: "",
+    engine: "other",
+    engineVersion: "",
+    version: "",
+    aspectRatio: null,
+    players: { min: 1, max: 1 },
+    tags: [],
+    controls: [],
+    entry: null,
+    source: null,
+    sortOrder: null,
+    leaderboards: [],
+    achievements: [],
+    controllerMappings: [],
+  };
+}
+
+function str(v: unknown, field: string, max: number, errors: string[]): string | undefined {
+  if (v === undefined || v === null) return undefined;
+  if (typeof v !== "string" && typeof v !== "number") {
+    errors.push(`${field} must be a string`);
+    return undefined;
+  }
+  const s = String(v).trim();
+  if (s.length > max) {
+    errors.push(`${field} is longer than ${max} characters; truncated`);
+    return s.slice(0, max);
+  }
+  return s;
+}
+
+function aspect(v: unknown, errors: string[]): string | null | undefined {
+  if (v === undefined || v === null) return undefined;
+  // Accept "16:9", "16/9", "16x9" or a plain ratio number like 1.7778
+  if (typeof v === "number" && isFinite(v) && v > 0) return `${+v.toFixed(4)}:1`;
+  if (typeof v === "string") {
+    const m = v.trim().match(/^(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)$/i);
+    if (m && Number(m[1]) > 0 && Number(m[2]) > 0) return `${Number(m[1])}:${Number(m[2])}`;
+  }
+  errors.push("aspectRatio must look like \"16:9\"");
+  return undefined;
+}
+
+function players(v: unknown, errors: string[]): { min: number; max: number } | undefined {
+  if (v === undefined || v === null) return undefined;
+  const clamp = (n: number) => Math.max(1, Math.min(16, Math.floor(n)));
+  if (typeof v === "number" && isFinite(v)) return { min: 1, max: clamp(v) };
+  if (typeof v === "string" && /^\d+(\s*-\s*\d+)?$/.test(v.trim())) {
+    const [a, b] = v.split("-").map((s) => clamp(Number(s)));
+    return b === undefined ? { min: 1, max: a } : { min: Math.min(a, b), max: Math.max(a, b) };
+  }
+  if (typeof v === "object" && !Array.isArray(v)) {
+    const o = v as Record<string, unknown>;
+    const min = typeof o.min === "number" && isFinite(o.min) ? clamp(o.min) : 1;
+    const max = typeof o.max === "number" && isFinite(o.max) ? clamp(o.max) : min;
+    return { min: Math.min(min, max), max: Math.max(min, max) };
+  }
+  errors.push("players must be a number, \"min-max\" or { min, max }");
+  return undefined;
+}
+
+function tags(v: unknown, errors: string[]): string[] | undefined {
+  if (v === undefined || v === null) return undefined;
+  if (!Array.isArray(v)) {
+    errors.push("tags must be an array of strings");
+    return undefined;
+  }
+  const out: string[] = [];
+  for (const t of v) {
+    if (typeof t !== "string" || !t.trim()) continue;
+    const tag = t.trim().toLowerCase().slice(0, 32);
+    if (!out.includes(tag)) out.push(tag);
+  }
+  return out.slice(0, 20);
+}
+
+function controls(v: unknown, errors: string[]): GameControl[] | undefined {
+  if (v === undefined || v === null) return undefined;
+  if (typeof v !== "object") {
+    errors.push("controls must be a list of { input, action }");
+    return undefined;
+  }
+  const out: GameControl[] = [];
+  // Either [{ input, action }] or a map { "Arrows": "Move" }
+  const pairs: [unknown, unknown][] = Array.isArray(v)
+    ? v.map((c) => c && typeof c === "object" ? [c.input, c.action] : [c, undefined])
+    : Object.entries(v as Record<string, unknown>);
+  for (const [input, action] of pairs) {
+    if (typeof input !== "string" || typeof action !== "string" || !input.trim() || !action.trim()) {
+      errors.push("controls entries need string input and action");
+      continue;
+    }
+    out.push({ input: input.trim().slice(0, 40), action: action.trim().slice(0, 80) });
+  }
+  return out.slice(0, 32);
+}
+
+// [{ id, title?, order? }] or just ids; order is "desc" (higher is better) unless "asc"
+function leaderboards(v: unknown, errors: string[]): GameLeaderboard[] | undefined {
+  if (v === undefined || v === null) return undefined;
+  if (!Array.isArray(v)) {
+    errors.push("leaderboards must be a list of { id, title, order }");
+    return undefined;
+  }
+  const out: GameLeaderboard[] = [];
+  for (const b of v) {
+    const o = (typeof b === "string" ? { id: b } : b ?? {}) as Record<string, unknown>;
+    if (typeof o.id !== "string" || !LEADERBOARD_ID.test(o.id)) {
+      errors.push("leaderboards entries need an id of letters, digits, _, . or -");
+      continue;
+    }
+    if (o.order !== undefined && o.order !== "asc" && o.order !== "desc") {
+      errors.push(`leaderboard ${o.id}: order must be "asc" or "desc"`);
+    }
+    if (out.some((x) => x.id === o.id)) continue;
+    const title = str(o.title, `leaderboard ${o.id} title`, 80, errors) || o.id;
+    out.push({ id: o.id, title, order: o.order === "asc" ? "asc" : "desc" });
+  }
+  return out.slice(0, 16);
+}
+
+// A path inside the game folder: relative, no "..", no URL
+function gamePath(v: unknown, field: string, errors: string[]): string | undefined {
+  const s = str(v, field, 260, errors)?.replace(/\\/g, "/").replace(/^\.\//, "");
+  if (!s) return undefined;
+  if (s.startsWith("/") || s.split("/").includes("..") || /^[a-z][\w+.-]*:/i.test(s)) {
+    errors.push(`${field} must be a path inside the game folder`);
+    return undefined;
+  }
+  return s;
+}
+
+function achievements(v: unknown, errors: string[]): GameAchievement[] | undefined {
+  if (v === undefined || v === null) return undefined;
+  if (!Array.isArray(v)) {
+    errors.push("achievements must be a list of { id, title, description, icon, hidden }");
+    return undefined;
+  }
+  const out: GameAchievement[] = [];
+  for (const a of v) {
+    const o = (a ?? {}) as Record<string, unknown>;
+    if (typeof o.id !== "string" || !ACHIEVEMENT_ID.test(o.id)) {
+      errors.push("achievements entries need an id of letters, digits, _, . or -");
+      continue;
+    }
+    if (out.some((x) => x.id === o.id)) {
+      errors.push(`achievement ${o.id} is declared twice`);
+      continue;
+    }
+    out.push({
+      id: o.id,
+      title: str(o.title, `achievement ${o.id} title`, 80, errors) || o.id,
+      description: str(o.description, `achievement ${o.id} description`, 300, errors) ?? "",
+      icon: gamePath(o.icon, `achievement ${o.id} icon`, errors) ?? null,
+      hidden: o.hidden === true,
+    });
+  }
+  return out.slice(0, 200);
+}
+
+// { dpad: { up: { keyboardKey: "w" } }, face: { btnBottom: { keyboardKey: "z", gamepadButton: 0 } } }
+function controllerMapping(v: unknown, field: string, errors: string[]): GameControllerMapping {
+  if (v === undefined || v === null) return {};
+  if (typeof v !== "object" || Array.isArray(v)) {
+    errors.push(`${field} must be an object of button groups`);
+    return {};
+  }
+  const out: Record<string, Record<string, ButtonBinding>> = {};
+  for (const [group, buttons] of Object.entries(v as Record<string, unknown>)) {
+    const names = (CONTROLLER_BUTTONS as Record<string, readonly string[]>)[group];
+    if (!names || !buttons || typeof buttons !== "object") {
+      const groups = Object.keys(CONTROLLER_BUTTONS).join(", ");
+      errors.push(`${field}.${group} is not a button group (${groups})`);
+      continue;
+    }
+    for (const [button, binding] of Object.entries(buttons as Record<string, unknown>)) {
+      const name = `${field}.${group}.${button}`;
+      if (!names.includes(button)) {
+        errors.push(`${name} is not a button (${names.join(", ")})`);
+        continue;
+      }
+      // A plain string is the keyboard key
+      const raw = (typeof binding === "string" ? { keyboardKey: binding } : binding ?? {}) as Record<string, unknown>;
+      const b: ButtonBinding = {};
+      if (typeof raw.keyboardKey === "string" && raw.keyboardKey) b.keyboardKey = raw.keyboardKey.slice(0, 20);
+      else if (raw.keyboardKey !== undefined) errors.push(`${name}.keyboardKey must be a key name`);
+      const pad = raw.gamepadButton;
+      if (typeof pad === "number" && Number.isInteger(pad) && pad >= 0 && pad < 32) b.gamepadButton = pad;
+      else if (pad !== undefined) errors.push(`${name}.gamepadButton must be a button index (0-31)`);
+      if (Object.keys(b).length) (out[group] ??= {})[button] = b;
+    }
+  }
+  return out;
+}
+
+// controllerMappings: [player 1, player 2, ...] (null for a player without defaults); a single
+// controllerMapping is player 1's
+function controllerMappings(r: Record<string, unknown>, errors: string[]): GameControllerMapping[] | undefined {
+  if (r.controllerMappings === undefined || r.controllerMappings === null) {
+    if (r.controllerMapping === undefined || r.controllerMapping === null) return undefined;
+    return [controllerMapping(r.controllerMapping, "controllerMapping", errors)];
+  }
+  if (!Array.isArray(r.controllerMappings)) {
+    errors.push("controllerMappings must be a list with one mapping per player");
+    return undefined;
+  }
+  if (r.controllerMappings.length > MAX_MAPPED_PLAYERS) {
+    errors.push(`controllerMappings has more than ${MAX_MAPPED_PLAYERS} players; the rest are ignored`);
+  }
+  return r.controllerMappings.slice(0, MAX_MAPPED_PLAYERS)
+    .map((m, i) => controllerMapping(m, `controllerMappings[${i}]`, errors));
+}
+
+function sortOrder(v: unknown, errors: string[]): number | undefined {
+  if (v === undefined || v === null) return undefined;
+  const n = typeof v === "string" && v.trim() ? Number(v) : v;
+  if (typeof n !== "number" || !Number.isFinite(n)) {
+    errors.push("sortOrder must be a number");
+    return undefined;
+  }
+  return Math.max(-1e6, Math.min(1e6, Math.round(n)));
+}
+
+function source(v: unknown, errors: string[]): GameSource | undefined {
+  if (v === undefined || v === null) return undefined;
+  const o = v as Record<string, unknown>;
+  if (typeof v !== "object" || Array.isArray(v) || (o.type !== "github" && o.type !== "zip")) {
+    errors.push("source must be an object with type \"github\" or \"zip\"");
+    return undefined;
+  }
+  const out: GameSource = { type: o.type, importedAt: "" };
+  for (const k of ["repo", "kind", "ref", "asset", "filename", "subdir", "importedAt"] as const) {
+    const s = str(o[k], `source.${k}`, 260, errors);
+    if (s) out[k] = s;
+  }
+  if (typeof o.sha === "string" && /^[0-9a-f]{7,40}$/i.test(o.sha)) out.sha = o.sha.toLowerCase();
+  else if (o.type === "github") out.sha = null;
+  if (o.latest === true) out.latest = true;
+  return out;
+}
+
+// Validate an already-parsed manifest object against defaults for `id`
+export function normalizeManifest(id: string, raw: unknown, errors: string[] = []): GameManifest {
+  const m = defaultManifest(id);
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push("manifest must be a JSON object");
+    return m;
+  }
+  const r = raw as Record<string, unknown>;
+  // `name` is accepted as an alias of `title`
+  const title = str(r.title ?? r.name, "title", 80, errors);
+  if (title) m.title = title;
+  m.description = str(r.description, "description", 1000, errors) ?? m.description;
+  m.author = str(r.author, "author", 80, errors) ?? m.author;
+  m.version = str(r.version, "version", 32, errors) ?? m.version;
+  const engine = str(r.engine, "engine", 32, errors)?.toLowerCase();
+  if (engine) {
+    m.engine = (ENGINES as readonly string[]).includes(engine) ? engine as Engine : "other";
+  }
+  m.engineVersion = str(r.engineVersion, "engineVersion", 32, errors) ?? m.engineVersion;
+  m.aspectRatio = aspect(r.aspectRatio, errors) ?? m.aspectRatio;
+  m.players = players(r.players, errors) ?? m.players;
+  m.tags = tags(r.tags, errors) ?? m.tags;
+  m.controls = controls(r.controls, errors) ?? m.controls;
+  m.entry = str(r.entry, "entry", 260, errors) ?? m.entry;
+  m.source = source(r.source, errors) ?? m.source;
+  m.sortOrder = sortOrder(r.sortOrder, errors) ?? m.sortOrder;
+  m.leaderboards = leaderboards(r.leaderboards, errors) ?? m.leaderboards;
+  m.achievements = achievements(r.achievements, errors) ?? m.achievements;
+  m.controllerMappings = controllerMappings(r, errors) ?? m.controllerMappings;
+  return m;
+}
+
+// Fields the launcher lets users edit (PATCH /api/games/:id); edited values survive updates
+export const EDITABLE_FIELDS = ["title", "description", "tags", "sortOrder"] as const;
+export const EDITED_FIELDS_KEY = "editedFields";
+
+// Validate a metadata edit. Returns the game.json patch; null or "" clears a field.
+export function validateManifestEdit(input: Record<string, unknown>, errors: string[]): Record<string, unknown> {
+  const patch: Record<string, unknown> = {};
+  const cleared = (v: unknown) => v === null || (typeof v === "string" && !v.trim());
+  if ("title" in input) patch.title = cleared(input.title) ? undefined : str(input.title, "title", 80, errors);
+  if ("description" in input) {
+    patch.description = cleared(input.description) ? undefined : str(input.description, "description", 1000, errors);
+  }
+  if ("tags" in input) {
+    // A comma-separated string is accepted too, as typed in the edit screen
+    const raw = typeof input.tags === "string" ? input.tags.split(",") : input.tags;
+    patch.tags = cleared(input.tags) ? undefined : tags(raw, errors);
+  }
+  if ("sortOrder" in input) patch.sortOrder = cleared(input.sortOrder) ? undefined : sortOrder(input.sortOrder, errors);
+  return patch;
+}
+
+export async function readGameManifest(id: string, gameDir: string): Promise<ManifestResult> {
+  const errors: string[] = [];
+  let text: string;
+  try {
+    const stat = await Deno.stat(join(gameDir, MANIFEST_FILE));
+    if (!stat.isFile) throw new Error("not file");
+    if (stat.size > MAX_MANIFEST_BYTES) {
+      return { manifest: defaultManifest(id), hasManifest: true, errors: [`${MANIFEST_FILE} is too large`] };
+    }
+    text = await Deno.readTextFile(join(gameDir, MANIFEST_FILE));
+  } catch {
+    return { manifest: defaultManifest(id), hasManifest: false, errors };
+  }
+  let raw: unknown;
+  try {
+    // Tolerate a UTF-8 BOM, common in files saved by Windows editors
+    raw = JSON.parse(text.replace(/^\uFEFF/, ""));
+  } catch (e) {
+    errors.push(`invalid JSON: ${e instanceof Error ? e.message : String(e)}`);
+    return { manifest: defaultManifest(id), hasManifest: true, errors };
+  }
+  return { manifest: normalizeManifest(id, raw, errors), hasManifest: true, errors };
+}
+
+// Read game.json as-is (unvalidated); {} when missing. One that isn't a JSON object is refused
+// (422) rather than read as empty, which would have it overwritten by the next update.
+export async function readRawManifest(gameDir: string): Promise<Record<string, unknown>> {
+  let text: string;
+  try {
+    text = await Deno.readTextFile(join(gameDir, MANIFEST_FILE));
+  } catch (e) {
+    if (e instanceof Deno.errors.NotFound) return {};
+    throw e;
+  }
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text.replace(/^\uFEFF/, ""));
+  } catch (e) {
+    throw new HttpError(`${MANIFEST_FILE} is not valid JSON (${e instanceof Error ? e.message : e}); fix it first`, 422);
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new HttpError(`${MANIFEST_FILE} must be a JSON object; fix it first`, 422);
+  }
+  return parsed as Record<string, unknown>;
+}
+
+// Merge `patch` into game.json, keeping any fields the launcher doesn't know about.
+// `undefined` values remove a field; a game.json that can't be read is left alone (422).
+export async function updateGameManifest(gameDir: string, patch: Record<string, unknown>) {
+  const raw = await readRawManifest(gameDir);
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === undefined) delete raw[k];
+    else raw[k] = v;
+  }
+  await Deno.writeTextFile(join(gameDir, MANIFEST_FILE), JSON.stringify(raw, null, 2) + "\n");
+  return raw;
+}
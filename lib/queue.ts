@@ -0,0 +1,18 @@
+// Per-key write queues
+// Read-modify-write updates of one file must not interleave; each queue runs the tasks for a key
+// one at a time, in order, and forgets the key once it's idle.
+
+export type KeyedQueue = <T>(key: string, run: () => Promise<T>) => Promise<T>;
+
+export function createKeyedQueue(): KeyedQueue {
+  const queues = new Map<string, Promise<unknown>>();
+  return <T>(key: string, run: () => Promise<T>): Promise<T> => {
+    const next = (queues.get(key) ?? Promise.resolve()).then(run, run);
+    const tail = next.catch(() => {});
+    queues.set(key, tail);
+    tail.then(() => {
+      if (queues.get(key) === tail) queues.delete(key);
+    });
+    return next;
+  };
+}
@@ -0,0 +1,168 @@
+// Game save data
+// A server-side mirror of each game's localStorage, so saves survive kiosk browsers that start
+// with a fresh profile. Stored as DATA_DIR/games/<id>/saves.json, one entry per key; removed keys
+// are kept as tombstones (value null) so a removal reaches every launcher.
+//
+// Clients send the keys they changed, each with the (client) time it was written, plus `since`:
+// the save's updatedAt when they last synced. A key written on the server after `since` was
+// changed elsewhere meanwhile; that's a conflict, and the later write wins. Clearing the saves or
+// restoring a save slot starts them over: changes from a client that last synced before that
+// (e.g. the final save of the game page being unloaded for it) are stale and not applied.
+
+import { ensureDir } from "https://deno.land/std@0.224.0/fs/ensure_dir.ts";
+import { join } from "https://deno.land/std@0.224.0/path/mod.ts";
+import { HttpError } from "./errors.ts";
+import { gameDataDir } from "./library.ts";
+import { createKeyedQueue } from "./queue.ts";
+
+export const SAVES_FILE = "saves.json";
+
+type SaveItem = {
+  value: string | null; // null: removed
+  writtenAt: number; // client time of the write; decides conflicts
+  savedAt: number; // server time it was stored
+};
+
+type SaveFile = {
+  updatedAt: number; // server time of the last change
+  resetAt?: number; // server time the saves were last cleared or replaced
+  items: Record<string, SaveItem>;
+};
+
+export type SaveChange = { value: string | null; writtenAt: number };
+
+export type SaveSnapshot = {
+  updatedAt: number;
+  items: Record<string, string | null>;
+};
+
+export type SaveResult = {
+  updatedAt: number;
+  // Keys where another launcher's newer value won; the client should take these
+  conflicts: Record<string, string | null>;
+};
+
+export function saveMaxBytesFromEnv(): number {
+  const v = Number(Deno.env.get("CMG_SAVE_MAX_BYTES"));
+  return Number.isFinite(v) && v > 0 ? v : 10 * 1024 * 1024;
+}
+
+function savePath(dataDir: string, id: string): string {
+  return join(gameDataDir(dataDir, id), SAVES_FILE);
+}
+
+async function readSaveFile(dataDir: string, id: string): Promise<SaveFile> {
+  try {
+    const raw = JSON.parse(await Deno.readTextFile(savePath(dataDir, id)));
+    if (raw && typeof raw.updatedAt === "number" && raw.items && typeof raw.items === "object") return raw;
+  } catch (e) {
+    if (!(e instanceof Deno.errors.NotFound)) console.warn(`Ignoring unreadable saves for ${id}:`, e);
+  }
+  return { updatedAt: 0, items: {} };
+}
+
+function snapshot(save: SaveFile): SaveSnapshot {
+  const items: Record<string, string | null> = {};
+  for (const [key, item] of Object.entries(save.items)) items[key] = item.value;
+  return { updatedAt: save.updatedAt, items };
+}
+
+export async function readSaves(dataDir: string, id: string): Promise<SaveSnapshot> {
+  return snapshot(await readSaveFile(dataDir, id));
+}
+
+export function parseSaveChanges(body: unknown): { since: number; changes: Record<string, SaveChange> } {
+  const { since, changes } = (body ?? {}) as { since?: unknown; changes?: unknown };
+  if (typeof since !== "number" || !changes || typeof changes !== "object" || Array.isArray(changes)) {
+    throw new HttpError("expected { since: number, changes: { [key]: { value, writtenAt } } }");
+  }
+  const out: Record<string, SaveChange> = {};
+  for (const [key, change] of Object.entries(changes)) {
+    const { value, writtenAt } = (change ?? {}) as { value?: unknown; writtenAt?: unknown };
+    if ((typeof value !== "string" && value !== null) || typeof writtenAt !== "number") {
+      throw new HttpError(`Invalid change for "${key}"`);
+    }
+    out[key] = { value, writtenAt };
+  }
+  return { since, changes: out };
+}
+
+// Writes to one game's saves are applied one at a time
+const enqueue = createKeyedQueue();
+
+async function writeSaveFile(dataDir: string, id: string, save: SaveFile, maxBytes: number) {
+  const text = JSON.stringify(save);
+  if (text.length > maxBytes) {
+    throw new HttpError(`Save data for ${id} would exceed ${maxBytes} bytes`, 413);
+  }
+  await ensureDir(gameDataDir(dataDir, id));
+  const path = savePath(dataDir, id);
+  await Deno.writeTextFile(`${path}.tmp`, text);
+  await Deno.rename(`${path}.tmp`, path);
+}
+
+export function applySaveChanges(
+  dataDir: string,
+  id: string,
+  since: number,
+  changes: Record<string, SaveChange>,
+  maxBytes: number,
+): Promise<SaveResult> {
+  return enqueue(id, async () => {
+    const save = await readSaveFile(dataDir, id);
+    const conflicts: Record<string, string | null> = {};
+    const now = Math.max(Date.now(), save.updatedAt + 1);
+    const stale = since < (save.resetAt ?? 0);
+    let changed = false;
+    for (const [key, change] of Object.entries(changes)) {
+      const current = save.items[key];
+      if (stale) {
+        // The client takes the save as it is now
+        if ((current?.value ?? null) !== change.value) conflicts[key] = current?.value ?? null;
+        continue;
+      }
+      if (current && current.savedAt > since && current.writtenAt > change.writtenAt) {
+        if (current.value !== change.value) conflicts[key] = current.value;
+        continue;
+      }
+      if ((current?.value ?? null) === change.value) continue;
+      save.items[key] = { value: change.value, writtenAt: change.writtenAt, savedAt: now };
+      changed = true;
+    }
+    if (changed) {
+      save.updatedAt = now;
+      await writeSaveFile(dataDir, id, save, maxBytes);
+    }
+    return { updatedAt: save.updatedAt, conflicts };
+  });
+}
+
+// Forget a game's saves (the launcher's "Clear Game Data"). An empty save is kept to remember when.
+export function clearSaves(dataDir: string, id: string): Promise<void> {
+  return enqueue(id, async () => {
+    const now = Math.max(Date.now(), (await readSaveFile(dataDir, id)).updatedAt + 1);
+    await writeSaveFile(dataDir, id, { updatedAt: now, resetAt: now, items: {} }, Infinity);
+  });
+}
+
+// Make `items` the game's whole save (restoring a save slot). Every launcher takes it as the newest
+// write; keys that aren't in it are removed.
+export function replaceSaves(
+  dataDir: string,
+  id: string,
+  items: Record<string, string>,
+  maxBytes: number,
+): Promise<SaveSnapshot> {
+  return enqueue(id, async () => {
+    const save = await readSaveFile(dataDir, id);
+    const now = Math.max(Date.now(), save.updatedAt + 1);
+    for (const key of Object.keys(save.items)) {
+      if (!Object.hasOwn(items, key)) save.items[key] = { value: null, writtenAt: now, savedAt: now };
+    }
+    for (const [key, value] of Object.entries(items)) save.items[key] = { value, writtenAt: now, savedAt: now };
+    save.updatedAt = now;
+    save.resetAt = now;
+    await writeSaveFile(dataDir, id, save, maxBytes);
+    return snapshot(save);
+  });
+}
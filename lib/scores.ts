@@ -0,0 +1,154 @@
+// High scores
+// Per-game leaderboards in DATA_DIR/games/<id>/scores.json. A game declares its boards in game.json
+// (`leaderboards`); a board it didn't declare is created by its first score, sorted the way that
+// score asks ("desc" by default). Each board keeps its best CMG_SCORES_PER_BOARD entries.
+
+import { ensureDir } from "https://deno.land/std@0.224.0/fs/ensure_dir.ts";
+import { join } from "https://deno.land/std@0.224.0/path/mod.ts";
+import { HttpError } from "./errors.ts";
+import { gameDataDir } from "./library.ts";
+import { type GameLeaderboard, LEADERBOARD_ID, type ScoreOrder } from "./manifest.ts";
+import { createKeyedQueue } from "./queue.ts";
+
+export const SCORES_FILE = "scores.json";
+const MAX_NAME_LENGTH = 16;
+const MAX_BOARDS = 32;
+
+export type ScoreEntry = {
+  score: number;
+  name: string; // initials or player name; may be empty
+  profile: string | null; // launcher profile or player slot, when known
+  at: string; // ISO date
+};
+
+export type Leaderboard = GameLeaderboard & { entries: ScoreEntry[] };
+
+export type NewScore = {
+  board: string;
+  score: number;
+  name: string;
+  profile: string | null;
+  order?: ScoreOrder; // for a board the game didn't declare
+};
+
+type ScoresFile = {
+  boards: Record<string, { order: ScoreOrder; entries: ScoreEntry[] }>;
+};
+
+export function scoresPerBoardFromEnv(): number {
+  const v = Number(Deno.env.get("CMG_SCORES_PER_BOARD"));
+  return Number.isFinite(v) && v >= 1 ? Math.floor(v) : 100;
+}
+
+function scoresPath(dataDir: string, id: string): string {
+  return join(gameDataDir(dataDir, id), SCORES_FILE);
+}
+
+async function readScoresFile(dataDir: string, id: string): Promise<ScoresFile> {
+  try {
+    const raw = JSON.parse(await Deno.readTextFile(scoresPath(dataDir, id)));
+    if (raw && raw.boards && typeof raw.boards === "object") return raw;
+  } catch (e) {
+    if (!(e instanceof Deno.errors.NotFound)) console.warn(`Ignoring unreadable scores for ${id}:`, e);
+  }
+  return { boards: {} };
+}
+
+function better(order: ScoreOrder) {
+  // Equal scores: the earlier one ranks first
+  return (a: ScoreEntry, b: ScoreEntry) =>
+    (order === "asc" ? a.score - b.score : b.score - a.score) || a.at.localeCompare(b.at);
+}
+
+// Declared boards first, in game.json order, then the ones created by scores; `limit` entries each
+export async function readLeaderboards(
+  dataDir: string,
+  id: string,
+  declared: GameLeaderboard[],
+  limit = Infinity,
+): Promise<Leaderboard[]> {
+  const file = await readScoresFile(dataDir, id);
+  const boards: Leaderboard[] = declared.map((b) => ({
+    ...b,
+    entries: file.boards[b.id]?.entries.slice(0, limit) ?? [],
+  }));
+  for (const [boardId, board] of Object.entries(file.boards)) {
+    if (declared.some((b) => b.id === boardId)) continue;
+    boards.push({ id: boardId, title: boardId, order: board.order, entries: board.entries.slice(0, limit) });
+  }
+  return boards;
+}
+
+export function parseScore(body: unknown): NewScore {
+  const b = (body ?? {}) as Record<string, unknown>;
+  const board = b.board === undefined || b.board === null || b.board === "" ? "default" : b.board;
+  if (typeof board !== "string" || !LEADERBOARD_ID.test(board)) {
+    throw new HttpError("board must be letters, digits, _, . or - (at most 40)");
+  }
+  if (typeof b.score !== "number" || !Number.isFinite(b.score)) {
+    throw new HttpError("score must be a finite number");
+  }
+  if (b.order !== undefined && b.order !== "asc" && b.order !== "desc") {
+    throw new HttpError('order must be "asc" or "desc"');
+  }
+  const name = typeof b.name === "string" ? b.name.trim().slice(0, MAX_NAME_LENGTH) : "";
+  const profile = typeof b.profile === "string" && b.profile.trim() ? b.profile.trim().slice(0, 64) : null;
+  return { board, score: b.score, name, profile, order: b.order };
+}
+
+// Writes to one game's scores are applied one at a time
+const enqueue = createKeyedQueue();
+
+// Record a score. `rank` is its 1-based place on the board, or null if it didn't make the table.
+export function submitScore(
+  dataDir: string,
+  id: string,
+  declared: GameLeaderboard[],
+  score: NewScore,
+  keep: number,
+): Promise<{ board: string; rank: number | null; entry: ScoreEntry }> {
+  return enqueue(id, async () => {
+    const file = await readScoresFile(dataDir, id);
+    let board = file.boards[score.board];
+    if (!board) {
+      if (Object.keys(file.boards).length >= MAX_BOARDS) {
+        throw new HttpError(`A game can have at most ${MAX_BOARDS} boards`);
+      }
+      const order = declared.find((b) => b.id === score.board)?.order ?? score.order ?? "desc";
+      board = file.boards[score.board] = { order, entries: [] };
+    }
+    const at = new Date().toISOString();
+    const entry: ScoreEntry = { score: score.score, name: score.name, profile: score.profile, at };
+    board.entries.push(entry);
+    board.entries.sort(better(board.order));
+    board.entries = board.entries.slice(0, keep);
+    const index = board.entries.indexOf(entry);
+    if (index !== -1) {
+      await ensureDir(gameDataDir(dataDir, id));
+      const path = scoresPath(dataDir, id);
+      await Deno.writeTextFile(`${path}.tmp`, JSON.stringify(file));
+      await Deno.rename(`${path}.tmp`, path);
+    }
+    return { board: score.board, rank: index === -1 ? null : index + 1, entry };
+  });
+}
+
+// Reset one board, or every board when `board` is null
+export function clearScores(dataDir: string, id: string, board: string | null): Promise<void> {
+  return enqueue(id, async () => {
+    const path = scoresPath(dataDir, id);
+    if (board === null) {
+      try {
+        await Deno.remove(path);
+      } catch (e) {
+        if (!(e instanceof Deno.errors.NotFound)) throw e;
+      }
+      return;
+    }
+    const file = await readScoresFile(dataDir, id);
+    if (!file.boards[board]) return;
+    delete file.boards[board];
+    await Deno.writeTextFile(`${path}.tmp`, JSON.stringify(file));
+    await Deno.rename(`${path}.tmp`, path);
+  });
+}
@@ -0,0 +1,83 @@
+// Play sessions
+// The launcher starts a session when it opens a game and gets a token that it keeps to itself.
+// Whatever the game reports through the launcher (scores) carries that token, so a page that
+// didn't get one from the launcher can't post for a game. While the game runs the launcher pings
+// the session; when it ends (or the pings stop) the play is recorded in the game's stats.
+// Sessions live in memory; a restart ends them all without recording them.
+
+import { HttpError } from "./errors.ts";
+import { type EndReason, recordLaunch, recordPlay } from "./stats.ts";
+
+export const SESSION_HEADER = "x-cmg-session";
+// A session nobody has pinged or used for this long was abandoned (the launcher's page died)
+const SESSION_IDLE_MS = 5 * 60 * 1000;
+
+export type PlaySession = {
+  token: string;
+  gameId: string;
+  startedAt: string;
+};
+
+type ActiveSession = PlaySession & { dataDir: string; lastSeen: number };
+
+const sessions = new Map<string, ActiveSession>();
+
+function finish(s: ActiveSession, reason: EndReason, endedAt: number) {
+  sessions.delete(s.token);
+  const durationMs = Math.max(0, endedAt - Date.parse(s.startedAt));
+  const play = { startedAt: s.startedAt, endedAt: new Date(endedAt).toISOString(), durationMs, reason };
+  return recordPlay(s.dataDir, s.gameId, play).catch((e) => {
+    console.error(`Could not record a play session of ${s.gameId}:`, e);
+  });
+}
+
+// Record the sessions whose launcher went quiet
+export function expireSessions(now = Date.now()) {
+  for (const s of sessions.values()) {
+    if (now - s.lastSeen > SESSION_IDLE_MS) finish(s, "abandoned", s.lastSeen);
+  }
+}
+
+// `resumed`: the launcher lost its session (e.g. the server restarted) and the game is still
+// running; it gets a new token without counting another launch
+export async function startSession(dataDir: string, gameId: string, resumed = false): Promise<PlaySession> {
+  const now = Date.now();
+  expireSessions(now);
+  const session = { token: crypto.randomUUID(), gameId, startedAt: new Date(now).toISOString() };
+  sessions.set(session.token, { ...session, dataDir, lastSeen: now });
+  if (!resumed) {
+    await recordLaunch(dataDir, gameId, session.startedAt).catch((e) => {
+      console.error(`Could not record a launch of ${gameId}:`, e);
+    });
+  }
+  return session;
+}
+
+function activeSession(token: string | null): ActiveSession {
+  const now = Date.now();
+  expireSessions(now);
+  const s = token ? sessions.get(token) : undefined;
+  if (!s) throw new HttpError("no active play session", 403);
+  s.lastSeen = now;
+  return s;
+}
+
+// The session behind `token`, which must belong to `gameId`
+export function checkSession(token: string | null, gameId: string): PlaySession {
+  const s = activeSession(token);
+  if (s.gameId !== gameId) throw new HttpError("play session is for another game", 403);
+  return { token: s.token, gameId: s.gameId, startedAt: s.startedAt };
+}
+
+// The launcher's keep-alive while the game runs
+export function touchSession(token: string): PlaySession {
+  const s = activeSession(token);
+  return { token: s.token, gameId: s.gameId, startedAt: s.startedAt };
+}
+
+export async function endSession(token: string, reason: EndReason): Promise<boolean> {
+  const s = sessions.get(token);
+  if (!s) return false;
+  await finish(s, reason, Date.now());
+  return true;
+}
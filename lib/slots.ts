@@ -0,0 +1,197 @@
+// Save slots
+// Named snapshots of a game's saved storage, taken from the Game OSD, each with an optional PNG
+// screenshot: DATA_DIR/games/<id>/slots/<slot>.json and <slot>.png. Restoring a slot makes its
+// items the game's save (lib/saves.ts). A slot exports as one JSON file, screenshot included, so
+// it can be imported on another cabinet.
+
+import { ensureDir } from "https://deno.land/std@0.224.0/fs/ensure_dir.ts";
+import { join } from "https://deno.land/std@0.224.0/path/mod.ts";
+import { HttpError } from "./errors.ts";
+import { isPng } from "./image/png.ts";
+import { gameDataDir } from "./library.ts";
+
+const SLOTS_DIR = "slots";
+const FORMAT = "cmg-save-slot";
+const FORMAT_VERSION = 1;
+const MAX_NAME_LENGTH = 80;
+const MAX_SCREENSHOT_BYTES = 5 * 1024 * 1024;
+
+export type SlotInfo = {
+  id: string;
+  name: string;
+  createdAt: string;
+  keys: number; // number of stored items
+  hasScreenshot: boolean;
+};
+
+type SlotFile = {
+  name: string;
+  createdAt: string;
+  items: Record<string, string>;
+};
+
+export type NewSlot = {
+  name: string;
+  items: Record<string, string>;
+  screenshot?: Uint8Array | null;
+};
+
+function slotsDir(dataDir: string, gameId: string): string {
+  return join(gameDataDir(dataDir, gameId), SLOTS_DIR);
+}
+
+function slotPath(dataDir: string, gameId: string, slotId: string, ext: "json" | "png"): string {
+  if (!/^[\w-]+$/.test(slotId)) throw new HttpError("slot not found", 404);
+  return join(slotsDir(dataDir, gameId), `${slotId}.${ext}`);
+}
+
+export function parseSlotItems(raw: unknown): Record<string, string> {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new HttpError("items must be an object");
+  const items: Record<string, string> = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (typeof value !== "string") throw new HttpError(`Item "${key}" is not a string`);
+    items[key] = value;
+  }
+  return items;
+}
+
+function slotName(raw: unknown): string {
+  const name = typeof raw === "string" ? raw.trim().slice(0, MAX_NAME_LENGTH) : "";
+  return name || new Date().toISOString().slice(0, 16).replace("T", " ");
+}
+
+function checkScreenshot(bytes: Uint8Array) {
+  if (bytes.length > MAX_SCREENSHOT_BYTES) throw new HttpError("Screenshot is too large", 413);
+  if (!isPng(bytes)) throw new HttpError("Screenshot must be a PNG image", 415);
+}
+
+async function readSlotFile(dataDir: string, gameId: string, slotId: string): Promise<SlotFile> {
+  try {
+    return JSON.parse(await Deno.readTextFile(slotPath(dataDir, gameId, slotId, "json")));
+  } catch (e) {
+    if (e instanceof Deno.errors.NotFound) throw new HttpError("slot not found", 404);
+    throw e;
+  }
+}
+
+async function fileExists(path: string): Promise<boolean> {
+  try {
+    return (await Deno.stat(path)).isFile;
+  } catch {
+    return false;
+  }
+}
+
+async function slotInfo(dataDir: string, gameId: string, slotId: string, slot: SlotFile): Promise<SlotInfo> {
+  return {
+    id: slotId,
+    name: slot.name,
+    createdAt: slot.createdAt,
+    keys: Object.keys(slot.items).length,
+    hasScreenshot: await fileExists(slotPath(dataDir, gameId, slotId, "png")),
+  };
+}
+
+// Newest first
+export async function listSlots(dataDir: string, gameId: string): Promise<SlotInfo[]> {
+  const slots: SlotInfo[] = [];
+  try {
+    for await (const entry of Deno.readDir(slotsDir(dataDir, gameId))) {
+      const m = entry.name.match(/^([\w-]+)\.json$/);
+      if (!entry.isFile || !m) continue;
+      try {
+        slots.push(await slotInfo(dataDir, gameId, m[1], await readSlotFile(dataDir, gameId, m[1])));
+      } catch (e) {
+        console.warn(`Skipping unreadable save slot ${gameId}/${entry.name}:`, e);
+      }
+    }
+  } catch (e) {
+    if (!(e instanceof Deno.errors.NotFound)) throw e;
+  }
+  return slots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function createSlot(
+  dataDir: string,
+  gameId: string,
+  { name, items, screenshot }: NewSlot,
+  maxBytes: number,
+  createdAt = new Date().toISOString(),
+): Promise<SlotInfo> {
+  const slot: SlotFile = { name: slotName(name), createdAt, items };
+  const text = JSON.stringify(slot);
+  if (text.length > maxBytes) throw new HttpError(`Save slot would exceed ${maxBytes} bytes`, 413);
+  if (screenshot) checkScreenshot(screenshot);
+  const slotId = `${Date.now().toString(36)}-${crypto.randomUUID().slice(0, 8)}`;
+  await ensureDir(slotsDir(dataDir, gameId));
+  if (screenshot) await Deno.writeFile(slotPath(dataDir, gameId, slotId, "png"), screenshot);
+  await Deno.writeTextFile(slotPath(dataDir, gameId, slotId, "json"), text);
+  return slotInfo(dataDir, gameId, slotId, slot);
+}
+
+export async function readSlotItems(dataDir: string, gameId: string, slotId: string): Promise<Record<string, string>> {
+  return (await readSlotFile(dataDir, gameId, slotId)).items;
+}
+
+export async function readSlotScreenshot(
+  dataDir: string,
+  gameId: string,
+  slotId: string,
+): Promise<Uint8Array<ArrayBuffer>> {
+  try {
+    return await Deno.readFile(slotPath(dataDir, gameId, slotId, "png"));
+  } catch (e) {
+    if (e instanceof Deno.errors.NotFound) throw new HttpError("no screenshot", 404);
+    throw e;
+  }
+}
+
+export async function deleteSlot(dataDir: string, gameId: string, slotId: string) {
+  await readSlotFile(dataDir, gameId, slotId); // 404 if missing
+  for (const ext of ["png", "json"] as const) {
+    try {
+      await Deno.remove(slotPath(dataDir, gameId, slotId, ext));
+    } catch (e) {
+      if (!(e instanceof Deno.errors.NotFound)) throw e;
+    }
+  }
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function fromBase64(text: string): Uint8Array {
+  try {
+    return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+  } catch {
+    throw new HttpError("Invalid screenshot in save file");
+  }
+}
+
+export async function exportSlot(dataDir: string, gameId: string, slotId: string) {
+  const slot = await readSlotFile(dataDir, gameId, slotId);
+  let screenshot: string | null = null;
+  try {
+    screenshot = toBase64(await Deno.readFile(slotPath(dataDir, gameId, slotId, "png")));
+  } catch { /* none */ }
+  return { format: FORMAT, version: FORMAT_VERSION, game: gameId, ...slot, screenshot };
+}
+
+// Add an exported slot. Files from another game are accepted (its id may differ between
+// cabinets); the launcher asks before sending one.
+export async function importSlot(dataDir: string, gameId: string, file: unknown, maxBytes: number): Promise<SlotInfo> {
+  const f = (file ?? {}) as Record<string, unknown>;
+  if (f.format !== FORMAT) throw new HttpError("Not a save slot file");
+  if (typeof f.version !== "number" || f.version > FORMAT_VERSION) {
+    throw new HttpError("This save slot file is from a newer launcher", 415);
+  }
+  const createdAt = typeof f.createdAt === "string" && !isNaN(Date.parse(f.createdAt))
+    ? new Date(f.createdAt).toISOString()
+    : undefined;
+  const screenshot = typeof f.screenshot === "string" ? fromBase64(f.screenshot) : null;
+  const slot = { name: String(f.name ?? ""), items: parseSlotItems(f.items), screenshot };
+  return await createSlot(dataDir, gameId, slot, maxBytes, createdAt);
+}
@@ -0,0 +1,49 @@
+// Server-Sent Events helper
+// `start` receives a sender and returns an optional cleanup run when the client disconnects.
+
+export type SseSend = (event: string, data: unknown) => void;
+
+export function sseResponse(
+  start: (send: SseSend, close: () => void) => (() => void) | void,
+): Response {
+  const encoder = new TextEncoder();
+  let cleanup: (() => void) | void;
+  let keepAlive: ReturnType<typeof setInterval> | undefined;
+  let closed = false;
+  const stream = new ReadableStream<Uint8Array>({
+    start(controller) {
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(keepAlive);
+        try { cleanup?.(); } catch { /* ignore */ }
+        try { controller.close(); } catch { /* already closed */ }
+      };
+      const send: SseSend = (event, data) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        } catch {
+          close();
+        }
+      };
+      // Comment lines keep proxies and idle browsers from dropping the connection
+      keepAlive = setInterval(() => {
+        try { controller.enqueue(encoder.encode(": ping\n\n")); } catch { close(); }
+      }, 15000);
+      cleanup = start(send, close);
+    },
+    cancel() {
+      closed = true;
+      clearInterval(keepAlive);
+      try { cleanup?.(); } catch { /* ignore */ }
+    },
+  });
+  return new Response(stream, {
+    headers: {
+      "content-type": "text/event-stream",
+      "cache-control": "no-cache",
+      "connection": "keep-alive",
+    },
+  });
+}
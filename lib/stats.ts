@@ -0,0 +1,95 @@
+// Play statistics
+// Every play session of a game is appended to DATA_DIR/games/<id>/plays.jsonl, one JSON line each;
+// stats.json next to it keeps the totals the library needs (launches, playtime, last played) so
+// /api/stats doesn't have to read the whole log.
+
+import { ensureDir } from "https://deno.land/std@0.224.0/fs/ensure_dir.ts";
+import { join } from "https://deno.land/std@0.224.0/path/mod.ts";
+import { gameDataDir } from "./library.ts";
+import { createKeyedQueue } from "./queue.ts";
+
+export const PLAYS_FILE = "plays.jsonl";
+export const STATS_FILE = "stats.json";
+
+// How a session ended: the player pressed Escape, chose Exit in the OSD, the game called
+// cmg.quit(), it crashed, another game was opened, the launcher page closed, or the launcher
+// stopped hearing from it
+export const END_REASONS = ["escape", "osd-exit", "quit", "crash", "switch", "closed", "abandoned"] as const;
+export type EndReason = typeof END_REASONS[number];
+
+export type PlayRecord = {
+  startedAt: string;
+  endedAt: string;
+  durationMs: number;
+  reason: EndReason;
+};
+
+export type GameStats = {
+  launches: number;
+  playtimeMs: number;
+  lastPlayedAt: string | null; // start of the latest session
+};
+
+function emptyStats(): GameStats {
+  return { launches: 0, playtimeMs: 0, lastPlayedAt: null };
+}
+
+function statsPath(dataDir: string, id: string): string {
+  return join(gameDataDir(dataDir, id), STATS_FILE);
+}
+
+export async function readGameStats(dataDir: string, id: string): Promise<GameStats> {
+  try {
+    const raw = JSON.parse(await Deno.readTextFile(statsPath(dataDir, id)));
+    if (raw && typeof raw.launches === "number" && typeof raw.playtimeMs === "number") return raw;
+  } catch (e) {
+    if (!(e instanceof Deno.errors.NotFound)) console.warn(`Ignoring unreadable stats for ${id}:`, e);
+  }
+  return emptyStats();
+}
+
+// Writes to one game's stats are applied one at a time
+const enqueue = createKeyedQueue();
+
+function updateStats(dataDir: string, id: string, update: (stats: GameStats) => void): Promise<void> {
+  return enqueue(id, async () => {
+    const stats = await readGameStats(dataDir, id);
+    update(stats);
+    await ensureDir(gameDataDir(dataDir, id));
+    const path = statsPath(dataDir, id);
+    await Deno.writeTextFile(`${path}.tmp`, JSON.stringify(stats));
+    await Deno.rename(`${path}.tmp`, path);
+  });
+}
+
+// Counted when the game starts, so a session that never ends still counts as a launch
+export function recordLaunch(dataDir: string, id: string, startedAt: string): Promise<void> {
+  return updateStats(dataDir, id, (stats) => {
+    stats.launches++;
+    if (!stats.lastPlayedAt || startedAt > stats.lastPlayedAt) stats.lastPlayedAt = startedAt;
+  });
+}
+
+export async function recordPlay(dataDir: string, id: string, play: PlayRecord): Promise<void> {
+  await ensureDir(gameDataDir(dataDir, id));
+  await Deno.writeTextFile(join(gameDataDir(dataDir, id), PLAYS_FILE), JSON.stringify(play) + "\n", {
+    append: true,
+  });
+  await updateStats(dataDir, id, (stats) => {
+    stats.playtimeMs += play.durationMs;
+    if (!stats.lastPlayedAt || play.startedAt > stats.lastPlayedAt) stats.lastPlayedAt = play.startedAt;
+  });
+}
+
+export async function libraryStats(dataDir: string, ids: string[]) {
+  const games: Record<string, GameStats> = {};
+  let launches = 0;
+  let playtimeMs = 0;
+  for (const id of ids) {
+    const stats = await readGameStats(dataDir, id);
+    games[id] = stats;
+    launches += stats.launches;
+    playtimeMs += stats.playtimeMs;
+  }
+  return { launches, playtimeMs, games };
+}
@@ -0,0 +1,307 @@
+// Game cover images
+// An upload (PNG, JPEG or WebP) is validated by decoding it, kept as thumbnail-original.<ext>, and
+// rendered to thumbnail.png at the 360x480 card size, cropped to fill ("cover") or letterboxed over
+// a blurred copy of itself ("contain"), plus a small blurred thumbnail-blur.png for backgrounds.
+
+import { join } from "https://deno.land/std@0.224.0/path/mod.ts";
+import { HttpError } from "./errors.ts";
+import { type Bitmap, createBitmap, type DecodeLimits, ImageError } from "./image/bitmap.ts";
+import { decodeJpeg, isJpeg } from "./image/jpeg.ts";
+import { decodePng, encodePng, isPng } from "./image/png.ts";
+import { decodeWebp, isWebp } from "./image/webp.ts";
+
+export const THUMBNAIL_FILE = "thumbnail.png";
+export const THUMBNAIL_BLUR_FILE = "thumbnail-blur.png";
+const ORIGINAL_NAME = "thumbnail-original";
+
+// Same ratio as the launcher's cards (and placeholderCard)
+export const COVER_WIDTH = 360;
+export const COVER_HEIGHT = 480;
+const BLUR_WIDTH = 90;
+const BLUR_HEIGHT = 120;
+const BLUR_RADIUS = 4;
+
+// Letterbox backdrop: the blurred image, darkened, over the card color
+const BACKDROP_BRIGHTNESS = 0.6;
+const CARD_COLOR = [0x02, 0x05, 0x25];
+
+export const THUMBNAIL_FITS = ["cover", "contain"] as const;
+export type ThumbnailFit = typeof THUMBNAIL_FITS[number];
+
+type ImageType = "png" | "jpeg" | "webp";
+const EXTENSIONS: Record<ImageType, string> = { png: "png", jpeg: "jpg", webp: "webp" };
+
+export type ThumbnailLimits = DecodeLimits & {
+  maxBytes: number;
+};
+
+export function thumbnailLimitsFromEnv(): ThumbnailLimits {
+  const num = (k: string, def: number) => {
+    const v = Number(Deno.env.get(k));
+    return Number.isFinite(v) && v > 0 ? v : def;
+  };
+  return {
+    maxBytes: num("CMG_THUMBNAIL_MAX_BYTES", 20 * 1024 * 1024),
+    maxPixels: num("CMG_THUMBNAIL_MAX_PIXELS", 40_000_000),
+  };
+}
+
+export type ThumbnailInfo = {
+  type: ImageType;
+  width: number; // of the original
+  height: number;
+  fit: ThumbnailFit;
+};
+
+function sniffImageType(bytes: Uint8Array): ImageType | null {
+  if (isPng(bytes)) return "png";
+  if (isJpeg(bytes)) return "jpeg";
+  if (isWebp(bytes)) return "webp";
+  return null;
+}
+
+async function decodeImage(bytes: Uint8Array, limits: ThumbnailLimits): Promise<{ type: ImageType; image: Bitmap }> {
+  if (bytes.length > limits.maxBytes) {
+    throw new ImageError(`Image is ${bytes.length} bytes; the limit is ${limits.maxBytes}`, 413);
+  }
+  const type = sniffImageType(bytes);
+  if (!type) throw new ImageError("Unsupported image type; upload a PNG, JPEG or WebP file", 415);
+  const image = type === "png"
+    ? await decodePng(bytes, limits)
+    : type === "jpeg"
+    ? decodeJpeg(bytes, limits)
+    : decodeWebp(bytes, limits);
+  return { type, image };
+}
+
+// Working copy: premultiplied RGBA floats, so resampling doesn't bleed color from transparent pixels
+type Canvas = { width: number; height: number; data: Float32Array };
+
+function toCanvas(img: Bitmap): Canvas {
+  const data = new Float32Array(img.data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const a = img.data[i + 3] / 255;
+    data[i] = img.data[i] * a;
+    data[i + 1] = img.data[i + 1] * a;
+    data[i + 2] = img.data[i + 2] * a;
+    data[i + 3] = img.data[i + 3];
+  }
+  return { width: img.width, height: img.height, data };
+}
+
+function toBitmap(c: Canvas): Bitmap {
+  const img = createBitmap(c.width, c.height);
+  for (let i = 0; i < c.data.length; i += 4) {
+    const a = c.data[i + 3];
+    const k = a > 0 ? 255 / a : 0;
+    img.data[i] = Math.round(Math.min(255, c.data[i] * k));
+    img.data[i + 1] = Math.round(Math.min(255, c.data[i + 1] * k));
+    img.data[i + 2] = Math.round(Math.min(255, c.data[i + 2] * k));
+    img.data[i + 3] = Math.round(Math.min(255, a));
+  }
+  return img;
+}
+
+type Taps = { start: Int32Array; count: Int32Array; weights: Float32Array; perPixel: number };
+
+// Resampling weights for one axis: area averaging when shrinking, linear interpolation when enlarging
+function taps(srcStart: number, srcSize: number, srcLimit: number, dstSize: number): Taps {
+  const scale = srcSize / dstSize;
+  const perPixel = scale > 1 ? Math.ceil(scale) + 2 : 2;
+  const start = new Int32Array(dstSize);
+  const count = new Int32Array(dstSize);
+  const weights = new Float32Array(dstSize * perPixel);
+  for (let d = 0; d < dstSize; d++) {
+    const center = srcStart + (d + 0.5) * scale;
+    const w = weights.subarray(d * perPixel, (d + 1) * perPixel);
+    if (scale > 1) {
+      const lo = Math.max(0, center - scale / 2), hi = Math.min(srcLimit, center + scale / 2);
+      const first = Math.floor(lo);
+      const n = Math.min(perPixel, Math.ceil(hi) - first);
+      let total = 0;
+      for (let i = 0; i < n; i++) {
+        w[i] = Math.max(0, Math.min(hi, first + i + 1) - Math.max(lo, first + i));
+        total += w[i];
+      }
+      for (let i = 0; i < n; i++) w[i] /= total || 1;
+      start[d] = first;
+      count[d] = n;
+    } else {
+      const p = Math.min(Math.max(center - 0.5, 0), srcLimit - 1);
+      const first = Math.min(Math.floor(p), Math.max(0, srcLimit - 2));
+      const f = p - first;
+      w[0] = 1 - f;
+      w[1] = f;
+      start[d] = first;
+      count[d] = srcLimit > 1 ? 2 : 1;
+    }
+  }
+  return { start, count, weights, perPixel };
+}
+
+// Resample the source rectangle (sx, sy, sw, sh) of `src` to a dw x dh canvas
+function resample(src: Canvas, sx: number, sy: number, sw: number, sh: number, dw: number, dh: number): Canvas {
+  const tx = taps(sx, sw, src.width, dw);
+  const ty = taps(sy, sh, src.height, dh);
+  // Horizontal pass over the rows that contribute, then vertical
+  const rowStart = ty.start[0];
+  const rowEnd = Math.min(src.height, ty.start[dh - 1] + ty.count[dh - 1]);
+  const mid = new Float32Array((rowEnd - rowStart) * dw * 4);
+  for (let y = rowStart; y < rowEnd; y++) {
+    for (let x = 0; x < dw; x++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let i = 0; i < tx.count[x]; i++) {
+        const w = tx.weights[x * tx.perPixel + i];
+        const s = (y * src.width + tx.start[x] + i) * 4;
+        r += src.data[s] * w;
+        g += src.data[s + 1] * w;
+        b += src.data[s + 2] * w;
+        a += src.data[s + 3] * w;
+      }
+      const d = ((y - rowStart) * dw + x) * 4;
+      mid[d] = r;
+      mid[d + 1] = g;
+      mid[d + 2] = b;
+      mid[d + 3] = a;
+    }
+  }
+  const out = new Float32Array(dw * dh * 4);
+  for (let y = 0; y < dh; y++) {
+    for (let x = 0; x < dw; x++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let i = 0; i < ty.count[y]; i++) {
+        const w = ty.weights[y * ty.perPixel + i];
+        const s = ((ty.start[y] + i - rowStart) * dw + x) * 4;
+        r += mid[s] * w;
+        g += mid[s + 1] * w;
+        b += mid[s + 2] * w;
+        a += mid[s + 3] * w;
+      }
+      const d = (y * dw + x) * 4;
+      out[d] = r;
+      out[d + 1] = g;
+      out[d + 2] = b;
+      out[d + 3] = a;
+    }
+  }
+  return { width: dw, height: dh, data: out };
+}
+
+// Scale to fill w x h, cropping the overflow evenly from both sides
+function cover(src: Canvas, w: number, h: number): Canvas {
+  const scale = Math.max(w / src.width, h / src.height);
+  const sw = w / scale, sh = h / scale;
+  return resample(src, (src.width - sw) / 2, (src.height - sh) / 2, sw, sh, w, h);
+}
+
+// Three box blurs in each direction approximate a Gaussian
+function blur(c: Canvas, radius: number): Canvas {
+  const { width, height } = c;
+  let src = c.data;
+  let dst: Float32Array = new Float32Array(src.length);
+  const pass = (horizontal: boolean) => {
+    const lines = horizontal ? height : width;
+    const length = horizontal ? width : height;
+    const step = horizontal ? 4 : width * 4;
+    for (let line = 0; line < lines; line++) {
+      const base = horizontal ? line * width * 4 : line * 4;
+      for (let ch = 0; ch < 4; ch++) {
+        for (let i = 0; i < length; i++) {
+          let sum = 0;
+          for (let k = -radius; k <= radius; k++) {
+            const j = Math.min(length - 1, Math.max(0, i + k));
+            sum += src[base + j * step + ch];
+          }
+          dst[base + i * step + ch] = sum / (2 * radius + 1);
+        }
+      }
+    }
+    [src, dst] = [dst, src];
+  };
+  for (let i = 0; i < 3; i++) {
+    pass(true);
+    pass(false);
+  }
+  return { width, height, data: src };
+}
+
+// The letterbox backdrop: darkened and flattened onto the card color
+function backdrop(c: Canvas): Canvas {
+  const data = new Float32Array(c.data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const rest = 1 - c.data[i + 3] / 255;
+    for (let ch = 0; ch < 3; ch++) data[i + ch] = c.data[i + ch] * BACKDROP_BRIGHTNESS + CARD_COLOR[ch] * rest;
+    data[i + 3] = 255;
+  }
+  return { width: c.width, height: c.height, data };
+}
+
+// Draw `top` over `bottom` at (x, y), source-over
+function composite(bottom: Canvas, top: Canvas, x: number, y: number) {
+  for (let ty = 0; ty < top.height; ty++) {
+    for (let tx = 0; tx < top.width; tx++) {
+      const s = (ty * top.width + tx) * 4;
+      const d = ((y + ty) * bottom.width + x + tx) * 4;
+      const rest = 1 - top.data[s + 3] / 255;
+      for (let ch = 0; ch < 4; ch++) bottom.data[d + ch] = top.data[s + ch] + bottom.data[d + ch] * rest;
+    }
+  }
+}
+
+function renderThumbnails(img: Bitmap, fit: ThumbnailFit): { thumbnail: Bitmap; blurred: Bitmap } {
+  const src = toCanvas(img);
+  const blurred = blur(cover(src, BLUR_WIDTH, BLUR_HEIGHT), BLUR_RADIUS);
+  let thumbnail: Canvas;
+  if (fit === "cover") {
+    thumbnail = cover(src, COVER_WIDTH, COVER_HEIGHT);
+  } else {
+    thumbnail = backdrop(resample(blurred, 0, 0, BLUR_WIDTH, BLUR_HEIGHT, COVER_WIDTH, COVER_HEIGHT));
+    const scale = Math.min(COVER_WIDTH / img.width, COVER_HEIGHT / img.height);
+    const w = Math.max(1, Math.round(img.width * scale)), h = Math.max(1, Math.round(img.height * scale));
+    const fitted = resample(src, 0, 0, img.width, img.height, w, h);
+    composite(thumbnail, fitted, Math.floor((COVER_WIDTH - w) / 2), Math.floor((COVER_HEIGHT - h) / 2));
+  }
+  return { thumbnail: toBitmap(thumbnail), blurred: toBitmap(blurred) };
+}
+
+async function findOriginal(gameDir: string): Promise<string | null> {
+  for (const ext of Object.values(EXTENSIONS)) {
+    const path = join(gameDir, `${ORIGINAL_NAME}.${ext}`);
+    try {
+      if ((await Deno.stat(path)).isFile) return path;
+    } catch { /* try the next one */ }
+  }
+  return null;
+}
+
+// Replace the game's cover with `bytes`, or re-render it from the kept original when `bytes` is null
+// (covers saved before originals were kept are re-rendered from thumbnail.png itself).
+// Nothing is written unless the image decodes.
+export async function saveThumbnail(
+  gameDir: string,
+  bytes: Uint8Array | null,
+  fit: ThumbnailFit,
+  limits: ThumbnailLimits,
+): Promise<ThumbnailInfo> {
+  const previous = await findOriginal(gameDir);
+  if (!bytes) {
+    const path = previous ?? join(gameDir, THUMBNAIL_FILE);
+    try {
+      bytes = await Deno.readFile(path);
+    } catch {
+      throw new HttpError("This game has no cover image to re-render; upload one", 404);
+    }
+  }
+  const { type, image } = await decodeImage(bytes, limits);
+  const { thumbnail, blurred } = renderThumbnails(image, fit);
+  const original = join(gameDir, `${ORIGINAL_NAME}.${EXTENSIONS[type]}`);
+  if (previous && previous !== original) await Deno.remove(previous);
+  await Deno.writeFile(original, bytes);
+  // Write next to the target and rename, so a half-written cover is never served
+  for (const [name, img] of [[THUMBNAIL_FILE, thumbnail], [THUMBNAIL_BLUR_FILE, blurred]] as const) {
+    const tmp = join(gameDir, `.${name}.tmp`);
+    await Deno.writeFile(tmp, await encodePng(img));
+    await Deno.rename(tmp, join(gameDir, name));
+  }
+  return { type, width: image.width, height: image.height, fit };
+}
@@ -0,0 +1,154 @@
+// Versioned game folders
+// Installs and updates are built in GAMES_DIR/.staging, then swapped in with directory renames.
+// The build being replaced moves to GAMES_DIR/.versions/<id>/<version> so it can be restored;
+// only the newest CMG_KEEP_VERSIONS (default 3) are kept.
+
+import { ensureDir } from "https://deno.land/std@0.224.0/fs/ensure_dir.ts";
+import { join } from "https://deno.land/std@0.224.0/path/mod.ts";
+import { HttpError } from "./errors.ts";
+import {
+  EDITED_FIELDS_KEY,
+  type GameSource,
+  readGameManifest,
+  readRawManifest,
+  updateGameManifest,
+} from "./manifest.ts";
+
+export const VERSIONS_DIR = ".versions";
+export const STAGING_DIR = ".staging";
+
+export type GameVersion = {
+  id: string; // folder name, also the archive timestamp
+  archivedAt: string;
+  version: string; // game.json version of that build, if any
+  source: GameSource | null;
+};
+
+export function keepVersionsFromEnv(): number {
+  const n = Number(Deno.env.get("CMG_KEEP_VERSIONS"));
+  return Number.isInteger(n) && n >= 0 ? n : 3;
+}
+
+const busy = new Set<string>();
+
+export function isGameBusy(id: string): boolean {
+  return busy.has(id);
+}
+
+// Serialize installs, updates and rollbacks of one game
+export async function withGameLock<T>(id: string, fn: () => Promise<T>): Promise<T> {
+  if (busy.has(id)) throw new HttpError(`${id} is already being installed or updated`, 409);
+  busy.add(id);
+  try {
+    return await fn();
+  } finally {
+    busy.delete(id);
+  }
+}
+
+// A fresh folder on the same filesystem as GAMES_DIR, so the final rename is atomic
+export async function makeStagingDir(gamesDir: string, id: string): Promise<string> {
+  const dir = join(gamesDir, STAGING_DIR);
+  await ensureDir(dir);
+  return await Deno.makeTempDir({ dir, prefix: `${id}-` });
+}
+
+// Leftovers from an interrupted install
+export async function clearStaging(gamesDir: string) {
+  try { await Deno.remove(join(gamesDir, STAGING_DIR), { recursive: true }); } catch { /* none */ }
+}
+
+async function exists(p: string): Promise<boolean> {
+  try { await Deno.stat(p); return true; } catch { return false; }
+}
+
+// Carry library-level data from the live folder into a new build: thumbnails and the game.json
+// fields edited in the launcher (with the list of them). The rest of game.json belongs to the
+// build, so a field the new build dropped stays dropped.
+export async function carryOver(fromDir: string, toDir: string) {
+  for await (const e of Deno.readDir(fromDir)) {
+    if (e.isFile && /^thumbnail\b.*\.(?:png|jpe?g|webp)$/i.test(e.name)) {
+      await Deno.copyFile(join(fromDir, e.name), join(toDir, e.name));
+    }
+  }
+  // A live game.json that can't be read has nothing to carry; the new build replaces it
+  const previous = await readRawManifest(fromDir).catch(() => ({} as Record<string, unknown>));
+  const edited = Array.isArray(previous[EDITED_FIELDS_KEY])
+    ? (previous[EDITED_FIELDS_KEY] as unknown[]).filter((k): k is string => typeof k === "string" && k in previous)
+    : [];
+  if (!edited.length) return;
+  const patch: Record<string, unknown> = { [EDITED_FIELDS_KEY]: edited };
+  for (const k of edited) patch[k] = previous[k];
+  await updateGameManifest(toDir, patch);
+}
+
+// Sortable and safe as a folder name on every platform, e.g. 2026-10-19T18-28-28-490Z
+function newVersionId(): string {
+  return new Date().toISOString().replace(/[:.]/g, "-");
+}
+
+function versionDate(id: string): string {
+  const m = id.match(/^(\d{4}-\d\d-\d\d)T(\d\d)-(\d\d)-(\d\d)-(\d{3})Z$/);
+  return m ? `${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5]}Z` : "";
+}
+
+export async function listVersions(gamesDir: string, id: string): Promise<GameVersion[]> {
+  const dir = join(gamesDir, VERSIONS_DIR, id);
+  const out: GameVersion[] = [];
+  try {
+    for await (const e of Deno.readDir(dir)) {
+      if (!e.isDirectory) continue;
+      const { manifest } = await readGameManifest(id, join(dir, e.name));
+      out.push({ id: e.name, archivedAt: versionDate(e.name), version: manifest.version, source: manifest.source });
+    }
+  } catch { /* no history yet */ }
+  // Newest first
+  return out.sort((a, b) => b.id.localeCompare(a.id));
+}
+
+async function prune(gamesDir: string, id: string, keep: number) {
+  const versions = await listVersions(gamesDir, id);
+  for (const v of versions.slice(keep)) {
+    await Deno.remove(join(gamesDir, VERSIONS_DIR, id, v.id), { recursive: true });
+  }
+}
+
+// Make `readyDir` the live build of `id`; the current build (if any) becomes a version.
+// Returns the version id the old build was archived under, or null for a first install.
+export async function swapInVersion(gamesDir: string, id: string, readyDir: string, keep: number) {
+  const live = join(gamesDir, id);
+  let archived: string | null = null;
+  if (await exists(live)) {
+    await ensureDir(join(gamesDir, VERSIONS_DIR, id));
+    archived = newVersionId();
+    await Deno.rename(live, join(gamesDir, VERSIONS_DIR, id, archived));
+  }
+  try {
+    await Deno.rename(readyDir, live);
+  } catch (e) {
+    if (archived) await Deno.rename(join(gamesDir, VERSIONS_DIR, id, archived), live);
+    throw e;
+  }
+  await prune(gamesDir, id, keep);
+  return archived;
+}
+
+// Restore an archived build (default: the most recent). The build it replaces is archived in
+// turn, so a rollback can itself be undone.
+export async function rollbackVersion(gamesDir: string, id: string, versionId: string | undefined, keep: number) {
+  const versions = await listVersions(gamesDir, id);
+  const target = versionId ? versions.find((v) => v.id === versionId) : versions[0];
+  if (!target) {
+    throw new HttpError(versionId ? `Version ${versionId} not found` : "No previous version to roll back to", 404);
+  }
+  const dir = join(gamesDir, VERSIONS_DIR, id, target.id);
+  const live = join(gamesDir, id);
+  if (await exists(live)) await carryOver(live, dir);
+  // Keep at least the build being replaced, even with CMG_KEEP_VERSIONS=0
+  await swapInVersion(gamesDir, id, dir, Math.max(keep, 1));
+  return target;
+}
+
+export async function removeVersions(gamesDir: string, id: string) {
+  try { await Deno.remove(join(gamesDir, VERSIONS_DIR, id), { recursive: true }); } catch { /* none */ }
+}
@@ -0,0 +1,145 @@
+// Live library updates
+// Watches the games folder (Deno.watchFs), debounces bursts of file events (an SMB copy fires
+// thousands) and diffs the game list, so connected launchers get added/updated/removed games
+// instead of re-fetching everything. The watcher only runs while someone is subscribed.
+
+import { resolve } from "https://deno.land/std@0.224.0/path/mod.ts";
+
+export type LibraryChange<T> = {
+  added: T[];
+  updated: T[];
+  removed: string[]; // ids
+  order: string[]; // every id, in display order
+};
+
+type Entry = { id: string };
+
+const DEBOUNCE_MS = 750;
+// A steady stream of events (a large copy in progress) still produces an update this often
+const MAX_WAIT_MS = 5000;
+// Used when the platform can't watch the folder
+const POLL_INTERVAL_MS = 10000;
+
+export type LibraryWatcher<T> = {
+  // Listen for changes; returns an unsubscribe function
+  subscribe(fn: (change: LibraryChange<T>) => void): () => void;
+};
+
+// Dot folders at the top (.staging, .versions) are the launcher's own working space, not games
+function isLauncherData(root: string, path: string): boolean {
+  const rel = path.startsWith(root) ? path.slice(root.length).replace(/^[\\/]+/, "") : path;
+  return rel.startsWith(".");
+}
+
+export function createLibraryWatcher<T extends Entry>(
+  dir: string,
+  list: () => Promise<T[]>,
+): LibraryWatcher<T> {
+  const root = resolve(dir);
+  const listeners = new Set<(change: LibraryChange<T>) => void>();
+  let known = new Map<string, string>(); // id -> JSON of the last entry sent
+  let active = false;
+  let watcher: Deno.FsWatcher | null = null;
+  let poll: ReturnType<typeof setInterval> | undefined;
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  let firstEventAt = 0;
+  let scanning: Promise<void> | null = null;
+  let rescan = false;
+
+  async function scan() {
+    const games = await list();
+    const next = new Map(games.map((g) => [g.id, JSON.stringify(g)]));
+    const change: LibraryChange<T> = { added: [], updated: [], removed: [], order: games.map((g) => g.id) };
+    for (const g of games) {
+      const prev = known.get(g.id);
+      if (prev === undefined) change.added.push(g);
+      else if (prev !== next.get(g.id)) change.updated.push(g);
+    }
+    for (const id of known.keys()) if (!next.has(id)) change.removed.push(id);
+    const reordered = change.order.join("\n") !== Array.from(known.keys()).join("\n");
+    known = next;
+    if (!change.added.length && !change.updated.length && !change.removed.length && !reordered) return;
+    for (const fn of listeners) {
+      try { fn(change); } catch { /* ignore listener errors */ }
+    }
+  }
+
+  // One scan at a time; a request during a scan runs another one afterwards
+  function refresh(): Promise<void> {
+    if (scanning) {
+      rescan = true;
+      return scanning;
+    }
+    scanning = (async () => {
+      try {
+        do {
+          rescan = false;
+          await scan();
+        } while (rescan);
+      } catch (e) {
+        console.error("Library scan failed:", e);
+      } finally {
+        scanning = null;
+      }
+    })();
+    return scanning;
+  }
+
+  function schedule() {
+    const now = Date.now();
+    if (!timer) firstEventAt = now;
+    clearTimeout(timer);
+    const wait = Math.max(0, Math.min(DEBOUNCE_MS, firstEventAt + MAX_WAIT_MS - now));
+    timer = setTimeout(() => {
+      timer = undefined;
+      refresh();
+    }, wait);
+  }
+
+  async function start() {
+    // Baseline without notifying: new subscribers are sent the full list separately
+    known = new Map((await list()).map((g) => [g.id, JSON.stringify(g)]));
+    if (!active || watcher || poll) return;
+    try {
+      watcher = Deno.watchFs(root, { recursive: true });
+    } catch (e) {
+      console.warn(`Cannot watch ${root} (${e instanceof Error ? e.message : e}); polling instead`);
+      poll = setInterval(refresh, POLL_INTERVAL_MS);
+      return;
+    }
+    const current = watcher;
+    (async () => {
+      try {
+        for await (const event of current) {
+          if (event.paths.some((p) => !isLauncherData(root, p))) schedule();
+        }
+      } catch (e) {
+        if (watcher === current) console.error("Library watcher stopped:", e);
+      }
+    })();
+  }
+
+  function stop() {
+    active = false;
+    watcher?.close();
+    watcher = null;
+    clearInterval(poll);
+    poll = undefined;
+    clearTimeout(timer);
+    timer = undefined;
+  }
+
+  return {
+    subscribe(fn) {
+      listeners.add(fn);
+      if (!active) {
+        active = true;
+        start().catch((e) => console.error("Could not start the library watcher:", e));
+      }
+      return () => {
+        listeners.delete(fn);
+        if (!listeners.size) stop();
+      };
+    },
+  };
+}
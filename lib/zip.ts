@@ -0,0 +1,392 @@
+// Minimal ZIP reader and writer built on web streams ("deflate-raw" Compression/DecompressionStream),
+// so imports and exports work inside the compiled binary without system zip/unzip/ditto.
+// Unsafe archives are rejected outright rather than partially extracted.
+
+import { ensureDir } from "https://deno.land/std@0.224.0/fs/ensure_dir.ts";
+import { dirname, resolve, SEPARATOR } from "https://deno.land/std@0.224.0/path/mod.ts";
+import { HttpError } from "./errors.ts";
+
+// Raised for archives the launcher refuses to extract
+export class ZipError extends HttpError {
+  constructor(message: string, status = 400) {
+    super(message, status);
+    this.name = "ZipError";
+  }
+}
+
+export type ZipLimits = {
+  maxBytes: number; // total uncompressed size
+  maxFiles: number; // number of entries (files and directories)
+};
+
+export function zipLimitsFromEnv(): ZipLimits {
+  const num = (k: string, def: number) => {
+    const v = Number(Deno.env.get(k));
+    return Number.isFinite(v) && v > 0 ? v : def;
+  };
+  return {
+    maxBytes: num("CMG_ZIP_MAX_BYTES", 1024 * 1024 * 1024),
+    maxFiles: num("CMG_ZIP_MAX_FILES", 20000),
+  };
+}
+
+type CentralEntry = {
+  name: string;
+  method: number;
+  flags: number;
+  crc: number;
+  compressedSize: number;
+  size: number;
+  localOffset: number;
+  isDir: boolean;
+  isSymlink: boolean;
+};
+
+const SIG_EOCD = 0x06054b50;
+const SIG_ZIP64_LOCATOR = 0x07064b50;
+const SIG_CENTRAL = 0x02014b50;
+const SIG_LOCAL = 0x04034b50;
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+// Incremental CRC-32: pass the previous value to continue a running checksum
+export function crc32(data: Uint8Array, prev = 0): number {
+  let c = (prev ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < data.length; i++) c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function readCentralDirectory(zip: Uint8Array): CentralEntry[] {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  // End of central directory record: 22 bytes + up to 64 KiB of comment
+  let eocd = -1;
+  for (let i = zip.length - 22; i >= Math.max(0, zip.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === SIG_EOCD) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new ZipError("Not a ZIP archive (end of central directory not found)");
+  if (eocd >= 20 && view.getUint32(eocd - 20, true) === SIG_ZIP64_LOCATOR) {
+    throw new ZipError("ZIP64 archives are not supported; re-pack the game with a standard ZIP tool");
+  }
+  const count = view.getUint16(eocd + 10, true);
+  const cdSize = view.getUint32(eocd + 12, true);
+  const cdOffset = view.getUint32(eocd + 16, true);
+  if (cdOffset + cdSize > eocd) throw new ZipError("Corrupt ZIP archive (bad central directory offset)");
+
+  const decoder = new TextDecoder();
+  const entries: CentralEntry[] = [];
+  let p = cdOffset;
+  for (let i = 0; i < count; i++) {
+    if (p + 46 > eocd || view.getUint32(p, true) !== SIG_CENTRAL) {
+      throw new ZipError("Corrupt ZIP archive (bad central directory entry)");
+    }
+    const madeBy = view.getUint16(p + 4, true);
+    const flags = view.getUint16(p + 8, true);
+    const method = view.getUint16(p + 10, true);
+    const crc = view.getUint32(p + 16, true);
+    const compressedSize = view.getUint32(p + 20, true);
+    const size = view.getUint32(p + 24, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const extraLen = view.getUint16(p + 30, true);
+    const commentLen = view.getUint16(p + 32, true);
+    const externalAttrs = view.getUint32(p + 38, true);
+    const localOffset = view.getUint32(p + 42, true);
+    const name = decoder.decode(zip.subarray(p + 46, p + 46 + nameLen));
+    // Unix hosts keep st_mode in the high 16 bits of the external attributes
+    const unixMode = (madeBy >> 8) === 3 ? externalAttrs >>> 16 : 0;
+    entries.push({
+      name,
+      method,
+      flags,
+      crc,
+      compressedSize,
+      size,
+      localOffset,
+      isDir: name.endsWith("/") || name.endsWith("\\"),
+      isSymlink: (unixMode & 0o170000) === 0o120000,
+    });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+// Resolve an entry name to a path inside `root`, or throw if it is unsafe
+function safeEntryPath(root: string, name: string): string {
+  const normalized = name.replace(/\\/g, "/");
+  if (normalized.includes("\0")) throw new ZipError(`Unsafe path in archive: ${JSON.stringify(name)}`);
+  if (normalized.startsWith("/") || /^[a-zA-Z]:/.test(normalized)) {
+    throw new ZipError(`Absolute path in archive: ${name}`);
+  }
+  const parts = normalized.split("/").filter((s) => s !== "" && s !== ".");
+  // Reject "..", and ":" which Windows treats as a drive or alternate data stream
+  if (parts.some((s) => s === ".." || s.includes(":"))) {
+    throw new ZipError(`Path escapes the game folder: ${name}`);
+  }
+  const base = resolve(root);
+  const full = resolve(base, ...parts);
+  if (full !== base && !full.startsWith(base + SEPARATOR)) {
+    throw new ZipError(`Path escapes the game folder: ${name}`);
+  }
+  return full;
+}
+
+// Entries that only collide on disk, e.g. "A" and "a/b" on a case-insensitive filesystem
+function pathClash(e: unknown, name: string): never {
+  if (
+    e instanceof Deno.errors.AlreadyExists || e instanceof Deno.errors.NotADirectory ||
+    e instanceof Deno.errors.IsADirectory
+  ) {
+    throw new ZipError(`Archive has a file and a folder with the same path: ${name}`);
+  }
+  throw e;
+}
+
+// Metadata folders added by macOS Finder's "Compress"; never part of a game
+function isJunkEntry(name: string): boolean {
+  return /(^|\/)__MACOSX\//.test(name) || /(^|\/)\.DS_Store$/.test(name);
+}
+
+export type ExtractResult = { files: number; bytes: number };
+
+export type ExtractOptions = {
+  limits?: ZipLimits;
+  signal?: AbortSignal;
+  // Called with uncompressed bytes written so far and the declared total
+  onProgress?: (bytes: number, total: number) => void;
+};
+
+// Extract `zip` into `targetDir`. Every entry is validated before anything is written.
+export async function extractZip(
+  zip: Uint8Array<ArrayBuffer>,
+  targetDir: string,
+  { limits = zipLimitsFromEnv(), signal, onProgress }: ExtractOptions = {},
+): Promise<ExtractResult> {
+  const entries = readCentralDirectory(zip).filter((e) => !isJunkEntry(e.name));
+  if (entries.length > limits.maxFiles) {
+    throw new ZipError(`Archive has ${entries.length} entries; the limit is ${limits.maxFiles}`, 413);
+  }
+  let declared = 0;
+  const plan: { entry: CentralEntry; path: string }[] = [];
+  for (const entry of entries) {
+    if (entry.isSymlink) throw new ZipError(`Symbolic links are not allowed in archives: ${entry.name}`);
+    if (entry.flags & 0x1) throw new ZipError(`Encrypted archives are not supported: ${entry.name}`);
+    if (!entry.isDir && entry.method !== 0 && entry.method !== 8) {
+      throw new ZipError(`Unsupported compression method ${entry.method}: ${entry.name}`);
+    }
+    declared += entry.size;
+    plan.push({ entry, path: safeEntryPath(targetDir, entry.name) });
+  }
+  // A path can't be both a file and a folder ("a" next to "a/b" or "a/")
+  const base = resolve(targetDir);
+  const folders = new Set<string>();
+  for (const { entry, path } of plan) {
+    if (entry.isDir) folders.add(path);
+    for (let dir = dirname(path); dir.length > base.length; dir = dirname(dir)) folders.add(dir);
+  }
+  const clash = plan.find(({ entry, path }) => !entry.isDir && folders.has(path));
+  if (clash) throw new ZipError(`Archive has a file and a folder with the same path: ${clash.entry.name}`);
+  if (declared > limits.maxBytes) {
+    throw new ZipError(`Archive expands to ${declared} bytes; the limit is ${limits.maxBytes}`, 413);
+  }
+
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  await ensureDir(targetDir);
+  let written = 0;
+  let files = 0;
+  for (const { entry, path } of plan) {
+    signal?.throwIfAborted();
+    if (entry.isDir) {
+      await ensureDir(path).catch((e) => pathClash(e, entry.name));
+      continue;
+    }
+    const p = entry.localOffset;
+    if (p + 30 > zip.length || view.getUint32(p, true) !== SIG_LOCAL) {
+      throw new ZipError(`Corrupt ZIP archive (bad local header): ${entry.name}`);
+    }
+    const start = p + 30 + view.getUint16(p + 26, true) + view.getUint16(p + 28, true);
+    const end = start + entry.compressedSize;
+    if (end > zip.length) throw new ZipError(`Corrupt ZIP archive (truncated data): ${entry.name}`);
+    const raw = zip.subarray(start, end);
+
+    const file = await ensureDir(dirname(path))
+      .then(() => Deno.open(path, { write: true, create: true, truncate: true }))
+      .catch((e) => pathClash(e, entry.name));
+    let crc = 0;
+    let size = 0;
+    try {
+      const chunks: Iterable<Uint8Array> | AsyncIterable<Uint8Array> = entry.method === 0
+        ? [raw]
+        : new Blob([raw]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+      for await (const chunk of chunks) {
+        size += chunk.length;
+        written += chunk.length;
+        // Don't trust declared sizes: stop as soon as real output passes the limits
+        if (size > entry.size || written > limits.maxBytes) {
+          throw new ZipError(`Archive expands beyond its declared size: ${entry.name}`, 413);
+        }
+        crc = crc32(chunk, crc);
+        let off = 0;
+        while (off < chunk.length) off += await file.write(chunk.subarray(off));
+      }
+    } catch (e) {
+      if (e instanceof ZipError) throw e;
+      throw new ZipError(`Corrupt ZIP archive (${e instanceof Error ? e.message : e}): ${entry.name}`);
+    } finally {
+      file.close();
+    }
+    if (size !== entry.size || crc !== entry.crc) {
+      throw new ZipError(`Corrupt ZIP archive (checksum mismatch): ${entry.name}`);
+    }
+    files++;
+    onProgress?.(written, declared);
+  }
+  return { files, bytes: written };
+}
+
+export type ZipSource = {
+  name: string; // "/"-separated path inside the archive
+  path?: string; // file to read from disk...
+  data?: Uint8Array; // ...or contents generated in memory
+  mtime?: Date | null;
+};
+
+const ZIP32_MAX = 0xffffffff;
+// Formats that are already compressed; deflating them again only costs CPU
+const STORED_EXTENSIONS = /\.(?:png|jpe?g|gif|webp|avif|mp3|ogg|m4a|aac|opus|mp4|webm|zip|gz|br|woff2?)$/i;
+
+// Recursively list files under `dir` as archive entries prefixed with `prefix` ("" or "name/")
+export async function collectZipSources(
+  dir: string,
+  prefix = "",
+  skip: (name: string, isDir: boolean) => boolean = () => false,
+): Promise<ZipSource[]> {
+  const out: ZipSource[] = [];
+  const walk = async (d: string, rel: string) => {
+    const names = await Array.fromAsync(Deno.readDir(d));
+    names.sort((a, b) => a.name.localeCompare(b.name));
+    for (const e of names) {
+      // Symlinks are neither followed nor stored; extractZip would refuse them anyway
+      if (e.isSymlink || skip(e.name, e.isDirectory) || isJunkEntry(rel + e.name)) continue;
+      const p = `${d}${SEPARATOR}${e.name}`;
+      if (e.isDirectory) await walk(p, `${rel}${e.name}/`);
+      else if (e.isFile) out.push({ name: `${prefix}${rel}${e.name}`, path: p });
+    }
+  };
+  await walk(dir, "");
+  return out;
+}
+
+function dosDateTime(d: Date): { date: number; time: number } {
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+  };
+}
+
+async function deflateRaw(data: Uint8Array<ArrayBuffer>): Promise<Uint8Array<ArrayBuffer>> {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Sizes of files on disk, so oversized exports fail before any bytes are sent
+export async function zipSourcesSize(sources: ZipSource[]): Promise<number> {
+  let total = 0;
+  for (const s of sources) total += s.data ? s.data.length : (await Deno.stat(s.path!)).size;
+  return total;
+}
+
+// Stream a ZIP of `sources`, reading one file at a time as the client pulls. Archives that
+// would need ZIP64 (4 GiB or 65535 entries) are refused up front with a 413.
+export async function createZipStream(sources: ZipSource[]): Promise<ReadableStream<Uint8Array>> {
+  if (sources.length > 0xffff) {
+    throw new ZipError(`Too many files for a ZIP archive (${sources.length}); the limit is 65535`, 413);
+  }
+  const estimate = await zipSourcesSize(sources) + sources.reduce((n, s) => n + 76 + 2 * s.name.length, 22);
+  if (estimate > ZIP32_MAX) throw new ZipError("Archive would exceed 4 GiB, which ZIP64-less archives can't hold", 413);
+
+  const encoder = new TextEncoder();
+  const central: Uint8Array[] = [];
+  let offset = 0;
+  let index = 0;
+
+  return new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      if (index >= sources.length) {
+        // Central directory, then the end record
+        const cdSize = central.reduce((n, c) => n + c.length, 0);
+        for (const c of central) controller.enqueue(c);
+        const end = new Uint8Array(22);
+        const v = new DataView(end.buffer);
+        v.setUint32(0, SIG_EOCD, true);
+        v.setUint16(8, sources.length, true);
+        v.setUint16(10, sources.length, true);
+        v.setUint32(12, cdSize, true);
+        v.setUint32(16, offset, true);
+        controller.enqueue(end);
+        controller.close();
+        return;
+      }
+      const src = sources[index++];
+      const data: Uint8Array<ArrayBuffer> = src.data ? new Uint8Array(src.data) : await Deno.readFile(src.path!);
+      let mtime = src.mtime ?? null;
+      if (!mtime && src.path) {
+        try { mtime = (await Deno.stat(src.path)).mtime; } catch { /* use now */ }
+      }
+      const { date, time } = dosDateTime(mtime ?? new Date());
+      const crc = crc32(data);
+      let method = 0;
+      let body = data;
+      if (data.length > 0 && !STORED_EXTENSIONS.test(src.name)) {
+        const deflated = await deflateRaw(data);
+        if (deflated.length < data.length) {
+          method = 8;
+          body = deflated;
+        }
+      }
+      const name = encoder.encode(src.name);
+      const local = new Uint8Array(30 + name.length);
+      const lv = new DataView(local.buffer);
+      lv.setUint32(0, SIG_LOCAL, true);
+      lv.setUint16(4, 20, true); // version needed: 2.0
+      lv.setUint16(6, 0x0800, true); // UTF-8 names
+      lv.setUint16(8, method, true);
+      lv.setUint16(10, time, true);
+      lv.setUint16(12, date, true);
+      lv.setUint32(14, crc, true);
+      lv.setUint32(18, body.length, true);
+      lv.setUint32(22, data.length, true);
+      lv.setUint16(26, name.length, true);
+      local.set(name, 30);
+
+      const entry = new Uint8Array(46 + name.length);
+      const cv = new DataView(entry.buffer);
+      cv.setUint32(0, SIG_CENTRAL, true);
+      cv.setUint16(4, (3 << 8) | 20, true); // made by Unix, so the file mode below is honoured
+      cv.setUint16(6, 20, true);
+      cv.setUint16(8, 0x0800, true);
+      cv.setUint16(10, method, true);
+      cv.setUint16(12, time, true);
+      cv.setUint16(14, date, true);
+      cv.setUint32(16, crc, true);
+      cv.setUint32(20, body.length, true);
+      cv.setUint32(24, data.length, true);
+      cv.setUint16(28, name.length, true);
+      cv.setUint32(38, (0o100644 << 16) >>> 0, true);
+      cv.setUint32(42, offset, true);
+      entry.set(name, 46);
+      central.push(entry);
+
+      controller.enqueue(local);
+      controller.enqueue(body);
+      offset += local.length + body.length;
+    },
+  });
+}
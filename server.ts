@@ -6,6 +6,83 @@ import { ensureDir } from "https://deno.land/std@0.224.0/fs/ensure_dir.ts";
 import { copy } from "https://deno.land/std@0.224.0/fs/copy.ts";
 import { join, fromFileUrl, dirname, basename } from "https://deno.land/std@0.224.0/path/mod.ts";
 import { contentType } from "https://deno.land/std@0.224.0/media_types/mod.ts";
+import {
+  EDITABLE_FIELDS,
+  EDITED_FIELDS_KEY,
+  type GameManifest,
+  type GameSource,
+  MANIFEST_FILE,
+  readGameManifest,
+  readRawManifest,
+  updateGameManifest,
+  validateManifestEdit,
+} from "./lib/manifest.ts";
+import { detectEngine, findEntryPoint } from "./lib/detect.ts";
+import { collectZipSources, createZipStream, extractZip } from "./lib/zip.ts";
+import { backupSources, gameDataDir, listGameIds, renameGame, type RestoreMode, restoreLibrary } from "./lib/library.ts";
+import {
+  type GithubRefSpec,
+  githubFetch,
+  parseGithubRepo,
+  refSpecFromSource,
+  resolveGithubDownload,
+} from "./lib/github.ts";
+import { HttpError } from "./lib/errors.ts";
+import { bridgeScriptFor, injectGameHelpers } from "./lib/inject.ts";
+import { cancelJob, getJob, type JobContext, listJobs, startJob, subscribeJob } from "./lib/jobs.ts";
+import {
+  applySaveChanges,
+  clearSaves,
+  parseSaveChanges,
+  readSaves,
+  replaceSaves,
+  saveMaxBytesFromEnv,
+} from "./lib/saves.ts";
+import {
+  createSlot,
+  deleteSlot,
+  exportSlot,
+  importSlot,
+  listSlots,
+  parseSlotItems,
+  readSlotItems,
+  readSlotScreenshot,
+} from "./lib/slots.ts";
+import { listAchievements, resetAchievements, unlockAchievement } from "./lib/achievements.ts";
+import { clearErrorLog, logGameError, parseGameError, readErrorLog } from "./lib/crashes.ts";
+import { contributeController, findControllers, importControllers, removeController } from "./lib/controllers.ts";
+import { clearScores, parseScore, readLeaderboards, scoresPerBoardFromEnv, submitScore } from "./lib/scores.ts";
+import {
+  checkSession,
+  endSession,
+  expireSessions,
+  SESSION_HEADER,
+  startSession,
+  touchSession,
+} from "./lib/sessions.ts";
+import { END_REASONS, type EndReason, libraryStats } from "./lib/stats.ts";
+import { sseResponse } from "./lib/sse.ts";
+import { createLibraryWatcher } from "./lib/watch.ts";
+import {
+  saveThumbnail,
+  THUMBNAIL_BLUR_FILE,
+  THUMBNAIL_FILE,
+  THUMBNAIL_FITS,
+  type ThumbnailFit,
+  thumbnailLimitsFromEnv,
+} from "./lib/thumbnails.ts";
+import {
+  carryOver,
+  clearStaging,
+  isGameBusy,
+  keepVersionsFromEnv,
+  listVersions,
+  makeStagingDir,
+  removeVersions,
+  rollbackVersion,
+  swapInVersion,
+  withGameLock,
+} from "./lib/versions.ts";
 
 // Determine an on-disk application root:
 // - In dev (deno run), use the directory of this source file
@@ -23,92 +100,188 @@ function getAppRoot(): string {
 const ROOT = getAppRoot();
 const GAMES_DIR = Deno.env.get("CMG_GAMES_DIR") ?? join(ROOT, "games");
 await ensureDir(GAMES_DIR);
+await clearStaging(GAMES_DIR);
+// Launcher-side state (saves, stats, mappings); included in library backups
+const DATA_DIR = Deno.env.get("CMG_DATA_DIR") ?? join(ROOT, "data");
 
-type GameEntry = {
+type GameEntry = GameManifest & {
   id: string;
-  name: string;
+  name: string; // display name (manifest title, or derived from the folder name)
   path: string; // local filesystem path
   urlPath: string; // public URL path e.g., /games/<id>/
   hasThumbnail: boolean;
+  thumbnailUrl: string | null; // cache-busted cover image URL
+  thumbnailBlurUrl: string | null; // small blurred cover for backgrounds
+  hasManifest: boolean;
+  manifestErrors: string[]; // game.json validation problems, if any
 };
 
+// Cover URLs carry the file's mtime so a replaced cover isn't served from the browser cache
+async function thumbnailUrls(id: string, fsPath: string) {
+  const url = async (file: string) => {
+    try {
+      const stat = await Deno.stat(join(fsPath, file));
+      if (stat.isFile) return `/games/${id}/${file}?v=${stat.mtime?.getTime() ?? 0}`;
+    } catch (_) {
+      // no such file
+    }
+    return null;
+  };
+  return { thumbnailUrl: await url(THUMBNAIL_FILE), thumbnailBlurUrl: await url(THUMBNAIL_BLUR_FILE) };
+}
+
 async function listGames(): Promise<GameEntry[]> {
   const entries: GameEntry[] = [];
   for await (const dirEntry of Deno.readDir(GAMES_DIR)) {
-    if (!dirEntry.isDirectory) continue;
+    // Dot folders hold launcher data (.versions, .staging), not games
+    if (!dirEntry.isDirectory || dirEntry.name.startsWith(".")) continue;
     const id = dirEntry.name;
     const fsPath = join(GAMES_DIR, id);
-    const thumbnailPath = join(fsPath, "thumbnail.png");
-    let hasThumbnail = false;
-    try {
-      const stat = await Deno.stat(thumbnailPath);
-      hasThumbnail = stat.isFile;
-    } catch (_) {
-      hasThumbnail = false;
-    }
-    // Choose a display name from folder name
-    const name = id.replace(/[-_]/g, " ");
+    const { thumbnailUrl, thumbnailBlurUrl } = await thumbnailUrls(id, fsPath);
+    // Display metadata from game.json, falling back to the folder name
+    const { manifest, hasManifest, errors } = await readGameManifest(id, fsPath);
     entries.push({
+      ...manifest,
       id,
-      name,
+      name: manifest.title,
       path: fsPath,
       urlPath: `/games/${id}/`,
-      hasThumbnail,
+      hasThumbnail: thumbnailUrl !== null,
+      thumbnailUrl,
+      thumbnailBlurUrl,
+      hasManifest,
+      manifestErrors: errors,
     });
   }
-  // stable sort
-  entries.sort((a, b) => a.name.localeCompare(b.name));
+  // Games with a manual sortOrder come first, then the rest by name
+  entries.sort((a, b) =>
+    (a.sortOrder ?? Infinity) - (b.sortOrder ?? Infinity) || a.name.localeCompare(b.name)
+  );
   return entries;
 }
 
-async function saveZipToDir(zipBytes: Uint8Array, targetDir: string, subdirHint?: string) {
-  await ensureDir(targetDir);
-  const tmpZip = await Deno.makeTempFile({ suffix: ".zip" });
-  await Deno.writeFile(tmpZip, zipBytes);
-  const extractRoot = await Deno.makeTempDir();
-  let extracted = false;
-  // Try system 'unzip'
+// Pushes games added, changed or removed on disk (by hand, over SMB, or by another launcher)
+const libraryWatcher = createLibraryWatcher(GAMES_DIR, listGames);
+
+async function saveZipToDir(
+  zipBytes: Uint8Array<ArrayBuffer>,
+  targetDir: string,
+  subdirHint?: string,
+  ctx?: JobContext,
+) {
+  const extractRoot = await Deno.makeTempDir({ prefix: "cmg-unzip-" });
   try {
-    const unzip = new Deno.Command("unzip", {
-      args: ["-q", "-o", tmpZip, "-d", extractRoot],
-      stderr: "inherit",
-      stdout: "inherit",
+    ctx?.stage("extracting");
+    // Throws ZipError (reported as 4xx) for unsafe or oversized archives
+    await extractZip(zipBytes, extractRoot, {
+      signal: ctx?.signal,
+      onProgress: (bytes, total) => ctx?.progress(bytes, total),
     });
-    const { success } = await unzip.output();
-    extracted = !!success;
-  } catch (_) { /* ignore */ }
-  // On macOS, fallback to 'ditto'
-  if (!extracted && Deno.build.os === "darwin") {
+    // Locate the playable page; the subdir hint only overrides the scan
+    const entry = await findEntryPoint(extractRoot, subdirHint);
+    ctx?.stage("copying");
+    await ensureDir(targetDir);
+    await copy(entry.dir, targetDir, { overwrite: true });
+    // Keep a game.json that sits beside the build folder rather than inside it
+    if (!await pathExists(join(entry.dir, MANIFEST_FILE))) {
+      for (const dir of manifestSearchDirs(extractRoot, entry.path)) {
+        if (await pathExists(join(dir, MANIFEST_FILE))) {
+          await Deno.copyFile(join(dir, MANIFEST_FILE), join(targetDir, MANIFEST_FILE));
+          break;
+        }
+      }
+    }
+    return entry;
+  } finally {
+    try { await Deno.remove(extractRoot, { recursive: true }); } catch { /* ignore */ }
+  }
+}
+
+// Folders between the archive root and the entry page, nearest first
+function manifestSearchDirs(root: string, entryPath: string): string[] {
+  const parts = entryPath.split("/").slice(0, -1);
+  const dirs: string[] = [];
+  for (let i = parts.length - 1; i >= 0; i--) dirs.push(join(root, ...parts.slice(0, i)));
+  return dirs;
+}
+
+// Folder-friendly game id from a display name
+function toGameId(name: string): string {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+// Fetch a ZIP into memory, reporting byte progress to the job
+async function downloadZip(
+  url: string,
+  ctx: JobContext,
+  headers: HeadersInit = {},
+  fetchFn: (url: string, init: RequestInit) => Promise<Response> = fetch,
+): Promise<Uint8Array<ArrayBuffer>> {
+  ctx.stage("downloading");
+  let resp: Response;
+  try {
+    resp = await fetchFn(url, { headers, signal: ctx.signal });
+  } catch (e) {
+    if (ctx.signal.aborted) throw e;
+    throw new HttpError(`download failed (${e instanceof Error ? e.message : e})`, 502);
+  }
+  if (!resp.ok || !resp.body) {
+    throw new HttpError(`download failed (${resp.status} ${resp.statusText})`, 502);
+  }
+  const total = Number(resp.headers.get("content-length")) || null;
+  const chunks: Uint8Array[] = [];
+  let received = 0;
+  for await (const chunk of resp.body) {
+    chunks.push(chunk);
+    received += chunk.length;
+    ctx.progress(received, total);
+  }
+  const out = new Uint8Array(received);
+  let offset = 0;
+  for (const c of chunks) {
+    out.set(c, offset);
+    offset += c.length;
+  }
+  return out;
+}
+
+// Build an archive into a staging folder, check it is launchable, record its source, then swap
+// it in as GAMES_DIR/<id>. An existing build is kept as a version (see lib/versions.ts).
+function installZip(
+  ctx: JobContext,
+  zipBytes: Uint8Array<ArrayBuffer>,
+  id: string,
+  subdir: string,
+  source: GameSource,
+) {
+  return withGameLock(id, async () => {
+    const live = join(GAMES_DIR, id);
+    const staged = await makeStagingDir(GAMES_DIR, id);
     try {
-      const ditto = new Deno.Command("/usr/bin/ditto", {
-        args: ["-x", "-k", tmpZip, extractRoot],
-        stderr: "inherit",
-        stdout: "inherit",
+      const entry = await saveZipToDir(zipBytes, staged, subdir, ctx);
+      ctx.stage("validating");
+      if (!await pathExists(join(staged, "index.html"))) {
+        throw new HttpError("No index.html found; the game may live in a dist or docs folder", 422);
+      }
+      // Record what was detected; engine info declared by the game itself wins
+      const { engine, engineVersion } = await detectEngine(staged);
+      const raw = await readRawManifest(staged);
+      const declared = typeof raw.engine === "string" && raw.engine.toLowerCase() !== "other";
+      await updateGameManifest(staged, {
+        entry: entry.path,
+        engine: declared ? raw.engine : engine,
+        engineVersion: declared ? raw.engineVersion : engineVersion ?? undefined,
+        source: { ...source, subdir: subdir || undefined },
       });
-      const { success } = await ditto.output();
-      extracted = !!success;
-    } catch (_) { /* ignore */ }
-  }
-  if (!extracted) {
-    throw new Error("Failed to extract zip: no system unzip available. Install 'unzip' (Linux) or rely on 'ditto' (macOS).\nTried: unzip, ditto");
-  }
-  // Determine base directory inside extracted content
-  let base = extractRoot;
-  const topLevel: string[] = [];
-  for await (const e of Deno.readDir(extractRoot)) {
-    topLevel.push(e.name);
-  }
-  if (topLevel.length === 1) {
-    base = join(extractRoot, topLevel[0]);
-  }
-  const hint = (subdirHint || "root").toLowerCase();
-  if (hint === "dist" || hint === "docs") {
-    base = join(base, hint);
-  }
-  await ensureDir(targetDir);
-  await copy(base, targetDir, { overwrite: true });
-  try { await Deno.remove(tmpZip); } catch {}
-  try { await Deno.remove(extractRoot, { recursive: true }); } catch {}
+      if (await pathExists(live)) await carryOver(live, staged);
+      ctx.signal.throwIfAborted();
+      const replaced = await swapInVersion(GAMES_DIR, id, staged, keepVersionsFromEnv());
+      return { id, replaced };
+    } finally {
+      // Only left behind when the install failed or was cancelled
+      try { await Deno.remove(staged, { recursive: true }); } catch { /* swapped in */ }
+    }
+  });
 }
 
 async function handleApi(req: Request): Promise<Response | undefined> {
@@ -134,58 +307,444 @@ async function handleApi(req: Request): Promise<Response | undefined> {
     const form = await req.formData();
     const file = form.get("file");
     const name = String(form.get("name") || "game");
-    const subdir = String(form.get("subdir") || "root");
+    const subdir = String(form.get("subdir") || ""); // optional override of entry detection
     if (!(file instanceof File)) return new Response("file required", { status: 400 });
-    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
-    const target = join(GAMES_DIR, id);
-    await ensureDir(target);
+    const id = toGameId(name);
+    if (!id) return new Response("invalid name", { status: 400 });
+    if (isGameBusy(id)) return new Response(`${id} is already being installed or updated`, { status: 409 });
     const bytes = new Uint8Array(await file.arrayBuffer());
-    await saveZipToDir(bytes, target, subdir);
-    return json({ ok: true, id });
+    const source: GameSource = { type: "zip", filename: file.name, importedAt: new Date().toISOString() };
+    const job = startJob({ kind: "zip", name }, (ctx) => installZip(ctx, bytes, id, subdir, source));
+    return json({ ok: true, id, jobId: job.id, job }, { status: 202 });
   }
   if (url.pathname === "/api/add-game/from-github" && req.method === "POST") {
-    const { repo, branch, subdir, name } = await req.json();
+    const body = await req.json().catch(() => null);
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return new Response("expected a JSON object", { status: 400 });
+    }
+    const { repo, subdir, name } = body;
     if (!repo) return new Response("repo required", { status: 400 });
-    const m = String(repo).match(/github.com\/(.+?)\/(.+?)(?:\.git)?$/);
-    if (!m) return new Response("invalid repo url", { status: 400 });
-    const owner = m[1];
-    const repoName = m[2];
-    const useBranch = branch || "main";
-    const zipUrl = `https://codeload.github.com/${owner}/${repoName}/zip/refs/heads/${useBranch}`;
-    const resp = await fetch(zipUrl);
-    if (!resp.ok) return new Response("download failed", { status: 502 });
-    const zipBytes = new Uint8Array(await resp.arrayBuffer());
-    const id = (name || repoName).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
-    const target = join(GAMES_DIR, id);
-    await ensureDir(target);
-    await saveZipToDir(zipBytes, target, subdir || "root");
-    return json({ ok: true, id });
+    const parsed = parseGithubRepo(String(repo));
+    if (!parsed) return new Response("invalid repo url", { status: 400 });
+    // One of branch, tag, sha, ref or release (+ asset); a /tree/<ref> URL counts as ref
+    const spec: GithubRefSpec = { ref: parsed.ref };
+    for (const k of ["branch", "tag", "sha", "ref", "release", "asset"] as const) {
+      if (typeof body[k] === "string" && body[k].trim()) spec[k] = body[k].trim();
+    }
+    if (spec.asset && !spec.release) spec.release = "latest";
+    const id = toGameId(name || parsed.repo);
+    if (!id) return new Response("invalid name", { status: 400 });
+    if (isGameBusy(id)) return new Response(`${id} is already being installed or updated`, { status: 409 });
+    const job = startJob({ kind: "github", name: name || parsed.repo }, async (ctx) => {
+      const dl = await resolveGithubDownload(parsed, spec, ctx.signal);
+      const zipBytes = await downloadZip(dl.url, ctx, dl.headers, githubFetch);
+      return installZip(ctx, zipBytes, id, subdir || "", dl.source);
+    });
+    return json({ ok: true, id, jobId: job.id, job }, { status: 202 });
   }
-  if (url.pathname.startsWith("/api/games/") && url.pathname.endsWith("/thumbnail") && req.method === "POST") {
-    const id = url.pathname.split("/")[3];
-    const target = join(GAMES_DIR, id);
-    try {
-      const stat = await Deno.stat(target);
-      if (!stat.isDirectory) throw new Error("not dir");
-    } catch {
+  if (url.pathname === "/api/library/backup" && req.method === "GET") {
+    const stream = await createZipStream(await backupSources({ gamesDir: GAMES_DIR, dataDir: DATA_DIR }));
+    const date = new Date().toISOString().slice(0, 10);
+    return new Response(stream, {
+      headers: {
+        "content-type": "application/zip",
+        "content-disposition": `attachment; filename="cmg-library-${date}.zip"`,
+      },
+    });
+  }
+  // Body: the backup ZIP, as multipart "file" or raw; ?mode=merge (default) or replace
+  if (url.pathname === "/api/library/restore" && req.method === "POST") {
+    const mode = (url.searchParams.get("mode") || "merge") as RestoreMode;
+    if (mode !== "merge" && mode !== "replace") return new Response("mode must be merge or replace", { status: 400 });
+    let bytes: Uint8Array<ArrayBuffer>;
+    if (req.headers.get("content-type")?.includes("multipart/form-data")) {
+      const file = (await req.formData()).get("file");
+      if (!(file instanceof File)) return new Response("file required", { status: 400 });
+      bytes = new Uint8Array(await file.arrayBuffer());
+    } else {
+      bytes = new Uint8Array(await req.arrayBuffer());
+    }
+    if (bytes.length === 0) return new Response("file required", { status: 400 });
+    const job = startJob(
+      { kind: "restore", name: `Library (${mode})` },
+      (ctx) => restoreLibrary(bytes, mode, { gamesDir: GAMES_DIR, dataDir: DATA_DIR }, ctx),
+    );
+    return json({ ok: true, jobId: job.id, job }, { status: 202 });
+  }
+  // Live library: the full list first ("games"), then a "change" event for every update on disk
+  if (url.pathname === "/api/library/events" && req.method === "GET") {
+    const games = await listGames();
+    return sseResponse((send) => {
+      send("games", games);
+      return libraryWatcher.subscribe((change) => send("change", change));
+    });
+  }
+  if (url.pathname === "/api/jobs" && req.method === "GET") {
+    return json(listJobs());
+  }
+  // Play sessions: the launcher starts one per game it opens (POST { game, resumed }), pings it
+  // (PUT /api/sessions/:token) while the game runs and ends it on exit (DELETE ...?reason=).
+  // JSON only, so pages on other origins can't start one without CORS.
+  if (url.pathname === "/api/sessions" && req.method === "POST") {
+    if (!req.headers.get("content-type")?.includes("application/json")) {
+      return new Response("expected application/json", { status: 415 });
+    }
+    const { game, resumed } = await req.json().catch(() => ({})) as { game?: unknown; resumed?: unknown };
+    const valid = typeof game === "string" && !game.startsWith(".") && !/[\\/]/.test(game);
+    if (!valid || !await pathExists(join(GAMES_DIR, game, "index.html"))) {
+      return new Response("not found", { status: 404 });
+    }
+    return json(await startSession(DATA_DIR, game, resumed === true), { status: 201 });
+  }
+  const sessionRoute = url.pathname.match(/^\/api\/sessions\/([^/]+)$/);
+  if (sessionRoute && req.method === "PUT") {
+    return json(touchSession(decodeURIComponent(sessionRoute[1])));
+  }
+  if (sessionRoute && req.method === "DELETE") {
+    const reason = url.searchParams.get("reason") ?? "closed";
+    if (!(END_REASONS as readonly string[]).includes(reason)) {
+      return new Response(`reason must be one of ${END_REASONS.join(", ")}`, { status: 400 });
+    }
+    await endSession(decodeURIComponent(sessionRoute[1]), reason as EndReason);
+    return json({ ok: true });
+  }
+  // Play statistics: totals, and launches, playtime and last played per game
+  if (url.pathname === "/api/stats" && req.method === "GET") {
+    expireSessions();
+    return json(await libraryStats(DATA_DIR, await listGameIds(GAMES_DIR)));
+  }
+  // Controller database (lib/controllers.ts): GET /api/controllers?id=<gamepad.id> lists the entries for that
+  // pad; POST a gamecontrollerdb.txt (text) or one pad the configurator mapped (JSON { id, name, platform,
+  // mapping }); DELETE /api/controllers/:guid?platform=
+  if (url.pathname === "/api/controllers" && req.method === "GET") {
+    const id = url.searchParams.get("id");
+    if (!id) return new Response("id required", { status: 400 });
+    return json(await findControllers(DATA_DIR, id));
+  }
+  if (url.pathname === "/api/controllers" && req.method === "POST") {
+    if (req.headers.get("content-type")?.includes("application/json")) {
+      const body = await req.json().catch(() => null);
+      return json(await contributeController(DATA_DIR, body), { status: 201 });
+    }
+    return json(await importControllers(DATA_DIR, await req.text()));
+  }
+  const controllerRoute = url.pathname.match(/^\/api\/controllers\/([0-9a-fA-F]{32})$/);
+  if (controllerRoute && req.method === "DELETE") {
+    if (!await removeController(DATA_DIR, controllerRoute[1], url.searchParams.get("platform"))) {
       return new Response("not found", { status: 404 });
     }
-    const body = await req.arrayBuffer();
-    const bytes = new Uint8Array(body);
-    await Deno.writeFile(join(target, "thumbnail.png"), bytes);
     return json({ ok: true });
   }
-  if (url.pathname.startsWith("/api/games/") && req.method === "DELETE") {
-    const id = url.pathname.split("/")[3];
+  if (url.pathname.startsWith("/api/jobs/")) {
+    const [, , , jobId, sub] = url.pathname.split("/");
+    const job = getJob(jobId);
+    if (!job) return new Response("not found", { status: 404 });
+    // Live progress over SSE; the stream ends once the job finishes
+    if (sub === "events" && req.method === "GET") {
+      return sseResponse((send, close) => {
+        send("job", job);
+        if (job.status !== "running") return close();
+        return subscribeJob(job.id, (update) => {
+          send("job", update);
+          if (update.status !== "running") close();
+        });
+      });
+    }
+    if (!sub && req.method === "GET") return json(job);
+    if (!sub && req.method === "DELETE") {
+      if (!cancelJob(job.id)) return new Response("job is not running", { status: 409 });
+      return json({ ok: true });
+    }
+  }
+  // Versions: GET /api/games/:id/versions, POST .../update (JSON ref override or a new ZIP), POST .../rollback
+  // Export: GET /api/games/:id/export streams the game folder as <id>.zip
+  // Cover: POST /api/games/:id/thumbnail?fit=cover|contain with an image (raw body or multipart "file");
+  // an empty body re-renders the kept original with the given fit
+  // Saves: GET /api/games/:id/saves, POST .../saves { since, changes } (the injected save sync), DELETE .../saves
+  // Scores: GET /api/games/:id/scores?limit=, POST .../scores { board, score, name, profile, order } with the
+  // launcher's play session token in x-cmg-session, DELETE .../scores?board= (all boards without one)
+  // Achievements: GET /api/games/:id/achievements, POST .../achievements { id, profile } with the session
+  // token (unlock), DELETE .../achievements (lock all again)
+  // Errors: GET /api/games/:id/errors (totals and the latest entries), POST .../errors { kind, message, source,
+  // line, column, stack, fatal } with the session token (what the bridge caught), DELETE .../errors
+  const versionRoute = url.pathname.match(
+    /^\/api\/games\/([^/]+)\/(versions|update|rollback|export|thumbnail|saves|scores|achievements|errors|bridge\.js)$/,
+  );
+  if (versionRoute) {
+    const id = decodeURIComponent(versionRoute[1]);
+    const live = join(GAMES_DIR, id);
+    if (id.startsWith(".") || /[\\/]/.test(id) || !await pathExists(join(live, "index.html"))) {
+      return new Response("not found", { status: 404 });
+    }
+    const action = versionRoute[2];
+    if (action === "export" && req.method === "GET") {
+      const stream = await createZipStream(await collectZipSources(live, `${id}/`));
+      return new Response(stream, {
+        headers: {
+          "content-type": "application/zip",
+          "content-disposition": `attachment; filename="${id}.zip"`,
+        },
+      });
+    }
+    if (action === "saves" && req.method === "GET") {
+      return json(await readSaves(DATA_DIR, id));
+    }
+    if (action === "scores" && req.method === "GET") {
+      const limit = Number(url.searchParams.get("limit"));
+      const { manifest } = await readGameManifest(id, live);
+      const boards = await readLeaderboards(DATA_DIR, id, manifest.leaderboards, limit > 0 ? limit : Infinity);
+      return json({ boards });
+    }
+    if (action === "scores" && req.method === "POST") {
+      checkSession(req.headers.get(SESSION_HEADER), id);
+      const score = parseScore(await req.json().catch(() => null));
+      const { manifest } = await readGameManifest(id, live);
+      return json(await submitScore(DATA_DIR, id, manifest.leaderboards, score, scoresPerBoardFromEnv()), { status: 201 });
+    }
+    if (action === "scores" && req.method === "DELETE") {
+      await clearScores(DATA_DIR, id, url.searchParams.get("board"));
+      return json({ ok: true });
+    }
+    if (action === "achievements" && req.method === "GET") {
+      const { manifest } = await readGameManifest(id, live);
+      return json(await listAchievements(DATA_DIR, id, manifest.achievements));
+    }
+    if (action === "achievements" && req.method === "POST") {
+      checkSession(req.headers.get(SESSION_HEADER), id);
+      const body = await req.json().catch(() => ({})) as { id?: unknown; profile?: unknown };
+      const profile = typeof body.profile === "string" && body.profile.trim() ? body.profile.trim().slice(0, 64) : null;
+      const { manifest } = await readGameManifest(id, live);
+      return json(await unlockAchievement(DATA_DIR, id, manifest.achievements, body.id, profile));
+    }
+    if (action === "achievements" && req.method === "DELETE") {
+      await resetAchievements(DATA_DIR, id);
+      return json({ ok: true });
+    }
+    if (action === "errors" && req.method === "GET") {
+      return json(await readErrorLog(DATA_DIR, id));
+    }
+    if (action === "errors" && req.method === "POST") {
+      checkSession(req.headers.get(SESSION_HEADER), id);
+      const error = parseGameError(await req.json().catch(() => null));
+      return json(await logGameError(DATA_DIR, id, error), { status: 201 });
+    }
+    if (action === "errors" && req.method === "DELETE") {
+      await clearErrorLog(DATA_DIR, id);
+      return json({ ok: true });
+    }
+    // The game bridge (window.cmg), loaded by every game page; carries the current saves
+    if (action === "bridge.js" && req.method === "GET") {
+      return new Response(bridgeScriptFor(id, await readSaves(DATA_DIR, id)), {
+        headers: { "content-type": "text/javascript; charset=utf-8", "cache-control": "no-store" },
+      });
+    }
+    if (action === "saves" && req.method === "POST") {
+      // Sent with sendBeacon on exit, so the body may come as text/plain
+      let body: unknown;
+      try {
+        body = JSON.parse(await req.text());
+      } catch {
+        return new Response("invalid JSON", { status: 400 });
+      }
+      const { since, changes } = parseSaveChanges(body);
+      return json(await applySaveChanges(DATA_DIR, id, since, changes, saveMaxBytesFromEnv()));
+    }
+    if (action === "saves" && req.method === "DELETE") {
+      await clearSaves(DATA_DIR, id);
+      return json({ ok: true, id });
+    }
+    if (action === "thumbnail" && req.method === "POST") {
+      const fit = url.searchParams.get("fit") ?? "cover";
+      if (!(THUMBNAIL_FITS as readonly string[]).includes(fit)) {
+        return new Response(`fit must be one of: ${THUMBNAIL_FITS.join(", ")}`, { status: 400 });
+      }
+      let bytes: Uint8Array;
+      if (req.headers.get("content-type")?.includes("multipart/form-data")) {
+        const file = (await req.formData()).get("file");
+        if (!(file instanceof File)) return new Response("file required", { status: 400 });
+        bytes = new Uint8Array(await file.arrayBuffer());
+      } else {
+        bytes = new Uint8Array(await req.arrayBuffer());
+      }
+      const limits = thumbnailLimitsFromEnv();
+      const info = await withGameLock(id, () => saveThumbnail(live, bytes.length ? bytes : null, fit as ThumbnailFit, limits));
+      const urls = await thumbnailUrls(id, live);
+      return json({ ok: true, id, ...info, ...urls });
+    }
+    if (action === "versions" && req.method === "GET") {
+      return json(await listVersions(GAMES_DIR, id));
+    }
+    if (action === "rollback" && req.method === "POST") {
+      const body = req.headers.get("content-type")?.includes("json") ? await req.json().catch(() => null) : {};
+      if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return new Response("expected a JSON object", { status: 400 });
+      }
+      const version = typeof body?.version === "string" ? body.version : undefined;
+      const restored = await withGameLock(id, () => rollbackVersion(GAMES_DIR, id, version, keepVersionsFromEnv()));
+      return json({ ok: true, id, restored });
+    }
+    if (action === "update" && req.method === "POST") {
+      if (isGameBusy(id)) return new Response(`${id} is already being installed or updated`, { status: 409 });
+      const { manifest } = await readGameManifest(id, live);
+      const previous = manifest.source;
+      if (req.headers.get("content-type")?.includes("multipart/form-data")) {
+        const form = await req.formData();
+        const file = form.get("file");
+        if (!(file instanceof File)) return new Response("file required", { status: 400 });
+        const subdir = String(form.get("subdir") || "");
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const source: GameSource = { type: "zip", filename: file.name, importedAt: new Date().toISOString() };
+        const job = startJob({ kind: "update", name: manifest.title }, (ctx) => installZip(ctx, bytes, id, subdir, source));
+        return json({ ok: true, id, jobId: job.id, job }, { status: 202 });
+      }
+      // Re-fetch from the recorded GitHub source; the body may pick another ref or repo
+      const body = req.headers.get("content-type")?.includes("json") ? await req.json().catch(() => null) : {};
+      if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return new Response("expected a JSON object", { status: 400 });
+      }
+      const repoInput = typeof body?.repo === "string" && body.repo ? body.repo : previous?.repo;
+      const parsed = repoInput ? parseGithubRepo(repoInput) : null;
+      if (!parsed) {
+        return new Response("No GitHub source recorded for this game; upload a ZIP to update it", { status: 409 });
+      }
+      const override: GithubRefSpec = {};
+      for (const k of ["branch", "tag", "sha", "ref", "release", "asset"] as const) {
+        if (typeof body?.[k] === "string" && body[k].trim()) override[k] = body[k].trim();
+      }
+      if (override.asset && !override.release) override.release = "latest";
+      const spec = Object.keys(override).length || !previous ? override : refSpecFromSource(previous);
+      const subdir = typeof body?.subdir === "string" ? body.subdir : previous?.subdir ?? "";
+      const job = startJob({ kind: "update", name: manifest.title }, async (ctx) => {
+        const dl = await resolveGithubDownload(parsed, spec, ctx.signal);
+        const zipBytes = await downloadZip(dl.url, ctx, dl.headers, githubFetch);
+        return installZip(ctx, zipBytes, id, subdir, dl.source);
+      });
+      return json({ ok: true, id, jobId: job.id, job }, { status: 202 });
+    }
+    return new Response("method not allowed", { status: 405 });
+  }
+  // Save slots: GET /api/games/:id/slots, POST .../slots (multipart: name, items as JSON, screenshot PNG),
+  // POST .../slots/import (an exported slot file), DELETE .../slots/:slot, GET .../slots/:slot/screenshot,
+  // GET .../slots/:slot/export, POST .../slots/:slot/restore (makes the slot the game's save)
+  const slotRoute = url.pathname.match(/^\/api\/games\/([^/]+)\/slots(?:\/([^/]+)(?:\/(screenshot|export|restore))?)?$/);
+  if (slotRoute) {
+    const id = decodeURIComponent(slotRoute[1]);
+    if (id.startsWith(".") || /[\\/]/.test(id) || !await pathExists(join(GAMES_DIR, id, "index.html"))) {
+      return new Response("not found", { status: 404 });
+    }
+    const slotId = slotRoute[2] && decodeURIComponent(slotRoute[2]);
+    const action = slotRoute[3];
+    const maxBytes = saveMaxBytesFromEnv();
+    if (!slotId && req.method === "GET") {
+      return json(await listSlots(DATA_DIR, id));
+    }
+    if (!slotId && req.method === "POST") {
+      if (!req.headers.get("content-type")?.includes("multipart/form-data")) {
+        return new Response("multipart/form-data required", { status: 400 });
+      }
+      const form = await req.formData();
+      let items: Record<string, string>;
+      try {
+        items = parseSlotItems(JSON.parse(String(form.get("items") ?? "")));
+      } catch (e) {
+        return new Response(e instanceof HttpError ? e.message : "items must be JSON", { status: 400 });
+      }
+      const file = form.get("screenshot");
+      const screenshot = file instanceof File ? new Uint8Array(await file.arrayBuffer()) : null;
+      const slot = await createSlot(DATA_DIR, id, { name: String(form.get("name") ?? ""), items, screenshot }, maxBytes);
+      return json(slot, { status: 201 });
+    }
+    if (slotId === "import" && !action && req.method === "POST") {
+      let file: unknown;
+      try {
+        file = JSON.parse(await req.text());
+      } catch {
+        return new Response("Not a save slot file", { status: 400 });
+      }
+      return json(await importSlot(DATA_DIR, id, file, maxBytes), { status: 201 });
+    }
+    if (slotId && !action && req.method === "DELETE") {
+      await deleteSlot(DATA_DIR, id, slotId);
+      return json({ ok: true });
+    }
+    if (action === "screenshot" && req.method === "GET") {
+      return new Response(await readSlotScreenshot(DATA_DIR, id, slotId), { headers: { "content-type": "image/png" } });
+    }
+    if (action === "export" && req.method === "GET") {
+      const file = await exportSlot(DATA_DIR, id, slotId);
+      const filename = `${id}-${file.name.replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "") || "save"}.json`;
+      return json(file, { headers: { "content-disposition": `attachment; filename="${filename}"` } });
+    }
+    if (action === "restore" && req.method === "POST") {
+      const saves = await replaceSaves(DATA_DIR, id, await readSlotItems(DATA_DIR, id, slotId), maxBytes);
+      return json({ ok: true, id, ...saves });
+    }
+    return new Response("method not allowed", { status: 405 });
+  }
+  // Edit metadata: { title?, description?, tags?, sortOrder?, id? }; a new id renames the game
+  const gameRoute = url.pathname.match(/^\/api\/games\/([^/]+)$/);
+  if (gameRoute && req.method === "PATCH") {
+    let id = decodeURIComponent(gameRoute[1]);
+    if (id.startsWith(".") || /[\\/]/.test(id) || !await pathExists(join(GAMES_DIR, id))) {
+      return new Response("not found", { status: 404 });
+    }
+    if (isGameBusy(id)) return new Response(`${id} is being installed or updated`, { status: 409 });
+    const body = await req.json().catch(() => null);
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return new Response("expected a JSON object", { status: 400 });
+    }
+    const errors: string[] = [];
+    const patch = validateManifestEdit(body, errors);
+    if (errors.length) return new Response(errors.join("; "), { status: 400 });
+    // Read first: a game.json that can't be read refuses the edit (422) before anything is renamed
+    const raw = Object.keys(patch).length ? await readRawManifest(join(GAMES_DIR, id)) : {};
+    if (typeof body.id === "string" && body.id !== id) {
+      const newId = toGameId(body.id);
+      if (!newId) return new Response("invalid id", { status: 400 });
+      if (newId !== id) {
+        await renameGame({ gamesDir: GAMES_DIR, dataDir: DATA_DIR }, id, newId);
+        id = newId;
+      }
+    }
+    // Fields sent with their current value aren't edits; they would pin the value against updates
+    for (const k of Object.keys(patch)) {
+      if (JSON.stringify(patch[k]) === JSON.stringify(raw[k])) delete patch[k];
+    }
+    if (Object.keys(patch).length) {
+      // Remember which fields were edited here so updates don't overwrite them
+      const edited = new Set(Array.isArray(raw[EDITED_FIELDS_KEY]) ? raw[EDITED_FIELDS_KEY] as string[] : []);
+      for (const k of EDITABLE_FIELDS) {
+        if (!(k in patch)) continue;
+        if (patch[k] === undefined) edited.delete(k);
+        else edited.add(k);
+      }
+      await updateGameManifest(join(GAMES_DIR, id), {
+        ...patch,
+        [EDITED_FIELDS_KEY]: edited.size ? [...edited] : undefined,
+      });
+    }
+    const game = (await listGames()).find((g) => g.id === id);
+    return json(game);
+  }
+  if (gameRoute && req.method === "DELETE") {
+    const id = decodeURIComponent(gameRoute[1]);
     const target = join(GAMES_DIR, id);
     try {
+      if (id.startsWith(".") || /[\\/]/.test(id)) throw new Error("not a game id");
       const stat = await Deno.stat(target);
       if (!stat.isDirectory) throw new Error("not dir");
     } catch {
       return new Response("not found", { status: 404 });
     }
-    // Remove the game directory
-    await Deno.remove(target, { recursive: true });
+    if (isGameBusy(id)) return new Response(`${id} is being installed or updated`, { status: 409 });
+    // Remove the game directory, its archived versions and its launcher state (saves, scores,
+    // stats, slots), which a game installed later under the same id would otherwise inherit; the
+    // lock keeps an install from starting meanwhile
+    await withGameLock(id, async () => {
+      await Deno.remove(target, { recursive: true });
+      await removeVersions(GAMES_DIR, id);
+      try { await Deno.remove(gameDataDir(DATA_DIR, id), { recursive: true }); } catch { /* none */ }
+    });
     return json({ ok: true });
   }
   return undefined;
@@ -309,8 +868,14 @@ const handler = async (req: Request) => {
   const url = new URL(req.url);
 
   // API routes
-  const apiRes = await handleApi(req);
-  if (apiRes) return apiRes;
+  try {
+    const apiRes = await handleApi(req);
+    if (apiRes) return apiRes;
+  } catch (e) {
+    // Rejected uploads and bad requests are the client's problem, not a server error
+    if (e instanceof HttpError) return new Response(e.message, { status: e.status });
+    throw e;
+  }
 
   // Allow top-level game aliases like /mario/* to resolve to /games/mario/*
   // This helps when bundled games reference absolute asset paths (e.g., "/mario/main.js")
@@ -320,7 +885,7 @@ const handler = async (req: Request) => {
     const ignored = ["api", "static", "assets", "vendor", "games"];
     if (p.startsWith("/") && p.length > 1) {
       const first = p.split("/")[1];
-      if (first && !ignored.includes(first)) {
+      if (first && !ignored.includes(first) && !first.startsWith(".")) {
         const maybeDir = join(GAMES_DIR, first);
         try {
           const st = await Deno.stat(maybeDir);
@@ -351,92 +916,7 @@ const handler = async (req: Request) => {
               if (isIndex) {
                 try {
                   const html = new TextDecoder().decode(data);
-                  const cssInjection = `\n<style>
-                    html,body{margin:0;padding:0;height:100%;overflow:hidden;}
-                    canvas{display:block;}
-                    ::-webkit-scrollbar{display:none}
-                    /* Hide cursor by default inside all games */
-                    html, body { cursor: none !important; }
-                    /* When parent requests cursor visibility (e.g., Game OSD), allow it */
-                    html.cmg-cursor-visible, body.cmg-cursor-visible, .cmg-cursor-visible * { cursor: auto !important; }
-                  </style>\n`;
-                  const osdInjection = `\n<script>(function(){
-                    function shouldOpen(e){return (e.code==='Backquote'||e.keyCode===192||e.which===192);} 
-                    function onKey(e){ if(shouldOpen(e)){ try{ parent.postMessage({cmg:'osd',action:'open'}, location.origin); }catch(_){} if(e.preventDefault) e.preventDefault(); if(e.stopPropagation) e.stopPropagation(); if(e.stopImmediatePropagation) e.stopImmediatePropagation(); }
-                      var k=e.key||e.code; if(k==='Escape'){ try{ parent.postMessage({cmg:'osd',action:'exit'}, location.origin); }catch(_){}} }
-                    try{ document.addEventListener('keydown', onKey, true); window.addEventListener('keydown', onKey, true);}catch(_){}}
-                  )();</script>\n`;
-                  const disableContextMenuInjection = `\n<script>(function(){
-                    try{
-                      var handler=function(e){ if(e && e.preventDefault) e.preventDefault(); if(e && e.stopPropagation) e.stopPropagation(); if(e && e.stopImmediatePropagation) e.stopImmediatePropagation(); return false; };
-                      window.addEventListener('contextmenu', handler, true);
-                      document.addEventListener('contextmenu', handler, true);
-                    }catch(_){/* ignore */}
-                  })();</script>\n`;
-                  const localStorageInjection = `\n<script>(function(){
-                    // Fix localStorage issues in iframe context
-                    var originalJSONParse = JSON.parse;
-                    JSON.parse = function(text) {
-                      if (text === undefined || text === null || text === 'undefined') {
-                        return null;
-                      }
-                      return originalJSONParse.call(this, text);
-                    };
-                    // Ensure localStorage works in iframe
-                    if (window.parent !== window && !window.localStorage) {
-                      window.localStorage = {
-                        data: {},
-                        getItem: function(key) { return this.data[key] || null; },
-                        setItem: function(key, value) { this.data[key] = String(value); },
-                        removeItem: function(key) { delete this.data[key]; },
-                        clear: function() { this.data = {}; },
-                        get length() { return Object.keys(this.data).length; },
-                        key: function(index) { return Object.keys(this.data)[index] || null; }
-                      };
-                      for (let i = 0; i < Object.keys(window.localStorage.data).length; i++) {
-                        let key = Object.keys(window.localStorage.data)[i];
-                        Object.defineProperty(window.localStorage, key, {
-                          get: function() { return this.getItem(key); },
-                          set: function(value) { this.setItem(key, value); },
-                          configurable: true
-                        });
-                      }
-                    }
-                  })();</script>\n`;
-                  const cursorToggleInjection = `\n<script>(function(){
-                    try {
-                      function setCursorVisible(v){
-                        try{
-                          var root=document.documentElement; var body=document.body;
-                          if(v){ root && root.classList.add('cmg-cursor-visible'); body && body.classList.add('cmg-cursor-visible'); }
-                          else { root && root.classList.remove('cmg-cursor-visible'); body && body.classList.remove('cmg-cursor-visible'); }
-                        }catch(_){}
-                      }
-                      // Default hidden
-                      setCursorVisible(false);
-                      // Listen for parent messages to toggle cursor visibility
-                      window.addEventListener('message', function(ev){
-                        try{
-                          if(!ev || !ev.data) return;
-                          var msg = ev.data;
-                          if (msg && msg.cmg === 'cursor') {
-                            setCursorVisible(!!msg.visible);
-                          }
-                        }catch(_){/*ignore*/}
-                      }, true);
-                    } catch(_){/* ignore */}
-                  })();</script>\n`;
-                  const injected = cssInjection + localStorageInjection + cursorToggleInjection + disableContextMenuInjection + osdInjection;
-                  let out = html;
-                  if (/<head[^>]*>/i.test(html)) {
-                    out = html.replace(/<head[^>]*>/i, (m) => m + injected);
-                  } else if (/^<!doctype[^>]*>/i.test(html)) {
-                    out = html.replace(/^<!doctype[^>]*>/i, (m) => m + injected);
-                  } else if (/<html[^>]*>/i.test(html)) {
-                    out = html.replace(/<html[^>]*>/i, (m) => m + injected);
-                  } else {
-                    out = injected + html; // Fallback
-                  }
+                  const out = injectGameHelpers(html, first);
                   data = new TextEncoder().encode(out) as Uint8Array;
                   headersCt = 'text/html; charset=utf-8';
                 } catch {}
@@ -456,6 +936,8 @@ const handler = async (req: Request) => {
   // Serve games directory at /games/ manually for predictable behavior
   if (url.pathname.startsWith("/games/")) {
     const rel = decodeURIComponent(url.pathname.replace(/^\/games\//, ""));
+    // Archived versions and staging folders are not served
+    if (rel.startsWith(".")) return new Response("Not Found", { status: 404 });
     const filePath = rel.endsWith("/") || rel === "" ? join(GAMES_DIR, rel, "index.html") : join(GAMES_DIR, rel);
     try {
       let data: Uint8Array = await Deno.readFile(filePath);
@@ -477,97 +959,11 @@ const handler = async (req: Request) => {
         url.pathname.endsWith("/index.html") ||
         url.pathname.endsWith("/")
       );
-      // Inject early OSD key listener, localStorage fix, and overflow hidden CSS into index.html pages
+      // Inject the game bridge (OSD keys, storage and save sync, CSS, window.cmg) into index.html pages
       if (isIndex) {
         try {
           const html = new TextDecoder().decode(data);
-          const cssInjection = `\n<style>
-            html,body{margin:0;padding:0;height:100%;overflow:hidden;}
-            canvas{display:block;}
-            ::-webkit-scrollbar{display:none}
-            /* Hide cursor by default inside all games */
-            html, body { cursor: none !important; }
-            /* When parent requests cursor visibility (e.g., Game OSD), allow it */
-            html.cmg-cursor-visible, body.cmg-cursor-visible, .cmg-cursor-visible * { cursor: auto !important; }
-          </style>\n`;
-          const osdInjection = `\n<script>(function(){
-            function shouldOpen(e){return (e.code==='Backquote'||e.keyCode===192||e.which===192);} 
-            function onKey(e){ if(shouldOpen(e)){ try{ parent.postMessage({cmg:'osd',action:'open'}, location.origin); }catch(_){} if(e.preventDefault) e.preventDefault(); if(e.stopPropagation) e.stopPropagation(); if(e.stopImmediatePropagation) e.stopImmediatePropagation(); }
-              var k=e.key||e.code; if(k==='Escape'){ try{ parent.postMessage({cmg:'osd',action:'exit'}, location.origin); }catch(_){}} }
-            try{ document.addEventListener('keydown', onKey, true); window.addEventListener('keydown', onKey, true);}catch(_){}}
-          )();</script>\n`;
-          const disableContextMenuInjection = `\n<script>(function(){
-            try{
-              var handler=function(e){ if(e && e.preventDefault) e.preventDefault(); if(e && e.stopPropagation) e.stopPropagation(); if(e && e.stopImmediatePropagation) e.stopImmediatePropagation(); return false; };
-              window.addEventListener('contextmenu', handler, true);
-              document.addEventListener('contextmenu', handler, true);
-            }catch(_){/* ignore */}
-          })();</script>\n`;
-          const localStorageInjection = `\n<script>(function(){
-            // Fix localStorage issues in iframe context
-            var originalJSONParse = JSON.parse;
-            JSON.parse = function(text) {
-              if (text === undefined || text === null || text === 'undefined') {
-                return null;
-              }
-              return originalJSONParse.call(this, text);
-            };
-            // Ensure localStorage works in iframe
-            if (window.parent !== window && !window.localStorage) {
-              window.localStorage = {
-                data: {},
-                getItem: function(key) { return this.data[key] || null; },
-                setItem: function(key, value) { this.data[key] = String(value); },
-                removeItem: function(key) { delete this.data[key]; },
-                clear: function() { this.data = {}; },
-                get length() { return Object.keys(this.data).length; },
-                key: function(index) { return Object.keys(this.data)[index] || null; }
-              };
-              for (let i = 0; i < Object.keys(window.localStorage.data).length; i++) {
-                let key = Object.keys(window.localStorage.data)[i];
-                Object.defineProperty(window.localStorage, key, {
-                  get: function() { return this.getItem(key); },
-                  set: function(value) { this.setItem(key, value); },
-                  configurable: true
-                });
-              }
-            }
-          })();</script>\n`;
-          const cursorToggleInjection = `\n<script>(function(){
-            try {
-              function setCursorVisible(v){
-                try{
-                  var root=document.documentElement; var body=document.body;
-                  if(v){ root && root.classList.add('cmg-cursor-visible'); body && body.classList.add('cmg-cursor-visible'); }
-                  else { root && root.classList.remove('cmg-cursor-visible'); body && body.classList.remove('cmg-cursor-visible'); }
-                }catch(_){}
-              }
-              // Default hidden
-              setCursorVisible(false);
-              // Listen for parent messages to toggle cursor visibility
-              window.addEventListener('message', function(ev){
-                try{
-                  if(!ev || !ev.data) return;
-                  var msg = ev.data;
-                  if (msg && msg.cmg === 'cursor') {
-                    setCursorVisible(!!msg.visible);
-                  }
-                }catch(_){/*ignore*/}
-              }, true);
-            } catch(_){/* ignore */}
-          })();</script>\n`;
-          const injected = cssInjection + localStorageInjection + cursorToggleInjection + disableContextMenuInjection + osdInjection;
-          let out = html;
-          // Prefer injecting inside <head> when possible to avoid breaking DOCTYPE
-          if (/<head[^>]*>/i.test(html)) {
-            out = html.replace(/<head[^>]*>/i, (m) => m + injected);
-          } else if (/^<!doctype[^>]*>/i.test(html)) {
-            out = html.replace(/^<!doctype[^>]*>/i, (m) => m + injected);
-          } else if (/<html[^>]*>/i.test(html)) {
-            out = html.replace(/<html[^>]*>/i, (m) => m + injected);
-          } else {
-            out = injected + html; // Fallback
-          }
+          const out = injectGameHelpers(html, rel.split("/")[0]);
           data = new TextEncoder().encode(out) as Uint8Array;
           headersCt = 'text/html; charset=utf-8';
         } catch {}
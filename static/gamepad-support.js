@@ -4,6 +4,14 @@
  * Features Steam-like Controller Configurator
  */
 
+// Keys a stick can press in games (see defaultMapping.analog), with their configurator labels
+const STICK_KEY_SETS = {
+  arrows: { label: 'Arrow keys', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight' },
+  wasd: { label: 'W A S D', up: 'w', down: 's', left: 'a', right: 'd' },
+  ijkl: { label: 'I J K L', up: 'i', down: 'k', left: 'j', right: 'l' },
+  numbers: { label: 'Number keys 8 4 2 6', up: '8', down: '2', left: '4', right: '6' }
+};
+
 class GamepadManager {
   constructor() {
     this.MAX_PLAYERS = 4;
@@ -51,11 +59,52 @@ class GamepadManager {
         leftStick: { gamepadButton: 10, keyboardKey: 'f', keyCode: 70 },
         rightStick: { gamepadButton: 11, keyboardKey: 'g', keyCode: 71 },
         home: { gamepadButton: 16, keyboardKey: 'h', keyCode: 72 }
+      },
+      // Sticks press keys in games once pushed past `threshold` (0..1); triggers press their keys
+      // once pulled past theirs. keys: one of STICK_KEY_SETS, 'dpad' (this player's d-pad keys) or
+      // 'none'.
+      analog: {
+        leftStick: { keys: 'dpad', threshold: 0.5 },
+        rightStick: { keys: 'none', threshold: 0.5 },
+        triggers: { threshold: 0.5 }
       }
     };
     
-    // Load saved mapping or use default
-    this.currentMapping = this.loadMapping();
+    // Keys of players 2-4 (player 1 has defaultMapping), so each pad presses its own keys
+    this.playerDefaults = [
+      {
+        dpad: { up: 'w', down: 's', left: 'a', right: 'd' },
+        face: { btnBottom: 'z', btnRight: 'x', btnLeft: 'v', btnTop: 'b' },
+        special: { start: '1' }
+      },
+      {
+        dpad: { up: 'i', down: 'k', left: 'j', right: 'l' },
+        face: { btnBottom: 'n', btnRight: 'm', btnLeft: 'u', btnTop: 'o' },
+        special: { start: '2' }
+      },
+      {
+        dpad: { up: '8', down: '5', left: '4', right: '6' },
+        face: { btnBottom: '0', btnRight: '9', btnLeft: '7', btnTop: 'p' },
+        special: { start: '3' }
+      }
+    ];
+
+    // Mapping profiles: the global one, or a game's (see useGameProfile)
+    this.profile = { gameId: null, name: 'Global', gameDefaults: [] };
+    this.playerMappings = this.loadMappings();
+    this.configPlayer = 0; // the player the configurator edits
+
+    // Player slots: a pad claims one by pressing a button and keeps it across disconnects and
+    // reloads. Each is { id, order, index } or null when free: the pad's gamepad.id, which of the
+    // pads with that id it was (for two identical pads), and its gamepad.index while connected.
+    this.slots = this.loadSlots();
+
+    // Layouts of pads without the standard mapping, from the server's controller database
+    // (lib/controllers.ts): gamepad.id -> database entry, null (none) or 'loading'
+    this.layouts = {};
+    this.hatAxes = {}; // gamepad.id -> the axes that are a whole hat (see singleAxisHats)
+    this._mappingWizard = false; // see startControllerMapping
+    this.lastAnalog = {}; // controllerIndex -> what reportAnalog last sent (JSON)
     
     this.init();
   }
@@ -88,6 +137,7 @@ class GamepadManager {
     this.scanGamepads();
     // If in detect mode, capture the next newly-pressed button
     this.handleDetectionTick();
+    this.handleMappingWizardTick();
     this.processInputs();
 
     // While configurator is open and testing enabled, update SVG highlights
@@ -105,7 +155,7 @@ class GamepadManager {
     for (let i = 0; i < gamepads.length; i++) {
       if (gamepads[i]) {
         if (gamepads[i].index in this.controllers) {
-          this.controllers[gamepads[i].index] = gamepads[i];
+          this.controllers[gamepads[i].index] = this.normalizeGamepad(gamepads[i]);
         } else {
           this.addGamepad(gamepads[i]);
         }
@@ -126,7 +176,8 @@ class GamepadManager {
   }
   
   addGamepad(gamepad) {
-    this.controllers[gamepad.index] = gamepad;
+    this.controllers[gamepad.index] = this.normalizeGamepad(gamepad);
+    this.reclaimSlot(gamepad);
     
     // Initialize button state for all expected buttons
     this.buttonState[gamepad.index] = {
@@ -140,23 +191,36 @@ class GamepadManager {
       faceNorth: false,
       faceEast: false,
       faceWest: false,
+      // Shoulder states (volume while the OSD is open)
+      shoulderLeft: false,
+      shoulderRight: false,
       // Special states
       osdCombo: false,
-      // Analog stick digital states
-      leftStick: { left: false, right: false, up: false, down: false },
-      rightStick: { left: false, right: false, up: false, down: false }
+      // Analog stick digital states (leftStick / rightStick themselves are the stick clicks)
+      sticks: {
+        leftStick: { left: false, right: false, up: false, down: false },
+        rightStick: { left: false, right: false, up: false, down: false }
+      }
     };
     
-    this.analogState[gamepad.index] = { leftStick: { x: 0, y: 0 }, rightStick: { x: 0, y: 0 } };
+    this.analogState[gamepad.index] = {
+      leftStick: { x: 0, y: 0 }, rightStick: { x: 0, y: 0 }, leftTrigger: 0, rightTrigger: 0
+    };
     
     console.log(`Gamepad ${gamepad.index} (${gamepad.id}) added and initialized`);
     this.refreshTestingControllerOptionsIfOpen();
   }
   
   removeGamepad(gamepad) {
+    const player = this.playerFor(gamepad.index);
+    if (player >= 0) {
+      this.slots[player].index = null; // kept for when the pad comes back
+      this.playersChanged('disconnected', player);
+    }
     delete this.controllers[gamepad.index];
     delete this.buttonState[gamepad.index];
     delete this.analogState[gamepad.index];
+    delete this.lastAnalog[gamepad.index];
     this.refreshTestingControllerOptionsIfOpen();
   }
   
@@ -169,6 +233,7 @@ class GamepadManager {
   processInputs() {
     for (let controllerIndex in this.controllers) {
       const controller = this.controllers[controllerIndex];
+      if (this.processJoin(controller, controllerIndex)) continue;
       // Snapshot previous button state to detect rising edges reliably within this frame
       const prevButtonState = { ...(this.buttonState[controllerIndex] || {}) };
 
@@ -207,7 +272,9 @@ class GamepadManager {
   }
   
   processButtonGroup(groupName, controller, controllerIndex, prevButtonState) {
-    const group = this.currentMapping[groupName];
+    // Each player's pad presses that player's keys; a pad that hasn't joined presses player 1's
+    const playerMapping = this.playerMappings[this.playerFor(controllerIndex)] || this.currentMapping;
+    const group = playerMapping[groupName];
     if (!group) return;
 
     for (let buttonName in group) {
@@ -216,7 +283,10 @@ class GamepadManager {
 
       if (button) {
         const wasPressed = prevButtonState[buttonName] || false;
-        const isPressed = button.pressed;
+        const isTrigger = buttonName === 'leftTrigger' || buttonName === 'rightTrigger';
+        const isPressed = isTrigger && playerMapping.analog
+          ? (button.value || (button.pressed ? 1 : 0)) > playerMapping.analog.triggers.threshold
+          : button.pressed;
 
         const swallow = this.shouldSwallowFor(controllerIndex);
 
@@ -260,6 +330,109 @@ class GamepadManager {
     }
   }
   
+  // The slot (player 1 is 0) of the pad at controllerIndex; -1 when it hasn't joined
+  playerFor(controllerIndex) {
+    return this.slots.findIndex((slot) => slot && slot.index === Number(controllerIndex));
+  }
+
+  // ===== Player slots =====
+  loadSlots() {
+    const slots = new Array(this.MAX_PLAYERS).fill(null);
+    try {
+      const saved = JSON.parse(localStorage.getItem('playerSlots'));
+      if (Array.isArray(saved)) {
+        saved.slice(0, this.MAX_PLAYERS).forEach((slot, i) => {
+          if (slot && typeof slot.id === 'string') slots[i] = { id: slot.id, order: slot.order || 0, index: null };
+        });
+      }
+    } catch (_) { /* start with free slots */ }
+    return slots;
+  }
+
+  saveSlots() {
+    const saved = this.slots.map((slot) => (slot ? { id: slot.id, order: slot.order } : null));
+    try { localStorage.setItem('playerSlots', JSON.stringify(saved)); } catch (_) {}
+  }
+
+  // Which of the connected pads with this pad's id it is, by index
+  padOrder(gamepad) {
+    return Object.values(this.controllers)
+      .filter((gp) => gp.id === gamepad.id && gp.index < gamepad.index).length;
+  }
+
+  // A pad that comes back takes its slot again: the one with its id and order, else any free one
+  // with its id
+  reclaimSlot(gamepad) {
+    if (this.playerFor(gamepad.index) >= 0) return;
+    const order = this.padOrder(gamepad);
+    const waiting = (slot) => slot && slot.id === gamepad.id && slot.index === null;
+    let player = this.slots.findIndex((slot) => waiting(slot) && slot.order === order);
+    if (player < 0) player = this.slots.findIndex(waiting);
+    if (player < 0) return;
+    this.slots[player].index = gamepad.index;
+    this.playersChanged('connected', player);
+  }
+
+  // The pad takes the first free slot; -1 when all are taken
+  joinPlayer(controllerIndex) {
+    const current = this.playerFor(controllerIndex);
+    const gamepad = this.controllers[controllerIndex];
+    if (current >= 0 || !gamepad) return current;
+    const player = this.slots.indexOf(null);
+    if (player < 0) return -1;
+    this.slots[player] = { id: gamepad.id, order: this.padOrder(gamepad), index: gamepad.index };
+    this.saveSlots();
+    this.playersChanged('joined', player);
+    return player;
+  }
+
+  // Free a slot; its pad (if connected) joins again with its next press
+  releasePlayer(player) {
+    if (!this.slots[player]) return;
+    this.slots[player] = null;
+    this.saveSlots();
+    this.playersChanged('left', player);
+  }
+
+  // Free every slot, so the pads join again in the order their buttons are pressed
+  resetPlayers() {
+    this.slots.fill(null);
+    this.saveSlots();
+    this.playersChanged('reset', -1);
+  }
+
+  // [{ player, id, index, connected }] for the taken slots; player is 1-4, index null while the
+  // pad is away
+  getPlayerSlots() {
+    return this.slots.flatMap((slot, i) => (slot
+      ? [{ player: i + 1, id: slot.id, index: slot.index, connected: slot.index !== null }]
+      : []));
+  }
+
+  // type: joined, left, connected, disconnected or reset; player is the slot (-1 for reset)
+  playersChanged(type, player) {
+    if (window.onPlayersChanged) window.onPlayersChanged({ type, player: player + 1 });
+  }
+
+  // "Press a button to join": the first press of a pad without a slot claims one. On the OSD's
+  // Players view that press only joins; the pad is ignored until its buttons are released.
+  // Returns true while the pad's input is ignored.
+  processJoin(controller, controllerIndex) {
+    const state = this.buttonState[controllerIndex];
+    if (!state) return false;
+    const anyPressed = Array.from(controller.buttons || []).some((b) => b && b.pressed);
+    const wasPressed = state.anyPressed;
+    state.anyPressed = anyPressed;
+    if (state.joinHeld) {
+      if (anyPressed) return true;
+      state.joinHeld = false;
+    }
+    if (!anyPressed || wasPressed || this.shouldSwallowFor(controllerIndex)) return false;
+    if (this.playerFor(controllerIndex) >= 0) return false;
+    if (this.joinPlayer(controllerIndex) >= 0 && this.isPlayersViewOpen()) state.joinHeld = true;
+    return !!state.joinHeld;
+  }
+
   processAnalogSticks(controller, controllerIndex) {
     // Check if axes exist (some controllers might not have them)
     if (!controller.axes || controller.axes.length < 4) return;
@@ -275,55 +448,110 @@ class GamepadManager {
       x: this.applyDeadzone(controller.axes[2] || 0),
       y: this.applyDeadzone(controller.axes[3] || 0)
     };
+
+    const shoulder = this.mappingFor(controllerIndex).shoulder;
+    const triggerValue = (binding) => {
+      const button = controller.buttons[binding.gamepadButton];
+      return button ? (button.value || (button.pressed ? 1 : 0)) : 0;
+    };
+    const state = {
+      leftStick,
+      rightStick,
+      leftTrigger: triggerValue(shoulder.leftTrigger),
+      rightTrigger: triggerValue(shoulder.rightTrigger)
+    };
+    this.analogState[controllerIndex] = state;
+    this.reportAnalog(controllerIndex, state);
     
-    this.analogState[controllerIndex] = { leftStick, rightStick };
-    
-    // Convert analog to digital for launcher navigation
+    // Convert analog to digital: keys in games, navigation in the launcher and its menus
     this.processAnalogToDigital(leftStick, controllerIndex, 'leftStick');
     this.processAnalogToDigital(rightStick, controllerIndex, 'rightStick');
   }
+
+  // The mapping the pad at controllerIndex presses: its player's, else player 1's
+  mappingFor(controllerIndex) {
+    return this.playerMappings[this.playerFor(controllerIndex)] || this.currentMapping;
+  }
+
+  // The keys a stick presses in games ({ up, down, left, right } bindings), or null
+  stickKeys(mapping, stickName) {
+    const keys = mapping.analog ? mapping.analog[stickName].keys : 'none';
+    if (keys === 'dpad') return mapping.dpad;
+    const set = STICK_KEY_SETS[keys];
+    if (!set) return null;
+    const binding = (key) => ({ keyboardKey: key, keyCode: this.getKeyCode(key) });
+    return { up: binding(set.up), down: binding(set.down), left: binding(set.left), right: binding(set.right) };
+  }
+
+  // Tell the launcher (and through the bridge, the game) how a player's sticks and triggers sit,
+  // when they moved. Pads that haven't joined report as player 1.
+  reportAnalog(controllerIndex, state) {
+    if (!window.onAnalogInput) return;
+    const round = (v) => Math.round(v * 100) / 100;
+    const detail = {
+      player: this.playerFor(controllerIndex) + 1 || 1,
+      leftStick: { x: round(state.leftStick.x), y: round(state.leftStick.y) },
+      rightStick: { x: round(state.rightStick.x), y: round(state.rightStick.y) },
+      leftTrigger: round(state.leftTrigger),
+      rightTrigger: round(state.rightTrigger)
+    };
+    const key = JSON.stringify(detail);
+    if (this.lastAnalog[controllerIndex] === key) return;
+    const first = this.lastAnalog[controllerIndex] === undefined;
+    this.lastAnalog[controllerIndex] = key;
+    if (!first) window.onAnalogInput(detail);
+  }
+
+  // A player's sticks and triggers as reportAnalog sends them (player 0 is player 1), or null
+  // without a pad
+  getAnalog(player) {
+    let index = this.slots[player] ? this.slots[player].index : null;
+    if (index === null && player === 0 && !this.slots[0]) {
+      index = Object.keys(this.controllers).map(Number).find((i) => this.playerFor(i) < 0) ?? null;
+    }
+    const key = index === null ? undefined : this.lastAnalog[index];
+    return key ? JSON.parse(key) : null;
+  }
   
   applyDeadzone(value, deadzone = 0.15) {
     return Math.abs(value) > deadzone ? value : 0;
   }
   
   processAnalogToDigital(stick, controllerIndex, stickName) {
-    const threshold = 0.5;
-    if (this.shouldSwallowFor(controllerIndex)) {
-      // Do not route navigation while testing
-      const leftPressed = stick.x < -threshold;
-      const rightPressed = stick.x > threshold;
-      const upPressed = stick.y < -threshold;
-      const downPressed = stick.y > threshold;
-      this.buttonState[controllerIndex][stickName] = { left: leftPressed, right: rightPressed, up: upPressed, down: downPressed };
-      return;
-    }
-    const prevState = this.buttonState[controllerIndex][stickName] || {};
-
-    // Horizontal movement
-    const leftPressed = stick.x < -threshold;
-    const rightPressed = stick.x > threshold;
-    const wasLeftPressed = prevState.left || false;
-    const wasRightPressed = prevState.right || false;
-    
-    if (leftPressed && !wasLeftPressed) { this.routeNavigation('left'); }
-    if (rightPressed && !wasRightPressed) { this.routeNavigation('right'); }
-    
-    // Vertical movement
-    const upPressed = stick.y < -threshold;
-    const downPressed = stick.y > threshold;
-    const wasUpPressed = prevState.up || false;
-    const wasDownPressed = prevState.down || false;
-    
-    if (upPressed && !wasUpPressed) { this.routeNavigation('up'); }
-    if (downPressed && !wasDownPressed) { this.routeNavigation('down'); }
-    
-    this.buttonState[controllerIndex][stickName] = {
-      left: leftPressed,
-      right: rightPressed,
-      up: upPressed,
-      down: downPressed
+    const mapping = this.mappingFor(controllerIndex);
+    const threshold = mapping.analog ? mapping.analog[stickName].threshold : 0.5;
+    const sticks = this.buttonState[controllerIndex].sticks || (this.buttonState[controllerIndex].sticks = {});
+    const prevState = sticks[stickName] || {};
+    const state = {
+      left: stick.x < -threshold,
+      right: stick.x > threshold,
+      up: stick.y < -threshold,
+      down: stick.y > threshold,
+      pressedKeys: { ...(prevState.pressedKeys || {}) } // direction -> the binding it pressed
     };
+    sticks[stickName] = state;
+    // Do not route navigation or press keys while testing
+    if (this.shouldSwallowFor(controllerIndex)) return;
+
+    const inGame = document.body.classList.contains('playing') && !(this.isAnyOverlayOpen && this.isAnyOverlayOpen());
+    const keys = inGame ? this.stickKeys(mapping, stickName) : null;
+    for (const direction of ['left', 'right', 'up', 'down']) {
+      const was = prevState[direction] || false;
+      if (state[direction] && !was) {
+        if (inGame) {
+          if (keys && keys[direction].keyboardKey) {
+            this.dispatchKeyboardEvent('keydown', keys[direction]);
+            state.pressedKeys[direction] = keys[direction];
+          }
+        } else {
+          this.routeNavigation(direction);
+        }
+      } else if (!state[direction] && state.pressedKeys[direction]) {
+        // Released with the key it pressed, even if the setting changed meanwhile
+        this.dispatchKeyboardEvent('keyup', state.pressedKeys[direction]);
+        delete state.pressedKeys[direction];
+      }
+    }
   }
   
   processLauncherControls(controller, controllerIndex, prevButtonState) {
@@ -421,9 +649,26 @@ class GamepadManager {
       this.buttonState[controllerIndex].faceSouth = false;
     }
 
+    // Volume: LB down, RB up
+    const shoulderMapping = this.currentMapping.shoulder;
+    if (controller.buttons[shoulderMapping.leftShoulder.gamepadButton]?.pressed && !prevButtonState.shoulderLeft) {
+      if (window.adjustVolume) window.adjustVolume(-0.1);
+      this.buttonState[controllerIndex].shoulderLeft = true;
+    } else if (!controller.buttons[shoulderMapping.leftShoulder.gamepadButton]?.pressed) {
+      this.buttonState[controllerIndex].shoulderLeft = false;
+    }
+
+    if (controller.buttons[shoulderMapping.rightShoulder.gamepadButton]?.pressed && !prevButtonState.shoulderRight) {
+      if (window.adjustVolume) window.adjustVolume(0.1);
+      this.buttonState[controllerIndex].shoulderRight = true;
+    } else if (!controller.buttons[shoulderMapping.rightShoulder.gamepadButton]?.pressed) {
+      this.buttonState[controllerIndex].shoulderRight = false;
+    }
+
     // Back/Close: B (btnRight)
     if (controller.buttons[faceMapping.btnRight.gamepadButton]?.pressed && !prevButtonState.faceEast) {
-      if (window.toggleOSD) window.toggleOSD(false);
+      if (window.osdBack) window.osdBack();
+      else if (window.toggleOSD) window.toggleOSD(false);
       this.buttonState[controllerIndex].faceEast = true;
     } else if (!controller.buttons[faceMapping.btnRight.gamepadButton]?.pressed) {
       this.buttonState[controllerIndex].faceEast = false;
@@ -469,7 +714,9 @@ class GamepadManager {
     const startPressed = controller.buttons[specialMapping.start.gamepadButton]?.pressed;
     const closePressed = bPressed || startPressed;
     if (closePressed && !prevButtonState.gmClose) {
-      if (window.hideGameMenu) window.hideGameMenu();
+      // B steps back out of sub-views (e.g. Edit details) before closing the menu
+      if (bPressed && window.gameMenuBack) window.gameMenuBack();
+      else if (window.hideGameMenu) window.hideGameMenu();
       this.buttonState[controllerIndex].gmClose = true;
       // Latch shared flags so launcher won't act until release
       if (bPressed) this.buttonState[controllerIndex].faceEast = true;
@@ -485,7 +732,8 @@ class GamepadManager {
   getVisibleGameMenuButtons() {
     const panel = document.querySelector('#game-menu .game-menu-panel');
     if (!panel) return [];
-    const buttons = Array.from(panel.querySelectorAll('button'));
+    // Form fields too, so the Edit details view is navigable
+    const buttons = Array.from(panel.querySelectorAll('button, input, textarea, select'));
     return buttons.filter((btn) => btn.offsetParent !== null && getComputedStyle(btn).display !== 'none');
   }
 
@@ -501,8 +749,20 @@ class GamepadManager {
   handleGameMenuNavigation(direction) {
     const items = this.getVisibleGameMenuButtons();
     if (items.length === 0) return;
+    // The menu can move focus itself (switching views, mouse clicks); follow it
+    const current = items.indexOf(document.activeElement);
+    if (current !== -1) this.gameMenuFocusIndex = current;
     if (this.gameMenuFocusIndex < 0) this.gameMenuFocusIndex = 0;
 
+    // Left/Right step number fields (e.g. sort order) instead of moving focus
+    const field = items[this.gameMenuFocusIndex];
+    if (field?.type === 'number' && (direction === 'left' || direction === 'right')) {
+      const step = direction === 'left' ? -1 : 1;
+      field.value = String((Number(field.value) || 0) + step);
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+      return;
+    }
+
     if (direction === 'up' || direction === 'left') {
       this.gameMenuFocusIndex = (this.gameMenuFocusIndex - 1 + items.length) % items.length;
     } else if (direction === 'down' || direction === 'right') {
@@ -516,6 +776,8 @@ class GamepadManager {
   activateFocusedGameMenuItem() {
     const items = this.getVisibleGameMenuButtons();
     if (items.length === 0) return;
+    const current = items.indexOf(document.activeElement);
+    if (current !== -1) this.gameMenuFocusIndex = current;
     if (this.gameMenuFocusIndex < 0) this.gameMenuFocusIndex = 0;
     try { items[this.gameMenuFocusIndex].click(); } catch (_) {}
   }
@@ -575,6 +837,11 @@ class GamepadManager {
     return !!el && !el.classList.contains('hidden');
   }
 
+  isPlayersViewOpen() {
+    const el = document.getElementById('osd-players');
+    return this.isOSDOpen() && !!el && !el.hidden;
+  }
+
   isAnyOverlayOpen() {
     return this.isOSDOpen() || this.isGameMenuOpen();
   }
@@ -596,8 +863,9 @@ class GamepadManager {
   // controller selection only affects visualization aggregation,
   // not input routing. This prevents other controllers from
   // interacting with the launcher while testing a single controller.
+  // (Mapping a controller for the database swallows them too.)
   shouldSwallowFor(controllerIndex) {
-    return !!(this.isTestingActive && this.isTestingActive());
+    return !!(this.isTestingActive && this.isTestingActive()) || !!this._mappingWizard;
   }
 
   getVisibleOSDButtons() {
@@ -660,11 +928,16 @@ class GamepadManager {
     if (!document.body.classList.contains('playing')) return;
     if (this.isAnyOverlayOpen && this.isAnyOverlayOpen()) return;
 
+    // Unbound (e.g. player 2's shoulder buttons by default)
+    if (!mapping.keyboardKey) return;
+
     const iframe = document.querySelector('iframe#gameframe');
 
     // Build a KeyboardEvent and force legacy keyCode/which/charCode for engines that still use them
     const key = mapping.keyboardKey;
-    const code = key === ' ' ? 'Space' : (key.length === 1 ? `Key${key.toUpperCase()}` : key);
+    let code = key.length === 1 ? `Key${key.toUpperCase()}` : key;
+    if (key === ' ') code = 'Space';
+    else if (/^[0-9]$/.test(key)) code = `Digit${key}`;
 
     const evt = new KeyboardEvent(eventType, {
       key,
@@ -753,6 +1026,7 @@ class GamepadManager {
         <div class="configurator-panel">
           <div class="configurator-header">
             <h2>Controller Layout</h2>
+            <span class="mapping-profile" id="mapping-profile">Profile: ${this.describeProfile()}</span>
             <button class="close-btn" onclick="gamepadManager.closeConfigurator()">&times;</button>
           </div>
           
@@ -815,6 +1089,7 @@ class GamepadManager {
             </div>
             
             <div class="configurator-sidebar">
+              <div class="player-tabs">${this.getPlayerTabsHTML()}</div>
               <div class="mapping-info">
                 <h3>Button Mapping</h3>
                 <div class="current-mapping" id="current-mapping-display">
@@ -876,6 +1151,28 @@ class GamepadManager {
                 </div>
                 <p class="testing-hint">When enabled, pressed controls light up on the diagram. Choose a controller to test or leave as All.</p>
               </div>
+
+              <div class="testing-section" id="analog-section">
+                <h3>Sticks &amp; Triggers</h3>
+                ${this.getAnalogControlHTML('leftStick', 'Left stick')}
+                ${this.getAnalogControlHTML('rightStick', 'Right stick')}
+                ${this.getAnalogControlHTML('triggers', 'Triggers')}
+                <p class="testing-hint">In games, sticks press these keys once pushed past the threshold, and triggers press their buttons' keys once pulled past theirs.</p>
+              </div>
+
+              <div class="testing-section" id="controller-db-section">
+                <h3>Controller Database</h3>
+                <p class="testing-hint" id="controller-db-status"></p>
+                <p class="testing-hint" id="controller-db-message"></p>
+                <div class="form-actions controller-db-actions">
+                  <button type="button" id="controller-db-map-btn">Map This Controller</button>
+                  <button type="button" id="controller-db-remove-btn">Remove Entry</button>
+                  <button type="button" id="controller-db-skip-btn">Skip</button>
+                  <button type="button" id="controller-db-cancel-btn">Cancel</button>
+                  <button type="button" id="controller-db-import-btn">Import gamecontrollerdb.txt</button>
+                </div>
+                <input type="file" id="controller-db-input" accept=".txt,text/plain" hidden>
+              </div>
             </div>
           </div>
           
@@ -888,7 +1185,52 @@ class GamepadManager {
     `;
   }
   
+  // A key set select (sticks only) and a threshold slider
+  getAnalogControlHTML(name, label) {
+    let select = '';
+    if (name !== 'triggers') {
+      const options = [['dpad', 'Same as D-pad'], ...Object.entries(STICK_KEY_SETS).map(([k, set]) => [k, set.label]), ['none', 'Nothing']];
+      select = `<select class="analog-keys" data-analog="${name}" aria-label="${label} keys">${options.map(([value, text]) => `<option value="${value}">${text}</option>`).join('')}</select>`;
+    }
+    return `
+                <div class="form-group analog-control">
+                  <label>${label}</label>
+                  ${select}
+                  <input type="range" class="analog-threshold" data-analog="${name}" min="0.1" max="0.95" step="0.05" aria-label="${label} threshold">
+                  <span class="analog-threshold-value" data-analog="${name}"></span>
+                </div>`;
+  }
+
+  // Show the configured player's stick and trigger settings
+  updateAnalogSection() {
+    const analog = this.playerMappings[this.configPlayer].analog;
+    document.querySelectorAll('.controller-configurator .analog-keys').forEach((select) => {
+      select.value = analog[select.dataset.analog].keys;
+    });
+    document.querySelectorAll('.controller-configurator .analog-threshold').forEach((input) => {
+      input.value = String(analog[input.dataset.analog].threshold);
+    });
+    document.querySelectorAll('.controller-configurator .analog-threshold-value').forEach((span) => {
+      span.textContent = `${Math.round(analog[span.dataset.analog].threshold * 100)}%`;
+    });
+  }
+
+  // One tab per player; hovering shows the player's controller
+  getPlayerTabsHTML() {
+    const escape = (text) => text.replace(/[&<>"]/g, (c) => `&#${c.charCodeAt(0)};`);
+    let html = '';
+    for (let p = 0; p < this.MAX_PLAYERS; p++) {
+      const active = p === this.configPlayer ? ' active' : '';
+      html += `<button type="button" class="player-tab${active}" data-player="${p}" title="${escape(this.describePlayerPad(p))}">Player ${p + 1}</button>`;
+    }
+    return html;
+  }
+
   attachConfiguratorListeners(configurator) {
+    configurator.querySelectorAll('.player-tab').forEach((tab) => {
+      tab.addEventListener('click', () => this.selectConfigPlayer(Number(tab.dataset.player)));
+    });
+
     // Button configuration listeners
     const configButtons = configurator.querySelectorAll('.config-btn');
     configButtons.forEach(btn => {
@@ -958,6 +1300,42 @@ class GamepadManager {
         try { this.updateTestingVisual(); } catch (_) {}
       });
     }
+
+    // Sticks & triggers: saved as they change
+    configurator.querySelectorAll('.analog-keys').forEach((select) => {
+      select.addEventListener('change', () => {
+        this.playerMappings[this.configPlayer].analog[select.dataset.analog].keys = select.value;
+        this.saveMapping();
+      });
+    });
+    configurator.querySelectorAll('.analog-threshold').forEach((input) => {
+      input.addEventListener('input', () => {
+        this.playerMappings[this.configPlayer].analog[input.dataset.analog].threshold = Number(input.value);
+        this.saveMapping();
+        this.updateAnalogSection();
+      });
+    });
+    this.updateAnalogSection();
+
+    // Controller database
+    configurator.querySelector('#controller-db-map-btn').addEventListener('click', () => {
+      this.startControllerMapping(this.dbPadIndex());
+    });
+    configurator.querySelector('#controller-db-remove-btn').addEventListener('click', () => {
+      this.removeControllerLayout(this.dbPadIndex());
+    });
+    configurator.querySelector('#controller-db-skip-btn').addEventListener('click', () => this.skipMappingStep());
+    configurator.querySelector('#controller-db-cancel-btn').addEventListener('click', () => {
+      this.cancelControllerMapping();
+    });
+    const dbInput = configurator.querySelector('#controller-db-input');
+    configurator.querySelector('#controller-db-import-btn').addEventListener('click', () => dbInput.click());
+    dbInput.addEventListener('change', () => {
+      const file = dbInput.files && dbInput.files[0];
+      dbInput.value = '';
+      if (file) this.importControllerDb(file);
+    });
+    this.updateControllerDbSection();
   }
   
   selectButtonForConfig(group, button, element) {
@@ -976,7 +1354,7 @@ class GamepadManager {
     buttonNameSpan.textContent = `${group.toUpperCase()} ${button.toUpperCase()}`;
     
     // Populate current values
-    const currentMapping = this.currentMapping[group][button];
+    const currentMapping = this.playerMappings[this.configPlayer][group][button];
     document.querySelector('#keyboard-key-input').value = currentMapping.keyboardKey;
     document.querySelector('#gamepad-button-select').value = currentMapping.gamepadButton;
     
@@ -1005,9 +1383,10 @@ class GamepadManager {
     const gamepadButton = parseInt(document.querySelector('#gamepad-button-select').value);
     
     // Update mapping
-    this.currentMapping[group][button].keyboardKey = keyboardKey;
-    this.currentMapping[group][button].keyCode = this.getKeyCode(keyboardKey);
-    this.currentMapping[group][button].gamepadButton = gamepadButton;
+    const binding = this.playerMappings[this.configPlayer][group][button];
+    binding.keyboardKey = keyboardKey;
+    binding.keyCode = this.getKeyCode(keyboardKey);
+    binding.gamepadButton = gamepadButton;
     
     // Save to localStorage
     this.saveMapping();
@@ -1019,10 +1398,10 @@ class GamepadManager {
     if (!this.configSelection) return;
     
     const { group, button } = this.configSelection;
-    const defaultMapping = this.defaultMapping[group][button];
+    const defaultMapping = this.profileDefaults()[group][button];
     
     // Reset to default
-    this.currentMapping[group][button] = { ...defaultMapping };
+    this.playerMappings[this.configPlayer][group][button] = { ...defaultMapping };
     
     // Update UI
     document.querySelector('#keyboard-key-input').value = defaultMapping.keyboardKey;
@@ -1031,13 +1410,47 @@ class GamepadManager {
     this.saveMapping();
   }
   
+  // Reset the player shown in the configurator
   resetAllMappings() {
-    if (confirm('Reset all controller mappings to default?')) {
-      this.currentMapping = JSON.parse(JSON.stringify(this.defaultMapping));
-      this.saveMapping();
+    const player = this.configPlayer;
+    if (this.profile.gameId) {
+      // Drop the game's own copy; it follows the global mapping (and its game.json defaults) again
+      if (!confirm(`Reset player ${player + 1}'s mapping for ${this.profile.name} to the global one?`)) return;
+      localStorage.removeItem(this.mappingKey(player));
+      this.playerMappings[player] = this.profileDefaults(player);
+      this.closeConfigurator();
+      return;
+    }
+    if (confirm(`Reset player ${player + 1}'s controller mapping to default?`)) {
+      this.playerMappings[player] = this.defaultMappingFor(player);
+      this.saveMapping(player);
       this.closeConfigurator();
     }
   }
+
+  // Configurator tabs: which player's mapping is edited
+  selectConfigPlayer(player) {
+    this.configPlayer = player;
+    this.configSelection = null;
+    document.querySelectorAll('.player-tab').forEach((tab) => {
+      tab.classList.toggle('active', Number(tab.dataset.player) === player);
+    });
+    document.querySelectorAll('.config-btn').forEach((btn) => btn.classList.remove('selected'));
+    const mappingForm = document.querySelector('#mapping-form');
+    const mappingDisplay = document.querySelector('#current-mapping-display');
+    if (mappingForm) mappingForm.style.display = 'none';
+    if (mappingDisplay) mappingDisplay.style.display = '';
+    this.updateProfileLabel();
+    this.updateAnalogSection();
+    this.updateControllerDbSection();
+  }
+
+  // e.g. "Xbox Wireless Controller (pad 1)", "... (disconnected)" or "No controller"
+  describePlayerPad(player) {
+    const slot = this.slots[player];
+    if (!slot) return 'No controller';
+    return `${slot.id} (${slot.index === null ? 'disconnected' : `pad ${slot.index + 1}`})`;
+  }
   
   saveAndClose() {
     this.saveMapping();
@@ -1052,6 +1465,7 @@ class GamepadManager {
     }
     // Stop detect mode if active
     try { this.cancelGamepadButtonDetection(); } catch (_) {}
+    this._mappingWizard = false;
     // Turn off testing visuals
     try { this.setTestingMode(false); } catch (_) {}
   }
@@ -1094,6 +1508,7 @@ class GamepadManager {
   refreshTestingControllerOptionsIfOpen() {
     if (this.isConfiguratorOpen && this.isConfiguratorOpen()) {
       this.updateTestingControllerDropdown();
+      this.updateControllerDbSection();
     }
   }
 
@@ -1238,13 +1653,139 @@ class GamepadManager {
     return keyCodeMap[key] || key.charCodeAt(0);
   }
   
-  saveMapping() {
-    localStorage.setItem('gamepadMapping', JSON.stringify(this.currentMapping));
+  // ===== Mapping profiles =====
+  // Every player has a mapping. The global ones live in localStorage 'gamepadMapping' (player 1)
+  // and 'gamepadMapping#p2'...; players 2-4 start from their own keys (playerDefaults). A game
+  // plays with its own profile: the global mappings with the defaults from its game.json
+  // (controllerMappings) on top, or, once edited in the configurator, its own saved copies under
+  // 'gamepadMapping:<game id>' and 'gamepadMapping:<game id>#p2'...
+  get currentMapping() {
+    return this.playerMappings[0];
+  }
+
+  mappingKey(player, gameId = this.profile.gameId) {
+    const key = gameId ? `gamepadMapping:${gameId}` : 'gamepadMapping';
+    return player > 0 ? `${key}#p${player + 1}` : key;
+  }
+
+  // The built-in mapping of a player: player 1 gets defaultMapping, the others only the keys in
+  // playerDefaults (their other buttons press nothing)
+  defaultMappingFor(player) {
+    const mapping = JSON.parse(JSON.stringify(this.defaultMapping));
+    if (player === 0) return mapping;
+    for (const [name, group] of Object.entries(mapping)) {
+      if (name === 'analog') continue; // the same settings for everyone
+      for (const binding of Object.values(group)) { binding.keyboardKey = ''; binding.keyCode = 0; }
+    }
+    return this.mergeMapping(mapping, this.playerDefaults[player - 1]);
   }
-  
-  loadMapping() {
-    const saved = localStorage.getItem('gamepadMapping');
-    let mapping = saved ? JSON.parse(saved) : JSON.parse(JSON.stringify(this.defaultMapping));
+
+  // Switch to a game's profile (openGame) or back to the global one (null)
+  useGameProfile(game) {
+    this.profile = game
+      ? { gameId: game.id, name: game.name || game.id, gameDefaults: game.controllerMappings || [] }
+      : { gameId: null, name: 'Global', gameDefaults: [] };
+    this.playerMappings = this.loadMappings();
+    this.updateProfileLabel();
+  }
+
+  loadMappings() {
+    const mappings = [];
+    for (let player = 0; player < this.MAX_PLAYERS; player++) {
+      mappings.push(this.readMapping(this.mappingKey(player), player) || this.profileDefaults(player));
+    }
+    return mappings;
+  }
+
+  // What "Reset to Default" goes back to: the built-in mapping, or for a game the global one with
+  // the game's defaults applied
+  profileDefaults(player = this.configPlayer) {
+    if (!this.profile.gameId) return this.defaultMappingFor(player);
+    const global = this.readMapping(this.mappingKey(player, null), player) || this.defaultMappingFor(player);
+    return this.mergeMapping(global, this.profile.gameDefaults[player]);
+  }
+
+  // `base` with the bindings in `overrides` ({ group: { button: { keyboardKey, gamepadButton } } },
+  // a plain string being the keyboard key)
+  mergeMapping(base, overrides) {
+    const mapping = JSON.parse(JSON.stringify(base));
+    for (const [group, buttons] of Object.entries(overrides || {})) {
+      if (group === 'analog') {
+        this.mergeAnalog(mapping.analog, buttons);
+        continue;
+      }
+      for (const [button, value] of Object.entries(buttons || {})) {
+        const target = mapping[group]?.[button];
+        const binding = typeof value === 'string' ? { keyboardKey: value } : value;
+        if (!target || !binding) continue;
+        // '' is a key too: the button is unbound
+        if (typeof binding.keyboardKey === 'string') {
+          target.keyboardKey = binding.keyboardKey;
+          if (!binding.keyboardKey) target.keyCode = 0;
+          else if (typeof binding.keyCode === 'number') target.keyCode = binding.keyCode;
+          else target.keyCode = this.getKeyCode(binding.keyboardKey);
+        }
+        if (Number.isInteger(binding.gamepadButton)) target.gamepadButton = binding.gamepadButton;
+      }
+    }
+    return mapping;
+  }
+
+  // Stick and trigger settings from a saved mapping; unknown key sets and thresholds out of range
+  // are ignored
+  mergeAnalog(target, overrides) {
+    if (!target || !overrides || typeof overrides !== 'object') return;
+    for (const name of ['leftStick', 'rightStick', 'triggers']) {
+      const value = overrides[name];
+      if (!value || typeof value !== 'object') continue;
+      const keys = value.keys;
+      if (name !== 'triggers' && (keys === 'dpad' || keys === 'none' ||
+          Object.prototype.hasOwnProperty.call(STICK_KEY_SETS, keys))) {
+        target[name].keys = keys;
+      }
+      if (typeof value.threshold === 'number' && value.threshold >= 0.1 && value.threshold <= 0.95) {
+        target[name].threshold = value.threshold;
+      }
+    }
+  }
+
+  // A renamed game keeps its profile: its saved mappings move to the new id
+  renameGameProfile(from, to) {
+    for (let player = 0; player < this.MAX_PLAYERS; player++) {
+      const saved = localStorage.getItem(this.mappingKey(player, from));
+      localStorage.removeItem(this.mappingKey(player, from));
+      if (saved !== null) localStorage.setItem(this.mappingKey(player, to), saved);
+      else localStorage.removeItem(this.mappingKey(player, to));
+    }
+  }
+
+  isCustomized(player) {
+    return !!this.profile.gameId && localStorage.getItem(this.mappingKey(player)) !== null;
+  }
+
+  describeProfile(player = this.configPlayer) {
+    if (!this.profile.gameId) return 'Global (all games)';
+    if (this.isCustomized(player)) return `${this.profile.name} (customized)`;
+    const hasDefaults = Object.keys(this.profile.gameDefaults[player] || {}).length > 0;
+    const source = hasDefaults ? "game's defaults" : 'same as global';
+    return `${this.profile.name} (${source})`;
+  }
+
+  updateProfileLabel() {
+    const label = document.querySelector('#mapping-profile');
+    if (label) label.textContent = `Profile: ${this.describeProfile()}`;
+  }
+
+  saveMapping(player = this.configPlayer) {
+    localStorage.setItem(this.mappingKey(player), JSON.stringify(this.playerMappings[player]));
+    this.updateProfileLabel();
+  }
+
+  // A saved mapping, completed from the player's defaults (older saves can miss buttons), or null
+  readMapping(key, player = 0) {
+    let mapping;
+    try { mapping = JSON.parse(localStorage.getItem(key)); } catch (_) { mapping = null; }
+    if (!mapping || typeof mapping !== 'object') return null;
     // Migrate old face button keys (north/east/south/west) to new names
     try {
       if (mapping && mapping.face) {
@@ -1260,7 +1801,7 @@ class GamepadManager {
         }
       }
     } catch (_) { /* ignore migration errors */ }
-    return mapping;
+    return this.mergeMapping(this.defaultMappingFor(player), mapping);
   }
 }
 
@@ -1331,6 +1872,320 @@ GamepadManager.prototype.getDefaultKeyForGamepadIndex = function(idx) {
   return '';
 };
 
+// ===== Controller database =====
+// A pad whose gamepad.mapping isn't "standard" reports raw buttons and axes in whatever order its
+// driver uses. Its entry in the server's controller database (SDL GameControllerDB format, see
+// lib/controllers.ts) says which raw input is which element; normalizeGamepad rebuilds the pad in
+// the standard layout from it, so mappings and launcher controls work as with any other pad.
+
+// SDL element -> standard button / axis index
+const SDL_BUTTONS = {
+  a: 0, b: 1, x: 2, y: 3, leftshoulder: 4, rightshoulder: 5, lefttrigger: 6, righttrigger: 7, back: 8,
+  start: 9, leftstick: 10, rightstick: 11, dpup: 12, dpdown: 13, dpleft: 14, dpright: 15, guide: 16
+};
+const SDL_AXES = { leftx: 0, lefty: 1, rightx: 2, righty: 3 };
+
+// What "Map This Controller" asks for, in order
+const MAPPING_STEPS = [
+  ['a', 'Press A (bottom face button)'], ['b', 'Press B (right face button)'],
+  ['x', 'Press X (left face button)'], ['y', 'Press Y (top face button)'],
+  ['dpup', 'Press D-pad up'], ['dpdown', 'Press D-pad down'],
+  ['dpleft', 'Press D-pad left'], ['dpright', 'Press D-pad right'],
+  ['leftshoulder', 'Press the left shoulder (LB)'], ['rightshoulder', 'Press the right shoulder (RB)'],
+  ['lefttrigger', 'Pull the left trigger (LT)'], ['righttrigger', 'Pull the right trigger (RT)'],
+  ['back', 'Press Select / Back'], ['start', 'Press Start'], ['guide', 'Press Home / Guide'],
+  ['leftstick', 'Click the left stick'], ['rightstick', 'Click the right stick'],
+  ['leftx', 'Push the left stick right'], ['lefty', 'Push the left stick down'],
+  ['rightx', 'Push the right stick right'], ['righty', 'Push the right stick down']
+];
+
+// The SDL hat bits (1 up, 2 right, 4 down, 8 left) pressed on a hat reported as one axis: -1 for
+// up, then clockwise in steps of 2/7 up to 1 for up-left; released it sits outside -1..1 (~1.29)
+function hatAxisDirections(value) {
+  if (!(Math.abs(value) <= 1.05)) return 0;
+  const position = ((Math.round((value + 1) * 3.5) % 8) + 8) % 8;
+  return [1, 3, 2, 6, 4, 12, 8, 9][position];
+}
+
+// The pad as the rest of the manager sees it: standard pads as they are, others rebuilt from their
+// database entry once it has loaded (raw until then, or when there is none)
+GamepadManager.prototype.normalizeGamepad = function(gamepad) {
+  if (gamepad.mapping === 'standard') return gamepad;
+  this.singleAxisHats(gamepad); // while the hats rest, before they are read
+  const layout = this.layoutFor(gamepad);
+  if (!layout) return gamepad;
+  const hats = Object.values(layout.mapping).reduce((n, input) => {
+    const hat = /^h(\d+)\./.exec(input);
+    return hat ? Math.max(n, Number(hat[1]) + 1) : n;
+  }, 0);
+  const buttons = Array.from({ length: 17 }, () => ({ pressed: false, touched: false, value: 0 }));
+  const axes = [0, 0, 0, 0];
+  for (const element in layout.mapping) {
+    if (element in SDL_BUTTONS) {
+      const value = this.readLayoutInput(gamepad, layout.mapping[element], hats, true);
+      buttons[SDL_BUTTONS[element]] = { pressed: value > 0.5, touched: value > 0, value };
+    } else if (element in SDL_AXES) {
+      axes[SDL_AXES[element]] = this.readLayoutInput(gamepad, layout.mapping[element], hats, false);
+    }
+  }
+  return {
+    id: gamepad.id, index: gamepad.index, connected: gamepad.connected, timestamp: gamepad.timestamp,
+    mapping: 'standard', buttons, axes, raw: gamepad, layout: layout.name
+  };
+};
+
+// One input of an entry: b3 (button), a1 / a1~ (axis, inverted), +a2 / -a2 (half an axis) or h0.4
+// (hat 0 pressed down). Browsers report a hat as one axis (Chrome, for DirectInput pads; see
+// singleAxisHats) or as a pair of axes after the others. Buttons read 0..1: a whole axis used as a
+// button (a trigger resting at -1) is scaled to that.
+GamepadManager.prototype.readLayoutInput = function(gamepad, input, hats, asButton) {
+  const match = /^([+-]?)([abh])(\d+)(?:\.(\d+))?(~?)$/.exec(input);
+  if (!match) return 0;
+  const [, half, kind, n, mask, invert] = match;
+  const axes = gamepad.axes || [];
+  if (kind === 'b') {
+    const button = (gamepad.buttons || [])[n];
+    return button ? (button.value || (button.pressed ? 1 : 0)) : 0;
+  }
+  if (kind === 'h') {
+    const hatAxes = this.singleAxisHats(gamepad);
+    if (hatAxes.length) return hatAxisDirections(axes[hatAxes[n]]) & Number(mask) ? 1 : 0;
+    const base = axes.length - 2 * hats + 2 * Number(n);
+    const x = axes[base] || 0;
+    const y = axes[base + 1] || 0;
+    const pressed = { 1: y < -0.5, 2: x > 0.5, 4: y > 0.5, 8: x < -0.5 }[mask];
+    return pressed ? 1 : 0;
+  }
+  let value = axes[n] || 0;
+  if (invert) value = -value;
+  if (half === '+') return Math.max(0, value);
+  if (half === '-') return Math.max(0, -value);
+  return asButton ? (value + 1) / 2 : value;
+};
+
+// The axes of this pad that are a hat each, in order (hat 0 first). Such an axis is told apart by
+// its resting value outside -1..1, so it is known once the pad has been seen with the hat released.
+GamepadManager.prototype.singleAxisHats = function(gamepad) {
+  const known = this.hatAxes[gamepad.id] || (this.hatAxes[gamepad.id] = []);
+  (gamepad.axes || []).forEach((value, i) => {
+    if (Math.abs(value) > 1.05 && !known.includes(i)) {
+      known.push(i);
+      known.sort((a, b) => a - b);
+    }
+  });
+  return known;
+};
+
+// The database entry for this kind of pad on this platform (the last one; entries without a
+// platform as a fallback). The first call asks the server; until it answers the pad stays raw.
+GamepadManager.prototype.layoutFor = function(gamepad) {
+  const cached = this.layouts[gamepad.id];
+  if (cached !== undefined) return cached === 'loading' ? null : cached;
+  this.layouts[gamepad.id] = 'loading';
+  fetch(`/api/controllers?id=${encodeURIComponent(gamepad.id)}`)
+    .then((res) => (res.ok ? res.json() : []))
+    .catch(() => [])
+    .then((entries) => {
+      const platform = this.sdlPlatform();
+      const forPlatform = entries.filter((e) => e.platform === platform);
+      const layout = forPlatform.length ? forPlatform : entries.filter((e) => !e.platform);
+      this.layouts[gamepad.id] = layout.length ? layout[layout.length - 1] : null;
+      if (this.layouts[gamepad.id]) console.log(`Gamepad ${gamepad.index} uses the layout "${this.layouts[gamepad.id].name}"`);
+      this.updateControllerDbSection();
+    });
+  return null;
+};
+
+// SDL's name for this operating system
+GamepadManager.prototype.sdlPlatform = function() {
+  const ua = navigator.userAgent || '';
+  if (/Android/i.test(ua)) return 'Android';
+  if (/iPhone|iPad|iPod/i.test(ua)) return 'iOS';
+  if (/Windows/i.test(ua)) return 'Windows';
+  if (/Macintosh|Mac OS X/i.test(ua)) return 'Mac OS X';
+  return 'Linux';
+};
+
+// "Xbox 360 Controller (XInput STANDARD GAMEPAD Vendor: 045e Product: 028e)" -> "Xbox 360 Controller"
+GamepadManager.prototype.padName = function(id) {
+  const name = id.replace(/\s*\([^)]*Vendor: [^)]*\)\s*$/i, '').replace(/^[0-9a-f]{1,4}-[0-9a-f]{1,4}-/i, '');
+  return name.trim() || id;
+};
+
+// The pad the configurator's database section is about: the configured player's, else the first
+GamepadManager.prototype.dbPadIndex = function() {
+  const slot = this.slots[this.configPlayer];
+  if (slot && slot.index !== null && slot.index in this.controllers) return slot.index;
+  const indices = Object.keys(this.controllers).map(Number).sort((a, b) => a - b);
+  return indices.length ? indices[0] : null;
+};
+
+GamepadManager.prototype.updateControllerDbSection = function() {
+  const root = document.querySelector('.controller-configurator #controller-db-section');
+  if (!root) return;
+  const wizard = this._mappingWizard;
+  const index = this.dbPadIndex();
+  const pad = index === null ? null : this.controllers[index];
+  const raw = pad ? (pad.raw || pad) : null;
+  const layout = raw && this.layouts[raw.id] !== 'loading' ? this.layouts[raw.id] : null;
+  let status;
+  if (wizard) {
+    const [, prompt] = MAPPING_STEPS[wizard.step];
+    status = `${prompt} on ${this.padName(wizard.id)} (${wizard.step + 1} of ${MAPPING_STEPS.length}), or Skip if it has none.`;
+  } else if (!raw) {
+    status = 'No controller connected.';
+  } else if (raw.mapping === 'standard') {
+    status = `${raw.id}: standard layout, nothing to map.`;
+  } else if (layout) {
+    status = `${raw.id}: using "${layout.name}" from the controller database.`;
+  } else {
+    status = `${raw.id}: not in the controller database, so its buttons may be mixed up. Map it, or import a gamecontrollerdb.txt.`;
+  }
+  root.querySelector('#controller-db-status').textContent = status;
+  const show = (selector, visible) => { root.querySelector(selector).style.display = visible ? '' : 'none'; };
+  show('#controller-db-map-btn', !wizard && !!raw && raw.mapping !== 'standard');
+  show('#controller-db-remove-btn', !wizard && !!layout && !!raw && raw.mapping !== 'standard');
+  show('#controller-db-skip-btn', !!wizard);
+  show('#controller-db-cancel-btn', !!wizard);
+  show('#controller-db-import-btn', !wizard);
+};
+
+GamepadManager.prototype.setControllerDbMessage = function(text) {
+  const el = document.querySelector('.controller-configurator #controller-db-message');
+  if (el) el.textContent = text;
+};
+
+// "Map This Controller": ask for each element in turn and read the raw input that answers; other
+// input is swallowed meanwhile. The result goes to the database for every pad of this kind.
+GamepadManager.prototype.startControllerMapping = function(controllerIndex) {
+  const pad = navigator.getGamepads()[controllerIndex];
+  if (!pad) return;
+  this.singleAxisHats(pad);
+  this.setTestingMode(false);
+  this.setControllerDbMessage('');
+  this._mappingWizard = {
+    index: controllerIndex,
+    id: pad.id,
+    step: 0,
+    mapping: {},
+    rest: Array.from(pad.axes || []), // where the axes sit untouched
+    waiting: true // for everything to be let go first
+  };
+  this.updateControllerDbSection();
+};
+
+GamepadManager.prototype.cancelControllerMapping = function(message = '') {
+  this._mappingWizard = false;
+  this.setControllerDbMessage(message);
+  this.updateControllerDbSection();
+};
+
+GamepadManager.prototype.skipMappingStep = function() {
+  const wizard = this._mappingWizard;
+  if (!wizard) return;
+  wizard.step++;
+  if (wizard.step >= MAPPING_STEPS.length) this.finishControllerMapping();
+  else this.updateControllerDbSection();
+};
+
+GamepadManager.prototype.handleMappingWizardTick = function() {
+  const wizard = this._mappingWizard;
+  if (!wizard) return;
+  if (!(this.isConfiguratorOpen && this.isConfiguratorOpen())) { this._mappingWizard = false; return; }
+  const pad = navigator.getGamepads()[wizard.index];
+  if (!pad || pad.id !== wizard.id) { this.cancelControllerMapping('The controller was disconnected.'); return; }
+  const buttons = Array.from(pad.buttons || [], (b) => !!(b && b.pressed));
+  const axes = Array.from(pad.axes || []);
+  const offset = (i) => axes[i] - (wizard.rest[i] || 0);
+  // A hat on one axis is pressed when it leaves its resting value, however little the value moves
+  const hatAxes = this.singleAxisHats(pad);
+  const hatPressed = (i) => hatAxes.includes(i) && hatAxisDirections(axes[i]) !== 0;
+  if (wizard.waiting) {
+    const released = (_, i) => !hatPressed(i) && (hatAxes.includes(i) || Math.abs(offset(i)) < 0.3);
+    if (!buttons.includes(true) && axes.every(released)) wizard.waiting = false;
+    return;
+  }
+  const [element] = MAPPING_STEPS[wizard.step];
+  const button = buttons.indexOf(true);
+  const axis = axes.findIndex((_, i) => hatAxes.includes(i) ? hatPressed(i) : Math.abs(offset(i)) > 0.6);
+  let input = null;
+  if (button >= 0) {
+    input = `b${button}`;
+  } else if (hatAxes.includes(axis)) {
+    // The value says which way the hat is pressed; wait out diagonals
+    const direction = hatAxisDirections(axes[axis]);
+    if (![1, 2, 4, 8].includes(direction)) return;
+    input = `h${hatAxes.indexOf(axis)}.${direction}`;
+  } else if (axis >= 0 && element in SDL_AXES) {
+    input = offset(axis) > 0 ? `a${axis}` : `a${axis}~`; // the prompts push right / down
+  } else if (axis >= 0) {
+    const rest = wizard.rest[axis] || 0;
+    if (rest < -0.5) input = `a${axis}`; // a trigger resting at one end
+    else if (rest > 0.5) input = `a${axis}~`;
+    else input = axes[axis] > 0 ? `+a${axis}` : `-a${axis}`;
+  }
+  if (!input) return;
+  wizard.mapping[element] = input;
+  wizard.waiting = true;
+  this.skipMappingStep();
+};
+
+GamepadManager.prototype.finishControllerMapping = function() {
+  const wizard = this._mappingWizard;
+  this._mappingWizard = false;
+  this.updateControllerDbSection();
+  if (!Object.keys(wizard.mapping).length) { this.setControllerDbMessage('Nothing was mapped.'); return; }
+  const body = { id: wizard.id, name: this.padName(wizard.id), platform: this.sdlPlatform(), mapping: wizard.mapping };
+  fetch('/api/controllers', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+    .then(async (res) => {
+      if (!res.ok) throw new Error(await res.text());
+      return res.json();
+    })
+    .then((entry) => {
+      this.layouts[wizard.id] = entry;
+      this.setControllerDbMessage(`Saved "${entry.name}" to the controller database.`);
+      this.updateControllerDbSection();
+    })
+    .catch((e) => this.setControllerDbMessage(`Could not save the layout: ${e.message}`));
+};
+
+// Drop the entry the pad uses; an older one for it (if any) takes over
+GamepadManager.prototype.removeControllerLayout = function(controllerIndex) {
+  const pad = this.controllers[controllerIndex];
+  const raw = pad ? (pad.raw || pad) : null;
+  const layout = raw ? this.layouts[raw.id] : null;
+  if (!layout || layout === 'loading' || !confirm(`Remove "${layout.name}" from the controller database?`)) return;
+  const platform = layout.platform ? `?platform=${encodeURIComponent(layout.platform)}` : '';
+  fetch(`/api/controllers/${layout.guid}${platform}`, { method: 'DELETE' })
+    .then(async (res) => {
+      if (!res.ok) throw new Error(await res.text());
+      delete this.layouts[raw.id];
+      this.setControllerDbMessage(`Removed "${layout.name}".`);
+      this.updateControllerDbSection();
+    })
+    .catch((e) => this.setControllerDbMessage(`Could not remove the entry: ${e.message}`));
+};
+
+// Add the lines of an SDL gamecontrollerdb.txt; pads look their layout up again
+GamepadManager.prototype.importControllerDb = function(file) {
+  file.text()
+    .then((text) => fetch('/api/controllers', { method: 'POST', headers: { 'content-type': 'text/plain' }, body: text }))
+    .then(async (res) => {
+      if (!res.ok) throw new Error(await res.text());
+      return res.json();
+    })
+    .then(({ added, skipped }) => {
+      this.layouts = {};
+      this.setControllerDbMessage(`Imported ${added} controllers${skipped ? ` (${skipped} lines skipped)` : ''}.`);
+      this.updateControllerDbSection();
+    })
+    .catch((e) => this.setControllerDbMessage(`Could not import: ${e.message}`));
+};
+
 // CSS for Controller Configurator
 const configuratorCSS = `
 .controller-configurator {
@@ -1389,6 +2244,35 @@ const configuratorCSS = `
   font-weight: 600;
 }
 
+.player-tabs {
+  display: flex;
+  gap: 4px;
+  margin-bottom: 16px;
+}
+
+.player-tab {
+  flex: 1;
+  padding: 6px 4px;
+  background: #34495e;
+  border: 1px solid #4a6278;
+  border-radius: 6px;
+  color: #bdc3c7;
+  cursor: pointer;
+}
+
+.player-tab.active {
+  background: #3498db;
+  border-color: #3498db;
+  color: #fff;
+}
+
+.mapping-profile {
+  flex: 1;
+  margin: 0 16px;
+  color: #bdc3c7;
+  font-size: 13px;
+}
+
 .close-btn {
   background: #e74c3c;
   border: none;
@@ -1534,6 +2418,33 @@ const configuratorCSS = `
   gap: 10px;
 }
 
+.analog-control {
+  display: grid;
+  grid-template-columns: 1fr 48px;
+  gap: 6px;
+  align-items: center;
+}
+
+.analog-control label,
+.analog-control select {
+  grid-column: 1 / -1;
+}
+
+.analog-control .analog-threshold {
+  padding: 0;
+}
+
+.analog-threshold-value {
+  color: #bdc3c7;
+  font-size: 12px;
+  text-align: right;
+}
+
+.controller-db-actions {
+  flex-wrap: wrap;
+  margin-top: 8px;
+}
+
 .testing-section h3 {
   color: #ecf0f1;
   margin: 0 0 10px 0;
@@ -10,24 +10,77 @@ const gameframe = document.getElementById('gameframe');
 const zipInput = document.getElementById('zip-input');
 const addZipBtn = document.getElementById('add-zip');
 const addGithubBtn = document.getElementById('add-github');
+const backupLibraryBtn = document.getElementById('backup-library');
+const restoreLibraryBtn = document.getElementById('restore-library');
+const restoreInput = document.getElementById('restore-input');
 const osd = document.getElementById('osd');
 const osdClose = document.getElementById('osd-close');
 const captureThumbBtn = document.getElementById('capture-thumb');
 const controllerConfigBtn = document.getElementById('controller-config');
 const exitGameBtn = document.getElementById('exit-game');
 const clearStorageBtn = document.getElementById('clear-storage');
+const clearGameDataBtn = document.getElementById('clear-game-data');
+const saveSlotsBtn = document.getElementById('save-slots');
+const osdActions = document.getElementById('osd-actions');
+const osdSlots = document.getElementById('osd-slots');
+const osdCrash = document.getElementById('osd-crash');
+const osdPlayers = document.getElementById('osd-players');
+const playersBtn = document.getElementById('players-btn');
+const playerList = document.getElementById('player-list');
+const playersReassignBtn = document.getElementById('players-reassign');
+const playersBackBtn = document.getElementById('players-back');
+const playerIndicators = document.getElementById('player-indicators');
+const crashMessage = document.getElementById('crash-message');
+const crashDetails = document.getElementById('crash-details');
+const crashRetryBtn = document.getElementById('crash-retry');
+const crashExitBtn = document.getElementById('crash-exit');
+const crashDetailsBtn = document.getElementById('crash-details-btn');
+const slotNameInput = document.getElementById('slot-name');
+const slotSaveBtn = document.getElementById('slot-save');
+const slotList = document.getElementById('slot-list');
+const slotImportBtn = document.getElementById('slot-import');
+const slotImportInput = document.getElementById('slot-import-input');
+const slotsBackBtn = document.getElementById('slots-back');
 const reloadPageBtn = document.getElementById('reload-page');
+const sortLibraryBtn = document.getElementById('sort-library');
+const volumeDownBtn = document.getElementById('volume-down');
+const volumeUpBtn = document.getElementById('volume-up');
+const volumeMuteBtn = document.getElementById('volume-mute');
+const volumeLabel = document.getElementById('volume-label');
+const volumeScopeBtn = document.getElementById('volume-scope');
 const osdTitle = document.getElementById('osd-title');
+const osdStatus = document.getElementById('osd-status');
 
 // Game menu elements
 const gameMenu = document.getElementById('game-menu');
 const gameMenuTitle = document.getElementById('game-menu-title');
+const gameMenuSource = document.getElementById('game-menu-source');
+const gameMenuStats = document.getElementById('game-menu-stats');
+const gameMenuHealth = document.getElementById('game-menu-health');
+const gameMenuScores = document.getElementById('game-menu-scores');
+const gameMenuAchievements = document.getElementById('game-menu-achievements');
+const toastsEl = document.getElementById('toasts');
+const gameMenuActions = document.getElementById('game-menu-actions');
+const editGameBtn = document.getElementById('edit-game-btn');
+const gameEditForm = document.getElementById('game-edit-form');
+const gameEditCancel = document.getElementById('game-edit-cancel');
+const updateGameBtn = document.getElementById('update-game-btn');
+const rollbackGameBtn = document.getElementById('rollback-game-btn');
+const clearErrorsBtn = document.getElementById('clear-errors-btn');
+const updateZipInput = document.getElementById('update-zip-input');
+const exportGameBtn = document.getElementById('export-game-btn');
+const coverGameBtn = document.getElementById('cover-game-btn');
+const coverInput = document.getElementById('cover-input');
 const deleteGameBtn = document.getElementById('delete-game-btn');
 const cancelBtn = document.getElementById('cancel-btn');
 
-let games = [];
+let games = []; // as shown, sorted by sortMode
+let libraryGames = []; // in the server's order
 let focusedIndex = 0;
 let currentGame = null;
+let playSession = null; // Promise of the running game's session ({ token }), see startPlaySession
+let crashError = null; // the running game's fatal error, see showCrash
+const installs = new Map(); // import jobId -> latest job snapshot
 
 function el(tag, className, text) {
   const e = document.createElement(tag);
@@ -38,8 +91,7 @@ function el(tag, className, text) {
 
 async function fetchGames() {
   const res = await fetch('/api/games');
-  games = await res.json();
-  renderCoverflow();
+  syncGames(await res.json());
 }
 
 function placeholderCard(name) {
@@ -83,21 +135,76 @@ function renderCoverflow() {
   container.appendChild(track);
   coverflowEl.appendChild(container);
 
-  games.forEach((g, i) => {
-    const card = el('div', 'card dim');
-    card.dataset.index = String(i);
-    const title = el('div', 'label', g.name);
-    const bg = g.hasThumbnail ? `${g.urlPath}thumbnail.png` : placeholderCard(g.name);
-    card.style.backgroundImage = `url(${bg})`;
-    card.appendChild(title);
-    card.addEventListener('click', () => focusIndex(i, true));
-    track.appendChild(card);
-  });
+  games.forEach((g) => track.appendChild(gameCard(g)));
+  for (const job of installs.values()) track.appendChild(installCard(job));
   focusIndex(focusedIndex, false);
 }
 
+function gameCard(game) {
+  const card = el('div', 'card dim');
+  card.dataset.gameId = game.id;
+  card.appendChild(el('div', 'label'));
+  card.appendChild(el('ol', 'card-scores'));
+  card.addEventListener('click', () => {
+    const i = games.findIndex((g) => g.id === card.dataset.gameId);
+    if (i !== -1) focusIndex(i, true);
+  });
+  updateGameCard(card, game);
+  return card;
+}
+
+function updateGameCard(card, game) {
+  card.querySelector('.label').textContent = game.name;
+  card.style.backgroundImage = `url(${game.thumbnailUrl ?? placeholderCard(game.name)})`;
+}
+
+// Apply a new game list to the coverflow card by card, keeping focus on the same game
+function syncGames(list) {
+  libraryGames = list;
+  const next = sortGames(list);
+  const track = coverflowEl.querySelector('.coverflow-track');
+  if (!track) {
+    games = next;
+    renderCoverflow();
+    return;
+  }
+  const focusedId = games[focusedIndex]?.id;
+  const previous = new Map(games.map((g) => [g.id, g]));
+  const cards = new Map(Array.from(track.querySelectorAll('.card[data-game-id]'), (c) => [c.dataset.gameId, c]));
+  // Install cards stay at the end
+  const firstInstall = track.querySelector('.card.installing');
+  for (const g of next) {
+    let card = cards.get(g.id);
+    if (!card) card = gameCard(g);
+    else if (JSON.stringify(previous.get(g.id)) !== JSON.stringify(g)) updateGameCard(card, g);
+    cards.delete(g.id);
+    track.insertBefore(card, firstInstall);
+  }
+  for (const card of cards.values()) card.remove();
+  games = next;
+  // The game whose menu is open was removed
+  if (gameMenu.dataset.gameId && !games.some((g) => g.id === gameMenu.dataset.gameId)) hideGameMenu();
+  const idx = games.findIndex((g) => g.id === focusedId);
+  focusIndex(idx === -1 ? Math.min(focusedIndex, games.length - 1) : idx, false);
+}
+
+// Live library: the server sends the full list on connect (and reconnect), then each change
+// on disk, e.g. a game copied into the games folder over the network
+function watchLibrary() {
+  if (!window.EventSource) return;
+  const es = new EventSource('/api/library/events');
+  es.addEventListener('games', (ev) => syncGames(JSON.parse(ev.data)));
+  es.addEventListener('change', (ev) => {
+    const { added, updated, removed, order } = JSON.parse(ev.data);
+    const byId = new Map(libraryGames.map((g) => [g.id, g]));
+    for (const g of [...added, ...updated]) byId.set(g.id, g);
+    for (const id of removed) byId.delete(id);
+    syncGames(order.map((id) => byId.get(id)).filter(Boolean));
+  });
+}
+
 function updateCardTransforms() {
-  const cards = Array.from(document.querySelectorAll('.card'));
+  const cards = Array.from(document.querySelectorAll('.card:not(.installing)'));
   cards.forEach((c, i) => {
     c.classList.remove('left', 'right', 'focus', 'dim');
     if (i === focusedIndex) {
@@ -114,13 +221,210 @@ function focusIndex(i, open) {
   if (!games.length) return;
   focusedIndex = Math.max(0, Math.min(games.length - 1, i));
   updateCardTransforms();
+  updateBackdrop(games[focusedIndex]);
+  showCardScores(games[focusedIndex]);
   if (open) openGame(games[focusedIndex]);
 }
 
+// Play statistics (GET /api/stats) and the library's sort modes
+const SORT_MODES = {
+  library: 'Library Order',
+  recent: 'Recently Played',
+  most: 'Most Played',
+};
+let sortMode = SORT_MODES[localStorage.getItem('librarySort')] ? localStorage.getItem('librarySort') : 'library';
+let playStats = {}; // game id -> { launches, playtimeMs, lastPlayedAt }
+
+async function refreshPlayStats() {
+  try {
+    const res = await fetch('/api/stats');
+    if (res.ok) playStats = (await res.json()).games;
+  } catch {}
+  if (sortMode !== 'library' && libraryGames.length) syncGames(libraryGames);
+}
+
+// Games never played keep their library order, after the played ones
+function sortGames(list) {
+  if (sortMode === 'library') return list;
+  const key = sortMode === 'recent'
+    ? (g) => [playStats[g.id]?.lastPlayedAt ? Date.parse(playStats[g.id].lastPlayedAt) : -1, 0]
+    : (g) => [playStats[g.id]?.playtimeMs || (playStats[g.id]?.launches ? 0 : -1), playStats[g.id]?.launches ?? 0];
+  return list
+    .map((g, i) => ({ g, i, k: key(g) }))
+    .sort((a, b) => b.k[0] - a.k[0] || b.k[1] - a.k[1] || a.i - b.i)
+    .map(({ g }) => g);
+}
+
+function setSortMode(mode) {
+  sortMode = mode;
+  localStorage.setItem('librarySort', mode);
+  sortLibraryBtn.textContent = `Sort: ${SORT_MODES[mode]}`;
+  syncGames(libraryGames);
+}
+
+function cycleSortMode() {
+  const modes = Object.keys(SORT_MODES);
+  setSortMode(modes[(modes.indexOf(sortMode) + 1) % modes.length]);
+}
+
+// e.g. "Played 2h 5m · 12 launches · last played 10/19/2026"
+function describeStats(stats) {
+  if (!stats?.launches) return 'Never played';
+  const minutes = Math.round(stats.playtimeMs / 60000);
+  const time = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  const launches = `${stats.launches} ${stats.launches === 1 ? 'launch' : 'launches'}`;
+  const last = stats.lastPlayedAt ? ` · last played ${new Date(stats.lastPlayedAt).toLocaleDateString()}` : '';
+  return `Played ${time} · ${launches}${last}`;
+}
+
+sortLibraryBtn.textContent = `Sort: ${SORT_MODES[sortMode]}`;
+sortLibraryBtn.addEventListener('click', cycleSortMode);
+
+// High scores (GET /api/games/:id/scores). Fetched when a game is focused or its menu opens;
+// a submitted score drops the cached copy.
+const scoreCache = new Map(); // game id -> Promise of boards
+
+function fetchScores(gameId) {
+  if (!scoreCache.has(gameId)) {
+    const boards = fetch(`/api/games/${encodeURIComponent(gameId)}/scores?limit=5`)
+      .then((res) => (res.ok ? res.json() : { boards: [] }))
+      .then((data) => data.boards)
+      .catch(() => []);
+    scoreCache.set(gameId, boards);
+    // Don't keep a failed or stale answer around for long
+    setTimeout(() => { if (scoreCache.get(gameId) === boards) scoreCache.delete(gameId); }, 60000);
+  }
+  return scoreCache.get(gameId);
+}
+
+function scoreItem(entry) {
+  const li = el('li', '', entry.name || '???');
+  li.appendChild(el('span', '', entry.score.toLocaleString()));
+  return li;
+}
+
+// The first board's top three on the focused card
+async function showCardScores(game) {
+  if (!game) return;
+  const boards = await fetchScores(game.id);
+  const card = coverflowEl.querySelector(`.card[data-game-id="${CSS.escape(game.id)}"]`);
+  const list = card?.querySelector('.card-scores');
+  if (!list) return;
+  list.innerHTML = '';
+  const board = boards.find((b) => b.entries.length);
+  for (const entry of board?.entries.slice(0, 3) ?? []) list.appendChild(scoreItem(entry));
+}
+
+async function refreshMenuScores(gameId) {
+  gameMenuScores.innerHTML = '';
+  const boards = await fetchScores(gameId);
+  if (gameMenu.dataset.gameId !== gameId) return;
+  gameMenuScores.innerHTML = '';
+  for (const board of boards) {
+    const box = el('div', 'score-board');
+    box.appendChild(el('h3', '', board.title));
+    const list = el('ol');
+    for (const entry of board.entries) list.appendChild(scoreItem(entry));
+    if (!board.entries.length) list.appendChild(el('li', 'score-empty', 'No scores yet'));
+    box.appendChild(list);
+    gameMenuScores.appendChild(box);
+  }
+}
+
+// The focused game's blurred cover fills the space behind the coverflow
+function updateBackdrop(game) {
+  const url = game?.thumbnailBlurUrl;
+  coverflowEl.style.setProperty('--backdrop', url ? `url(${url})` : 'none');
+}
+
+// Achievements (GET /api/games/:id/achievements); hidden ones come without title until unlocked
+async function refreshMenuAchievements(gameId) {
+  gameMenuAchievements.innerHTML = '';
+  let list = [];
+  try {
+    const res = await fetch(`/api/games/${encodeURIComponent(gameId)}/achievements`);
+    if (res.ok) list = await res.json();
+  } catch {}
+  if (gameMenu.dataset.gameId !== gameId) return;
+  gameMenuAchievements.innerHTML = '';
+  for (const a of list) {
+    const li = el('li', a.unlockedAt ? 'achievement' : 'achievement locked');
+    const note = a.unlockedAt ? `Unlocked ${new Date(a.unlockedAt).toLocaleDateString()}` : a.description;
+    li.append(achievementIcon(a), el('strong', '', a.title), el('small', '', note));
+    gameMenuAchievements.appendChild(li);
+  }
+}
+
+function achievementIcon(a) {
+  if (!a.iconUrl) return el('div', 'achievement-icon');
+  const img = el('img', 'achievement-icon');
+  img.src = a.iconUrl;
+  img.alt = '';
+  return img;
+}
+
+// Notifications in the corner, over the game
+function showToast(children, ms = 5000) {
+  const toast = el('div', 'toast');
+  toast.append(...children);
+  toastsEl.appendChild(toast);
+  setTimeout(() => {
+    toast.classList.add('leaving');
+    setTimeout(() => toast.remove(), 400);
+  }, ms);
+}
+
+function showAchievementToast(a) {
+  showToast([achievementIcon(a), el('small', '', 'Achievement unlocked'), el('strong', '', a.title)]);
+}
+
+// Play sessions (/api/sessions) record how long and how often games are played. The server only
+// takes scores that come with the token of a session the launcher started.
+const SESSION_PING_MS = 60000;
+let sessionPing = 0;
+
+function startPlaySession(game, resumed = false) {
+  return fetch('/api/sessions', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ game: game.id, resumed }),
+  }).then((res) => (res.ok ? res.json() : null)).catch(() => null);
+}
+
+// Keep the session alive; a server that forgot it (restarted) gets a new one for the same play
+async function pingPlaySession() {
+  const game = currentGame;
+  const session = await playSession;
+  if (!game || !session || currentGame !== game) return;
+  try {
+    const res = await fetch(`/api/sessions/${encodeURIComponent(session.token)}`, { method: 'PUT' });
+    if (res.status === 403 && currentGame === game) playSession = startPlaySession(game, true);
+  } catch {}
+}
+
+// reason: escape, osd-exit, quit, crash, switch or closed (END_REASONS in lib/stats.ts)
+function endPlaySession(reason) {
+  const session = playSession;
+  playSession = null;
+  clearInterval(sessionPing);
+  session?.then((s) => {
+    if (!s) return;
+    const url = `/api/sessions/${encodeURIComponent(s.token)}?reason=${reason}`;
+    fetch(url, { method: 'DELETE', keepalive: true }).then(refreshPlayStats, () => {});
+  });
+}
+
+window.addEventListener('pagehide', () => endPlaySession('closed'));
+
 function openGame(game) {
+  if (playSession) endPlaySession('switch');
+  crashError = null;
+  playSession = startPlaySession(game);
+  sessionPing = setInterval(pingPlaySession, SESSION_PING_MS);
   gameframe.src = game.urlPath + 'index.html';
   document.body.classList.add('playing');
   currentGame = game;
+  window.gamepadManager?.useGameProfile(game);
   // Update exit button text with current game name
   exitGameBtn.textContent = `Exit ${game.name}`;
   // Fullscreen the root so OSD (sibling overlay) remains visible in fullscreen
@@ -135,10 +439,15 @@ function openGame(game) {
   gameframe.addEventListener('load', bindIframeKeys, { once: true });
 }
 
-function exitGame() {
+function exitGame(reason = 'escape') {
   gameframe.src = 'about:blank';
   document.body.classList.remove('playing');
+  const game = currentGame;
   currentGame = null;
+  window.gamepadManager?.useGameProfile(null);
+  endPlaySession(crashError ? 'crash' : reason);
+  crashError = null;
+  if (game) showCardScores(game); // may have a new high score
   // Reset exit button text
   exitGameBtn.textContent = 'Exit game';
   const d = document;
@@ -162,7 +471,22 @@ function isOSDKey(e) {
   return k === '`' || k === '~' || e.code === 'Backquote' || e.keyCode === 192;
 }
 
+function isEditable(el) {
+  return !!el && (el.isContentEditable || /^(?:INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+}
+
 const globalKeyHandler = (e) => {
+  // Typing in a form (e.g. Edit details) must not navigate or launch games
+  if (isEditable(e.target)) {
+    if (e.key === 'Escape' && !gameMenu.classList.contains('hidden')) { e.preventDefault(); gameMenuBack(); }
+    else if (e.key === 'Escape' && !osdSlots.hidden) { e.preventDefault(); osdBack(); }
+    return;
+  }
+  if (e.key === 'Escape' && (!osdSlots.hidden || !osdPlayers.hidden || !osdCrash.hidden)) {
+    e.preventDefault();
+    osdBack();
+    return;
+  }
   if (e.key === 'ArrowLeft') { focusIndex(focusedIndex - 1, false); }
   if (e.key === 'ArrowRight') { focusIndex(focusedIndex + 1, false); }
   if ((e.key === 'Enter' || e.key === ' ') && !document.body.classList.contains('playing')) {
@@ -182,24 +506,113 @@ document.addEventListener('keydown', globalKeyHandler, { capture: true });
 // Gamepad handling is now done by gamepad-support.js
 
 function toggleOSD(show) {
+  const wasOpen = !osd.classList.contains('hidden');
   osd.classList.toggle('hidden', !show);
+  showSlots(false);
+  showPlayers(false);
+  osdCrash.hidden = true;
   // Global menu when not playing a game
   const global = !document.body.classList.contains('playing');
   captureThumbBtn.style.display = global ? 'none' : '';
   exitGameBtn.style.display = global ? 'none' : '';
+  clearGameDataBtn.style.display = global ? 'none' : '';
+  saveSlotsBtn.style.display = global ? 'none' : '';
   // Global-only options
   if (clearStorageBtn) clearStorageBtn.style.display = global ? '' : 'none';
   if (reloadPageBtn) reloadPageBtn.style.display = global ? '' : 'none';
+  sortLibraryBtn.style.display = global ? '' : 'none';
+  renderVolume();
   // Title
   if (osdTitle) {
     osdTitle.textContent = global ? 'Global OSD' : `Game OSD (${currentGame?.name || 'Game'})`;
   }
   // Inform the game iframe to show/hide cursor only for in-game OSD
+  if (global) osdStatus.textContent = '';
   if (!global) {
     try { gameframe.contentWindow && gameframe.contentWindow.postMessage({ cmg: 'cursor', visible: !!show }, location.origin); } catch {}
+    if (wasOpen !== !!show) setGamePaused(!!show);
   }
 }
 osdClose.addEventListener('click', () => toggleOSD(false));
+
+// Master volume, applied inside games by the bridge. Global, with optional per-game overrides set
+// from the Game OSD. The bridge reads the same localStorage key when a game starts
+// (AUDIO_SETTINGS_KEY in lib/inject.ts).
+const AUDIO_SETTINGS_KEY = 'audioSettings';
+const VOLUME_STEP = 0.1;
+
+function loadAudioSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY));
+    if (saved && typeof saved.volume === 'number') return { muted: false, games: {}, ...saved };
+  } catch {}
+  return { volume: 1, muted: false, games: {} };
+}
+const audioSettings = loadAudioSettings();
+
+// The setting the controls change: the running game's own one, if it has one
+function audioTarget() {
+  return (currentGame && audioSettings.games[currentGame.id]) || audioSettings;
+}
+
+function gameVolume() {
+  const target = audioTarget();
+  return target.muted ? 0 : target.volume;
+}
+
+function applyAudioSettings() {
+  try { localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(audioSettings)); } catch {}
+  renderVolume();
+  if (currentGame) postToGame({ type: 'volume', level: gameVolume() });
+}
+
+function adjustVolume(delta) {
+  const target = audioTarget();
+  target.volume = Math.round(Math.max(0, Math.min(1, target.volume + delta)) * 10) / 10;
+  target.muted = false;
+  applyAudioSettings();
+}
+
+function toggleMute() {
+  const target = audioTarget();
+  target.muted = !target.muted;
+  applyAudioSettings();
+}
+
+// Give the running game its own volume (starting from the global one), or drop it
+function toggleGameVolume() {
+  if (!currentGame) return;
+  const { games } = audioSettings;
+  if (games[currentGame.id]) delete games[currentGame.id];
+  else games[currentGame.id] = { volume: audioSettings.volume, muted: audioSettings.muted };
+  applyAudioSettings();
+}
+
+// A renamed game keeps its own volume and controller profile
+function renameGameSettings(from, to) {
+  const { games } = audioSettings;
+  if (games[from]) games[to] = games[from];
+  else delete games[to];
+  delete games[from];
+  applyAudioSettings();
+  window.gamepadManager?.renameGameProfile(from, to);
+}
+
+function renderVolume() {
+  const target = audioTarget();
+  volumeLabel.textContent = target.muted ? 'Muted' : `Volume ${Math.round(target.volume * 100)}%`;
+  volumeMuteBtn.textContent = target.muted ? 'Unmute' : 'Mute';
+  volumeScopeBtn.style.display = currentGame ? '' : 'none';
+  volumeScopeBtn.textContent = currentGame && audioSettings.games[currentGame.id]
+    ? `Volume: ${currentGame.name} Only`
+    : 'Volume: All Games';
+}
+
+volumeDownBtn.addEventListener('click', () => adjustVolume(-VOLUME_STEP));
+volumeUpBtn.addEventListener('click', () => adjustVolume(VOLUME_STEP));
+volumeMuteBtn.addEventListener('click', toggleMute);
+volumeScopeBtn.addEventListener('click', toggleGameVolume);
+window.adjustVolume = adjustVolume;
 controllerConfigBtn.addEventListener('click', () => {
   if (window.openControllerConfig) {
     window.openControllerConfig();
@@ -207,14 +620,257 @@ controllerConfigBtn.addEventListener('click', () => {
     alert('Controller configuration not available. Please ensure gamepad-support.js is loaded.');
   }
 });
-exitGameBtn.addEventListener('click', () => { exitGame(); toggleOSD(false); });
+exitGameBtn.addEventListener('click', () => { exitGame('osd-exit'); toggleOSD(false); });
+
+// Games get their own storage: keys and IndexedDB names prefixed with this plus "<id>:"
+// (GAME_STORAGE_PREFIX in lib/inject.ts)
+const GAME_STORAGE_PREFIX = 'cmg-game:';
+
+function removeStorageKeys(storage, matches) {
+  const keys = [];
+  for (let i = 0; i < storage.length; i++) keys.push(storage.key(i));
+  for (const key of keys) if (matches(key)) storage.removeItem(key);
+}
+
+// Unload the running game, let `change` rewrite its saved data, then start it again.
+// Unloading first keeps the game from writing its old state back on the way out; the save it sends
+// while unloading may still reach the server after `change`, where it is refused as stale.
+async function restartGameAfter(game, change) {
+  await new Promise((resolve) => {
+    gameframe.addEventListener('load', resolve, { once: true });
+    gameframe.src = 'about:blank';
+  });
+  try {
+    await change();
+  } finally {
+    if (currentGame === game) { // not exited meanwhile
+      gameframe.addEventListener('load', bindIframeKeys, { once: true });
+      gameframe.src = game.urlPath + 'index.html';
+    }
+  }
+}
+
+function gameStoragePrefix(game) {
+  return `${GAME_STORAGE_PREFIX}${game.id}:`;
+}
+
+// Wipe one game's saves: browser storage and the server's copy
+function clearGameData(game) {
+  const prefix = gameStoragePrefix(game);
+  return restartGameAfter(game, async () => {
+    try { removeStorageKeys(localStorage, (k) => k.startsWith(prefix)); } catch {}
+    try { removeStorageKeys(sessionStorage, (k) => k.startsWith(prefix)); } catch {}
+    try {
+      const dbs = indexedDB.databases ? await indexedDB.databases() : [];
+      for (const db of dbs) if (db.name?.startsWith(prefix)) indexedDB.deleteDatabase(db.name);
+    } catch {}
+    const res = await fetch(`/api/games/${encodeURIComponent(game.id)}/saves`, { method: 'DELETE' });
+    if (!res.ok) alert(`Could not clear the saved data on the server: ${await res.text()}`);
+  });
+}
+
+clearGameDataBtn.addEventListener('click', async () => {
+  const game = currentGame;
+  if (!game || !confirm(`Delete all saved data for ${game.name}? The game restarts.`)) return;
+  toggleOSD(false);
+  await clearGameData(game);
+});
+
+// Save slots (Game OSD): named snapshots of the running game's localStorage with a screenshot.
+// The server keeps them; restoring one makes it the game's save and restarts the game.
+function showSlots(show) {
+  osdSlots.hidden = !show;
+  osdActions.hidden = show;
+  if (!show) return;
+  slotNameInput.value = '';
+  refreshSlots();
+  slotSaveBtn.focus();
+}
+
+// Gamepad B / Escape in the OSD: leave the slots or players view first, then the OSD; from the
+// crash screen, back to the library
+function osdBack() {
+  if (!osdCrash.hidden) {
+    leaveCrashedGame();
+  } else if (!osdSlots.hidden) {
+    showSlots(false);
+    saveSlotsBtn.focus();
+  } else if (!osdPlayers.hidden) {
+    showPlayers(false);
+    playersBtn.focus();
+  } else {
+    toggleOSD(false);
+  }
+}
+
+function slotsUrl(game) {
+  return `/api/games/${encodeURIComponent(game.id)}/slots`;
+}
+
+async function refreshSlots() {
+  const game = currentGame;
+  if (!game) return;
+  let slots = [];
+  try {
+    const res = await fetch(slotsUrl(game));
+    if (res.ok) slots = await res.json();
+  } catch {}
+  if (currentGame !== game) return;
+  slotList.innerHTML = '';
+  if (!slots.length) slotList.appendChild(el('li', 'slot-empty', 'No save slots yet'));
+  for (const slot of slots) slotList.appendChild(slotItem(game, slot));
+}
+
+function slotItem(game, slot) {
+  const url = `${slotsUrl(game)}/${encodeURIComponent(slot.id)}`;
+  const li = el('li', 'slot');
+  const shot = el(slot.hasScreenshot ? 'img' : 'div', 'slot-shot');
+  if (slot.hasScreenshot) { shot.src = `${url}/screenshot`; shot.alt = ''; }
+  const info = el('div', 'slot-info');
+  info.append(el('strong', '', slot.name), el('span', '', new Date(slot.createdAt).toLocaleString()));
+  const buttons = el('div', 'slot-buttons');
+  const restore = el('button', '', 'Restore');
+  restore.addEventListener('click', () => restoreSlot(game, slot));
+  const exportBtn = el('button', '', 'Export');
+  exportBtn.addEventListener('click', () => { location.href = `${url}/export`; });
+  const remove = el('button', '', 'Delete');
+  remove.addEventListener('click', async () => {
+    if (!confirm(`Delete the save slot "${slot.name}"?`)) return;
+    const res = await fetch(url, { method: 'DELETE' });
+    if (!res.ok) alert(`Could not delete the slot: ${await res.text()}`);
+    refreshSlots();
+  });
+  buttons.append(restore, exportBtn, remove);
+  li.append(shot, info, buttons);
+  return li;
+}
+
+function gameStorageItems(game) {
+  const prefix = gameStoragePrefix(game);
+  const items = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key?.startsWith(prefix)) items[key.slice(prefix.length)] = localStorage.getItem(key);
+  }
+  return items;
+}
+
+async function saveSlot(game) {
+  const form = new FormData();
+  form.append('name', slotNameInput.value);
+  form.append('items', JSON.stringify(gameStorageItems(game)));
+  try {
+    const shot = await captureIframeCanvas(gameframe, 480);
+    if (shot) form.append('screenshot', shot, 'screenshot.png');
+  } catch {} // e.g. a canvas tainted by cross-origin images; save without a screenshot
+  const res = await fetch(slotsUrl(game), { method: 'POST', body: form });
+  if (!res.ok) {
+    alert(`Could not save the slot: ${await res.text()}`);
+    return;
+  }
+  slotNameInput.value = '';
+  refreshSlots();
+}
+
+async function restoreSlot(game, slot) {
+  if (!confirm(`Restore "${slot.name}"? The game restarts and its current progress is replaced.`)) return;
+  toggleOSD(false);
+  const prefix = gameStoragePrefix(game);
+  await restartGameAfter(game, async () => {
+    // The restarted game loads the slot from the server; drop local keys it doesn't have
+    try { removeStorageKeys(localStorage, (k) => k.startsWith(prefix)); } catch {}
+    const res = await fetch(`${slotsUrl(game)}/${encodeURIComponent(slot.id)}/restore`, { method: 'POST' });
+    if (!res.ok) alert(`Could not restore the slot: ${await res.text()}`);
+  });
+}
+
+saveSlotsBtn.addEventListener('click', () => showSlots(true));
+slotsBackBtn.addEventListener('click', () => osdBack());
+slotSaveBtn.addEventListener('click', () => { if (currentGame) saveSlot(currentGame); });
+slotImportBtn.addEventListener('click', () => slotImportInput.click());
+slotImportInput.addEventListener('change', async () => {
+  const file = slotImportInput.files?.[0];
+  slotImportInput.value = '';
+  const game = currentGame;
+  if (!file || !game) return;
+  const text = await file.text();
+  let data;
+  try { data = JSON.parse(text); } catch {
+    alert('That file is not a save slot export.');
+    return;
+  }
+  if (data?.game && data.game !== game.id && !confirm(`This save is from "${data.game}". Import it into ${game.name} anyway?`)) return;
+  const res = await fetch(`${slotsUrl(game)}/import`, { method: 'POST', headers: { 'content-type': 'application/json' }, body: text });
+  if (!res.ok) alert(`Could not import the slot: ${await res.text()}`);
+  refreshSlots();
+});
+
+// Players (both OSDs): the gamepad manager's player slots. Pads join by pressing a button and keep
+// their slot until it is released here; the indicators next to the logo show who is in.
+function showPlayers(show) {
+  osdPlayers.hidden = !show;
+  osdActions.hidden = show || !osdSlots.hidden;
+  if (!show) return;
+  renderPlayers();
+  playersReassignBtn.focus();
+}
+
+function playerSlots() {
+  const slots = window.gamepadManager?.getPlayerSlots() ?? [];
+  const count = window.gamepadManager?.MAX_PLAYERS ?? 4;
+  return Array.from({ length: count }, (_, i) => slots.find((slot) => slot.player === i + 1) ?? null);
+}
+
+function playerBadge(player, slot, tag = 'span') {
+  const badge = el(tag, `player-badge${!slot ? ' free' : slot.connected ? '' : ' away'}`, `P${player}`);
+  badge.title = !slot ? 'Free' : slot.connected ? slot.id : `${slot.id} (disconnected)`;
+  return badge;
+}
+
+function renderPlayers() {
+  const slots = playerSlots();
+  playerIndicators.innerHTML = '';
+  slots.forEach((slot, i) => playerIndicators.appendChild(playerBadge(i + 1, slot, 'li')));
+  if (osdPlayers.hidden) return;
+  playerList.innerHTML = '';
+  slots.forEach((slot, i) => {
+    const li = el('li', `player-slot${!slot ? ' free' : slot.connected ? '' : ' away'}`);
+    const label = !slot ? 'Press a button to join' : slot.connected ? slot.id : `${slot.id} (disconnected)`;
+    li.append(playerBadge(i + 1, slot), el('span', '', label));
+    if (slot) {
+      const release = el('button', '', 'Release');
+      release.addEventListener('click', () => window.gamepadManager?.releasePlayer(i));
+      li.appendChild(release);
+    }
+    playerList.appendChild(li);
+  });
+}
+
+// Called by the gamepad manager; games hear about it through the "players" bridge event
+function onPlayersChanged(change) {
+  renderPlayers();
+  if (!currentGame) return;
+  const slot = playerSlots()[change.player - 1];
+  if (slot && (change.type === 'joined' || change.type === 'connected')) {
+    showToast([playerBadge(change.player, slot), el('small', '', 'Player joined'), el('strong', '', slot.id)], 3000);
+  } else if (slot && change.type === 'disconnected') {
+    showToast([playerBadge(change.player, slot), el('small', '', 'Controller disconnected'), el('strong', '', slot.id)]);
+  }
+  postToGame({ type: 'event', name: 'players', detail: bridgeMethods.getPlayers() });
+}
+
+window.onPlayersChanged = onPlayersChanged;
+playersBtn.addEventListener('click', () => showPlayers(true));
+playersBackBtn.addEventListener('click', () => osdBack());
+playersReassignBtn.addEventListener('click', () => window.gamepadManager?.resetPlayers());
+renderPlayers();
 
 // Global OSD actions
 if (clearStorageBtn) {
   clearStorageBtn.addEventListener('click', () => {
-    if (confirm('Clear all localStorage for this launcher? This resets controller mappings and preferences.')) {
-      try { localStorage.clear(); } catch {}
-      alert('Local storage cleared.');
+    if (confirm('Clear the launcher\'s own settings? This resets controller mappings and preferences; game saves are kept.')) {
+      try { removeStorageKeys(localStorage, (k) => !k.startsWith(GAME_STORAGE_PREFIX)); } catch {}
+      alert('Launcher settings cleared.');
     }
   });
 }
@@ -224,21 +880,19 @@ if (reloadPageBtn) {
   });
 }
 
-// Capture thumbnail.png from in-game canvas if possible
+// Capture the cover image from the in-game canvas if possible; the server letterboxes it to the card
 captureThumbBtn.addEventListener('click', async () => {
   const game = games[focusedIndex];
   if (!game) return;
   try {
-    const dataUrl = await captureIframeCanvas(gameframe);
-    if (!dataUrl) throw new Error('No canvas found');
-    const blob = await (await fetch(dataUrl)).blob();
-    const buf = await blob.arrayBuffer();
-    const res = await fetch(`/api/games/${game.id}/thumbnail`, { method: 'POST', body: buf });
+    const blob = await captureIframeCanvas(gameframe);
+    if (!blob) throw new Error('No canvas found');
+    const res = await fetch(`/api/games/${encodeURIComponent(game.id)}/thumbnail?fit=contain`, { method: 'POST', body: blob });
     if (res.ok) {
       await fetchGames();
       toggleOSD(false);
     } else {
-      throw new Error('Upload failed');
+      throw new Error(`Upload failed: ${await res.text()}`);
     }
   } catch (err) {
     console.error(err);
@@ -246,12 +900,18 @@ captureThumbBtn.addEventListener('click', async () => {
   }
 });
 
-async function captureIframeCanvas(iframe) {
+// Screenshot of the game's canvas as a PNG blob, scaled down so its longest side is at most 960px
+async function captureIframeCanvas(iframe, maxSize = 960) {
   const doc = iframe.contentDocument;
   if (!doc) return null;
-  const canvas = doc.querySelector('canvas');
-  if (!canvas) return null;
-  return canvas.toDataURL('image/png');
+  const source = doc.querySelector('canvas');
+  if (!source || !source.width || !source.height) return null;
+  const scale = Math.min(1, maxSize / Math.max(source.width, source.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(source.width * scale);
+  canvas.height = Math.round(source.height * scale);
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
 }
 
 // Add Game (ZIP)
@@ -260,7 +920,7 @@ zipInput.addEventListener('change', async () => {
   const file = zipInput.files?.[0];
   if (!file) return;
   const name = prompt('Game name (folder-friendly):', file.name.replace(/\.zip$/i, '')) || 'game';
-  const subdir = prompt('Game location: root, dist, or docs?', 'root') || 'root';
+  const subdir = prompt('Game folder inside the ZIP (leave empty to detect automatically):', '') || '';
   const form = new FormData();
   form.set('file', file);
   form.set('name', name);
@@ -268,82 +928,247 @@ zipInput.addEventListener('change', async () => {
   const res = await fetch('/api/add-game/from-zip', { method: 'POST', body: form });
   if (res.ok) {
     const data = await res.json();
-    await fetchGames();
-    const idx = games.findIndex((g) => g.id === data.id);
-    focusIndex(idx === -1 ? 0 : idx, false); // Focus but don't auto-launch
-    alert(`Game "${name}" added successfully! Click on it to launch.`);
+    followJob(data.job);
   } else {
-    alert('Upload failed');
+    alert(`Upload failed: ${await res.text()}`);
   }
   zipInput.value = '';
 });
 
+// Map the version prompt to the from-github fields: release:<tag>[:<asset>], a commit SHA, or any ref
+function githubVersion(input) {
+  if (!input) return {};
+  const rel = input.match(/^release:([^:]*)(?::(.+))?$/i);
+  if (rel) return { release: rel[1] || 'latest', asset: rel[2] };
+  if (/^[0-9a-f]{7,40}$/i.test(input)) return { sha: input };
+  return { ref: input };
+}
+
 // Add Game (GitHub)
 addGithubBtn.addEventListener('click', async () => {
   const repo = prompt('GitHub repo URL (e.g., https://github.com/user/repo):');
   if (!repo) return;
-  const branch = prompt('Branch (default: main):', 'main') || 'main';
-  const subdir = prompt('Game location: root, dist, or docs?', 'root') || 'root';
+  const version = (prompt(
+    'Branch, tag or commit SHA (leave empty for the default branch).\n' +
+    'For a release ZIP use "release:<tag>" or "release:latest", optionally followed by ":<asset name>":',
+    '',
+  ) || '').trim();
+  const subdir = prompt('Game folder in the repo (leave empty to detect automatically):', '') || undefined;
   const name = prompt('Game name (optional):', '') || undefined;
   const res = await fetch('/api/add-game/from-github', {
     method: 'POST',
     headers: { 'content-type': 'application/json' },
-    body: JSON.stringify({ repo, branch, subdir, name }),
+    body: JSON.stringify({ repo, ...githubVersion(version), subdir, name }),
   });
   if (res.ok) {
     const data = await res.json();
+    followJob(data.job);
+  } else {
+    alert(`Download failed: ${await res.text()}`);
+  }
+});
+
+// Library backup/restore: moves every game plus launcher state between cabinets
+backupLibraryBtn.addEventListener('click', () => {
+  location.href = '/api/library/backup';
+});
+
+restoreLibraryBtn.addEventListener('click', () => restoreInput.click());
+restoreInput.addEventListener('change', async () => {
+  const file = restoreInput.files?.[0];
+  restoreInput.value = '';
+  if (!file) return;
+  const mode = (prompt(
+    'Restore mode: "merge" keeps games that are not in the backup, ' +
+    '"replace" removes them (type merge or replace):',
+    'merge',
+  ) || '').trim().toLowerCase();
+  if (mode !== 'merge' && mode !== 'replace') return;
+  const form = new FormData();
+  form.append('file', file);
+  const res = await fetch(`/api/library/restore?mode=${mode}`, { method: 'POST', body: form });
+  if (res.ok) {
+    followJob((await res.json()).job);
+  } else {
+    alert(`Restore failed: ${await res.text()}`);
+  }
+});
+
+// Import jobs: the server installs games in the background and reports progress
+// over SSE (/api/jobs/:id/events); we show each one as a card at the end of the coverflow.
+function followJob(job) {
+  installs.set(job.id, job);
+  renderCoverflow();
+  let es = null;
+  try { es = new EventSource(`/api/jobs/${job.id}/events`); } catch {}
+  if (!es) { pollJob(job.id); return; }
+  es.addEventListener('job', (ev) => {
+    const update = JSON.parse(ev.data);
+    if (update.status !== 'running') es.close();
+    onJobUpdate(update);
+  });
+  es.onerror = () => {
+    // Stream dropped (server restarted or proxy); fall back to polling while the job exists
+    es.close();
+    if (installs.has(job.id)) pollJob(job.id);
+  };
+}
+
+async function pollJob(jobId) {
+  while (installs.has(jobId)) {
+    try {
+      const res = await fetch(`/api/jobs/${jobId}`);
+      if (res.status === 404) { installs.delete(jobId); renderCoverflow(); return; }
+      const job = await res.json();
+      onJobUpdate(job);
+      if (job.status !== 'running') return;
+    } catch {}
+    await new Promise((r) => setTimeout(r, 1000));
+  }
+}
+
+async function onJobUpdate(job) {
+  if (!installs.has(job.id)) return;
+  if (job.status === 'running') {
+    installs.set(job.id, job);
+    const card = coverflowEl.querySelector(`.card.installing[data-job-id="${job.id}"]`);
+    if (card) updateInstallCard(card, job);
+    return;
+  }
+  installs.delete(job.id);
+  if (job.status === 'done') {
     await fetchGames();
-    const idx = games.findIndex((g) => g.id === data.id);
+    const idx = games.findIndex((g) => g.id === job.result?.id);
     focusIndex(idx === -1 ? 0 : idx, false); // Focus but don't auto-launch
-    const gameName = name || repo.split('/').pop() || 'game';
-    alert(`Game "${gameName}" added successfully! Click on it to launch.`);
   } else {
-    alert('Download failed');
+    renderCoverflow();
+    if (job.status === 'error') alert(`Could not add "${job.name}": ${job.error?.message || 'unknown error'}`);
   }
-});
+}
+
+function installCard(job) {
+  const card = el('div', 'card installing right dim');
+  card.dataset.jobId = job.id;
+  card.style.backgroundImage = `url(${placeholderCard(job.name)})`;
+  card.appendChild(el('div', 'install-stage'));
+  const bar = el('div', 'install-progress');
+  bar.appendChild(el('span'));
+  card.appendChild(bar);
+  card.addEventListener('click', async () => {
+    if (!confirm(`Cancel installing "${job.name}"?`)) return;
+    try { await fetch(`/api/jobs/${job.id}`, { method: 'DELETE' }); } catch {}
+  });
+  updateInstallCard(card, job);
+  return card;
+}
+
+function updateInstallCard(card, job) {
+  const stageNames = { queued: 'Waiting', downloading: 'Downloading', extracting: 'Extracting', copying: 'Copying', validating: 'Checking' };
+  const pct = job.totalBytes ? Math.min(100, Math.round((job.bytes / job.totalBytes) * 100)) : null;
+  let text = stageNames[job.stage] || job.stage;
+  if (pct !== null) text += ` ${pct}%`;
+  else if (job.bytes) text += ` ${(job.bytes / (1024 * 1024)).toFixed(1)} MB`;
+  card.querySelector('.install-stage').textContent = text;
+  const bar = card.querySelector('.install-progress');
+  bar.classList.toggle('indeterminate', pct === null);
+  bar.firstChild.style.width = pct === null ? '' : `${pct}%`;
+}
+
+// Pick up imports that were started before this page (re)loaded
+async function resumeJobs() {
+  try {
+    const res = await fetch('/api/jobs');
+    const jobs = await res.json();
+    for (const job of jobs) {
+      if (job.status === 'running' && !installs.has(job.id)) followJob(job);
+    }
+  } catch {}
+}
 
 // Game menu functions
 function showGameMenu(game) {
   if (!game) return;
 
-  // Capitalize the game name properly
-  const capitalizedName = game.name
-    .split(' ')
-    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-    .join(' ');
-
-  gameMenuTitle.textContent = capitalizedName;
+  gameMenuTitle.textContent = game.name;
+  gameMenuSource.textContent = describeSource(game.source);
+  gameMenuStats.textContent = describeStats(playStats[game.id]);
   gameMenu.classList.remove('hidden');
 
-  // Store the current game for deletion
+  // Store the current game for the menu actions
   gameMenu.dataset.gameId = game.id;
-  gameMenu.dataset.gameIndex = games.indexOf(game);
+  updateGameBtn.textContent = game.source?.type === 'github' ? 'Update from GitHub' : 'Update from ZIP…';
+  refreshRollback(game.id);
+  refreshMenuScores(game.id);
+  refreshMenuAchievements(game.id);
+  refreshMenuHealth(game.id);
+}
+
+// Only offer a rollback when the server kept an older build
+async function refreshRollback(gameId) {
+  rollbackGameBtn.hidden = true;
+  delete rollbackGameBtn.dataset.version;
+  try {
+    const res = await fetch(`/api/games/${encodeURIComponent(gameId)}/versions`);
+    if (!res.ok) return;
+    const [previous] = await res.json();
+    if (!previous || gameMenu.dataset.gameId !== gameId) return;
+    rollbackGameBtn.dataset.version = previous.id;
+    rollbackGameBtn.dataset.label = describeSource(previous.source) || previous.archivedAt.slice(0, 10);
+    rollbackGameBtn.hidden = false;
+  } catch {}
+}
+
+// Crashes and errors from the game's error log (GET /api/games/:id/errors)
+async function refreshMenuHealth(gameId) {
+  gameMenuHealth.textContent = '';
+  clearErrorsBtn.hidden = true;
+  let log = null;
+  try {
+    const res = await fetch(`/api/games/${encodeURIComponent(gameId)}/errors`);
+    if (res.ok) log = await res.json();
+  } catch {}
+  if (!log || gameMenu.dataset.gameId !== gameId) return;
+  gameMenuHealth.textContent = describeHealth(log);
+  gameMenuHealth.classList.toggle('warning', log.crashes > 0);
+  clearErrorsBtn.hidden = !log.errors;
+}
+
+function describeHealth(log) {
+  if (!log.errors) return 'No errors recorded';
+  const lastCrash = log.lastCrashAt ? `, last on ${new Date(log.lastCrashAt).toLocaleDateString()}` : '';
+  const crashes = log.crashes ? `Crashed ${log.crashes} ${log.crashes === 1 ? 'time' : 'times'}${lastCrash}` : 'No crashes';
+  const errors = `${log.errors} ${log.errors === 1 ? 'error' : 'errors'} logged`;
+  const last = log.entries.at(-1);
+  return `${crashes} · ${errors}${last ? `\nLast: ${last.message}` : ''}`;
+}
+
+// e.g. "user/repo @ v1.2.0 (3f2a9c1) · imported 2026-10-19"
+function describeSource(source) {
+  if (!source) return '';
+  const date = source.importedAt ? ` · imported ${source.importedAt.slice(0, 10)}` : '';
+  if (source.type === 'zip') return `${source.filename || 'ZIP upload'}${date}`;
+  const sha = source.sha ? source.sha.slice(0, 7) : '';
+  const ref = source.ref && source.ref !== source.sha ? ` @ ${source.ref}` : '';
+  const asset = source.asset ? ` [${source.asset}]` : '';
+  return `${source.repo}${ref}${sha ? ` (${sha})` : ''}${asset}${date}`;
 }
 
 function hideGameMenu() {
+  showGameEdit(false);
   gameMenu.classList.add('hidden');
   delete gameMenu.dataset.gameId;
-  delete gameMenu.dataset.gameIndex;
 }
 
-async function deleteGame(gameId, gameIndex) {
-  if (!confirm('Are you sure you want to delete this game? This action cannot be undone.')) {
+async function deleteGame(gameId) {
+  if (!confirm('Are you sure you want to delete this game? Its saves, scores and achievements are deleted too. This action cannot be undone.')) {
     return;
   }
 
   try {
     const res = await fetch(`/api/games/${gameId}`, { method: 'DELETE' });
     if (res.ok) {
-      // Remove from local games array
-      games.splice(gameIndex, 1);
-
-      // Adjust focused index if necessary
-      if (focusedIndex >= games.length) {
-        focusedIndex = Math.max(0, games.length - 1);
-      }
-
-      // Re-render the coverflow
-      renderCoverflow();
+      // Remove from the coverflow (the live library update may already have done so)
+      syncGames(libraryGames.filter((g) => g.id !== gameId));
 
       alert('Game deleted successfully!');
     } else {
@@ -355,16 +1180,182 @@ async function deleteGame(gameId, gameIndex) {
   }
 }
 
+// "Edit details" view inside the game menu
+function showGameEdit(show, game) {
+  gameEditForm.hidden = !show;
+  gameMenuActions.hidden = show;
+  if (!show) return;
+  const f = gameEditForm.elements;
+  f.title.value = game.name;
+  f.description.value = game.description || '';
+  f.tags.value = (game.tags || []).join(', ');
+  f.sortOrder.value = game.sortOrder ?? '';
+  f.id.value = game.id;
+  f.title.focus();
+}
+
+// Gamepad B / Escape: leave the edit view first, then the menu
+function gameMenuBack() {
+  if (!gameEditForm.hidden) {
+    showGameEdit(false);
+    editGameBtn.focus();
+  } else {
+    hideGameMenu();
+  }
+}
+
+async function saveGameEdit() {
+  const gameId = gameMenu.dataset.gameId;
+  const game = games.find((g) => g.id === gameId);
+  const f = gameEditForm.elements;
+  const fields = {
+    title: [f.title.value, game?.name],
+    description: [f.description.value, game?.description || ''],
+    tags: [f.tags.value, (game?.tags || []).join(', ')],
+    sortOrder: [f.sortOrder.value === '' ? null : Number(f.sortOrder.value), game?.sortOrder ?? null],
+    id: [f.id.value.trim(), gameId],
+  };
+  // Only what was changed: a field the server sees as edited is kept when the game updates
+  const body = {};
+  for (const [key, [value, current]] of Object.entries(fields)) {
+    if (value !== current) body[key] = value;
+  }
+  const res = await fetch(`/api/games/${encodeURIComponent(gameId)}`, {
+    method: 'PATCH',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    alert(`Could not save: ${await res.text()}`);
+    return;
+  }
+  const saved = await res.json();
+  if (saved.id !== gameId) renameGameSettings(gameId, saved.id);
+  hideGameMenu();
+  await fetchGames();
+  const idx = games.findIndex((g) => g.id === saved.id);
+  if (idx !== -1) focusIndex(idx, false);
+}
+
+async function updateGame(game) {
+  if (game.source?.type !== 'github') {
+    updateZipInput.dataset.gameId = game.id;
+    updateZipInput.click();
+    return;
+  }
+  if (!confirm(`Update ${game.name} from ${describeSource({ ...game.source, importedAt: '' })}?`)) return;
+  const res = await fetch(`/api/games/${encodeURIComponent(game.id)}/update`, { method: 'POST' });
+  if (res.ok) {
+    followJob((await res.json()).job);
+  } else {
+    alert(`Update failed: ${await res.text()}`);
+  }
+}
+
+updateZipInput.addEventListener('change', async () => {
+  const file = updateZipInput.files?.[0];
+  const gameId = updateZipInput.dataset.gameId;
+  updateZipInput.value = '';
+  if (!file || !gameId) return;
+  const form = new FormData();
+  form.append('file', file);
+  const res = await fetch(`/api/games/${encodeURIComponent(gameId)}/update`, { method: 'POST', body: form });
+  if (res.ok) {
+    followJob((await res.json()).job);
+  } else {
+    alert(`Update failed: ${await res.text()}`);
+  }
+});
+
+// Upload a new cover image; OK crops it to fill the card, Cancel fits the whole image
+coverInput.addEventListener('change', async () => {
+  const file = coverInput.files?.[0];
+  const gameId = coverInput.dataset.gameId;
+  coverInput.value = '';
+  if (!file || !gameId) return;
+  const fit = confirm('Crop the image to fill the cover?\n\nOK = crop to fill, Cancel = fit the whole image') ? 'cover' : 'contain';
+  const form = new FormData();
+  form.append('file', file);
+  const res = await fetch(`/api/games/${encodeURIComponent(gameId)}/thumbnail?fit=${fit}`, { method: 'POST', body: form });
+  if (!res.ok) {
+    alert(`Could not set the cover image: ${await res.text()}`);
+    return;
+  }
+  await fetchGames();
+  const idx = games.findIndex((g) => g.id === gameId);
+  if (idx !== -1) focusIndex(idx, false);
+});
+
+async function rollbackGame(gameId, version, label) {
+  if (!confirm(`Roll back to the previous version (${label})?`)) return;
+  const res = await fetch(`/api/games/${encodeURIComponent(gameId)}/rollback`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ version }),
+  });
+  if (!res.ok) {
+    alert(`Rollback failed: ${await res.text()}`);
+    return;
+  }
+  await fetchGames();
+  const idx = games.findIndex((g) => g.id === gameId);
+  if (idx !== -1) focusIndex(idx, false);
+}
+
 // Game menu event handlers
+editGameBtn.addEventListener('click', () => {
+  const game = games.find((g) => g.id === gameMenu.dataset.gameId);
+  if (game) showGameEdit(true, game);
+});
+
+gameEditForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  saveGameEdit();
+});
+
+gameEditCancel.addEventListener('click', () => gameMenuBack());
+
+updateGameBtn.addEventListener('click', () => {
+  const game = games.find((g) => g.id === gameMenu.dataset.gameId);
+  hideGameMenu();
+  if (game) updateGame(game);
+});
+
+coverGameBtn.addEventListener('click', () => {
+  const { gameId } = gameMenu.dataset;
+  hideGameMenu();
+  if (!gameId) return;
+  coverInput.dataset.gameId = gameId;
+  coverInput.click();
+});
+
+exportGameBtn.addEventListener('click', () => {
+  const { gameId } = gameMenu.dataset;
+  hideGameMenu();
+  if (gameId) location.href = `/api/games/${encodeURIComponent(gameId)}/export`;
+});
+
+rollbackGameBtn.addEventListener('click', () => {
+  const { gameId } = gameMenu.dataset;
+  const { version, label } = rollbackGameBtn.dataset;
+  hideGameMenu();
+  if (gameId && version) rollbackGame(gameId, version, label);
+});
+
 deleteGameBtn.addEventListener('click', () => {
   const gameId = gameMenu.dataset.gameId;
-  const gameIndex = parseInt(gameMenu.dataset.gameIndex);
-  if (gameId && gameIndex >= 0) {
-    deleteGame(gameId, gameIndex);
-  }
+  if (gameId) deleteGame(gameId);
   hideGameMenu();
 });
 
+clearErrorsBtn.addEventListener('click', async () => {
+  const gameId = gameMenu.dataset.gameId;
+  if (!gameId || !confirm('Clear the error log of this game?')) return;
+  const res = await fetch(`/api/games/${encodeURIComponent(gameId)}/errors`, { method: 'DELETE' });
+  if (!res.ok) alert(`Could not clear the error log: ${await res.text()}`);
+  refreshMenuHealth(gameId);
+});
+
 cancelBtn.addEventListener('click', () => {
   hideGameMenu();
 });
@@ -377,7 +1368,7 @@ gameMenu.addEventListener('click', (e) => {
 });
 
 // Initial load
-fetchGames();
+refreshPlayStats().then(fetchGames).then(resumeJobs).then(watchLibrary);
 
 // Expose to gamepad system
 window.focusIndex = focusIndex;
@@ -386,7 +1377,10 @@ Object.defineProperty(window, 'focusedIndex', {
   set: (value) => { focusedIndex = value; }
 });
 window.toggleOSD = toggleOSD;
+window.osdBack = osdBack;
 window.showGameMenu = showGameMenu;
+window.hideGameMenu = hideGameMenu;
+window.gameMenuBack = gameMenuBack;
 Object.defineProperty(window, 'games', {
   get: () => games,
   set: (value) => { games = value; }
@@ -414,14 +1408,197 @@ function bindIframeKeys() {
   }
 }
 
-// Listen for OSD postMessage from injected script inside game pages
+// Game bridge: the launcher's side of window.cmg (the protocol is described in lib/inject.ts)
+const BRIDGE_VERSION = 1;
+const bridgeMethods = {
+  quit: () => { setTimeout(() => exitGame('quit')); }, // answer first
+  openMenu: () => { toggleOSD(true); },
+  // The taken player slots; a slot whose pad is away keeps it with index null
+  getPlayers: () => {
+    const players = (window.gamepadManager?.getPlayerSlots() ?? []).map((slot) => ({
+      player: slot.player,
+      connected: slot.connected,
+      controller: { index: slot.index, id: slot.id },
+    }));
+    // Player 1 is on the keyboard when no controller has joined
+    return players.length ? players : [{ player: 1, connected: true, controller: null }];
+  },
+  // cmg.getControllerMapping(player) for players 1-4; player 1 by default
+  getControllerMapping: (player = 1) => {
+    const manager = window.gamepadManager;
+    const players = manager?.MAX_PLAYERS ?? 4;
+    if (!Number.isInteger(player) || player < 1 || player > players) {
+      throw Object.assign(new Error(`player must be 1-${players}`), { code: 'invalid' });
+    }
+    return manager?.playerMappings?.[player - 1] ?? null;
+  },
+  // cmg.getAnalog(player): { player, leftStick: { x, y }, rightStick: { x, y }, leftTrigger,
+  // rightTrigger } as the "analog" event sends it, or null without a pad
+  getAnalog: (player = 1) => {
+    const manager = window.gamepadManager;
+    const players = manager?.MAX_PLAYERS ?? 4;
+    if (!Number.isInteger(player) || player < 1 || player > players) {
+      throw Object.assign(new Error(`player must be 1-${players}`), { code: 'invalid' });
+    }
+    return manager?.getAnalog(player - 1) ?? null;
+  },
+  // cmg.submitScore(board, score, { name, profile, order }) resolves to { board, rank, entry }
+  submitScore: async (board, score, options = {}) => {
+    const game = currentGame;
+    const body = { board, score, name: options.name, profile: options.profile, order: options.order };
+    const result = await postForSession(game, 'scores', body);
+    scoreCache.delete(game.id);
+    return result;
+  },
+  // cmg.unlockAchievement(id) resolves to { achievement, unlocked }; unlocked is false if it already was
+  unlockAchievement: async (id, options = {}) => {
+    const result = await postForSession(currentGame, 'achievements', { id, profile: options.profile });
+    if (result.unlocked) showAchievementToast(result.achievement);
+    return result;
+  },
+};
+
+// POST to /api/games/:id/<path> as the running game's play session
+async function postForSession(game, path, body) {
+  const session = await playSession;
+  if (!game || !session) {
+    throw Object.assign(new Error('No play session; nothing is being recorded'), { code: 'unavailable' });
+  }
+  const res = await fetch(`/api/games/${encodeURIComponent(game.id)}/${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-cmg-session': session.token },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const code = res.status === 400 ? 'invalid' : res.status === 404 ? 'not_found' : 'failed';
+    throw Object.assign(new Error(await res.text()), { code });
+  }
+  return res.json();
+}
+const bridgeEvents = ['pause', 'resume', 'players', 'analog'];
+
+// Called by the gamepad manager when a pad's sticks or triggers move; not while the game is frozen
+// under the OSD
+window.onAnalogInput = (detail) => {
+  if (currentGame && osd.classList.contains('hidden')) postToGame({ type: 'event', name: 'analog', detail });
+};
+
+function postToGame(msg) {
+  try { gameframe.contentWindow?.postMessage({ cmg: 'bridge', ...msg }, location.origin); } catch {}
+}
+
+async function handleBridgeMessage(msg) {
+  if (msg.type === 'hello') {
+    postToGame({ type: 'welcome', version: BRIDGE_VERSION, capabilities: [...Object.keys(bridgeMethods), ...bridgeEvents] });
+    return;
+  }
+  if (msg.type === 'paused') {
+    pauseReplies.get(msg.id)?.(msg.value);
+    return;
+  }
+  if (msg.type === 'error' && msg.error) {
+    reportGameError(currentGame, msg.error);
+    return;
+  }
+  if (msg.type !== 'call') return;
+  const method = Object.hasOwn(bridgeMethods, msg.method) ? bridgeMethods[msg.method] : null;
+  if (!method) {
+    postToGame({ type: 'result', id: msg.id, error: { code: 'unsupported', message: `Unknown method ${msg.method}` } });
+    return;
+  }
+  try {
+    const value = await method(...(Array.isArray(msg.args) ? msg.args : []));
+    postToGame({ type: 'result', id: msg.id, value });
+  } catch (e) {
+    postToGame({ type: 'result', id: msg.id, error: { code: e?.code || 'failed', message: String(e?.message || e) } });
+  }
+}
+
+// Freeze the game under the Game OSD; the bridge answers with what it managed to pause. Games
+// without the bridge (or a crashed one) don't answer and keep running.
+const PAUSE_REPLY_MS = 500;
+const pauseReplies = new Map(); // request id -> resolve
+let pauseRequest = 0;
+
+function setGamePaused(pause) {
+  const id = ++pauseRequest;
+  osdStatus.textContent = '';
+  const reply = new Promise((resolve) => {
+    pauseReplies.set(id, resolve);
+    setTimeout(() => resolve(null), PAUSE_REPLY_MS);
+  });
+  postToGame({ type: pause ? 'pause' : 'resume', id });
+  reply.then((report) => {
+    pauseReplies.delete(id);
+    if (id !== pauseRequest || !pause || crashError) return;
+    osdStatus.textContent = report?.paused ? 'Game paused' : 'Game not paused (it keeps running)';
+    osdStatus.classList.toggle('warning', !report?.paused);
+  });
+}
+
+// Crashes: the bridge reports what goes wrong in a game and the server logs it (lib/crashes.ts).
+// A fatal error turns the Game OSD into the crash screen: retry, back to the library, or details.
+
+async function reportGameError(game, error) {
+  if (error.fatal && !crashError) showCrash(game, error);
+  try {
+    await postForSession(game, 'errors', error);
+  } catch (e) {
+    console.warn(`Could not log an error of ${game.id}:`, e);
+  }
+}
+
+function describeError(error) {
+  const line = error.line ? `:${error.line}${error.column ? `:${error.column}` : ''}` : '';
+  const where = error.source ? `at ${error.source}${line}` : '';
+  return [`${error.kind}: ${error.message}`, where, error.stack].filter(Boolean).join('\n\n');
+}
+
+function showCrash(game, error) {
+  crashError = error;
+  toggleOSD(true);
+  osdTitle.textContent = `${game.name} crashed`;
+  osdStatus.textContent = '';
+  osdActions.hidden = true;
+  osdCrash.hidden = false;
+  crashMessage.textContent = error.message;
+  crashDetails.textContent = describeError(error);
+  showCrashDetails(false);
+  crashRetryBtn.focus();
+}
+
+function showCrashDetails(show) {
+  crashDetails.hidden = !show;
+  crashDetailsBtn.textContent = show ? 'Hide Details' : 'Show Details';
+}
+
+// Start the game over in a new session; the crashed one ends as a crash
+function retryGame() {
+  const game = currentGame;
+  if (!game) return;
+  endPlaySession('crash');
+  toggleOSD(false);
+  openGame(game);
+}
+
+function leaveCrashedGame() {
+  exitGame('crash');
+  toggleOSD(false);
+}
+
+crashRetryBtn.addEventListener('click', retryGame);
+crashExitBtn.addEventListener('click', leaveCrashedGame);
+crashDetailsBtn.addEventListener('click', () => showCrashDetails(crashDetails.hidden));
+
+// Listen for postMessages from the game bridge inside game pages
 window.addEventListener('message', (ev) => {
   if (!ev.data) return;
   // Accept only from the active gameframe
-  if (ev.source !== gameframe.contentWindow) return;
+  if (ev.source !== gameframe.contentWindow || !currentGame) return;
   const msg = ev.data;
   if (msg.cmg === 'osd') {
     if (msg.action === 'open') toggleOSD(true);
     if (msg.action === 'exit') exitGame();
   }
+  if (msg.cmg === 'bridge') handleBridgeMessage(msg);
 });